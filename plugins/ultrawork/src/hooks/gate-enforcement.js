@@ -2,10 +2,17 @@
 
 /**
  * Gate Enforcement Hook (PreToolUse)
- * Blocks Edit/Write during PLANNING phase (except design.md, session files)
+ * Blocks Edit/Write and file-writing Bash commands during PLANNING phase (except design.md, session files)
  * Enforces TDD order: test files must be written before implementation
  * v2.0: Added TDD enforcement
  * v2.1: Added additionalContext support (Claude Code v2.1.9+)
+ * v2.2: Test-file detection and test mapping from the project TDD policy (lib/tdd-policy.js)
+ * v2.3: Bash commands with write effects blocked during PLANNING (lib/bash-effects.js)
+ * v2.4: Edit/Write/Bash targets scoped to the session working directory (lib/gate-policy.js)
+ * v2.5: Protected paths blocked in every phase unless the task declares them in allowed_paths
+ * v2.6: Files owned by another in-progress task blocked for worker agents
+ * v2.7: Audit mode - would-be denials logged to gate-audit.jsonl and allowed (lib/gate-audit.js);
+ *       switching the gate mode is left to the user (session-update.js --gate-mode is blocked here)
  */
 
 const fs = require('fs');
@@ -27,6 +34,24 @@ const {
   runHook
 } = require('../lib/hook-utils.js');
 const { parseHookInput } = require('../lib/hook-guards.js');
+const { evidenceText } = require('../lib/task-evidence.js');
+const { readAgentTasks } = require('../lib/evidence-log.js');
+const {
+  loadTddPolicy,
+  requiresTest,
+  expectedTestFiles,
+  hasMatchingTestWritten
+} = require('../lib/tdd-policy.js');
+const { analyzeCommand } = require('../lib/bash-effects.js');
+const {
+  loadGatePolicy,
+  resolveTargetPath,
+  getScopeViolation,
+  findProtectedPattern,
+  isAllowedForTask,
+  isOwnedByTask
+} = require('../lib/gate-policy.js');
+const { getGateMode, recordGateDenial } = require('../lib/gate-audit.js');
 
 /**
  * @typedef {import('../lib/types.js').Session} Session
@@ -36,12 +61,15 @@ const { parseHookInput } = require('../lib/hook-guards.js');
 /**
  * @typedef {Object} ToolInput
  * @property {string} [file_path]
+ * @property {string} [command]
  */
 
 /**
  * @typedef {Object} HookInput
  * @property {string} [session_id]
  * @property {string} [tool_name]
+ * @property {string} [cwd]
+ * @property {string} [agent_id] - Set when the tool runs inside a sub-agent
  * @property {ToolInput} [tool_input]
  */
 
@@ -89,22 +117,56 @@ function isFileAllowed(filePath) {
   return false;
 }
 
+/**
+ * Effects of a Bash command that are not allowed during PLANNING.
+ * Writes whose targets are all planning files (design docs, session files) are allowed.
+ * @param {string} command
+ * @param {string} workingDir
+ * @returns {import('../lib/bash-effects.js').CommandEffect[]}
+ */
+function getPlanningCommandViolations(command, workingDir) {
+  const policy = loadGatePolicy(workingDir);
+  const effects = analyzeCommand(command, { allowedCommands: policy.planning_commands });
+
+  return effects.filter(effect => {
+    if (!['redirect', 'file_write', 'in_place_edit'].includes(effect.kind)) return true;
+    if (effect.targets.length === 0) return true;
+    return !effect.targets.every(target => isFileAllowed(path.resolve(workingDir, target)));
+  });
+}
+
 /**
  * Create denial response with detailed reason
  * @param {string} tool
- * @param {string} filePath
+ * @param {string} filePath - Target file (Edit/Write) or command (Bash)
  * @param {string} sessionId
  * @param {string} sessionFile
+ * @param {import('../lib/bash-effects.js').CommandEffect[]} [effects] - Write effects of a Bash command
  * @returns {Object}
  */
-function createDenialResponse(tool, filePath, sessionId, sessionFile) {
+function createDenialResponse(tool, filePath, sessionId, sessionFile, effects = []) {
   const reason = `${tool} blocked during PLANNING phase`;
+  const target = effects.length > 0
+    ? `Command: ${filePath}
+
+DETECTED EFFECTS:
+${effects.map(e => `- [${e.kind}] ${e.detail}${e.command ? ` (${e.command})` : ''}`).join('\n')}`
+    : `Target File: ${filePath}`;
+  const allowedCommands = effects.length > 0
+    ? `
+
+ALLOWED COMMANDS DURING PLANNING:
+- Read-only commands (ls, cat, grep, find, git status/log/diff, ...) without output redirection
+- Plugin scripts (session-get.js, task-list.js, ...)
+- Writes to the allowed files above
+- Prefixes listed under "gates.planning_commands" in .claude/ultrawork-rules.json`
+    : '';
 
   const additionalContext = `⛔ GATE VIOLATION: File modifications blocked in PLANNING phase
 
 Current Phase: PLANNING
 Blocked Tool: ${tool}
-Target File: ${filePath}
+${target}
 
 Session ID: ${sessionId}
 Session File: ${sessionFile}
@@ -120,65 +182,317 @@ If this is unexpected (orphaned session), cancel with:
   /ultrawork-clean
 
 ALLOWED FILES DURING PLANNING:
-- *-design.md, session.json, context.json, exploration/*.md, docs/plans/*.md`;
+- *-design.md, session.json, context.json, exploration/*.md, docs/plans/*.md${allowedCommands}`;
 
   return createPreToolUseBlock(reason, additionalContext);
 }
 
 // ============================================================================
-// TDD Enforcement
+// Working Directory Scope
 // ============================================================================
 
+/** Bash effects that write to their targets */
+const WRITE_EFFECT_KINDS = ['redirect', 'file_write', 'in_place_edit', 'file_delete'];
+
 /**
- * Check if a file path looks like a test file
- * @param {string} filePath
- * @returns {boolean}
+ * @typedef {Object} ScopeViolation
+ * @property {string} path - Absolute target path
+ * @property {'original_dir' | 'outside'} reason
  */
-function isTestFile(filePath) {
-  if (!filePath) return false;
-
-  // Common test file patterns
-  return (
-    filePath.includes('.test.') ||
-    filePath.includes('.spec.') ||
-    filePath.includes('__tests__/') ||
-    filePath.includes('/tests/') ||
-    filePath.includes('/test/') ||
-    filePath.endsWith('_test.js') ||
-    filePath.endsWith('_test.ts') ||
-    filePath.endsWith('_test.py')
-  );
+
+/**
+ * Absolute paths an Edit/Write/Bash call writes to (paths that need shell expansion are skipped)
+ * @param {HookInput} hookInput
+ * @param {string} baseDir - Directory relative paths resolve against
+ * @returns {string[]}
+ */
+function collectWriteTargets(hookInput, baseDir) {
+  /** @type {{target: string, base: string}[]} */
+  const targets = [];
+  if (hookInput.tool_name === 'Bash') {
+    for (const effect of analyzeCommand(hookInput.tool_input?.command || '')) {
+      if (!WRITE_EFFECT_KINDS.includes(effect.kind)) continue;
+      const base = effect.cwd === undefined ? baseDir : resolveTargetPath(effect.cwd, baseDir);
+      if (!base) continue;
+      for (const target of effect.targets) targets.push({ target, base });
+    }
+  } else if (hookInput.tool_input?.file_path) {
+    targets.push({ target: hookInput.tool_input.file_path, base: baseDir });
+  }
+
+  const resolved = targets.map(({ target, base }) => resolveTargetPath(target, base)).filter(Boolean);
+  return [...new Set(/** @type {string[]} */ (resolved))];
 }
 
 /**
- * Get the current in-progress TDD task for the session
+ * Find Edit/Write/Bash targets outside the session's working directory
  * @param {string} sessionId
- * @returns {Task | null}
+ * @param {HookInput} hookInput
+ * @returns {{violations: ScopeViolation[], workingDir: string, originalDir: string | null}}
  */
-function getCurrentTddTask(sessionId) {
-  try {
-    const sessionDir = getSessionDir(sessionId);
-    const tasksDir = path.join(sessionDir, 'tasks');
+function getWorkingDirScopeViolations(sessionId, hookInput) {
+  const workingDir = readSessionField(sessionId, 'working_dir');
+  const originalDir = readSessionField(sessionId, 'original_dir') || null;
+  if (!workingDir) return { violations: [], workingDir, originalDir };
+
+  const policy = loadGatePolicy(workingDir);
+  if (!policy.working_dir_scope) return { violations: [], workingDir, originalDir };
+
+  // Relative paths resolve against the shell's directory, which is not necessarily the worktree
+  const targets = collectWriteTargets(hookInput, hookInput.cwd || workingDir);
+
+  /** @type {ScopeViolation[]} */
+  const violations = [];
+  const scope = { workingDir, originalDir, externalPaths: policy.external_paths };
+  for (const target of targets) {
+    const reason = getScopeViolation(target, scope);
+    if (reason) violations.push({ path: target, reason });
+  }
+  return { violations, workingDir, originalDir };
+}
 
-    if (!fs.existsSync(tasksDir)) {
-      return null;
-    }
+/**
+ * Create working directory scope violation response
+ * @param {string} tool
+ * @param {ScopeViolation[]} violations
+ * @param {string} workingDir
+ * @param {string | null} originalDir
+ * @returns {Object}
+ */
+function createScopeViolationResponse(tool, violations, workingDir, originalDir) {
+  const inOriginal = violations.filter(v => v.reason === 'original_dir');
+  const reason = inOriginal.length > 0
+    ? `${tool} blocked: target is in the original checkout, not the worktree`
+    : `${tool} blocked: target is outside the session working directory`;
+
+  const targetList = violations.map(v =>
+    `- ${v.path}${v.reason === 'original_dir' ? ' (original checkout)' : ''}`
+  ).join('\n');
+  const worktreeHint = inOriginal.length > 0
+    ? `\n\nThis session works in a git worktree. Make the change in the worktree instead:\n${
+      inOriginal.map(v => `- ${path.join(workingDir, path.relative(/** @type {string} */ (originalDir), v.path))}`).join('\n')}`
+    : '';
+
+  const additionalContext = `⛔ SCOPE VIOLATION: Target outside the session working directory
 
-    const taskFiles = fs.readdirSync(tasksDir).filter(f => f.endsWith('.json'));
+Blocked Tool: ${tool}
+Working Directory: ${workingDir}${originalDir ? `\nOriginal Directory: ${originalDir}` : ''}
 
-    for (const taskFile of taskFiles) {
-      const taskPath = path.join(tasksDir, taskFile);
-      const taskContent = fs.readFileSync(taskPath, 'utf-8');
-      /** @type {Task} */
-      const task = JSON.parse(taskContent);
+TARGETS:
+${targetList}${worktreeHint}
 
-      // Check if this is an in-progress TDD task
-      if (task.approach === 'tdd' && task.status === 'in_progress') {
-        return task;
-      }
+WHY BLOCKED:
+Session changes must stay inside the working directory, so that verification, evidence and the final diff cover every change.
+
+WHAT TO DO:
+1. Use paths inside ${workingDir}
+2. If the path must be written, add it under "gates.external_paths" in .claude/ultrawork-rules.json`;
+
+  return createPreToolUseBlock(reason, additionalContext);
+}
+
+// ============================================================================
+// Protected Paths
+// ============================================================================
+
+/**
+ * @typedef {Object} ProtectedPathViolation
+ * @property {string} path - Absolute target path
+ * @property {string} pattern - Protected glob it matches
+ */
+
+/**
+ * Read all task files of a session
+ * @param {string} sessionId
+ * @returns {Task[]}
+ */
+function listTasks(sessionId) {
+  const tasksDir = path.join(getSessionDir(sessionId), 'tasks');
+  if (!fs.existsSync(tasksDir)) {
+    return [];
+  }
+
+  /** @type {Task[]} */
+  const tasks = [];
+  for (const taskFile of fs.readdirSync(tasksDir).filter(f => f.endsWith('.json'))) {
+    try {
+      tasks.push(JSON.parse(fs.readFileSync(path.join(tasksDir, taskFile), 'utf-8')));
+    } catch {
+      // Unreadable task file - skip
     }
+  }
+  return tasks;
+}
 
-    return null;
+/**
+ * Task a worker agent is bound to (evidence/agents.json or session.workers)
+ * @param {string} sessionId
+ * @param {string} agentId
+ * @param {Task[]} tasks
+ * @returns {Task | null}
+ */
+function getAgentTask(sessionId, agentId, tasks) {
+  if (!agentId) return null;
+  const workers = readSessionField(sessionId, 'workers') || [];
+  const taskId = readAgentTasks(getSessionDir(sessionId))[agentId] ||
+    workers.find(w => w.agent_id === agentId)?.task_id;
+  return taskId ? tasks.find(t => t.id === taskId) || null : null;
+}
+
+/**
+ * Tasks that may be making the current tool call: the worker agent's task when
+ * known, otherwise every in-progress task
+ * @param {string} sessionId
+ * @param {string} agentId
+ * @param {Task[]} tasks
+ * @returns {Task[]}
+ */
+function getActingTasks(sessionId, agentId, tasks) {
+  const task = getAgentTask(sessionId, agentId, tasks);
+  return task ? [task] : tasks.filter(t => t.status === 'in_progress');
+}
+
+/**
+ * Find writes to protected paths that the acting task does not declare in allowed_paths
+ * @param {string} sessionId
+ * @param {HookInput} hookInput
+ * @returns {{violations: ProtectedPathViolation[], tasks: Task[]}}
+ */
+function getProtectedPathViolations(sessionId, hookInput) {
+  const workingDir = readSessionField(sessionId, 'working_dir') || hookInput.cwd || process.cwd();
+  const policy = loadGatePolicy(workingDir);
+  if (policy.protected_paths.length === 0) return { violations: [], tasks: [] };
+
+  /** @type {ProtectedPathViolation[]} */
+  const protectedTargets = [];
+  for (const target of collectWriteTargets(hookInput, hookInput.cwd || workingDir)) {
+    const pattern = findProtectedPattern(target, policy, workingDir);
+    if (pattern) protectedTargets.push({ path: target, pattern });
+  }
+  if (protectedTargets.length === 0) return { violations: [], tasks: [] };
+
+  const tasks = getActingTasks(sessionId, hookInput.agent_id || '', listTasks(sessionId));
+  const violations = protectedTargets.filter(v => !tasks.some(task => isAllowedForTask(v.path, task, workingDir)));
+  return { violations, tasks };
+}
+
+/**
+ * Create protected path violation response
+ * @param {string} tool
+ * @param {ProtectedPathViolation[]} violations
+ * @param {Task[]} tasks - Tasks that may be making the call
+ * @param {string} phase
+ * @returns {Object}
+ */
+function createProtectedPathResponse(tool, violations, tasks, phase) {
+  const reason = `${tool} blocked: ${violations[0].path} is a protected path`;
+  const taskList = tasks.length > 0
+    ? tasks.map(t => `- ${t.id}: "${t.subject}" (allowed_paths: ${(t.allowed_paths || []).join(', ') || 'none'})`).join('\n')
+    : '- none in progress';
+
+  const additionalContext = `⛔ PROTECTED PATH: Write blocked
+
+Current Phase: ${phase}
+Blocked Tool: ${tool}
+
+TARGETS:
+${violations.map(v => `- ${v.path} (protected by "${v.pattern}")`).join('\n')}
+
+CURRENT TASK:
+${taskList}
+
+WHY BLOCKED:
+The project protects these files (lockfiles, CI workflows, applied migrations, secrets, ...). Only a task that declares them may change them.
+
+WHAT TO DO:
+1. Leave the file unchanged if the change is not part of the task
+2. Otherwise declare it when creating the task:
+   task-create.js ... --allowed-paths "${violations[0].pattern}"
+
+Protected paths are configured under "gates.protected_paths" in .claude/ultrawork-rules.json.`;
+
+  return createPreToolUseBlock(reason, additionalContext);
+}
+
+// ============================================================================
+// File Ownership
+// ============================================================================
+
+/**
+ * @typedef {Object} OwnershipViolation
+ * @property {string} path - Absolute target path
+ * @property {Task} owner - In-progress task that owns the file
+ */
+
+/**
+ * Find writes by a worker agent to files owned by another in-progress task.
+ * Calls outside a known worker (orchestrator, unbound agents) are not checked.
+ * @param {string} sessionId
+ * @param {HookInput} hookInput
+ * @returns {{violations: OwnershipViolation[], task: Task | null}}
+ */
+function getOwnershipViolations(sessionId, hookInput) {
+  const tasks = listTasks(sessionId);
+  const task = getAgentTask(sessionId, hookInput.agent_id || '', tasks);
+  if (!task) return { violations: [], task: null };
+
+  const others = tasks.filter(t => t.id !== task.id && t.status === 'in_progress' && (t.files || []).length > 0);
+  if (others.length === 0) return { violations: [], task };
+
+  const workingDir = readSessionField(sessionId, 'working_dir') || hookInput.cwd || process.cwd();
+  /** @type {OwnershipViolation[]} */
+  const violations = [];
+  for (const target of collectWriteTargets(hookInput, hookInput.cwd || workingDir)) {
+    // Files both tasks declare were flagged at plan approval; don't lock both workers out
+    if (isOwnedByTask(target, task, workingDir)) continue;
+    const owner = others.find(t => isOwnedByTask(target, t, workingDir));
+    if (owner) violations.push({ path: target, owner });
+  }
+  return { violations, task };
+}
+
+/**
+ * Create file ownership violation response
+ * @param {string} tool
+ * @param {OwnershipViolation[]} violations
+ * @param {Task} task - The worker's own task
+ * @returns {Object}
+ */
+function createOwnershipViolationResponse(tool, violations, task) {
+  const reason = `${tool} blocked: ${violations[0].path} is owned by task ${violations[0].owner.id}`;
+
+  const additionalContext = `⛔ FILE OWNERSHIP: File belongs to another in-progress task
+
+Blocked Tool: ${tool}
+Your Task: "${task.subject}" (ID: ${task.id})
+Your Files: ${(task.files || []).join(', ') || 'none declared'}
+
+TARGETS:
+${violations.map(v => `- ${v.path} (owned by task ${v.owner.id}: "${v.owner.subject}")`).join('\n')}
+
+WHY BLOCKED:
+Another worker is changing this file right now. Editing it in parallel would overwrite one of the changes.
+
+WHAT TO DO:
+1. Finish the parts of your task that stay within your own files
+2. Record the remaining change in your task evidence; it can be made after task ${violations[0].owner.id} is resolved
+3. Planners: give shared files to one task, or order the tasks with --blocked-by`;
+
+  return createPreToolUseBlock(reason, additionalContext);
+}
+
+// ============================================================================
+// TDD Enforcement
+// ============================================================================
+
+/**
+ * Get the current in-progress TDD task for the session
+ * @param {string} sessionId
+ * @returns {Task | null}
+ */
+function getCurrentTddTask(sessionId) {
+  try {
+    return listTasks(sessionId).find(task => task.approach === 'tdd' && task.status === 'in_progress') || null;
   } catch {
     return null;
   }
@@ -194,14 +508,7 @@ function hasTddRedEvidence(task) {
     return false;
   }
 
-  return task.evidence.some(e => {
-    if (typeof e === 'string') {
-      return e.includes('TDD-RED');
-    }
-    // Structured evidence object (legacy/future format)
-    const desc = e.description || '';
-    return desc.includes('TDD-RED');
-  });
+  return task.evidence.some(e => evidenceText(e).includes('TDD-RED'));
 }
 
 /**
@@ -209,10 +516,15 @@ function hasTddRedEvidence(task) {
  * @param {string} tool
  * @param {string} filePath
  * @param {Task} task
+ * @param {import('../lib/tdd-policy.js').TddPolicy} policy
+ * @param {string[]} [expectedTests] - Matching tests from test_mapping
  * @returns {Object}
  */
-function createTddViolationResponse(tool, filePath, task) {
+function createTddViolationResponse(tool, filePath, task, policy, expectedTests = []) {
   const reason = `${tool} blocked: TDD requires test-first approach`;
+  const currentState = expectedTests.length > 0
+    ? `Matching test not written yet. Expected one of:\n${expectedTests.map(t => `- ${t}`).join('\n')}`
+    : 'Missing TDD-RED evidence (test not written/run yet)';
 
   const additionalContext = `⛔ TDD VIOLATION: Write test first!
 
@@ -224,7 +536,7 @@ WHY BLOCKED:
 This task uses Test-Driven Development (TDD) approach. You must write and run a failing test BEFORE writing implementation code. This ensures your tests actually verify the behavior you're implementing.
 
 CURRENT STATE:
-Missing TDD-RED evidence (test not written/run yet)
+${currentState}
 
 TDD WORKFLOW:
 1. 🔴 RED: Write test file first → run test → verify it FAILS
@@ -232,14 +544,15 @@ TDD WORKFLOW:
 3. 🔄 REFACTOR: Improve code → verify tests still pass
 
 WHAT TO DO:
-1. Write your test file first (*.test.ts, *.spec.js, etc.)
+1. Write ${expectedTests.length > 0 ? expectedTests[0] : 'your test file'} first
 2. Run the test and record the failure (TDD-RED evidence)
 3. Then implement the feature in ${filePath}
 
 TEST FILE PATTERNS:
-- *.test.ts, *.test.js
-- *.spec.ts, *.spec.js
-- __tests__/*.ts, __tests__/*.js`;
+${policy.test_patterns.map(p => `- ${p}`).join('\n')}
+
+Test patterns, source roots, exemptions and test mapping are configured under
+"tdd" in .claude/ultrawork-rules.json.`;
 
   return createPreToolUseBlock(reason, additionalContext);
 }
@@ -333,6 +646,35 @@ async function main() {
   // Extract session ID
   const sessionId = hookInput.session_id;
 
+  // Audit mode: gates below record would-be denials instead of blocking
+  const auditMode = Boolean(sessionId) && isSessionActive(sessionId) &&
+    getGateMode(sessionId, readSessionField(sessionId, 'working_dir') || hookInput.cwd) === 'audit';
+
+  /**
+   * Block the call, or in audit mode log the denial and continue with the next gate
+   * @param {string} gate - Gate id (lib/gate-audit.js GATES)
+   * @param {Object} response - Block response
+   */
+  const deny = (gate, response) => {
+    if (!auditMode) {
+      outputAndExit(response);
+    }
+    let phase;
+    try {
+      phase = readSessionField(sessionId, 'phase');
+    } catch {
+      // Session file error - log without phase
+    }
+    recordGateDenial(sessionId, {
+      gate,
+      tool: toolName,
+      reason: response.hookSpecificOutput.reason,
+      tool_input: hookInput.tool_input,
+      ...(phase ? { phase } : {}),
+      ...(hookInput.agent_id ? { agent_id: hookInput.agent_id } : {}),
+    }, { workingDir: readSessionField(sessionId, 'working_dir') || hookInput.cwd });
+  };
+
   // =========================================================================
   // Session file tamper protection (all phases)
   // =========================================================================
@@ -343,8 +685,10 @@ async function main() {
       const sessionDir = getSessionDir(sessionId);
       const protectedPatterns = [
         path.join(sessionDir, 'session.json'),
-        path.join(sessionDir, 'evidence', 'log.jsonl'),
+        path.join(sessionDir, 'evidence'),
         path.join(sessionDir, 'tasks'),
+        path.join(sessionDir, 'history.jsonl'),
+        path.join(sessionDir, 'gate-audit.jsonl'),
       ];
 
       const isProtectedAccess = protectedPatterns.some(p => command.includes(p));
@@ -365,6 +709,23 @@ async function main() {
     }
   }
 
+  // =========================================================================
+  // Gate mode is user-only: agents may not switch gates to audit (all phases)
+  // =========================================================================
+  if (toolNameLower === 'bash' && sessionId) {
+    const command = hookInput.tool_input?.command || '';
+
+    if (command.includes('session-update.js') && command.includes('--gate-mode')) {
+      outputAndExit(createPreToolUseBlock(
+        'Changing the gate mode is reserved for the user.',
+        'Changing the gate mode is reserved for the user.\n' +
+        'If a gate blocks legitimate work, stop and ask the user; they can run\n' +
+        'session-update.js --gate-mode audit from their own terminal.'
+      ));
+      return;
+    }
+  }
+
   // =========================================================================
   // Codex doc-review gate: block PLANNING→EXECUTION without doc-review result
   // =========================================================================
@@ -372,8 +733,60 @@ async function main() {
     const command = hookInput.tool_input?.command || '';
     const docGateResult = checkCodexDocGate(sessionId, command);
     if (docGateResult) {
-      outputAndExit(docGateResult);
-      return;
+      deny('codex_doc_review', docGateResult);
+    }
+  }
+
+  // =========================================================================
+  // Working directory scope: Edit/Write/Bash targets (all phases)
+  // =========================================================================
+  if ((toolName === 'Edit' || toolName === 'Write' || toolNameLower === 'bash') && sessionId && isSessionActive(sessionId)) {
+    const { violations, workingDir, originalDir } = getWorkingDirScopeViolations(sessionId, hookInput);
+    if (violations.length > 0) {
+      deny('working_dir_scope', createScopeViolationResponse(toolName, violations, workingDir, originalDir));
+    }
+  }
+
+  // =========================================================================
+  // Protected paths: only tasks that declare them may write (all phases)
+  // =========================================================================
+  if ((toolName === 'Edit' || toolName === 'Write' || toolNameLower === 'bash') && sessionId && isSessionActive(sessionId)) {
+    const { violations, tasks } = getProtectedPathViolations(sessionId, hookInput);
+    if (violations.length > 0) {
+      const phase = readSessionField(sessionId, 'phase') || 'unknown';
+      deny('protected_paths', createProtectedPathResponse(toolName, violations, tasks, phase));
+    }
+  }
+
+  // =========================================================================
+  // File ownership: workers may not write files of other in-progress tasks
+  // =========================================================================
+  if ((toolName === 'Edit' || toolName === 'Write' || toolNameLower === 'bash') && sessionId && hookInput.agent_id &&
+      isSessionActive(sessionId)) {
+    const { violations, task } = getOwnershipViolations(sessionId, hookInput);
+    if (violations.length > 0 && task) {
+      deny('file_ownership', createOwnershipViolationResponse(toolName, violations, task));
+    }
+  }
+
+  // =========================================================================
+  // PLANNING phase: block Bash commands that write files
+  // =========================================================================
+  if (toolNameLower === 'bash' && sessionId && isSessionActive(sessionId)) {
+    const command = hookInput.tool_input?.command || '';
+    let phase = null;
+    try {
+      phase = readSessionField(sessionId, 'phase');
+    } catch {
+      // Session file error - allow
+    }
+
+    if (phase === 'PLANNING' && command) {
+      const workingDir = readSessionField(sessionId, 'working_dir') || hookInput.cwd || process.cwd();
+      const violations = getPlanningCommandViolations(command, workingDir);
+      if (violations.length > 0) {
+        deny('planning_bash', createDenialResponse(toolName, command, sessionId, getSessionFile(sessionId), violations));
+      }
     }
   }
 
@@ -418,7 +831,7 @@ async function main() {
     }
 
     // Block with clear message including session details
-    outputAndExit(createDenialResponse(toolName, filePath, sessionId, sessionFile));
+    deny('planning_write', createDenialResponse(toolName, filePath, sessionId, sessionFile));
   }
 
   // =========================================================================
@@ -428,13 +841,23 @@ async function main() {
     // Check for current TDD task
     const tddTask = getCurrentTddTask(sessionId);
 
-    if (tddTask) {
-      // If writing to a non-test file, check TDD-RED evidence
-      if (!isTestFile(filePath) && !isFileAllowed(filePath)) {
-        // Check if TDD-RED evidence exists
+    if (tddTask && !isFileAllowed(filePath)) {
+      const workingDir = readSessionField(sessionId, 'working_dir') || hookInput.cwd || process.cwd();
+      const policy = loadTddPolicy(workingDir);
+
+      // Test files, exempt files and files outside source roots need no preceding test
+      if (requiresTest(filePath, policy, workingDir)) {
         if (!hasTddRedEvidence(tddTask)) {
           // Block: trying to write implementation before test
-          outputAndExit(createTddViolationResponse(toolName, filePath, tddTask));
+          deny('tdd', createTddViolationResponse(toolName, filePath, tddTask, policy));
+        } else {
+          // With a test mapping, the matching test must be written first, not just any test
+          const expectedTests = expectedTestFiles(filePath, policy, workingDir);
+          const sessionDir = getSessionDir(sessionId);
+          if (expectedTests.length > 0 &&
+              !hasMatchingTestWritten(expectedTests, { sessionDir, task: tddTask, workingDir })) {
+            deny('tdd', createTddViolationResponse(toolName, filePath, tddTask, policy, expectedTests));
+          }
         }
       }
     }
@@ -450,4 +873,11 @@ if (require.main === module) {
 }
 
 // Export for testing
-module.exports = { getCodexDocResultPath, checkCodexDocGate };
+module.exports = {
+  getCodexDocResultPath,
+  checkCodexDocGate,
+  getPlanningCommandViolations,
+  getWorkingDirScopeViolations,
+  getProtectedPathViolations,
+  getOwnershipViolations
+};
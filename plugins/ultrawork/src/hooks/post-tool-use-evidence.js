@@ -3,10 +3,14 @@
 /**
  * Ultrawork PostToolUse Evidence Hook
  * Automatically captures evidence from tool executions
+ *
+ * Entries are stamped with the agent_id and task_id of the worker that ran the
+ * tool when they can be determined: the agent comes from the hook input, its
+ * task from evidence/agents.json (bound the first time the agent runs
+ * task-update.js --id N) or session.workers.
  */
 
 const fs = require('fs');
-const path = require('path');
 const {
   getSessionDir,
   getSessionFile,
@@ -18,7 +22,14 @@ const {
   runHook
 } = require('../lib/hook-utils.js');
 const { parseHookInput } = require('../lib/hook-guards.js');
-const { acquireLock, releaseLock } = require('../lib/file-lock.js');
+const {
+  appendEvidence,
+  loadEvidenceLogConfig,
+  readAgentTasks,
+  bindAgentTask
+} = require('../lib/evidence-log.js');
+const { parseTestReport } = require('../lib/test-reports.js');
+const { describeFileChange } = require('../lib/file-changes.js');
 
 /**
  * @typedef {import('../lib/types.js').EvidenceEntry} EvidenceEntry
@@ -36,11 +47,19 @@ const { acquireLock, releaseLock } = require('../lib/file-lock.js');
  * @typedef {Object} ToolInput
  * @property {string} [command]
  * @property {string} [file_path]
+ * @property {string} [content] - Write: new file content
+ * @property {string} [old_string] - Edit: replaced text
+ * @property {string} [new_string] - Edit: replacement text
+ * @property {boolean} [replace_all] - Edit: every occurrence was replaced
  */
 
 /**
  * @typedef {Object} ToolResponse
  * @property {number} [exit_code]
+ * @property {string} [stdout]
+ * @property {string} [stderr]
+ * @property {string | null} [originalFile] - Write/Edit: content before the change
+ * @property {'create' | 'update'} [type] - Write: whether the file was created
  */
 
 /**
@@ -49,6 +68,9 @@ const { acquireLock, releaseLock } = require('../lib/file-lock.js');
  * @property {string} [tool_name]
  * @property {ToolInput} [tool_input]
  * @property {ToolResponse | string} [tool_response]
+ * @property {string} [cwd]
+ * @property {string} [agent_id] - Set when the tool ran inside a sub-agent
+ * @property {string} [agent_type]
  */
 
 // ============================================================================
@@ -86,6 +108,8 @@ function isTestCommand(cmd) {
     /go\s+test/,
     /jest/,
     /vitest/,
+    /bun\s+test/,
+    /node\s+.*--test\b/,
     /phpunit/,
     /ruby\s+.*test/,
     /python.*test/,
@@ -152,15 +176,20 @@ function toolResponseToString(response) {
  * @param {string} command
  * @param {string} output
  * @param {number} exitCode
+ * @param {Object} [options]
+ * @param {string} [options.stderr] - Scanned for test reports (bun test reports on stderr)
+ * @param {string} [options.cwd] - Directory report file paths resolve against
  * @returns {EvidenceEntry}
  */
-function buildBashEvidence(command, output, exitCode) {
+function buildBashEvidence(command, output, exitCode, options = {}) {
   const timestamp = new Date().toISOString();
 
   if (isTestCommand(command)) {
     // Test result evidence
     const summary = parseTestOutput(output);
-    const passed = exitCode === 0;
+    const reportOutput = options.stderr ? `${output}\n${options.stderr}` : output;
+    const report = parseTestReport(command, reportOutput, { cwd: options.cwd });
+    const passed = exitCode === 0 && (!report || report.counts.failed === 0);
 
     // Detect framework
     let framework = 'unknown';
@@ -169,16 +198,28 @@ function buildBashEvidence(command, output, exitCode) {
     else if (/cargo/.test(command)) framework = 'cargo';
     else if (/go test/.test(command)) framework = 'go';
     else if (/vitest/.test(command)) framework = 'vitest';
+    else if (/bun\s+test/.test(command)) framework = 'bun';
+    else if (/node\s+.*--test\b/.test(command)) framework = 'node';
 
     /** @type {TestEvidence} */
     const evidence = {
       type: 'test_result',
       timestamp,
+      command,
       passed,
       framework,
       output_preview: summary,
     };
 
+    // Structured report: exact counts and failing test names
+    if (report) {
+      evidence.report_format = report.format;
+      evidence.counts = report.counts;
+      if (report.duration_ms !== undefined) evidence.duration_ms = report.duration_ms;
+      evidence.failed_tests = report.failed_tests;
+      if (report.source) evidence.report_file = report.source;
+    }
+
     return evidence;
   } else {
     // Command execution evidence
@@ -201,9 +242,10 @@ function buildBashEvidence(command, output, exitCode) {
  * Build file operation evidence (read/write/edit)
  * @param {'read' | 'write' | 'edit'} operation
  * @param {string} filePath
+ * @param {import('../lib/file-changes.js').FileChange | null} [change] - Hashes, line counts, diff
  * @returns {FileEvidence}
  */
-function buildFileEvidence(operation, filePath) {
+function buildFileEvidence(operation, filePath, change = null) {
   const timestamp = new Date().toISOString();
 
   /** @type {FileEvidence} */
@@ -212,18 +254,109 @@ function buildFileEvidence(operation, filePath) {
     timestamp,
     operation,
     path: filePath,
+    ...change,
   };
 
   return evidence;
 }
 
+/**
+ * Content of the file before a Write/Edit
+ * Uses the tool response's originalFile; for an Edit without it, undoes the
+ * replacement when new_string occurs exactly once (or replace_all was used).
+ * @param {'write' | 'edit'} operation
+ * @param {ToolInput} toolInput
+ * @param {ToolResponse | string | undefined} toolResponse
+ * @param {string | null} after - Content after the change
+ * @returns {string | null} null when it cannot be determined
+ */
+function readPreviousContent(operation, toolInput, toolResponse, after) {
+  const response = typeof toolResponse === 'object' && toolResponse !== null ? toolResponse : {};
+  if (typeof response.originalFile === 'string') return response.originalFile;
+  if (operation === 'write') return response.type === 'create' ? '' : null;
+
+  const { old_string: oldString, new_string: newString } = toolInput;
+  if (after === null || typeof oldString !== 'string' || typeof newString !== 'string' || newString === '') {
+    return null;
+  }
+  if (toolInput.replace_all) return after.split(newString).join(oldString);
+
+  const index = after.indexOf(newString);
+  if (index < 0 || after.indexOf(newString, index + 1) >= 0) return null;
+  return after.slice(0, index) + oldString + after.slice(index + newString.length);
+}
+
+/**
+ * Describe what a Write/Edit changed
+ * @param {'write' | 'edit'} operation
+ * @param {HookInput} hookInput
+ * @param {import('../lib/evidence-log.js').EvidenceLogConfig} config - capture_diff, max_diff_chars
+ * @returns {import('../lib/file-changes.js').FileChange}
+ */
+function captureFileChange(operation, hookInput, config) {
+  const toolInput = hookInput.tool_input || {};
+
+  let after = null;
+  try {
+    after = fs.readFileSync(toolInput.file_path, 'utf-8');
+  } catch {
+    after = operation === 'write' && typeof toolInput.content === 'string' ? toolInput.content : null;
+  }
+
+  const before = readPreviousContent(operation, toolInput, hookInput.tool_response, after);
+  return describeFileChange(before, after, { diff: config.capture_diff, maxDiffChars: config.max_diff_chars });
+}
+
+// ============================================================================
+// Attribution
+// ============================================================================
+
+/**
+ * Task ID a task-update.js command operates on
+ * @param {string} command
+ * @returns {string} Task ID, or '' when the command is not a task update
+ */
+function extractTaskUpdateId(command) {
+  // Arguments may continue over backslash-newline, but not into the next command
+  const match = command.match(/task-update\.js\b(?:[^\n;&|]|\\\n)*?\s(?:--id|--task-id|--task|-t)\s+["']?([\w.-]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Task a worker agent is working on
+ * @param {string} agentId
+ * @param {Object.<string, string>} bindings - From evidence/agents.json
+ * @param {{agent_id: string, task_id: string}[]} [workers] - session.workers (subagent-stop-tracking.js)
+ * @returns {string} Task ID, or '' when unknown
+ */
+function resolveAgentTask(agentId, bindings, workers = []) {
+  if (bindings[agentId]) return bindings[agentId];
+  const worker = workers.find(w => w.agent_id === agentId);
+  return worker?.task_id || '';
+}
+
+/**
+ * Stamp evidence with the agent and task that produced it
+ * @param {EvidenceEntry} evidence
+ * @param {string} agentId
+ * @param {string} taskId
+ * @returns {EvidenceEntry}
+ */
+function attributeEvidence(evidence, agentId, taskId) {
+  return {
+    ...evidence,
+    ...(agentId && { agent_id: agentId }),
+    ...(taskId && { task_id: taskId }),
+  };
+}
+
 // Ultrawork script patterns to exclude from evidence recording
 const NOISE_PATTERNS = [
-  'session-update', 'session-get', 'session-field',
-  'task-update', 'task-create', 'task-list', 'task-get', 'task-summary',
+  'session-update', 'session-get', 'session-field', 'session-export', 'session-import', 'session-history',
+  'task-update', 'task-create', 'task-list', 'task-get', 'task-summary', 'task-graph',
   'setup-ultrawork', 'ultrawork-status', 'ultrawork-evidence', 'ultrawork-clean',
   'context-init', 'context-add', 'context-get',
-  'evidence-summary', 'evidence-query',
+  'evidence-summary', 'evidence-query', 'evidence-diff', 'criteria-matrix',
   'scope-set', 'codex-verify'
 ];
 
@@ -277,6 +410,8 @@ async function main() {
   let evidence = null;
 
   const toolNameLower = toolName.toLowerCase();
+  const agentId = hookInput.agent_id || '';
+  const config = loadEvidenceLogConfig(readSessionField(sessionId, 'working_dir'));
 
   switch (toolNameLower) {
     case 'bash': {
@@ -284,6 +419,18 @@ async function main() {
       const command = hookInput.tool_input?.command;
       if (!command) break;
 
+      // A worker updating its task tells us which task its evidence belongs to
+      const updatedTaskId = agentId ? extractTaskUpdateId(command) : '';
+      if (updatedTaskId) {
+        try {
+          if (!await bindAgentTask(getSessionDir(sessionId), agentId, updatedTaskId)) {
+            console.error(`Warning: evidence log lock timeout, agent ${agentId} not bound to task ${updatedTaskId}`);
+          }
+        } catch (lockErr) {
+          console.error(`Warning: failed to bind agent ${agentId} to task ${updatedTaskId}: ${lockErr.message}`);
+        }
+      }
+
       // Skip ultrawork infrastructure commands (noise)
       if (NOISE_PATTERNS.some(pattern => command.includes(pattern))) {
         break;
@@ -294,8 +441,13 @@ async function main() {
         typeof hookInput.tool_response === 'object'
         ? hookInput.tool_response.exit_code ?? 0
         : 0;
+      const stderr = hookInput.tool_response &&
+        typeof hookInput.tool_response === 'object'
+        ? hookInput.tool_response.stderr || ''
+        : '';
+      const cwd = hookInput.cwd || readSessionField(sessionId, 'working_dir') || undefined;
 
-      evidence = buildBashEvidence(command, response, exitCode);
+      evidence = buildBashEvidence(command, response, exitCode, { stderr, cwd });
       break;
     }
 
@@ -304,7 +456,7 @@ async function main() {
       const filePath = hookInput.tool_input?.file_path;
       if (!filePath) break;
 
-      evidence = buildFileEvidence('write', filePath);
+      evidence = buildFileEvidence('write', filePath, captureFileChange('write', hookInput, config));
       break;
     }
 
@@ -313,7 +465,7 @@ async function main() {
       const filePath = hookInput.tool_input?.file_path;
       if (!filePath) break;
 
-      evidence = buildFileEvidence('edit', filePath);
+      evidence = buildFileEvidence('edit', filePath, captureFileChange('edit', hookInput, config));
       break;
     }
 
@@ -322,28 +474,20 @@ async function main() {
       break;
   }
 
-  // If we have evidence, append to evidence/log.jsonl (append-only)
+  // If we have evidence, append to evidence/log.jsonl (append-only, rotated by size)
   if (evidence) {
     const sessionDir = getSessionDir(sessionId);
-    const evidenceDir = path.join(sessionDir, 'evidence');
-    const evidenceLog = path.join(evidenceDir, 'log.jsonl');
 
-    // Ensure evidence directory exists
-    if (!fs.existsSync(evidenceDir)) {
-      fs.mkdirSync(evidenceDir, { recursive: true });
+    if (agentId) {
+      const bindings = readAgentTasks(sessionDir);
+      const workers = bindings[agentId] ? [] : readSessionField(sessionId, 'workers') || [];
+      evidence = attributeEvidence(evidence, agentId, resolveAgentTask(agentId, bindings, workers));
     }
 
     // Append evidence with file lock for concurrent safety
-    const line = JSON.stringify(evidence) + '\n';
     try {
-      const acquired = await acquireLock(evidenceLog, 15000);
-      if (acquired) {
-        try {
-          fs.appendFileSync(evidenceLog, line, 'utf-8');
-        } finally {
-          releaseLock(evidenceLog);
-        }
-      } else {
+      const appended = await appendEvidence(sessionDir, evidence, config);
+      if (!appended) {
         // Lock timeout — skip write to prevent corruption (log warning instead)
         console.error(`Warning: evidence log lock timeout, skipping write`);
       }
@@ -363,4 +507,17 @@ if (require.main === module) {
 }
 
 // Export for testing
-module.exports = { buildBashEvidence, buildFileEvidence, truncateOutput, isTestCommand, parseTestOutput, toolResponseToString, NOISE_PATTERNS };
+module.exports = {
+  buildBashEvidence,
+  buildFileEvidence,
+  truncateOutput,
+  isTestCommand,
+  parseTestOutput,
+  toolResponseToString,
+  readPreviousContent,
+  captureFileChange,
+  extractTaskUpdateId,
+  resolveAgentTask,
+  attributeEvidence,
+  NOISE_PATTERNS
+};
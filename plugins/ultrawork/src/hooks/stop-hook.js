@@ -15,6 +15,7 @@ const {
   runHook
 } = require('../lib/hook-utils.js');
 const { parseHookInput, guardSession } = require('../lib/hook-guards.js');
+const { countEvidence, readEvidenceEntries } = require('../lib/evidence-log.js');
 
 /**
  * @typedef {import('../lib/types.js').Session} Session
@@ -148,19 +149,16 @@ function checkBlockedPhrases(entries) {
 }
 
 /**
- * Read evidence entries from log.jsonl
+ * Read the evidence count and the most recent entries (total comes from the log index)
  * @param {string} sessionId
  * @returns {{ total: number, entries: Array<{type: string, output_preview?: string}> }}
  */
 function readEvidenceFromLog(sessionId) {
   const sessionDir = getSessionDir(sessionId);
-  const evidenceLog = path.join(sessionDir, 'evidence', 'log.jsonl');
-  if (!fs.existsSync(evidenceLog)) return { total: 0, entries: [] };
-
-  const content = fs.readFileSync(evidenceLog, 'utf-8');
-  const lines = content.trim().split('\n').filter(l => l.length > 0);
-  const entries = lines.map(l => JSON.parse(l));
-  return { total: entries.length, entries };
+  return {
+    total: countEvidence(sessionDir).total,
+    entries: readEvidenceEntries(sessionDir, { last: 5 }),
+  };
 }
 
 // ============================================================================
@@ -17,7 +17,7 @@ const {
   runHook
 } = require('../lib/hook-utils.js');
 const { parseHookInput, guardSession } = require('../lib/hook-guards.js');
-const { acquireLock, releaseLock } = require('../lib/file-lock.js');
+const { appendEvidence, loadEvidenceLogConfig, readAgentTasks } = require('../lib/evidence-log.js');
 
 /**
  * @typedef {import('../lib/types.js').Session} Session
@@ -202,6 +202,11 @@ async function main() {
       }
     }
 
+    if (!taskId) {
+      // Task the agent bound itself to via task-update.js (see post-tool-use-evidence.js)
+      taskId = readAgentTasks(getSessionDir(sessionId))[agentId] || '';
+    }
+
     if (!taskId) {
       // Try to extract from agent output
       taskId = extractTaskId(agentOutput);
@@ -274,29 +279,14 @@ async function main() {
 
         // Also append to evidence/log.jsonl (append-only evidence log)
         try {
-          const evidenceDir = path.join(getSessionDir(sessionId), 'evidence');
-          const evidenceLogFile = path.join(evidenceDir, 'log.jsonl');
-          if (!fs.existsSync(evidenceDir)) {
-            fs.mkdirSync(evidenceDir, { recursive: true });
-          }
-          const logLine = JSON.stringify(completedEvidence) + '\n';
-          try {
-            const acquired = await acquireLock(evidenceLogFile, 15000);
-            if (acquired) {
-              try {
-                fs.appendFileSync(evidenceLogFile, logLine, 'utf-8');
-              } finally {
-                releaseLock(evidenceLogFile);
-              }
-            } else {
-              // Lock timeout — skip write to prevent corruption (log warning instead)
-              console.error(`Warning: evidence log lock timeout, skipping write`);
-            }
-          } catch (lockErr) {
-            // Lock error — skip write to prevent corruption
-            console.error(`Warning: evidence log lock error, skipping write: ${lockErr.message}`);
+          const config = loadEvidenceLogConfig(session.working_dir);
+          const appended = await appendEvidence(getSessionDir(sessionId), completedEvidence, config);
+          if (!appended) {
+            // Lock timeout — skip write to prevent corruption (log warning instead)
+            console.error(`Warning: evidence log lock timeout, skipping write`);
           }
         } catch (logErr) {
+          // Lock error — skip write to prevent corruption
           console.error(`Failed to append to evidence log:`, logErr);
         }
 
@@ -0,0 +1,751 @@
+/**
+ * Bash Effects
+ * Parses a Bash command into simple commands and reports what each one may
+ * change on disk: output redirections, in-place edits, file writes and
+ * deletions, package manager installs and git writes. Used by
+ * gate-enforcement.js to keep PLANNING read-only.
+ *
+ * Commands are read-only when every simple command (including those inside
+ * $(...), backticks, `bash -c` and `find -exec`) is on the read-only allowlist
+ * and nothing is redirected into a file. Anything not recognized as read-only
+ * is reported as an `unknown` effect, so new tools are blocked until allowed.
+ *
+ * This is a best-effort parser for commands an agent writes, not a full shell
+ * grammar: variables are not expanded, and globs are reported as written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {'redirect' | 'in_place_edit' | 'file_write' | 'file_delete' | 'package_manager' | 'git_write' | 'unknown'} EffectKind
+ */
+
+/**
+ * @typedef {Object} CommandEffect
+ * @property {EffectKind} kind
+ * @property {string} command - The simple command the effect comes from
+ * @property {string} program - Program name (basename of the first word)
+ * @property {string[]} targets - Paths written or deleted, when known
+ * @property {string} detail - Human-readable description
+ * @property {string} [cwd] - Directory set by a preceding cd in the same command, as written
+ */
+
+/**
+ * @typedef {Object} AnalyzeOptions
+ * @property {string[]} [allowedCommands] - Extra read-only command prefixes (e.g. "bun test")
+ * @property {string} [scriptsDir] - Plugin scripts allowed in every phase (default: this plugin's scripts)
+ */
+
+/**
+ * @typedef {Object} SimpleCommand
+ * @property {string[]} words - Unquoted words
+ * @property {{op: string, target: string}[]} redirects
+ */
+
+/** Programs that only read */
+const READ_ONLY_COMMANDS = new Set([
+  'ls', 'cat', 'head', 'tail', 'more', 'grep', 'egrep', 'fgrep', 'rg', 'ag', 'ack',
+  'wc', 'pwd', 'echo', 'printf', 'which', 'type', 'whereis', 'hash', 'file', 'stat', 'du', 'df',
+  'tree', 'cut', 'tr', 'diff', 'cmp', 'comm', 'basename', 'dirname', 'realpath', 'readlink',
+  'date', 'whoami', 'id', 'uname', 'hostname', 'printenv', 'jq', 'yq', 'column', 'nl', 'od',
+  'xxd', 'hexdump', 'strings', 'md5sum', 'sha1sum', 'sha256sum', 'shasum', 'cksum', 'ps',
+  'test', '[', '[[', 'true', 'false', 'cd', 'pushd', 'popd', 'export', 'unset', 'set',
+  'sleep', 'seq', 'expr', 'awk', 'gawk', 'sort', 'uniq', 'fold', 'fmt', 'paste', 'join',
+  'rev', 'tac', 'help', 'history', 'find', 'sed', 'fd', 'bat', 'exa', 'eza', 'locate',
+  'lsof', 'tokei', 'cloc', 'nproc', 'free', 'uptime', 'git', 'env'
+]);
+
+/** Shell keywords skipped at the start of a simple command */
+const SHELL_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', '!', '{', '}', 'esac']);
+
+/** Compound command headers that run nothing themselves (for f in ...; do) */
+const LOOP_HEADERS = new Set(['for', 'select', 'case']);
+
+/** Commands that run the command following their own options */
+const WRAPPERS = new Set(['sudo', 'command', 'builtin', 'exec', 'time', 'nohup', 'nice', 'timeout', 'xargs', 'env']);
+
+/** Wrapper options that take a value */
+const WRAPPER_VALUE_OPTIONS = {
+  sudo: ['-u', '-g', '-C', '-D', '-h', '-p', '-U'],
+  nice: ['-n'],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+  xargs: ['-I', '-n', '-P', '-d', '-L', '-s', '-E', '-a'],
+  env: ['-u', '-C', '--unset', '--chdir'],
+};
+
+/** Redirection operators that write to their target */
+const WRITE_REDIRECTS = new Set(['>', '>>', '>|', '&>', '&>>', '<>']);
+
+/** Redirect targets that are not files */
+const NON_FILE_TARGETS = new Set(['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty']);
+
+/** Programs that delete their operands */
+const DELETE_COMMANDS = new Set(['rm', 'rmdir', 'unlink', 'shred']);
+
+/** Programs that write their operands (all operands, or only the last) */
+const WRITE_ALL_OPERANDS = new Set(['touch', 'mkdir', 'chmod', 'chown', 'chgrp', 'truncate', 'tee', 'mkfifo']);
+const WRITE_LAST_OPERAND = new Set(['cp', 'ln', 'install', 'rsync', 'scp']);
+const WRITE_UNKNOWN_TARGETS = new Set(['patch', 'tar', 'unzip', 'gunzip', 'gzip', 'zip', 'wget']);
+
+/** Package manager subcommands that change dependencies or the environment */
+const PACKAGE_MANAGER_WRITES = {
+  npm: ['install', 'i', 'ci', 'add', 'uninstall', 'un', 'remove', 'rm', 'r', 'update', 'up', 'upgrade', 'link', 'ln', 'unlink', 'dedupe', 'prune', 'publish', 'init', 'audit'],
+  pnpm: ['add', 'install', 'i', 'remove', 'rm', 'un', 'uninstall', 'update', 'up', 'upgrade', 'link', 'unlink', 'prune', 'dedupe', 'init', 'publish'],
+  yarn: ['', 'add', 'remove', 'install', 'upgrade', 'up', 'link', 'unlink', 'init', 'dedupe', 'publish'],
+  bun: ['add', 'a', 'install', 'i', 'remove', 'rm', 'update', 'link', 'unlink', 'init', 'create', 'publish'],
+  pip: ['install', 'uninstall', 'download', 'wheel'],
+  pip3: ['install', 'uninstall', 'download', 'wheel'],
+  pipx: ['install', 'uninstall', 'upgrade', 'inject'],
+  uv: ['add', 'remove', 'sync', 'lock', 'pip', 'init', 'tool'],
+  poetry: ['add', 'remove', 'install', 'update', 'lock', 'init', 'new'],
+  cargo: ['add', 'remove', 'rm', 'install', 'uninstall', 'update', 'new', 'init', 'fix', 'publish'],
+  go: ['get', 'install', 'mod', 'generate', 'work'],
+  gem: ['install', 'uninstall', 'update'],
+  bundle: ['install', 'update', 'add', 'remove'],
+  composer: ['require', 'remove', 'install', 'update'],
+  brew: ['install', 'uninstall', 'remove', 'upgrade', 'update', 'tap', 'link', 'unlink'],
+  apt: ['install', 'remove', 'purge', 'upgrade', 'update', 'autoremove'],
+  'apt-get': ['install', 'remove', 'purge', 'upgrade', 'update', 'autoremove', 'dist-upgrade'],
+  dnf: ['install', 'remove', 'upgrade', 'update'],
+  yum: ['install', 'remove', 'upgrade', 'update'],
+  apk: ['add', 'del', 'upgrade', 'update'],
+  conda: ['install', 'remove', 'update', 'create'],
+  deno: ['install', 'uninstall', 'add', 'remove'],
+};
+
+/** Package manager subcommands that only read */
+const PACKAGE_MANAGER_READS = {
+  npm: ['ls', 'list', 'view', 'info', 'show', 'outdated', 'root', 'prefix', 'bin', 'search', 'why', 'explain', 'help'],
+  pnpm: ['ls', 'list', 'why', 'outdated', 'root'],
+  yarn: ['list', 'info', 'why', 'outdated', 'licenses'],
+  bun: ['pm'],
+  pip: ['list', 'show', 'freeze', 'check'],
+  pip3: ['list', 'show', 'freeze', 'check'],
+  cargo: ['tree', 'metadata', 'search'],
+  go: ['list', 'env', 'version', 'doc', 'vet'],
+};
+
+/** git subcommands that only read */
+const GIT_READ_ONLY = new Set([
+  'status', 'log', 'diff', 'show', 'blame', 'annotate', 'grep', 'ls-files', 'ls-tree', 'ls-remote',
+  'rev-parse', 'rev-list', 'describe', 'shortlog', 'cat-file', 'whatchanged', 'merge-base',
+  'name-rev', 'for-each-ref', 'show-ref', 'show-branch', 'count-objects', 'check-ignore',
+  'check-attr', 'var', 'help', 'version', 'diff-tree', 'diff-files', 'diff-index', 'cherry', 'fsck'
+]);
+
+/** awk program text that writes files or runs commands: system(), print > file, print | "cmd", "cmd" | getline */
+const AWK_SIDE_EFFECTS = /\bsystem\s*\(|\bprintf?\b[^;{}]*(>|\|)|\|&?\s*getline/;
+
+/** date options that take a value (operands other than +FORMAT set the clock) */
+const DATE_VALUE_OPTIONS = ['-d', '--date', '-r', '--reference', '-f', '--file'];
+
+/** uniq and xxd options that take a value (the second operand of both is an output file) */
+const UNIQ_VALUE_OPTIONS = ['-f', '-s', '-w', '--skip-fields', '--skip-chars', '--check-chars'];
+const XXD_VALUE_OPTIONS = ['-c', '-cols', '-g', '-groupsize', '-l', '-len', '-o', '-offset', '-s', '-seek', '-n', '-name'];
+
+/** git global options that take a value */
+const GIT_VALUE_OPTIONS = new Set(['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env']);
+
+/** git config keys (set with -c / --config-env) whose value is a command or pulls in other config */
+const GIT_COMMAND_CONFIG = /^(core\.(pager|editor|hookspath|fsmonitor|sshcommand|gitproxy|askpass)|pager\.|alias\.|hook\.|include\.|includeif\.|diff\.external|(diff|merge|filter)\..+\.(command|textconv|driver|clean|smudge|process)|sequence\.editor|gpg\.|credential\.|uploadpack\.|protocol\.)/i;
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+/**
+ * Index of the parenthesis closing a $( ... ) that starts before `start`
+ * @param {string} text
+ * @param {number} start - Index just after "$("
+ * @returns {number} Index of the closing ")" (text.length when unbalanced)
+ */
+function findClosingParen(text, start) {
+  let depth = 1;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === "'") {
+      const end = text.indexOf("'", i + 1);
+      i = end === -1 ? text.length : end;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Split a command into simple commands with unquoted words and redirections.
+ * Command substitutions are returned separately and analyzed as commands of their own.
+ * @param {string} command
+ * @returns {{commands: SimpleCommand[], substitutions: string[]}}
+ */
+function tokenize(command) {
+  /** @type {SimpleCommand[]} */
+  const commands = [];
+  const substitutions = [];
+  /** @type {SimpleCommand} */
+  let current = { words: [], redirects: [] };
+  let word = '';
+  let inWord = false;
+  /** @type {string | null} */
+  let pendingRedirect = null;
+  const heredocs = [];
+
+  const endWord = () => {
+    if (!inWord) return;
+    if (pendingRedirect) {
+      if (pendingRedirect === '<<' || pendingRedirect === '<<-') {
+        heredocs.push({ delimiter: word, strip: pendingRedirect === '<<-' });
+      } else {
+        current.redirects.push({ op: pendingRedirect, target: word });
+      }
+      pendingRedirect = null;
+    } else {
+      current.words.push(word);
+    }
+    word = '';
+    inWord = false;
+  };
+  const endCommand = () => {
+    endWord();
+    if (current.words.length > 0 || current.redirects.length > 0) commands.push(current);
+    current = { words: [], redirects: [] };
+    pendingRedirect = null;
+  };
+  const readSubstitution = (i) => {
+    const end = findClosingParen(command, i + 2);
+    substitutions.push(command.slice(i + 2, end));
+    word += '$(...)';
+    inWord = true;
+    return end;
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+    const next = command[i + 1];
+
+    if (ch === '\\') {
+      if (next !== '\n' && next !== undefined) {
+        word += next;
+        inWord = true;
+      }
+      i++;
+    } else if (ch === "'") {
+      const end = command.indexOf("'", i + 1);
+      word += command.slice(i + 1, end === -1 ? command.length : end);
+      inWord = true;
+      i = end === -1 ? command.length : end;
+    } else if (ch === '"') {
+      inWord = true;
+      for (i++; i < command.length && command[i] !== '"'; i++) {
+        if (command[i] === '\\' && i + 1 < command.length) {
+          word += command[++i];
+        } else if (command[i] === '$' && command[i + 1] === '(' && command[i + 2] !== '(') {
+          i = readSubstitution(i);
+        } else if (command[i] === '`') {
+          const end = command.indexOf('`', i + 1);
+          substitutions.push(command.slice(i + 1, end === -1 ? command.length : end));
+          i = end === -1 ? command.length : end;
+        } else {
+          word += command[i];
+        }
+      }
+    } else if (ch === '$' && next === '(' && command[i + 2] !== '(') {
+      i = readSubstitution(i);
+    } else if (ch === '`') {
+      const end = command.indexOf('`', i + 1);
+      substitutions.push(command.slice(i + 1, end === -1 ? command.length : end));
+      word += '`...`';
+      inWord = true;
+      i = end === -1 ? command.length : end;
+    } else if (ch === ' ' || ch === '\t') {
+      endWord();
+    } else if (ch === '\n') {
+      endCommand();
+      // Skip heredoc bodies
+      for (const heredoc of heredocs.splice(0)) {
+        while (i < command.length) {
+          const lineEnd = command.indexOf('\n', i + 1);
+          const line = command.slice(i + 1, lineEnd === -1 ? command.length : lineEnd);
+          i = lineEnd === -1 ? command.length : lineEnd;
+          if ((heredoc.strip ? line.trim() : line) === heredoc.delimiter) break;
+        }
+      }
+    } else if (ch === '>' || ch === '<' || (ch === '&' && next === '>')) {
+      // A word of digits right before the operator is a file descriptor
+      if (inWord && /^\d+$/.test(word)) {
+        word = '';
+        inWord = false;
+      }
+      endWord();
+      const op = command.slice(i).match(/^(&>>|&>|>>|>\||>&|>|<<<|<<-|<<|<&|<>|<)/)[0];
+      i += op.length - 1;
+      if (op === '>&' || op === '<&') {
+        // fd duplication (2>&1) or, with a word, a file (>&file)
+        const target = command.slice(i + 1).match(/^\s*([^\s;&|<>()]+)/);
+        if (target && !/^(\d+|-)$/.test(target[1])) {
+          pendingRedirect = '>';
+        } else if (target) {
+          i += target[0].length;
+        }
+      } else {
+        pendingRedirect = op;
+      }
+    } else if (ch === ';' || ch === '&' || ch === '|' || ch === '(' || ch === ')') {
+      endCommand();
+      if ((ch === '&' && next === '&') || (ch === '|' && (next === '|' || next === '&')) || (ch === ';' && next === ';')) i++;
+    } else if (ch === '#' && !inWord) {
+      const lineEnd = command.indexOf('\n', i);
+      i = (lineEnd === -1 ? command.length : lineEnd) - 1;
+    } else {
+      word += ch;
+      inWord = true;
+    }
+  }
+  endCommand();
+
+  return { commands, substitutions };
+}
+
+// ============================================================================
+// Classification
+// ============================================================================
+
+/**
+ * Names of the plugin's own scripts (allowed in every phase: they manage
+ * session state through their own locks)
+ * @param {string} scriptsDir
+ * @returns {Set<string>}
+ */
+function listScripts(scriptsDir) {
+  try {
+    return new Set(fs.readdirSync(scriptsDir).filter(f => f.endsWith('.js')));
+  } catch {
+    return new Set();
+  }
+}
+
+/** @type {Map<string, Set<string>>} */
+const scriptCache = new Map();
+
+/**
+ * @param {string} scriptsDir
+ * @returns {Set<string>}
+ */
+function pluginScripts(scriptsDir) {
+  if (!scriptCache.has(scriptsDir)) scriptCache.set(scriptsDir, listScripts(scriptsDir));
+  return /** @type {Set<string>} */ (scriptCache.get(scriptsDir));
+}
+
+/**
+ * @param {string[]} words
+ * @returns {string[]} Words that are not options
+ */
+function operands(words) {
+  const result = [];
+  let endOfOptions = false;
+  for (const w of words) {
+    if (!endOfOptions && w === '--') {
+      endOfOptions = true;
+    } else if (endOfOptions || !w.startsWith('-') || w === '-') {
+      result.push(w);
+    }
+  }
+  return result;
+}
+
+/**
+ * Files edited by `sed -i`: operands after the script, or all operands when
+ * the script comes from -e/-f
+ * @param {string[]} args
+ * @returns {string[]}
+ */
+function sedFiles(args) {
+  const files = [];
+  let scriptOption = false;
+  for (let i = 0; i < args.length; i++) {
+    if (['-e', '-f', '--expression', '--file'].includes(args[i])) {
+      scriptOption = true;
+      i++;
+    } else if (!args[i].startsWith('-')) {
+      files.push(args[i]);
+    }
+  }
+  return scriptOption ? files : files.slice(1);
+}
+
+/**
+ * Operands, skipping the values of options that take one
+ * @param {string[]} args
+ * @param {string[]} valueOptions
+ * @returns {string[]}
+ */
+function operandsExcept(args, valueOptions) {
+  return operands(args.filter((a, i) => !valueOptions.includes(args[i - 1])));
+}
+
+/**
+ * Output file of `sort -o FILE`, `-oFILE`, `-uo FILE` or `--output[=]FILE`
+ * @param {string[]} args
+ * @returns {string | null | undefined} The file, null when the value is missing, undefined without -o
+ */
+function sortOutput(args) {
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--') return undefined;
+    if (a === '--output' || a.startsWith('--output=')) {
+      return (a.includes('=') ? a.slice('--output='.length) : args[i + 1]) || null;
+    }
+    // Short flags without a value may precede o (-uo FILE); k, t, S and T take one
+    const short = /^-[bdfghiMnRrsuVcCz]*o(.*)$/.exec(a);
+    if (short) return short[1] || args[i + 1] || null;
+  }
+  return undefined;
+}
+
+/**
+ * Drop leading assignments, shell keywords and wrappers (sudo, env, xargs, ...)
+ * @param {string[]} words
+ * @returns {string[]} The words of the command that actually runs (empty for loop headers)
+ */
+function unwrap(words) {
+  let rest = words;
+  for (;;) {
+    while (rest.length > 0 && (SHELL_KEYWORDS.has(rest[0]) || /^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[0]))) {
+      rest = rest.slice(1);
+    }
+    if (rest.length > 0 && LOOP_HEADERS.has(rest[0])) return [];
+    if (rest.length === 0 || !WRAPPERS.has(rest[0])) return rest;
+
+    const wrapper = rest[0];
+    if (wrapper === 'command' && (rest[1] === '-v' || rest[1] === '-V')) return rest;
+    if (wrapper === 'env' && rest.slice(1).every(w => w.startsWith('-') || w.includes('='))) return rest;
+
+    const valueOptions = WRAPPER_VALUE_OPTIONS[wrapper] || [];
+    let i = 1;
+    while (i < rest.length && rest[i].startsWith('-')) {
+      i += valueOptions.includes(rest[i]) ? 2 : 1;
+    }
+    // timeout takes a duration before the command
+    if (wrapper === 'timeout' && i < rest.length) i++;
+    rest = rest.slice(i);
+  }
+}
+
+/**
+ * Classify a git invocation
+ * @param {string[]} args - Arguments after "git"
+ * @returns {boolean} True when the invocation only reads
+ */
+function isReadOnlyGit(args) {
+  let i = 0;
+  while (i < args.length && args[i].startsWith('-')) {
+    i += GIT_VALUE_OPTIONS.has(args[i]) ? 2 : 1;
+  }
+  const sub = args[i];
+  const rest = args.slice(i + 1);
+  const flags = rest.filter(w => w.startsWith('-'));
+  const values = operands(rest);
+  const has = (...names) => flags.some(f => names.includes(f.split('=')[0]));
+
+  if (sub === undefined) return true;
+  if (GIT_READ_ONLY.has(sub)) return true;
+  switch (sub) {
+    case 'branch':
+      if (has('-d', '-D', '--delete', '-m', '-M', '--move', '-c', '-C', '--copy', '-u', '--set-upstream-to',
+        '--unset-upstream', '--edit-description', '-f', '--force')) return false;
+      return values.length === 0 ||
+        has('--list', '-l', '--contains', '--no-contains', '--merged', '--no-merged', '--points-at', '-a', '--all', '-r', '--remotes');
+    case 'tag':
+      if (has('-d', '--delete', '-a', '--annotate', '-s', '--sign', '-f', '--force', '-m', '--message')) return false;
+      return values.length === 0 || has('-l', '--list', '--contains', '--no-contains', '--points-at', '--merged', '--no-merged');
+    case 'stash':
+      return values[0] === 'list' || values[0] === 'show';
+    case 'remote':
+      return values.length === 0 || values[0] === 'show' || values[0] === 'get-url';
+    case 'config':
+      return has('--get', '--get-all', '--get-regexp', '--list', '-l', '--get-urlmatch') ||
+        (values.length === 1 && !has('--unset', '--unset-all', '--add', '--replace-all', '--remove-section', '--rename-section', '-e', '--edit'));
+    case 'reflog':
+      return values[0] !== 'expire' && values[0] !== 'delete';
+    case 'worktree':
+      return values[0] === 'list';
+    case 'submodule':
+      return values[0] === 'status' || values[0] === 'summary';
+    case 'notes':
+      return values[0] === 'list' || values[0] === 'show';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Match a command against allowed prefixes word by word
+ * @param {string[]} words
+ * @param {string[]} prefixes
+ * @returns {boolean}
+ */
+function matchesAllowedPrefix(words, prefixes) {
+  return prefixes.some(prefix => {
+    const prefixWords = prefix.trim().split(/\s+/);
+    return prefixWords.length <= words.length && prefixWords.every((w, i) => words[i] === w);
+  });
+}
+
+/**
+ * Effects of one simple command's program and arguments (redirections excluded)
+ * @param {string[]} words - Unwrapped words
+ * @param {AnalyzeOptions} options
+ * @returns {{kind: EffectKind, targets: string[], detail: string, nested?: string} | null} null when read-only
+ */
+function classifyProgram(words, options) {
+  const program = path.basename(words[0]);
+  const args = words.slice(1);
+  const values = operands(args);
+
+  if (matchesAllowedPrefix(words, options.allowedCommands || [])) return null;
+
+  // Version and help queries never change anything
+  if (args.length === 1 && ['--version', '-V', '-v', '--help', '-h'].includes(args[0])) return null;
+
+  if (program === 'bun' || program === 'node') {
+    const script = values[0] === 'run' ? values[1] : values[0];
+    if (script && script.endsWith('.js')) {
+      const scriptsDir = options.scriptsDir || path.join(__dirname, '..', 'scripts');
+      if (pluginScripts(scriptsDir).has(path.basename(script))) return null;
+    }
+  }
+
+  if ((program === 'bash' || program === 'sh' || program === 'zsh') && args[0] === '-c' && args[1] !== undefined) {
+    return { kind: 'unknown', targets: [], detail: '', nested: args[1] };
+  }
+  if (program === 'eval') {
+    return { kind: 'unknown', targets: [], detail: '', nested: args.join(' ') };
+  }
+
+  if (program === 'sed' || program === 'perl' || program === 'ruby') {
+    const inPlace = args.some(a => a === '--in-place' || a.startsWith('--in-place=') || /^-[a-zA-Z]*i/.test(a));
+    if (inPlace) {
+      const files = program === 'sed' ? sedFiles(args) : values.slice(1);
+      return { kind: 'in_place_edit', targets: files, detail: `${program} edits files in place` };
+    }
+    if (program === 'sed') return null;
+    return { kind: 'unknown', targets: [], detail: `${program} runs code` };
+  }
+  if (program === 'awk' || program === 'gawk') {
+    if (args.some((a, i) => a === '-i' && args[i + 1] === 'inplace')) {
+      return { kind: 'in_place_edit', targets: values.slice(-1), detail: `${program} edits files in place` };
+    }
+    // String literals may contain > or | without redirecting
+    const programs = values.map(v => v.replace(/"(?:[^"\\]|\\.)*"/g, '""'));
+    if (args.some(a => a === '-f' || a.startsWith('--file')) || programs.some(v => AWK_SIDE_EFFECTS.test(v))) {
+      return { kind: 'unknown', targets: [], detail: `${program} program may write files or run commands` };
+    }
+    return null;
+  }
+  if (program === 'yq' && args.some(a => a === '--inplace' || /^-[a-zA-Z]*i/.test(a))) {
+    return { kind: 'in_place_edit', targets: values.slice(1), detail: 'yq edits files in place' };
+  }
+  if (program === 'date' && (args.some(a => a === '-s' || a.startsWith('--set')) ||
+      operands(args.filter((a, i) => !DATE_VALUE_OPTIONS.includes(args[i - 1]))).some(v => !v.startsWith('+')))) {
+    return { kind: 'unknown', targets: [], detail: 'date sets the system clock' };
+  }
+  if (program === 'hostname' && (values.length > 0 || args.some(a => a === '-F' || a.startsWith('--file') || a === '-b'))) {
+    return { kind: 'unknown', targets: [], detail: 'hostname sets the host name' };
+  }
+  if (program === 'sort') {
+    const output = sortOutput(args);
+    if (output === undefined) return null;
+    return { kind: 'file_write', targets: output ? [output] : [], detail: 'sort writes its output file' };
+  }
+  if (program === 'uniq' || program === 'xxd') {
+    const output = operandsExcept(args, program === 'uniq' ? UNIQ_VALUE_OPTIONS : XXD_VALUE_OPTIONS)[1];
+    return output && output !== '-' ? { kind: 'file_write', targets: [output], detail: `${program} writes its output file` } : null;
+  }
+  if (program === 'tree') {
+    const index = args.findIndex(a => a.startsWith('-o'));
+    if (index < 0) return null;
+    const target = args[index].length > 2 ? args[index].slice(2) : args[index + 1];
+    return { kind: 'file_write', targets: target ? [target] : [], detail: 'tree writes its output file' };
+  }
+  if (program === 'fd') {
+    const execIndex = args.findIndex(a => ['-x', '-X', '--exec', '--exec-batch'].includes(a));
+    if (execIndex < 0) return null;
+    const end = args.findIndex((a, i) => i > execIndex && a === ';');
+    return { kind: 'unknown', targets: [], detail: '', nested: args.slice(execIndex + 1, end === -1 ? undefined : end).join(' ') };
+  }
+  if (program === 'rg' && args.some(a => a === '--pre' || a.startsWith('--pre='))) {
+    return { kind: 'unknown', targets: [], detail: 'rg --pre runs a preprocessor command' };
+  }
+  if (program === 'history' && args.some(a => a.startsWith('-'))) {
+    if (args.some(a => /^-[a-z]*[wa]/.test(a))) {
+      return { kind: 'file_write', targets: values.slice(0, 1), detail: 'history writes the history file' };
+    }
+    return { kind: 'unknown', targets: [], detail: 'history changes the shell history' };
+  }
+  if (program === 'find') {
+    if (args.includes('-delete')) {
+      return { kind: 'file_delete', targets: values.slice(0, 1), detail: 'find -delete removes matching files' };
+    }
+    const execIndex = args.findIndex(a => ['-exec', '-execdir', '-ok', '-okdir'].includes(a));
+    if (execIndex >= 0) {
+      const end = args.findIndex((a, i) => i > execIndex && (a === ';' || a === '+'));
+      return { kind: 'unknown', targets: [], detail: '', nested: args.slice(execIndex + 1, end === -1 ? undefined : end).join(' ') };
+    }
+    if (args.some(a => a.startsWith('-fprint') || a === '-fls')) {
+      return { kind: 'file_write', targets: [], detail: 'find writes to a file' };
+    }
+    return null;
+  }
+  if (program === 'git') {
+    // -c core.pager=..., alias.x=!..., hooks and similar run arbitrary commands
+    for (let i = 0; i < args.length && args[i].startsWith('-'); i += GIT_VALUE_OPTIONS.has(args[i]) ? 2 : 1) {
+      const setting = args[i] === '-c' || args[i] === '--config-env' ? args[i + 1] || ''
+        : args[i].startsWith('--config-env=') ? args[i].slice('--config-env='.length) : null;
+      if (setting !== null && GIT_COMMAND_CONFIG.test(setting)) {
+        return { kind: 'unknown', targets: [], detail: `git -c ${setting.split('=')[0]} may run a command` };
+      }
+    }
+    // diff/log/show/format-patch can write their output to a file (git grep -o only prints matches)
+    const outputOptions = args.includes('grep') ? ['--output', '--output-directory'] : ['--output', '-o', '--output-directory'];
+    const output = args.findIndex(a => outputOptions.includes(a.split('=')[0]));
+    if (output >= 0) {
+      const target = args[output].includes('=') ? args[output].split('=').slice(1).join('=') : args[output + 1];
+      return { kind: 'file_write', targets: target ? [target] : [], detail: 'git writes its output to a file' };
+    }
+    if (isReadOnlyGit(args)) return null;
+    const sub = args.find((a, i) => !a.startsWith('-') && !GIT_VALUE_OPTIONS.has(args[i - 1])) || '';
+    return { kind: 'git_write', targets: [], detail: `git ${sub} changes the repository` };
+  }
+  if (program === 'env') return null;
+
+  if (DELETE_COMMANDS.has(program)) {
+    return { kind: 'file_delete', targets: values, detail: `${program} deletes files` };
+  }
+  if (program === 'mv') {
+    return { kind: 'file_write', targets: values, detail: 'mv moves files' };
+  }
+  if (WRITE_ALL_OPERANDS.has(program)) {
+    let targets = values;
+    if (['chmod', 'chown', 'chgrp'].includes(program)) targets = values.slice(1);
+    if (program === 'truncate') targets = operands(args.filter((a, i) => args[i - 1] !== '-s'));
+    return { kind: 'file_write', targets, detail: `${program} writes files` };
+  }
+  if (WRITE_LAST_OPERAND.has(program)) {
+    return { kind: 'file_write', targets: values.slice(-1), detail: `${program} writes files` };
+  }
+  if (program === 'dd') {
+    const output = args.find(a => a.startsWith('of='));
+    return output ? { kind: 'file_write', targets: [output.slice(3)], detail: 'dd writes its output file' } : null;
+  }
+  if (program === 'curl') {
+    const index = args.findIndex(a => a === '-o' || a === '--output');
+    if (index >= 0) return { kind: 'file_write', targets: args[index + 1] ? [args[index + 1]] : [], detail: 'curl writes its download' };
+    if (args.some(a => a === '-O' || a === '--remote-name')) return { kind: 'file_write', targets: [], detail: 'curl writes its download' };
+    return { kind: 'unknown', targets: [], detail: 'curl makes network requests' };
+  }
+  if (WRITE_UNKNOWN_TARGETS.has(program)) {
+    return { kind: 'file_write', targets: [], detail: `${program} writes files` };
+  }
+
+  if (PACKAGE_MANAGER_WRITES[program]) {
+    const sub = values[0] || '';
+    if (PACKAGE_MANAGER_WRITES[program].includes(sub)) {
+      return { kind: 'package_manager', targets: [], detail: `${program} ${sub || 'install'} changes dependencies` };
+    }
+    if ((PACKAGE_MANAGER_READS[program] || []).includes(sub)) return null;
+    return { kind: 'unknown', targets: [], detail: `${program} ${sub} runs project scripts` };
+  }
+
+  if (READ_ONLY_COMMANDS.has(program)) return null;
+  return { kind: 'unknown', targets: [], detail: `${program} is not on the read-only allowlist` };
+}
+
+/**
+ * Directory reached by changing from `base` to `dir`
+ * @param {string} base
+ * @param {string} [dir]
+ * @returns {string}
+ */
+function joinDir(base, dir) {
+  if (dir === undefined) return base;
+  return dir.startsWith('/') || dir.startsWith('~') ? dir : path.join(base, dir);
+}
+
+/**
+ * Effects of a Bash command
+ * @param {string} command
+ * @param {AnalyzeOptions} [options]
+ * @returns {CommandEffect[]} Empty when the command only reads
+ */
+function analyzeCommand(command, options = {}) {
+  if (!command || typeof command !== 'string') return [];
+
+  const { commands, substitutions } = tokenize(command);
+  /** @type {CommandEffect[]} */
+  const effects = [];
+  /** @type {string | undefined} */
+  let cwd;
+  const withCwd = (/** @type {CommandEffect} */ effect) =>
+    (cwd === undefined ? effect : { ...effect, cwd: joinDir(cwd, effect.cwd) });
+
+  for (const simple of commands) {
+    const words = unwrap(simple.words);
+    const text = simple.words.join(' ');
+    const program = words.length > 0 ? path.basename(words[0]) : '';
+
+    for (const redirect of simple.redirects) {
+      if (!WRITE_REDIRECTS.has(redirect.op) || NON_FILE_TARGETS.has(redirect.target)) continue;
+      effects.push(withCwd({
+        kind: 'redirect',
+        command: text,
+        program,
+        targets: [redirect.target],
+        detail: `output redirected to ${redirect.target}`
+      }));
+    }
+
+    if (words.length === 0) continue;
+    if (program === 'cd' || program === 'pushd') {
+      const dir = operands(words.slice(1))[0];
+      if (dir !== '-') cwd = cwd === undefined ? dir || '~' : joinDir(cwd, dir || '~');
+      continue;
+    }
+    const effect = classifyProgram(words, options);
+    if (!effect) continue;
+    if (effect.nested !== undefined) {
+      effects.push(...analyzeCommand(effect.nested, options).map(withCwd));
+      continue;
+    }
+    effects.push(withCwd({ kind: effect.kind, command: text, program, targets: effect.targets, detail: effect.detail }));
+  }
+
+  for (const substitution of substitutions) {
+    effects.push(...analyzeCommand(substitution, options));
+  }
+
+  return effects;
+}
+
+/**
+ * @param {string} command
+ * @param {AnalyzeOptions} [options]
+ * @returns {boolean} True when the command has no write or unknown effects
+ */
+function isReadOnlyCommand(command, options = {}) {
+  return analyzeCommand(command, options).length === 0;
+}
+
+module.exports = {
+  READ_ONLY_COMMANDS,
+  NON_FILE_TARGETS,
+  tokenize,
+  analyzeCommand,
+  isReadOnlyCommand,
+};
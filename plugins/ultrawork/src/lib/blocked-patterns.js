@@ -3,23 +3,79 @@
 /**
  * @fileoverview Blocked pattern detection module
  * Detects phrases indicating incomplete or unprofessional work
+ *
+ * Projects adjust the defaults in {working-dir}/.claude/ultrawork-rules.json:
+ *
+ *   "blocked_patterns": {
+ *     "languages": ["en", "ko"],
+ *     "patterns": [{ "name": "console_log", "pattern": "console\\.log\\(", "severity": "warning", "message": "Debug output left in" }],
+ *     "disable": ["hack"],
+ *     "severity": { "placeholder": "warning" },
+ *     "allow": [{ "paths": ["src/ui/**", "docs/**"], "patterns": ["placeholder"] }]
+ *   }
+ *
+ * A project pattern with a default's name replaces it. `allow` skips the listed
+ * patterns (all patterns when omitted) for files matching `paths` (globs
+ * relative to the working dir). A line containing `ultrawork-allow` (optionally
+ * `ultrawork-allow: todo, hack`) is not scanned for those patterns;
+ * `ultrawork-allow-next-line` does the same for the following line.
+ *
+ * Patterns come in language packs (en, ko, ja). With "languages" unset or
+ * "auto", English always applies and the Korean and Japanese packs apply to
+ * text containing Hangul or kana; a list selects packs explicitly.
  */
 
 /**
  * @typedef {Object} BlockedPattern
+ * @property {string} name - Rule name used by project config and suppression comments
  * @property {RegExp} regex - Regular expression to match pattern (case-insensitive)
  * @property {string} severity - Severity level: "error" | "warning" | "info"
  * @property {string} message - Human-readable description of why pattern is blocked
+ * @property {string} [lang] - Language pack (en, ko, ja); patterns without one always apply
+ * @property {'default' | 'project'} [source] - Where the rule comes from (default when absent);
+ *   a default whose severity the project changed counts as project
  */
 
 /**
  * @typedef {Object} BlockedPatternMatch
  * @property {string} pattern - The matched pattern text
+ * @property {string} rule - Name of the matching rule
+ * @property {'default' | 'project'} source - Where the rule comes from
  * @property {string} severity - Severity level: "error" | "warning" | "info"
  * @property {string} message - Human-readable description
  * @property {string} match - The actual matched text from input
  */
 
+/**
+ * @typedef {Object} BlockedPatternAllow
+ * @property {string[]} paths - Globs relative to the working dir
+ * @property {string[] | null} names - Rules skipped for those paths (null: all)
+ */
+
+/**
+ * @typedef {Object} BlockedPatternConfig
+ * @property {BlockedPattern[]} patterns
+ * @property {BlockedPatternAllow[]} allow
+ * @property {'auto' | string[]} languages - 'auto': packs chosen per scanned text
+ */
+
+/**
+ * @typedef {Object} ScanOptions
+ * @property {BlockedPatternConfig} [config] - Patterns and allowlists (default: built-in patterns)
+ * @property {string} [path] - Project-relative path of the scanned text, for allowlists
+ */
+
+/**
+ * @typedef {Object} CompletionCheck
+ * @property {boolean} blocked - Any error-severity match
+ * @property {BlockedPatternMatch[]} blocking - The error-severity matches, each with its rule and source
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/** Inline suppression: `ultrawork-allow[-next-line][: rule, rule]` */
+const SUPPRESSION_REGEX = /ultrawork-allow(-next-line)?\b(?::\s*([\w-]+(?:\s*,\s*[\w-]+)*))?/;
+
 /**
  * Blocked patterns indicating incomplete or unprofessional work
  * @type {BlockedPattern[]}
@@ -27,41 +83,49 @@
 const BLOCKED_PATTERNS = [
   // CRITICAL patterns (severity: error)
   {
+    name: "should_work",
     regex: /should work/i,
     severity: "error",
     message: "Speculation instead of verification"
   },
   {
+    name: "probably_works",
     regex: /probably works/i,
     severity: "error",
     message: "Lack of confidence in implementation"
   },
   {
+    name: "basic_implementation",
     regex: /basic implementation/i,
     severity: "error",
     message: "Incomplete or placeholder code"
   },
   {
+    name: "you_can_extend_this",
     regex: /you can extend this/i,
     severity: "error",
     message: "Passing responsibility to others"
   },
   {
+    name: "todo",
     regex: /\bTODO\b/i,
     severity: "error",
     message: "Incomplete work marker"
   },
   {
+    name: "fixme",
     regex: /\bFIXME\b/i,
     severity: "error",
     message: "Known issue not addressed"
   },
   {
+    name: "not_implemented",
     regex: /not implemented/i,
     severity: "error",
     message: "Explicit incompleteness"
   },
   {
+    name: "placeholder",
     regex: /placeholder/i,
     severity: "error",
     message: "Temporary code not replaced"
@@ -69,56 +133,400 @@ const BLOCKED_PATTERNS = [
 
   // WARNING patterns (severity: warning)
   {
+    name: "wip",
     regex: /\bWIP\b/i,
     severity: "warning",
     message: "Work in progress marker"
   },
   {
+    name: "hack",
     regex: /\bhack\b/i,
     severity: "warning",
     message: "Quick fix that needs proper solution"
   },
   {
+    name: "temporary",
     regex: /temporary/i,
     severity: "warning",
     message: "Code that should be improved"
   }
 ];
 
+/**
+ * Korean equivalents of the English patterns (Hangul has no \b word boundaries)
+ * @type {BlockedPattern[]}
+ */
+const KO_PATTERNS = [
+  {
+    name: "should_work_ko",
+    regex: /(작동|동작)할\s*것(입니다|이다|이에요)|될\s*것\s*(같|입니다)/,
+    severity: "error",
+    message: "Speculation instead of verification"
+  },
+  {
+    name: "probably_works_ko",
+    regex: /아마(도)?\s*(잘\s*)?(작동|동작|될)/,
+    severity: "error",
+    message: "Lack of confidence in implementation"
+  },
+  {
+    name: "basic_implementation_ko",
+    regex: /기본(적인)?\s*구현|간단한\s*구현/,
+    severity: "error",
+    message: "Incomplete or placeholder code"
+  },
+  {
+    name: "you_can_extend_this_ko",
+    regex: /(필요(에\s*따라|하면|하시면|시)|원하시면|직접)[^.\n]{0,30}(추가|확장)(하실\s*수\s*있습니다|하시면\s*됩니다|하면\s*됩니다)/,
+    severity: "error",
+    message: "Passing responsibility to others"
+  },
+  {
+    name: "todo_ko",
+    regex: /추후\s*(구현|작업|수정|처리)|나중에\s*(구현|수정|처리)/,
+    severity: "error",
+    message: "Incomplete work marker"
+  },
+  {
+    name: "fixme_ko",
+    regex: /수정\s*필요|고쳐야\s*(함|합니다)/,
+    severity: "error",
+    message: "Known issue not addressed"
+  },
+  {
+    name: "not_implemented_ko",
+    regex: /미구현|구현되지\s*않|구현\s*안\s*(됨|됐)/,
+    severity: "error",
+    message: "Explicit incompleteness"
+  },
+  {
+    name: "placeholder_ko",
+    regex: /플레이스\s*홀더|자리\s*표시자/,
+    severity: "error",
+    message: "Temporary code not replaced"
+  },
+  {
+    name: "wip_ko",
+    regex: /작업\s*중(입니다|이에요|이다|임(?![가-힣]))|[([]\s*작업\s*중\s*[)\]]|작업\s*중\s*$/,
+    severity: "warning",
+    message: "Work in progress marker"
+  },
+  {
+    name: "hack_ko",
+    regex: /꼼수|땜질|땜빵/,
+    severity: "warning",
+    message: "Quick fix that needs proper solution"
+  },
+  {
+    name: "temporary_ko",
+    regex: /임시(로|방편|\s*처리|\s*코드|\s*구현)/,
+    severity: "warning",
+    message: "Code that should be improved"
+  }
+];
+
+/**
+ * Japanese equivalents of the English patterns
+ * @type {BlockedPattern[]}
+ */
+const JA_PATTERNS = [
+  {
+    name: "should_work_ja",
+    regex: /(動く|動作する)(はず|と思います)/,
+    severity: "error",
+    message: "Speculation instead of verification"
+  },
+  {
+    name: "probably_works_ja",
+    regex: /(たぶん|多分|おそらく)[^。\n]{0,10}(動く|動作)/,
+    severity: "error",
+    message: "Lack of confidence in implementation"
+  },
+  {
+    name: "basic_implementation_ja",
+    regex: /基本的な実装|簡易(的な)?実装/,
+    severity: "error",
+    message: "Incomplete or placeholder code"
+  },
+  {
+    name: "you_can_extend_this_ja",
+    regex: /(必要に応じて|必要であれば|必要なら|お好みで)[^。\n]{0,30}(拡張|追加)(することも)?(できます|してください)/,
+    severity: "error",
+    message: "Passing responsibility to others"
+  },
+  {
+    name: "todo_ja",
+    regex: /後で(実装|対応|修正)/,
+    severity: "error",
+    message: "Incomplete work marker"
+  },
+  {
+    name: "fixme_ja",
+    regex: /要修正|修正が必要/,
+    severity: "error",
+    message: "Known issue not addressed"
+  },
+  {
+    name: "not_implemented_ja",
+    regex: /未実装|実装されていません|実装していません/,
+    severity: "error",
+    message: "Explicit incompleteness"
+  },
+  {
+    name: "placeholder_ja",
+    regex: /プレースホルダ|仮(の)?(実装|コード)/,
+    severity: "error",
+    message: "Temporary code not replaced"
+  },
+  {
+    name: "wip_ja",
+    regex: /作業中/,
+    severity: "warning",
+    message: "Work in progress marker"
+  },
+  {
+    name: "hack_ja",
+    regex: /ハック|その場しのぎ/,
+    severity: "warning",
+    message: "Quick fix that needs proper solution"
+  },
+  {
+    name: "temporary_ja",
+    regex: /暫定|一時的/,
+    severity: "warning",
+    message: "Code that should be improved"
+  }
+];
+
+/**
+ * Built-in patterns by language
+ * @type {Object.<string, BlockedPattern[]>}
+ */
+const PATTERN_PACKS = {
+  en: BLOCKED_PATTERNS,
+  ko: KO_PATTERNS,
+  ja: JA_PATTERNS
+};
+
+/** Scripts that select a pack in auto mode (English always applies) */
+const LANGUAGE_SCRIPTS = {
+  ko: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/,
+  ja: /[\u3040-\u30FF]/
+};
+
+/**
+ * Built-in patterns of the given packs, tagged with their language
+ * @param {string[]} languages
+ * @returns {BlockedPattern[]}
+ */
+function packPatterns(languages) {
+  return languages.flatMap(lang => PATTERN_PACKS[lang].map(pattern => ({ ...pattern, lang })));
+}
+
+/** @type {BlockedPatternConfig} */
+const DEFAULT_CONFIG = { patterns: packPatterns(Object.keys(PATTERN_PACKS)), allow: [], languages: 'auto' };
+
+// ============================================================================
+// Project Config
+// ============================================================================
+
+/**
+ * Build the patterns for a project: defaults merged with the project's
+ * "blocked_patterns" config. Invalid project entries are skipped with a warning.
+ * @param {string} [workingDir]
+ * @returns {BlockedPatternConfig}
+ */
+function loadBlockedPatternConfig(workingDir) {
+  // Required lazily: verify-rules.js loads changed-file-scan.js, which uses this module
+  const { loadProjectRules } = require('./verify-rules.js');
+
+  let config = null;
+  try {
+    config = loadProjectRules(workingDir)?.blocked_patterns || null;
+  } catch {
+    // Invalid project rules - fall back to defaults
+  }
+  if (!config || typeof config !== 'object') {
+    return DEFAULT_CONFIG;
+  }
+
+  const disabled = Array.isArray(config.disable) ? config.disable : [];
+  const severities = config.severity && typeof config.severity === 'object' ? config.severity : {};
+  /** @type {Map<string, BlockedPattern>} */
+  const patterns = new Map();
+
+  let languages = 'auto';
+  if (Array.isArray(config.languages)) {
+    for (const lang of config.languages.filter(lang => !PATTERN_PACKS[lang])) {
+      console.error(`Warning: unknown blocked pattern language "${lang}" (available: ${Object.keys(PATTERN_PACKS).join(', ')})`);
+    }
+    languages = config.languages.filter(lang => PATTERN_PACKS[lang]);
+  }
+
+  for (const pattern of packPatterns(languages === 'auto' ? Object.keys(PATTERN_PACKS) : languages)) {
+    if (disabled.includes(pattern.name)) continue;
+    patterns.set(pattern.name, { ...pattern, source: 'default' });
+  }
+
+  for (const [i, spec] of (Array.isArray(config.patterns) ? config.patterns : []).entries()) {
+    const source = typeof spec === 'string' ? spec : spec?.pattern;
+    const name = (typeof spec === 'object' && spec?.name) || `project_pattern_${i + 1}`;
+    const flags = ((typeof spec === 'object' && spec?.flags) || 'i').replace('g', '');
+    const severity = (typeof spec === 'object' && spec?.severity) || 'error';
+    if (!SEVERITIES.includes(severity)) {
+      console.error(`Warning: invalid severity "${severity}" for blocked pattern ${name}`);
+      continue;
+    }
+    try {
+      patterns.set(name, {
+        name,
+        regex: new RegExp(source, flags),
+        severity,
+        message: (typeof spec === 'object' && spec?.message) || `Matches project pattern ${name}`,
+        ...(typeof spec === 'object' && spec?.lang ? { lang: spec.lang } : {}),
+        source: 'project'
+      });
+    } catch (error) {
+      console.error(`Warning: invalid blocked pattern "${source}": ${error instanceof Error ? error.message : error}`);
+    }
+  }
+
+  for (const [name, severity] of Object.entries(severities)) {
+    const pattern = patterns.get(name);
+    if (!pattern) continue;
+    if (!SEVERITIES.includes(severity)) {
+      console.error(`Warning: invalid severity "${severity}" for blocked pattern ${name}`);
+      continue;
+    }
+    patterns.set(name, { ...pattern, severity, source: 'project' });
+  }
+
+  const allow = (Array.isArray(config.allow) ? config.allow : [])
+    .filter(entry => entry && Array.isArray(entry.paths) && entry.paths.length > 0)
+    .map(entry => ({ paths: entry.paths, names: Array.isArray(entry.patterns) ? entry.patterns : null }));
+
+  return { patterns: [...patterns.values()], allow, languages };
+}
+
+// ============================================================================
+// Scanning
+// ============================================================================
+
+/**
+ * Rules skipped on a line by an inline suppression comment
+ * @param {string} text
+ * @param {boolean} nextLine - Look for the next-line form
+ * @returns {string[] | null} Rule names, ['*'] for all, null when none
+ */
+function parseSuppression(text, nextLine) {
+  const match = text.match(SUPPRESSION_REGEX);
+  if (!match || Boolean(match[1]) !== nextLine) return null;
+  return match[2] ? match[2].split(',').map(name => name.trim()) : ['*'];
+}
+
+/**
+ * Language packs whose script appears in the text (English is implied)
+ * @param {string | string[]} text - Text or lines
+ * @returns {string[]} e.g. ['ko']
+ */
+function detectLanguages(text) {
+  const lines = Array.isArray(text) ? text : [text];
+  return Object.keys(LANGUAGE_SCRIPTS).filter(lang => lines.some(line => LANGUAGE_SCRIPTS[lang].test(line)));
+}
+
+/**
+ * Patterns that apply to a file after its allowlist entries
+ * @param {BlockedPatternConfig} config
+ * @param {string} [filePath]
+ * @returns {BlockedPattern[]}
+ */
+function patternsForPath(config, filePath) {
+  if (!filePath || config.allow.length === 0) return config.patterns;
+  const allowed = config.allow.filter(entry => entry.paths.some(glob => new Bun.Glob(glob).match(filePath)));
+  if (allowed.some(entry => entry.names === null)) return [];
+  const skipped = new Set(allowed.flatMap(entry => entry.names));
+  return config.patterns.filter(pattern => !skipped.has(pattern.name));
+}
+
+/**
+ * Scan lines for blocked patterns, honoring allowlists and inline suppression
+ * @param {string[]} lines
+ * @param {ScanOptions} [options]
+ * @returns {(BlockedPatternMatch & {line: number})[]} Every matching rule per line (1-based line numbers)
+ */
+function scanLines(lines, options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  let patterns = patternsForPath(config, options.path);
+  if (config.languages === 'auto') {
+    const active = new Set(['en', ...detectLanguages(lines)]);
+    patterns = patterns.filter(pattern => !pattern.lang || active.has(pattern.lang));
+  }
+  if (patterns.length === 0) return [];
+
+  const found = [];
+  let carried = null;
+  for (const [index, text] of lines.entries()) {
+    const suppressed = [...(carried || []), ...(parseSuppression(text, false) || [])];
+    carried = parseSuppression(text, true);
+    if (suppressed.includes('*')) continue;
+
+    // Rule names in the directive itself are not matches
+    const scanned = text.replace(SUPPRESSION_REGEX, '');
+    for (const pattern of patterns) {
+      if (suppressed.includes(pattern.name)) continue;
+      const match = scanned.match(pattern.regex);
+      if (match) {
+        found.push({
+          pattern: pattern.regex.source,
+          rule: pattern.name,
+          source: pattern.source || 'default',
+          severity: pattern.severity,
+          message: pattern.message,
+          match: match[0],
+          line: index + 1
+        });
+      }
+    }
+  }
+  return found;
+}
+
 /**
  * Scan text for blocked patterns
  * @param {string} text - Text to scan for blocked patterns
- * @returns {BlockedPatternMatch[]} Array of pattern matches with severity and message
+ * @param {ScanOptions} [options]
+ * @returns {BlockedPatternMatch[]} First match of each pattern, in pattern order
  */
-function scanForBlockedPatterns(text) {
+function scanForBlockedPatterns(text, options = {}) {
   if (!text || typeof text !== 'string') {
     return [];
   }
 
-  const matches = [];
-
-  for (const pattern of BLOCKED_PATTERNS) {
-    const match = text.match(pattern.regex);
-    if (match) {
-      matches.push({
-        pattern: pattern.regex.source,
-        severity: pattern.severity,
-        message: pattern.message,
-        match: match[0]
-      });
-    }
+  const patterns = (options.config || DEFAULT_CONFIG).patterns;
+  const firstByRule = new Map();
+  for (const { line, ...match } of scanLines(text.split('\n'), options)) {
+    if (!firstByRule.has(match.rule)) firstByRule.set(match.rule, match);
   }
 
-  return matches;
+  return patterns.filter(pattern => firstByRule.has(pattern.name)).map(pattern => firstByRule.get(pattern.name));
 }
 
 /**
  * Check if any matches have error severity (block completion)
  * @param {BlockedPatternMatch[]} matches - Array of pattern matches
- * @returns {boolean} True if any match has error severity
+ * @returns {CompletionCheck} Whether to block, and the error matches with the rule source of each
  */
 function shouldBlockCompletion(matches) {
-  return matches.some(match => match.severity === 'error');
+  const blocking = matches.filter(match => match.severity === 'error');
+  return { blocked: blocking.length > 0, blocking };
 }
 
-module.exports = { BLOCKED_PATTERNS, scanForBlockedPatterns, shouldBlockCompletion };
+module.exports = {
+  BLOCKED_PATTERNS,
+  PATTERN_PACKS,
+  loadBlockedPatternConfig,
+  detectLanguages,
+  scanLines,
+  scanForBlockedPatterns,
+  shouldBlockCompletion
+};
@@ -0,0 +1,254 @@
+/**
+ * Changed File Scan
+ * Finds blocked patterns (TODO, FIXME, placeholder, not implemented, ...) that
+ * were introduced in the files a session or task changed. Only lines added
+ * relative to a git base count, so markers that already existed on the base
+ * branch are ignored. A marker on a line that was only moved (removed and
+ * added with the same text) is not new either.
+ *
+ * Changed files come from file_operation evidence or from `git diff` against
+ * the base.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadBlockedPatternConfig, scanLines } = require('./blocked-patterns.js');
+const { diffLines } = require('./file-changes.js');
+const { readEvidenceEntries } = require('./evidence-log.js');
+const { toProjectPath } = require('./tdd-policy.js');
+
+/**
+ * @typedef {import('./blocked-patterns.js').BlockedPatternMatch} BlockedPatternMatch
+ * @typedef {import('./blocked-patterns.js').ScanOptions} ScanOptions
+ */
+
+/**
+ * @typedef {Object} BlockedPatternFinding
+ * @property {string} file - Project-relative path
+ * @property {number} line - 1-based line number in the current file
+ * @property {string} text - The added line (trimmed)
+ * @property {string} pattern - Matched pattern source
+ * @property {string} rule - Name of the matching rule
+ * @property {'default' | 'project'} source - Where the rule comes from
+ * @property {string} severity - "error" | "warning" | "info"
+ * @property {string} message - Why the pattern is blocked
+ * @property {string} match - Matched text
+ */
+
+/**
+ * @typedef {Object} ChangedFileScan
+ * @property {{ref: string, commit: string}} base - Ref the scan compared against
+ * @property {string[]} files - Files scanned (project-relative)
+ * @property {string[]} skipped - Changed files not scanned (deleted, binary or too large)
+ * @property {BlockedPatternFinding[]} findings - In file, then line order
+ */
+
+/** Files larger than this are not scanned */
+const MAX_SCAN_BYTES = 1024 * 1024;
+
+/** Base refs tried, in order, when none is given */
+const DEFAULT_BASE_REFS = ['main', 'master'];
+
+// ============================================================================
+// Git
+// ============================================================================
+
+/**
+ * Run git in a directory
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {string | null} stdout, or null when git fails
+ */
+function git(cwd, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the commit changes are compared against: the merge base of HEAD and
+ * the ref, so commits made on a task branch still count as new.
+ * Without a ref, tries main, then master, then HEAD.
+ * @param {string} workingDir
+ * @param {string} [ref]
+ * @returns {{ref: string, commit: string} | null} null when the ref (or repo) does not exist
+ */
+function resolveBase(workingDir, ref) {
+  const candidates = ref ? [ref] : [...DEFAULT_BASE_REFS, 'HEAD'];
+  for (const candidate of candidates) {
+    const commit = git(workingDir, ['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`]);
+    if (!commit) continue;
+    const mergeBase = git(workingDir, ['merge-base', 'HEAD', commit.trim()]);
+    return { ref: candidate, commit: (mergeBase || commit).trim() };
+  }
+  return null;
+}
+
+/**
+ * Content of a file at the base commit
+ * @param {string} workingDir
+ * @param {string} commit
+ * @param {string} file - Path relative to workingDir
+ * @returns {string} Empty when the file did not exist at the base
+ */
+function readBaseContent(workingDir, commit, file) {
+  return git(workingDir, ['show', `${commit}:./${file}`]) ?? '';
+}
+
+/**
+ * Files changed since the base commit, including untracked files
+ * @param {string} workingDir
+ * @param {string} commit
+ * @returns {string[]} Paths relative to workingDir
+ */
+function listGitChangedFiles(workingDir, commit) {
+  const changed = git(workingDir, ['diff', '--name-only', '--relative', commit]) || '';
+  const untracked = git(workingDir, ['ls-files', '--others', '--exclude-standard']) || '';
+  return [...new Set(`${changed}\n${untracked}`.split('\n').filter(Boolean))].sort();
+}
+
+// ============================================================================
+// Evidence
+// ============================================================================
+
+/**
+ * Files written or edited according to file_operation evidence
+ * @param {string} sessionDir
+ * @param {string} workingDir
+ * @param {string} [taskId] - Only files changed by this task
+ * @returns {string[]} Project-relative paths (files outside the project are left out)
+ */
+function listEvidenceChangedFiles(sessionDir, workingDir, taskId) {
+  const filters = taskId !== undefined ? { type: 'file_operation', taskId } : { type: 'file_operation' };
+  const files = new Set();
+  for (const entry of readEvidenceEntries(sessionDir, filters)) {
+    if (!entry.path) continue;
+    const file = toProjectPath(entry.path, workingDir);
+    if (!path.isAbsolute(file)) files.add(file);
+  }
+  return [...files].sort();
+}
+
+// ============================================================================
+// Scanning
+// ============================================================================
+
+/**
+ * Blocked patterns on lines added between two versions of a file
+ * @param {string} before - Content at the base ('' for a new file)
+ * @param {string} after - Current content
+ * @param {ScanOptions} [options] - Pattern config and project-relative path
+ * @returns {(BlockedPatternMatch & {line: number, text: string})[]}
+ */
+function findAddedMatches(before, after, options = {}) {
+  const ops = diffLines(before, after);
+  const beforeLines = [];
+  const afterLines = [];
+  const removedLines = new Set();
+  const addedLines = new Set();
+  for (const entry of ops) {
+    if (entry.op !== '+') beforeLines.push(entry.line);
+    if (entry.op !== '-') afterLines.push(entry.line);
+    if (entry.op === '-') removedLines.add(beforeLines.length);
+    if (entry.op === '+') addedLines.add(afterLines.length);
+  }
+
+  // Matches on removed lines cancel the same match on an added line with the same text
+  const removed = new Map();
+  for (const match of scanLines(beforeLines, options)) {
+    if (!removedLines.has(match.line)) continue;
+    const key = `${match.rule}\u0000${beforeLines[match.line - 1].trim()}`;
+    removed.set(key, (removed.get(key) || 0) + 1);
+  }
+
+  const found = [];
+  for (const match of scanLines(afterLines, options)) {
+    if (!addedLines.has(match.line)) continue;
+    const text = afterLines[match.line - 1].trim();
+    const key = `${match.rule}\u0000${text}`;
+    const moved = removed.get(key) || 0;
+    if (moved > 0) {
+      removed.set(key, moved - 1);
+      continue;
+    }
+    found.push({ ...match, text });
+  }
+  return found;
+}
+
+/**
+ * Scan changed files for blocked patterns introduced since the base
+ * @param {string} workingDir - Project working directory (inside a git repo)
+ * @param {Object} [options]
+ * @param {string[]} [options.files] - Files to scan, relative to workingDir (default: git diff against the base)
+ * @param {string} [options.base] - Base ref (default: main, then master, then HEAD)
+ * @param {import('./blocked-patterns.js').BlockedPatternConfig} [options.config] - Patterns (default: the project's)
+ * @returns {ChangedFileScan}
+ * @throws {Error} If the base ref cannot be resolved
+ */
+function scanChangedFiles(workingDir, options = {}) {
+  const base = resolveBase(workingDir, options.base);
+  if (!base) {
+    throw new Error(options.base
+      ? `Base ref not found: ${options.base}`
+      : `No git base found in ${workingDir} (tried ${[...DEFAULT_BASE_REFS, 'HEAD'].join(', ')})`);
+  }
+
+  const files = options.files || listGitChangedFiles(workingDir, base.commit);
+  const config = options.config || loadBlockedPatternConfig(workingDir);
+  /** @type {ChangedFileScan} */
+  const scan = { base, files: [], skipped: [], findings: [] };
+
+  for (const file of files) {
+    let content;
+    try {
+      const stat = fs.statSync(path.join(workingDir, file));
+      if (!stat.isFile() || stat.size > MAX_SCAN_BYTES) {
+        scan.skipped.push(file);
+        continue;
+      }
+      content = fs.readFileSync(path.join(workingDir, file), 'utf-8');
+    } catch {
+      scan.skipped.push(file);
+      continue;
+    }
+    if (content.includes('\u0000')) {
+      scan.skipped.push(file);
+      continue;
+    }
+
+    scan.files.push(file);
+    const before = readBaseContent(workingDir, base.commit, file);
+    for (const match of findAddedMatches(before, content, { config, path: file })) {
+      scan.findings.push({
+        file,
+        line: match.line,
+        text: match.text,
+        pattern: match.pattern,
+        rule: match.rule,
+        source: match.source,
+        severity: match.severity,
+        message: match.message,
+        match: match.match
+      });
+    }
+  }
+
+  return scan;
+}
+
+module.exports = {
+  resolveBase,
+  listGitChangedFiles,
+  listEvidenceChangedFiles,
+  findAddedMatches,
+  scanChangedFiles,
+};
@@ -0,0 +1,104 @@
+/**
+ * Criteria Matrix
+ * Traceability from each task's success criteria to the evidence tagged with
+ * them (task-update.js --criterion N). Used by criteria-matrix.js (report) and
+ * the criteria_coverage check type in verify-rules.js.
+ */
+
+const { normalizeEvidence, criterionIndex, isMachineCheckable } = require('./task-evidence.js');
+
+/**
+ * @typedef {import('./types.js').Task} Task
+ * @typedef {import('./types.js').TaskEvidence} TaskEvidence
+ */
+
+/**
+ * @typedef {Object} CriterionRow
+ * @property {number} index - 1-based criterion index
+ * @property {string} text - Criterion text
+ * @property {TaskEvidence[]} evidence - Evidence tagged with this criterion
+ * @property {boolean} covered - Has supporting evidence (concrete evidence when requireConcrete)
+ */
+
+/**
+ * @typedef {Object} TaskMatrix
+ * @property {string} id
+ * @property {string} subject
+ * @property {string} status
+ * @property {CriterionRow[]} criteria
+ * @property {number} untagged - Evidence entries not tagged with any criterion
+ */
+
+/**
+ * @typedef {Object} CriteriaMatrix
+ * @property {TaskMatrix[]} tasks
+ * @property {{criteria: number, covered: number, missing: number}} totals
+ */
+
+/**
+ * Build the criteria matrix for a set of tasks
+ * @param {Task[]} tasks
+ * @param {Object} [options]
+ * @param {boolean} [options.requireConcrete=false] - Notes do not cover a criterion
+ * @returns {CriteriaMatrix}
+ */
+function buildCriteriaMatrix(tasks, options = {}) {
+  const requireConcrete = options.requireConcrete === true;
+  const totals = { criteria: 0, covered: 0, missing: 0 };
+
+  const rows = tasks.map(task => {
+    const criteria = task.criteria || [];
+    const evidence = (task.evidence || []).map(normalizeEvidence);
+    const byCriterion = criteria.map(() => /** @type {TaskEvidence[]} */ ([]));
+    let untagged = 0;
+
+    for (const entry of evidence) {
+      const index = criterionIndex(entry, criteria);
+      if (index === null) {
+        untagged++;
+      } else {
+        byCriterion[index - 1].push(entry);
+      }
+    }
+
+    const criteriaRows = criteria.map((text, i) => {
+      const supporting = byCriterion[i];
+      const covered = requireConcrete ? supporting.some(isMachineCheckable) : supporting.length > 0;
+      totals.criteria++;
+      totals[covered ? 'covered' : 'missing']++;
+      return { index: i + 1, text, evidence: supporting, covered };
+    });
+
+    return {
+      id: String(task.id),
+      subject: task.subject,
+      status: task.status,
+      criteria: criteriaRows,
+      untagged,
+    };
+  });
+
+  return { tasks: rows, totals };
+}
+
+/**
+ * Criteria without supporting evidence
+ * @param {CriteriaMatrix} matrix
+ * @returns {{task: string, index: number, text: string}[]}
+ */
+function missingCriteria(matrix) {
+  const missing = [];
+  for (const task of matrix.tasks) {
+    for (const row of task.criteria) {
+      if (!row.covered) {
+        missing.push({ task: task.id, index: row.index, text: row.text });
+      }
+    }
+  }
+  return missing;
+}
+
+module.exports = {
+  buildCriteriaMatrix,
+  missingCriteria,
+};
@@ -0,0 +1,209 @@
+/**
+ * Evidence Diff
+ * Compares two sets of evidence log entries (two sessions, or one session as
+ * of two points in time): test results that were added, removed or changed,
+ * commands whose exit code flipped, and files touched on only one side.
+ *
+ * Each side is reduced to its latest outcome per test command and per
+ * command, so a command run several times compares by its last run.
+ */
+
+const { toProjectPath } = require('./tdd-policy.js');
+
+/**
+ * @typedef {import('./types.js').EvidenceEntry} EvidenceEntry
+ */
+
+/**
+ * @typedef {Object} DiffSide
+ * @property {string} label - Shown in reports (session ID or time)
+ * @property {EvidenceEntry[]} entries - Log entries in order
+ * @property {string} [workingDir] - Base for project-relative file paths
+ */
+
+/**
+ * @typedef {Object} TestOutcome
+ * @property {boolean} passed
+ * @property {{total: number, passed: number, failed: number, skipped: number} | null} counts
+ * @property {string[]} failed_tests - Failing test names
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {Object} TestChange
+ * @property {string} key - Test command (framework for entries without one)
+ * @property {'regressed' | 'fixed' | 'changed'} status
+ * @property {TestOutcome} base
+ * @property {TestOutcome} head
+ * @property {string[]} newly_failing - Failing in head, not in base
+ * @property {string[]} newly_passing - Failing in base, not in head
+ */
+
+/**
+ * @typedef {Object} ExitCodeFlip
+ * @property {string} command
+ * @property {'broke' | 'fixed' | 'changed'} status
+ * @property {number} base
+ * @property {number} head
+ */
+
+/**
+ * @typedef {Object} EvidenceDiff
+ * @property {{label: string, entries: number}} base
+ * @property {{label: string, entries: number}} head
+ * @property {{added: {key: string, head: TestOutcome}[], removed: {key: string, base: TestOutcome}[], changed: TestChange[]}} tests
+ * @property {ExitCodeFlip[]} exit_codes
+ * @property {{only_base: string[], only_head: string[], both: number}} files
+ */
+
+// ============================================================================
+// Reduction
+// ============================================================================
+
+/**
+ * Key a test result by its command, falling back to the framework
+ * @param {EvidenceEntry} entry
+ * @returns {string}
+ */
+function testKey(entry) {
+  return entry.command || `(${entry.framework || 'unknown'} tests)`;
+}
+
+/**
+ * Latest test outcome per key
+ * @param {EvidenceEntry[]} entries
+ * @returns {Map<string, TestOutcome>}
+ */
+function latestTests(entries) {
+  const outcomes = new Map();
+  for (const entry of entries) {
+    if (entry.type !== 'test_result') continue;
+    outcomes.set(testKey(entry), {
+      passed: entry.passed === true,
+      counts: entry.counts || null,
+      failed_tests: (entry.failed_tests || []).map(f => f.name),
+      timestamp: entry.timestamp
+    });
+  }
+  return outcomes;
+}
+
+/**
+ * Latest exit code per command
+ * @param {EvidenceEntry[]} entries
+ * @returns {Map<string, number>}
+ */
+function latestExitCodes(entries) {
+  const codes = new Map();
+  for (const entry of entries) {
+    if (entry.type === 'command_execution' && typeof entry.exit_code === 'number') {
+      codes.set(entry.command, entry.exit_code);
+    }
+  }
+  return codes;
+}
+
+/**
+ * Project-relative paths of written or edited files
+ * @param {DiffSide} side
+ * @returns {Set<string>}
+ */
+function touchedFiles(side) {
+  const files = new Set();
+  for (const entry of side.entries) {
+    if (entry.type === 'file_operation' && entry.path) {
+      files.add(toProjectPath(entry.path, side.workingDir));
+    }
+  }
+  return files;
+}
+
+// ============================================================================
+// Diff
+// ============================================================================
+
+/**
+ * Compare two test outcomes
+ * @param {string} key
+ * @param {TestOutcome} base
+ * @param {TestOutcome} head
+ * @returns {TestChange | null} null when unchanged
+ */
+function compareTests(key, base, head) {
+  const newlyFailing = head.failed_tests.filter(name => !base.failed_tests.includes(name));
+  const newlyPassing = base.failed_tests.filter(name => !head.failed_tests.includes(name));
+  const countsChanged = JSON.stringify(base.counts) !== JSON.stringify(head.counts);
+
+  let status;
+  if (base.passed && !head.passed) status = 'regressed';
+  else if (!base.passed && head.passed) status = 'fixed';
+  else if (countsChanged || newlyFailing.length > 0 || newlyPassing.length > 0) status = 'changed';
+  else return null;
+
+  return { key, status, base, head, newly_failing: newlyFailing, newly_passing: newlyPassing };
+}
+
+/**
+ * Diff two sides
+ * @param {DiffSide} base
+ * @param {DiffSide} head
+ * @returns {EvidenceDiff}
+ */
+function diffEvidence(base, head) {
+  const baseTests = latestTests(base.entries);
+  const headTests = latestTests(head.entries);
+  const tests = { added: [], removed: [], changed: [] };
+
+  for (const [key, outcome] of headTests) {
+    if (!baseTests.has(key)) {
+      tests.added.push({ key, head: outcome });
+    } else {
+      const change = compareTests(key, baseTests.get(key), outcome);
+      if (change) tests.changed.push(change);
+    }
+  }
+  for (const [key, outcome] of baseTests) {
+    if (!headTests.has(key)) {
+      tests.removed.push({ key, base: outcome });
+    }
+  }
+
+  const baseCodes = latestExitCodes(base.entries);
+  const exitCodes = [];
+  for (const [command, code] of latestExitCodes(head.entries)) {
+    if (!baseCodes.has(command) || baseCodes.get(command) === code) continue;
+    const before = baseCodes.get(command);
+    const status = before === 0 ? 'broke' : code === 0 ? 'fixed' : 'changed';
+    exitCodes.push({ command, status, base: before, head: code });
+  }
+
+  const baseFiles = touchedFiles(base);
+  const headFiles = touchedFiles(head);
+
+  return {
+    base: { label: base.label, entries: base.entries.length },
+    head: { label: head.label, entries: head.entries.length },
+    tests,
+    exit_codes: exitCodes,
+    files: {
+      only_base: [...baseFiles].filter(file => !headFiles.has(file)).sort(),
+      only_head: [...headFiles].filter(file => !baseFiles.has(file)).sort(),
+      both: [...baseFiles].filter(file => headFiles.has(file)).length
+    }
+  };
+}
+
+/**
+ * Regressions in a diff: tests that stopped passing and commands that broke
+ * @param {EvidenceDiff} diff
+ * @returns {number}
+ */
+function countRegressions(diff) {
+  return diff.tests.changed.filter(change => change.status === 'regressed').length +
+    diff.exit_codes.filter(flip => flip.status === 'broke').length;
+}
+
+module.exports = {
+  diffEvidence,
+  countRegressions,
+};
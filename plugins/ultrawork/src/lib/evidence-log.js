@@ -0,0 +1,650 @@
+/**
+ * Evidence Log
+ * Segmented, indexed storage for the session evidence log.
+ *
+ * Layout ({session-dir}/evidence/):
+ *   log.jsonl          - Active segment (appended to)
+ *   log.000001.jsonl   - Sealed segments, oldest first
+ *   index.json         - Per-segment line/byte/type counts and per-task byte offsets
+ *   agents.json        - Task each worker agent is bound to (for attribution)
+ *
+ * When an append would grow log.jsonl past max_segment_bytes, it is renamed to
+ * the next sealed segment. When sealed segments exceed max_total_bytes, the
+ * oldest are compacted: output previews and diffs are trimmed to
+ * compact_preview_chars. Entries are never dropped, so entry numbers (1-based,
+ * across segments in order) stay stable.
+ *
+ * Writes happen under the lock on log.jsonl (the same lock the hooks always
+ * used). Readers trust index.json only when it matches the segment files on
+ * disk, and otherwise rebuild it in memory, so logs written by older versions
+ * still read correctly.
+ *
+ * Limits can be set per project in {working-dir}/.claude/ultrawork-rules.json:
+ *
+ *   "evidence": { "max_segment_bytes": 1048576, "max_total_bytes": 33554432, "compact_preview_chars": 200,
+ *                 "capture_diff": true, "max_diff_chars": 2000 }
+ *
+ * Entries are redacted (see redaction.js) before they are written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { acquireLock, releaseLock } = require('./file-lock.js');
+const { writeJsonAtomically } = require('./json-ops.js');
+const { DEFAULT_DETECTORS, loadRedactionConfig, redactEntry } = require('./redaction.js');
+
+/**
+ * @typedef {import('./types.js').EvidenceEntry} EvidenceEntry
+ */
+
+/**
+ * @typedef {Object} EvidenceLogConfig
+ * @property {number} max_segment_bytes - Seal log.jsonl before it grows past this
+ * @property {number} max_total_bytes - Compact sealed segments above this total
+ * @property {number} compact_preview_chars - Output preview length kept by compaction (also applied to diffs)
+ * @property {boolean} capture_diff - Record a unified diff on file_operation entries
+ * @property {number} max_diff_chars - Diff length recorded per file_operation entry
+ * @property {import('./redaction.js').Detector[]} [redaction] - Secret detectors (defaults when omitted)
+ */
+
+/**
+ * @typedef {Object} SegmentSummary
+ * @property {string} file - File name inside evidence/
+ * @property {number} lines - Non-empty lines (entries, including malformed ones)
+ * @property {number} bytes - File size
+ * @property {number} malformed - Lines that are not valid JSON
+ * @property {Object.<string, number>} types - Entry count per type
+ * @property {string | null} first_timestamp
+ * @property {string | null} last_timestamp
+ */
+
+/**
+ * @typedef {Object} TaskRef
+ * @property {number} segment - Index into segments
+ * @property {number} offset - Byte offset of the line in the segment
+ * @property {number} length - Line length in bytes (without newline)
+ */
+
+/**
+ * @typedef {Object} EvidenceIndex
+ * @property {number} version
+ * @property {number} total - Valid entries across all segments
+ * @property {Object.<string, number>} by_type - Entry count per type
+ * @property {SegmentSummary[]} segments - Sealed segments oldest first, then log.jsonl
+ * @property {Object.<string, TaskRef[]>} tasks - Entries carrying task_id, by task
+ */
+
+const ACTIVE_LOG = 'log.jsonl';
+const INDEX_FILE = 'index.json';
+const AGENTS_FILE = 'agents.json';
+const SEGMENT_PATTERN = /^log\.(\d+)\.jsonl$/;
+const INDEX_VERSION = 1;
+const LOCK_TIMEOUT_MS = 15000;
+
+/** @type {EvidenceLogConfig} */
+const DEFAULT_EVIDENCE_LOG_CONFIG = {
+  max_segment_bytes: 1024 * 1024,
+  max_total_bytes: 32 * 1024 * 1024,
+  compact_preview_chars: 200,
+  capture_diff: true,
+  max_diff_chars: 2000,
+  redaction: DEFAULT_DETECTORS,
+};
+
+/** Long text fields cut to compact_preview_chars by compaction */
+const COMPACTED_FIELDS = ['output_preview', 'diff'];
+
+/** Limits read from the project's evidence key */
+const LIMIT_KEYS = ['max_segment_bytes', 'max_total_bytes', 'compact_preview_chars', 'max_diff_chars'];
+
+// ============================================================================
+// Paths & Config
+// ============================================================================
+
+/**
+ * @param {string} sessionDir
+ * @returns {string} evidence/ directory
+ */
+function getEvidenceDir(sessionDir) {
+  return path.join(sessionDir, 'evidence');
+}
+
+/**
+ * Active segment path (also the lock target for all log writes)
+ * @param {string} sessionDir
+ * @returns {string}
+ */
+function getActiveLogPath(sessionDir) {
+  return path.join(sessionDir, 'evidence', ACTIVE_LOG);
+}
+
+/**
+ * Load log limits and redaction detectors for a project (defaults when no project config exists)
+ * @param {string} [workingDir]
+ * @returns {EvidenceLogConfig}
+ */
+function loadEvidenceLogConfig(workingDir) {
+  // Required lazily: verify-rules.js reads the log through this module
+  const { loadProjectRules } = require('./verify-rules.js');
+
+  let projectConfig = null;
+  try {
+    projectConfig = loadProjectRules(workingDir)?.evidence || null;
+  } catch {
+    // Invalid project rules - fall back to defaults
+  }
+
+  /** @type {EvidenceLogConfig} */
+  const config = { ...DEFAULT_EVIDENCE_LOG_CONFIG };
+  if (projectConfig && typeof projectConfig === 'object') {
+    for (const key of LIMIT_KEYS) {
+      if (Number.isInteger(projectConfig[key]) && projectConfig[key] > 0) {
+        config[key] = projectConfig[key];
+      }
+    }
+    if (typeof projectConfig.capture_diff === 'boolean') {
+      config.capture_diff = projectConfig.capture_diff;
+    }
+  }
+  config.redaction = loadRedactionConfig(workingDir);
+  return config;
+}
+
+/**
+ * Segment files in order: sealed segments by number, then log.jsonl
+ * @param {string} evidenceDir
+ * @returns {string[]} File names
+ */
+function listSegmentFiles(evidenceDir) {
+  if (!fs.existsSync(evidenceDir)) {
+    return [];
+  }
+  const names = fs.readdirSync(evidenceDir);
+  const sealed = names
+    .filter(name => SEGMENT_PATTERN.test(name))
+    .sort((a, b) => Number(a.match(SEGMENT_PATTERN)[1]) - Number(b.match(SEGMENT_PATTERN)[1]));
+  return names.includes(ACTIVE_LOG) ? [...sealed, ACTIVE_LOG] : sealed;
+}
+
+// ============================================================================
+// Indexing
+// ============================================================================
+
+/**
+ * @param {string} file
+ * @returns {SegmentSummary}
+ */
+function emptySegment(file) {
+  return { file, lines: 0, bytes: 0, malformed: 0, types: {}, first_timestamp: null, last_timestamp: null };
+}
+
+/**
+ * Split a segment buffer into non-empty lines with byte offsets
+ * @param {Buffer} buffer
+ * @returns {{offset: number, length: number, text: string}[]}
+ */
+function splitLines(buffer) {
+  const lines = [];
+  let start = 0;
+  while (start < buffer.length) {
+    let end = buffer.indexOf(0x0a, start);
+    if (end === -1) end = buffer.length;
+    const text = buffer.toString('utf-8', start, end);
+    if (text.trim()) {
+      lines.push({ offset: start, length: end - start, text });
+    }
+    start = end + 1;
+  }
+  return lines;
+}
+
+/**
+ * Add one line to a segment summary and the task refs
+ * @param {EvidenceIndex} index
+ * @param {number} segmentIndex
+ * @param {string} text - Raw line
+ * @param {number} offset - Byte offset in the segment
+ * @param {number} length - Byte length
+ */
+function indexLine(index, segmentIndex, text, offset, length) {
+  const segment = index.segments[segmentIndex];
+  segment.lines++;
+
+  let entry;
+  try {
+    entry = JSON.parse(text);
+  } catch {
+    segment.malformed++;
+    return;
+  }
+  if (!entry || typeof entry !== 'object') {
+    segment.malformed++;
+    return;
+  }
+
+  index.total++;
+  const type = entry.type || 'unknown';
+  segment.types[type] = (segment.types[type] || 0) + 1;
+  index.by_type[type] = (index.by_type[type] || 0) + 1;
+
+  if (entry.timestamp) {
+    segment.first_timestamp = segment.first_timestamp || entry.timestamp;
+    segment.last_timestamp = entry.timestamp;
+  }
+  if (entry.task_id !== undefined && entry.task_id !== null) {
+    const taskId = String(entry.task_id);
+    (index.tasks[taskId] = index.tasks[taskId] || []).push({ segment: segmentIndex, offset, length });
+  }
+}
+
+/**
+ * Build the index by scanning every segment
+ * @param {string} sessionDir
+ * @returns {EvidenceIndex}
+ */
+function buildIndex(sessionDir) {
+  const evidenceDir = getEvidenceDir(sessionDir);
+  /** @type {EvidenceIndex} */
+  const index = { version: INDEX_VERSION, total: 0, by_type: {}, segments: [], tasks: {} };
+
+  for (const file of listSegmentFiles(evidenceDir)) {
+    const buffer = fs.readFileSync(path.join(evidenceDir, file));
+    const segmentIndex = index.segments.push(emptySegment(file)) - 1;
+    index.segments[segmentIndex].bytes = buffer.length;
+    for (const line of splitLines(buffer)) {
+      indexLine(index, segmentIndex, line.text, line.offset, line.length);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Check that an index describes the segment files currently on disk
+ * @param {EvidenceIndex | null} index
+ * @param {string} evidenceDir
+ * @returns {boolean}
+ */
+function isIndexCurrent(index, evidenceDir) {
+  if (!index || index.version !== INDEX_VERSION || !Array.isArray(index.segments)) {
+    return false;
+  }
+  const files = listSegmentFiles(evidenceDir);
+  if (files.length !== index.segments.length) {
+    return false;
+  }
+  try {
+    return index.segments.every((segment, i) =>
+      segment.file === files[i] && fs.statSync(path.join(evidenceDir, segment.file)).size === segment.bytes);
+  } catch {
+    // Segment rotated away while checking
+    return false;
+  }
+}
+
+/**
+ * Load index.json, rebuilding it in memory when missing or stale
+ * @param {string} sessionDir
+ * @returns {EvidenceIndex}
+ */
+function loadIndex(sessionDir) {
+  const evidenceDir = getEvidenceDir(sessionDir);
+  let index = null;
+  try {
+    index = JSON.parse(fs.readFileSync(path.join(evidenceDir, INDEX_FILE), 'utf-8'));
+  } catch {
+    // Missing or unreadable - rebuild below
+  }
+  return isIndexCurrent(index, evidenceDir) ? index : buildIndex(sessionDir);
+}
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+/**
+ * Trim output previews of sealed segments, oldest first, until the sealed
+ * total is within max_total_bytes. Caller must hold the log lock.
+ * @param {string} sessionDir
+ * @param {EvidenceLogConfig} config
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Compact every sealed segment regardless of the limit
+ * @returns {{segments: number, bytes_before: number, bytes_after: number}}
+ */
+function compactSegments(sessionDir, config, options = {}) {
+  const evidenceDir = getEvidenceDir(sessionDir);
+  const sealed = listSegmentFiles(evidenceDir).filter(file => file !== ACTIVE_LOG);
+  const sizes = sealed.map(file => fs.statSync(path.join(evidenceDir, file)).size);
+  const before = sizes.reduce((sum, size) => sum + size, 0);
+  let total = before;
+  let compacted = 0;
+
+  for (let i = 0; i < sealed.length; i++) {
+    if (!options.all && total <= config.max_total_bytes) break;
+
+    const segmentPath = path.join(evidenceDir, sealed[i]);
+    const lines = splitLines(fs.readFileSync(segmentPath)).map(({ text }) => {
+      try {
+        const entry = JSON.parse(text);
+        let trimmed = false;
+        for (const field of COMPACTED_FIELDS) {
+          if (typeof entry[field] === 'string' && entry[field].length > config.compact_preview_chars) {
+            entry[field] = `${entry[field].slice(0, config.compact_preview_chars)}... [compacted]`;
+            trimmed = true;
+          }
+        }
+        if (trimmed) {
+          return JSON.stringify(entry);
+        }
+      } catch {
+        // Keep malformed lines so entry numbers do not shift
+      }
+      return text;
+    });
+
+    const content = lines.map(line => `${line}\n`).join('');
+    const size = Buffer.byteLength(content);
+    if (size < sizes[i]) {
+      const tmpFile = `${segmentPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, content, 'utf-8');
+      fs.renameSync(tmpFile, segmentPath);
+      total -= sizes[i] - size;
+      compacted++;
+    }
+  }
+
+  return { segments: compacted, bytes_before: before, bytes_after: total };
+}
+
+/**
+ * Append entries to the evidence log: redact them, rotate and compact as
+ * needed, then update index.json. Takes the lock on log.jsonl.
+ * @param {string} sessionDir
+ * @param {EvidenceEntry | EvidenceEntry[]} entries
+ * @param {EvidenceLogConfig} [config]
+ * @returns {Promise<boolean>} False when the lock could not be acquired (nothing written)
+ */
+async function appendEvidence(sessionDir, entries, config = DEFAULT_EVIDENCE_LOG_CONFIG) {
+  const detectors = config.redaction || DEFAULT_DETECTORS;
+  const list = (Array.isArray(entries) ? entries : [entries]).map(entry => redactEntry(entry, detectors));
+  const evidenceDir = getEvidenceDir(sessionDir);
+  const activePath = getActiveLogPath(sessionDir);
+
+  if (!fs.existsSync(evidenceDir)) {
+    fs.mkdirSync(evidenceDir, { recursive: true });
+  }
+
+  const acquired = await acquireLock(activePath, LOCK_TIMEOUT_MS);
+  if (!acquired) {
+    return false;
+  }
+
+  try {
+    let index = loadIndex(sessionDir);
+    const lines = list.map(entry => JSON.stringify(entry));
+    const incoming = lines.reduce((sum, line) => sum + Buffer.byteLength(line) + 1, 0);
+
+    let active = index.segments[index.segments.length - 1];
+    if (active && active.file === ACTIVE_LOG && active.bytes > 0 && active.bytes + incoming > config.max_segment_bytes) {
+      const numbers = index.segments
+        .map(segment => segment.file.match(SEGMENT_PATTERN))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+      const sealedName = `log.${String(Math.max(0, ...numbers) + 1).padStart(6, '0')}.jsonl`;
+      fs.renameSync(activePath, path.join(evidenceDir, sealedName));
+      active.file = sealedName;
+
+      const sealedBytes = index.segments.reduce((sum, segment) => sum + segment.bytes, 0);
+      if (sealedBytes > config.max_total_bytes) {
+        compactSegments(sessionDir, config);
+        index = buildIndex(sessionDir);
+      }
+      active = null;
+    }
+
+    if (!active || active.file !== ACTIVE_LOG) {
+      index.segments.push(emptySegment(ACTIVE_LOG));
+      active = index.segments[index.segments.length - 1];
+    }
+    const segmentIndex = index.segments.length - 1;
+
+    // Never glue a new entry onto an unterminated last line
+    let offset = active.bytes;
+    let prefix = '';
+    if (offset > 0) {
+      const fd = fs.openSync(activePath, 'r');
+      const last = Buffer.alloc(1);
+      fs.readSync(fd, last, 0, 1, offset - 1);
+      fs.closeSync(fd);
+      if (last[0] !== 0x0a) {
+        prefix = '\n';
+        offset += 1;
+      }
+    }
+
+    fs.appendFileSync(activePath, prefix + lines.map(line => `${line}\n`).join(''), 'utf-8');
+
+    for (const line of lines) {
+      const length = Buffer.byteLength(line);
+      indexLine(index, segmentIndex, line, offset, length);
+      offset += length + 1;
+    }
+    active.bytes = offset;
+
+    writeJsonAtomically(path.join(evidenceDir, INDEX_FILE), index);
+    return true;
+  } finally {
+    releaseLock(activePath);
+  }
+}
+
+/**
+ * Compact every sealed segment and rewrite index.json. Takes the lock on log.jsonl.
+ * @param {string} sessionDir
+ * @param {EvidenceLogConfig} [config]
+ * @returns {Promise<{segments: number, bytes_before: number, bytes_after: number} | null>} null on lock timeout
+ */
+async function compactEvidenceLog(sessionDir, config = DEFAULT_EVIDENCE_LOG_CONFIG) {
+  const activePath = getActiveLogPath(sessionDir);
+  if (!fs.existsSync(getEvidenceDir(sessionDir))) {
+    return { segments: 0, bytes_before: 0, bytes_after: 0 };
+  }
+
+  const acquired = await acquireLock(activePath, LOCK_TIMEOUT_MS);
+  if (!acquired) {
+    return null;
+  }
+  try {
+    const result = compactSegments(sessionDir, config, { all: true });
+    writeJsonAtomically(path.join(getEvidenceDir(sessionDir), INDEX_FILE), buildIndex(sessionDir));
+    return result;
+  } finally {
+    releaseLock(activePath);
+  }
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Parse the lines of a segment, skipping malformed ones
+ * @param {string} filePath
+ * @returns {EvidenceEntry[]}
+ */
+function readSegment(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const entries = [];
+  for (const { text } of splitLines(fs.readFileSync(filePath))) {
+    let entry = null;
+    try {
+      entry = JSON.parse(text);
+    } catch {
+      // Reported below
+    }
+    if (entry && typeof entry === 'object') {
+      entries.push(entry);
+    } else {
+      console.error(`Warning: skipping corrupted JSONL line: ${text.slice(0, 80)}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read evidence entries in log order, using the index to skip segments
+ * @param {string} sessionDir
+ * @param {Object} [filters]
+ * @param {string | string[]} [filters.type] - Only entries of these types
+ * @param {string} [filters.taskId] - Only entries with this task_id (read via byte offsets)
+ * @param {number} [filters.last] - Only the last N matching entries
+ * @returns {EvidenceEntry[]}
+ */
+function readEvidenceEntries(sessionDir, filters = {}) {
+  const evidenceDir = getEvidenceDir(sessionDir);
+  const index = loadIndex(sessionDir);
+  const types = filters.type ? (Array.isArray(filters.type) ? filters.type : [filters.type]) : null;
+  const matchesType = entry => !types || types.includes(entry.type);
+  const last = filters.last && filters.last > 0 ? filters.last : 0;
+
+  if (filters.taskId !== undefined) {
+    const refs = index.tasks[String(filters.taskId)] || [];
+    const entries = [];
+    for (const ref of refs) {
+      const fd = fs.openSync(path.join(evidenceDir, index.segments[ref.segment].file), 'r');
+      try {
+        const buffer = Buffer.alloc(ref.length);
+        fs.readSync(fd, buffer, 0, ref.length, ref.offset);
+        entries.push(JSON.parse(buffer.toString('utf-8')));
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+    const filtered = entries.filter(matchesType);
+    return last ? filtered.slice(-last) : filtered;
+  }
+
+  // Walk segments newest first so --last stops early, skipping segments without matching types
+  const chunks = [];
+  let collected = 0;
+  for (let i = index.segments.length - 1; i >= 0; i--) {
+    const segment = index.segments[i];
+    if (types && !types.some(type => segment.types[type])) continue;
+
+    const entries = readSegment(path.join(evidenceDir, segment.file)).filter(matchesType);
+    chunks.unshift(entries);
+    collected += entries.length;
+    if (last && collected >= last) break;
+  }
+
+  const result = chunks.flat();
+  return last ? result.slice(-last) : result;
+}
+
+/**
+ * Entry counts from the index (no segment scan when index.json is current)
+ * @param {string} sessionDir
+ * @returns {{total: number, by_type: Object.<string, number>}}
+ */
+function countEvidence(sessionDir) {
+  const index = loadIndex(sessionDir);
+  return { total: index.total, by_type: { ...index.by_type } };
+}
+
+/**
+ * Read one entry by its 1-based number across all segments
+ * @param {string} sessionDir
+ * @param {number} number
+ * @returns {Object | null} Parsed entry, or null if missing or malformed
+ */
+function readEntryAt(sessionDir, number) {
+  if (!Number.isInteger(number) || number < 1) {
+    return null;
+  }
+
+  const index = loadIndex(sessionDir);
+  let remaining = number;
+  for (const segment of index.segments) {
+    if (remaining > segment.lines) {
+      remaining -= segment.lines;
+      continue;
+    }
+    const line = splitLines(fs.readFileSync(path.join(getEvidenceDir(sessionDir), segment.file)))[remaining - 1];
+    try {
+      return line ? JSON.parse(line.text) : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// Agent Attribution
+// ============================================================================
+
+/**
+ * Task IDs by worker agent ID
+ * @param {string} sessionDir
+ * @returns {Object.<string, string>}
+ */
+function readAgentTasks(sessionDir) {
+  try {
+    const bindings = JSON.parse(fs.readFileSync(path.join(getEvidenceDir(sessionDir), AGENTS_FILE), 'utf-8'));
+    return bindings && typeof bindings === 'object' && !Array.isArray(bindings) ? bindings : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Bind a worker agent to a task, under the evidence log lock
+ * @param {string} sessionDir
+ * @param {string} agentId
+ * @param {string} taskId
+ * @returns {Promise<boolean>} false if the lock could not be acquired
+ */
+async function bindAgentTask(sessionDir, agentId, taskId) {
+  const evidenceDir = getEvidenceDir(sessionDir);
+  const activePath = getActiveLogPath(sessionDir);
+
+  if (readAgentTasks(sessionDir)[agentId] === taskId) {
+    return true;
+  }
+  if (!fs.existsSync(evidenceDir)) {
+    fs.mkdirSync(evidenceDir, { recursive: true });
+  }
+
+  const acquired = await acquireLock(activePath, LOCK_TIMEOUT_MS);
+  if (!acquired) {
+    return false;
+  }
+
+  try {
+    const bindings = readAgentTasks(sessionDir);
+    bindings[agentId] = taskId;
+    writeJsonAtomically(path.join(evidenceDir, AGENTS_FILE), bindings);
+    return true;
+  } finally {
+    releaseLock(activePath);
+  }
+}
+
+module.exports = {
+  DEFAULT_EVIDENCE_LOG_CONFIG,
+  getEvidenceDir,
+  getActiveLogPath,
+  loadEvidenceLogConfig,
+  listSegmentFiles,
+  buildIndex,
+  loadIndex,
+  appendEvidence,
+  compactEvidenceLog,
+  readEvidenceEntries,
+  countEvidence,
+  readEntryAt,
+  readAgentTasks,
+  bindAgentTask,
+};
@@ -0,0 +1,497 @@
+/**
+ * Evidence Query
+ * Small query language over evidence log entries, used by evidence-query.js
+ * (--query, --group-by).
+ *
+ * Terms (adjacent terms are ANDed):
+ *   type:command_execution      field equals value (globs allowed: type:*_result)
+ *   exit_code!=0  exit_code>1   numeric comparison (: = != > < >= <=)
+ *   passed:false                boolean
+ *   path:src/**  path:auth.js   glob against the path relative to working_dir;
+ *                               without wildcards, the path or its last segments
+ *   command:npm                 substring of the command (case-insensitive)
+ *   since:30m  until:2026-01-02 relative duration (s, m, h, d) or ISO timestamp
+ *   since:last(path:auth.js)    timestamp of the last (or first(...)) entry matching a sub-query
+ *   "npm test"  timeout         bare words and quoted text search command, path, output and failing tests
+ *
+ * Operators: AND, OR, NOT (or a leading -), parentheses. NOT binds tightest, then AND, then OR.
+ */
+
+const { toProjectPath } = require('./tdd-policy.js');
+
+/**
+ * @typedef {import('./types.js').EvidenceEntry} EvidenceEntry
+ */
+
+/**
+ * @typedef {Object} QueryNode
+ * @property {'and' | 'or' | 'not' | 'term' | 'text'} op
+ * @property {QueryNode[]} [items] - and, or
+ * @property {QueryNode} [item] - not
+ * @property {string} [field] - term
+ * @property {string} [cmp] - term: ':', '=', '!=', '>', '<', '>=', '<='
+ * @property {string} [value] - term, text
+ * @property {QueryNode} [anchor] - since/until sub-query of last(...) / first(...)
+ * @property {'last' | 'first'} [anchorKind]
+ * @property {number} [bound] - since/until: resolved epoch ms (set by compileQuery)
+ */
+
+/**
+ * @typedef {Object} QueryContext
+ * @property {string} [workingDir] - Base for path terms
+ * @property {number} [now] - Reference time for relative durations (ms)
+ * @property {EvidenceEntry[]} [entries] - Full log, searched by last(...)/first(...)
+ */
+
+/**
+ * @typedef {Object} EvidenceGroup
+ * @property {string} key
+ * @property {number} count
+ * @property {number} failures - Commands with a non-zero exit code and failed test runs
+ * @property {string | null} first - Earliest timestamp
+ * @property {string | null} last - Latest timestamp
+ */
+
+const STRING_FIELDS = {
+  type: 'type',
+  operation: 'operation',
+  framework: 'framework',
+  agent: 'agent_id',
+  task: 'task_id'
+};
+const NUMBER_FIELDS = ['exit_code', 'duration_ms'];
+const QUERY_FIELDS = [...Object.keys(STRING_FIELDS), ...NUMBER_FIELDS, 'passed', 'path', 'command', 'text', 'since', 'until'];
+const GROUP_FIELDS = ['type', 'task', 'path'];
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const TERM_PATTERN = /^([a-z_]+)(!=|>=|<=|:|=|>|<)(.*)$/s;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Split a query into tokens: parentheses, operators, words and quoted text
+ * @param {string} query
+ * @returns {{kind: 'open' | 'close' | 'and' | 'or' | 'not' | 'word' | 'text', value?: string}[]}
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ kind: char === '(' ? 'open' : 'close' });
+      i++;
+    } else if (char === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new Error('Unterminated quote in query');
+      }
+      tokens.push({ kind: 'text', value: query.slice(i + 1, end) });
+      i = end + 1;
+    } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ kind: 'not' });
+      i++;
+    } else {
+      // A word runs to whitespace or ')'; quoted values and last(...) anchors are kept whole
+      let word = '';
+      let depth = 0;
+      while (i < query.length && (depth > 0 || !/[\s)]/.test(query[i]))) {
+        if (query[i] === '"') {
+          const end = query.indexOf('"', i + 1);
+          if (end === -1) {
+            throw new Error('Unterminated quote in query');
+          }
+          word += query.slice(i, end + 1);
+          i = end + 1;
+          continue;
+        }
+        if (query[i] === '(') depth++;
+        if (query[i] === ')') depth--;
+        word += query[i++];
+      }
+      if (depth > 0) {
+        throw new Error(`Unbalanced parentheses in "${word}"`);
+      }
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ kind: word.toLowerCase() });
+      } else {
+        tokens.push({ kind: 'word', value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse one field term
+ * @param {string} word
+ * @returns {QueryNode}
+ */
+function parseTerm(word) {
+  const match = word.match(TERM_PATTERN);
+  if (!match) {
+    return { op: 'text', value: word };
+  }
+
+  const [, field, cmp, raw] = match;
+  const value = raw.length >= 2 && raw.startsWith('"') && raw.endsWith('"') ? raw.slice(1, -1) : raw;
+
+  if (!QUERY_FIELDS.includes(field)) {
+    throw new Error(`Unknown query field "${field}". Fields: ${QUERY_FIELDS.join(', ')}`);
+  }
+  if (value === '') {
+    throw new Error(`Missing value for "${field}"`);
+  }
+  if (['<', '>', '<=', '>='].includes(cmp) && !NUMBER_FIELDS.includes(field)) {
+    throw new Error(`"${field}" does not support ${cmp}`);
+  }
+  if (NUMBER_FIELDS.includes(field) && !Number.isFinite(Number(value))) {
+    throw new Error(`Invalid number for "${field}": ${value}`);
+  }
+  if (field === 'passed' && value !== 'true' && value !== 'false') {
+    throw new Error(`Invalid value for "passed": ${value} (use true or false)`);
+  }
+
+  /** @type {QueryNode} */
+  const node = { op: 'term', field, cmp, value };
+
+  if (field === 'since' || field === 'until') {
+    const anchor = value.match(/^(last|first)\((.*)\)$/s);
+    if (anchor) {
+      node.anchorKind = /** @type {'last' | 'first'} */ (anchor[1]);
+      node.anchor = parseQuery(anchor[2]);
+    } else if (Number.isNaN(parseTime(value, Date.now()))) {
+      throw new Error(`Invalid time for "${field}": ${value} (use e.g. 30m, 2h, 1d, an ISO timestamp, or last(<query>))`);
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Parse a query string into a tree
+ * @param {string} query
+ * @returns {QueryNode}
+ * @throws {Error} On syntax errors, unknown fields or invalid values
+ */
+function parseQuery(query) {
+  const tokens = tokenize(query);
+  let pos = 0;
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (tokens[pos]?.kind === 'or') {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { op: 'or', items };
+  };
+
+  const parseAnd = () => {
+    const items = [parseUnary()];
+    while (pos < tokens.length && tokens[pos].kind !== 'or' && tokens[pos].kind !== 'close') {
+      if (tokens[pos].kind === 'and') pos++;
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { op: 'and', items };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[pos++];
+    if (!token) {
+      throw new Error('Unexpected end of query');
+    }
+    switch (token.kind) {
+      case 'not':
+        return { op: 'not', item: parseUnary() };
+      case 'open': {
+        const node = parseOr();
+        if (tokens[pos]?.kind !== 'close') {
+          throw new Error('Missing ")" in query');
+        }
+        pos++;
+        return node;
+      }
+      case 'text':
+        return { op: 'text', value: token.value };
+      case 'word':
+        return parseTerm(token.value);
+      default:
+        throw new Error(`Unexpected ${token.kind === 'close' ? '")"' : token.kind.toUpperCase()} in query`);
+    }
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Empty query');
+  }
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new Error('Unexpected ")" in query');
+  }
+  return tree;
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+/**
+ * Parse a relative duration (30m) or ISO timestamp
+ * @param {string} value
+ * @param {number} now - Reference time (ms)
+ * @returns {number} Epoch ms (NaN when invalid)
+ */
+function parseTime(value, now) {
+  const relative = value.match(/^(\d+)([smhd])$/);
+  if (relative) {
+    return now - Number(relative[1]) * DURATION_UNITS[relative[2]];
+  }
+  return /^\d{4}-\d{2}-\d{2}/.test(value) ? Date.parse(value) : NaN;
+}
+
+/**
+ * Text searched by bare words (same fields as --search)
+ * @param {EvidenceEntry} entry
+ * @returns {string} Lower-cased text
+ */
+function searchableText(entry) {
+  return [
+    entry.command,
+    entry.path,
+    entry.output_preview,
+    entry.type,
+    ...(entry.failed_tests || []).map(f => f.name)
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * Match a value against a glob, or exactly when it has no wildcards
+ * @param {string} actual
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesValue(actual, pattern) {
+  return /[*?[\]{}]/.test(pattern) ? new Bun.Glob(pattern).match(actual) : actual === pattern;
+}
+
+/**
+ * Match an entry path against a path term
+ * @param {string | undefined} entryPath
+ * @param {string} pattern
+ * @param {QueryContext} context
+ * @returns {boolean}
+ */
+function matchesPath(entryPath, pattern, context) {
+  if (!entryPath) {
+    return false;
+  }
+  const projectPath = toProjectPath(entryPath, context.workingDir);
+  if (/[*?[\]{}]/.test(pattern)) {
+    return new Bun.Glob(pattern).match(projectPath);
+  }
+  const normalized = pattern.replace(/^\.\//, '');
+  return projectPath === normalized || projectPath.endsWith(`/${normalized}`);
+}
+
+/**
+ * Compare two numbers with a query operator
+ * @param {number} actual
+ * @param {string} cmp
+ * @param {number} expected
+ * @returns {boolean}
+ */
+function compareNumbers(actual, cmp, expected) {
+  switch (cmp) {
+    case '!=': return actual !== expected;
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+    default: return actual === expected;
+  }
+}
+
+/**
+ * Timestamp bound of a since/until term
+ * @param {QueryNode} node
+ * @param {QueryContext} context
+ * @returns {number} Epoch ms (NaN when an anchor matches nothing)
+ */
+function resolveTime(node, context) {
+  if (!node.anchor) {
+    return parseTime(node.value, context.now ?? Date.now());
+  }
+  const matches = (context.entries || []).filter(entry => evaluate(node.anchor, entry, context));
+  const anchor = node.anchorKind === 'first' ? matches[0] : matches[matches.length - 1];
+  return anchor?.timestamp ? Date.parse(anchor.timestamp) : NaN;
+}
+
+/**
+ * Evaluate a query tree against one entry
+ * @param {QueryNode} node
+ * @param {EvidenceEntry} entry
+ * @param {QueryContext} context
+ * @returns {boolean}
+ */
+function evaluate(node, entry, context) {
+  switch (node.op) {
+    case 'and':
+      return node.items.every(item => evaluate(item, entry, context));
+    case 'or':
+      return node.items.some(item => evaluate(item, entry, context));
+    case 'not':
+      return !evaluate(node.item, entry, context);
+    case 'text':
+      return searchableText(entry).includes(node.value.toLowerCase());
+  }
+
+  const negate = node.cmp === '!=';
+  let result;
+
+  if (STRING_FIELDS[node.field]) {
+    const actual = entry[STRING_FIELDS[node.field]];
+    result = actual !== undefined && actual !== null && matchesValue(String(actual), node.value);
+  } else if (NUMBER_FIELDS.includes(node.field)) {
+    const actual = entry[node.field];
+    // != is a comparison here, not a negation: entries without the field never match
+    return typeof actual === 'number' && compareNumbers(actual, node.cmp, Number(node.value));
+  } else if (node.field === 'passed') {
+    result = typeof entry.passed === 'boolean' && String(entry.passed) === node.value;
+  } else if (node.field === 'path') {
+    result = matchesPath(entry.path, node.value, context);
+  } else if (node.field === 'command') {
+    result = typeof entry.command === 'string' && entry.command.toLowerCase().includes(node.value.toLowerCase());
+  } else if (node.field === 'text') {
+    result = searchableText(entry).includes(node.value.toLowerCase());
+  } else {
+    // since / until
+    const bound = node.bound ?? resolveTime(node, context);
+    const time = entry.timestamp ? Date.parse(entry.timestamp) : NaN;
+    if (Number.isNaN(bound) || Number.isNaN(time)) {
+      return false;
+    }
+    result = node.field === 'since' ? time > bound : time < bound;
+  }
+
+  return negate ? !result : result;
+}
+
+/**
+ * Compile a query into an entry predicate
+ * @param {string} query
+ * @param {QueryContext} [context]
+ * @returns {(entry: EvidenceEntry) => boolean}
+ * @throws {Error} On invalid queries
+ */
+function compileQuery(query, context = {}) {
+  const tree = parseQuery(query);
+  resolveBounds(tree, context);
+  return entry => evaluate(tree, entry, context);
+}
+
+/**
+ * Resolve since/until bounds once, innermost anchors first
+ * @param {QueryNode} node
+ * @param {QueryContext} context
+ */
+function resolveBounds(node, context) {
+  for (const child of [...(node.items || []), node.item, node.anchor].filter(Boolean)) {
+    resolveBounds(child, context);
+  }
+  if (node.op === 'term' && (node.field === 'since' || node.field === 'until')) {
+    node.bound = resolveTime(node, context);
+  }
+}
+
+/**
+ * Entry types a query can match, so readers can skip log segments
+ * @param {QueryNode} node
+ * @returns {string[] | null} null when any type can match
+ */
+function requiredTypes(node) {
+  switch (node.op) {
+    case 'term':
+      return node.field === 'type' && (node.cmp === ':' || node.cmp === '=') && !/[*?[\]{}]/.test(node.value)
+        ? [node.value]
+        : null;
+    case 'and': {
+      // Any single constrained branch constrains the whole conjunction
+      const constrained = node.items.map(requiredTypes).filter(Boolean);
+      if (constrained.length === 0) return null;
+      return constrained.reduce((acc, types) => acc.filter(type => types.includes(type)));
+    }
+    case 'or': {
+      const branches = node.items.map(requiredTypes);
+      return branches.every(Boolean) ? [...new Set(branches.flat())] : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check for last(...)/first(...) anchors, which search the whole log
+ * @param {QueryNode} node
+ * @returns {boolean}
+ */
+function hasAnchors(node) {
+  return Boolean(node.anchor) || [...(node.items || []), node.item].filter(Boolean).some(hasAnchors);
+}
+
+// ============================================================================
+// Grouping
+// ============================================================================
+
+/**
+ * Group entries and aggregate counts
+ * @param {EvidenceEntry[]} entries
+ * @param {'type' | 'task' | 'path'} by
+ * @param {QueryContext} [context] - workingDir makes path keys project-relative
+ * @returns {EvidenceGroup[]} Largest groups first
+ */
+function groupEvidence(entries, by, context = {}) {
+  if (!GROUP_FIELDS.includes(by)) {
+    throw new Error(`Invalid group-by "${by}". Must be: ${GROUP_FIELDS.join(', ')}`);
+  }
+
+  /** @type {Map<string, EvidenceGroup>} */
+  const groups = new Map();
+  for (const entry of entries) {
+    let key;
+    if (by === 'type') key = entry.type;
+    else if (by === 'task') key = entry.task_id;
+    else key = entry.path ? toProjectPath(entry.path, context.workingDir) : undefined;
+    key = key === undefined || key === null ? '(none)' : String(key);
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, count: 0, failures: 0, first: null, last: null });
+    }
+    const group = groups.get(key);
+    group.count++;
+    if ((typeof entry.exit_code === 'number' && entry.exit_code !== 0) || entry.passed === false) {
+      group.failures++;
+    }
+    if (entry.timestamp) {
+      if (!group.first || entry.timestamp < group.first) group.first = entry.timestamp;
+      if (!group.last || entry.timestamp > group.last) group.last = entry.timestamp;
+    }
+  }
+
+  return [...groups.values()].sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  GROUP_FIELDS,
+  parseQuery,
+  compileQuery,
+  requiredTypes,
+  hasAnchors,
+  searchableText,
+  groupEvidence,
+};
@@ -0,0 +1,328 @@
+/**
+ * File Changes
+ * Describes what a Write/Edit did to a file: content hashes before and after,
+ * lines added and removed, and a bounded unified diff. Summarizes the
+ * file_operation entries of a log per file so the verifier can confirm claimed
+ * changes and spot reverts.
+ *
+ * Line diffs trim the common prefix and suffix, then run an LCS over the rest.
+ * When that middle part is too large to compare, every middle line counts as
+ * removed and added, so counts stay an upper bound rather than a guess.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { toProjectPath } = require('./tdd-policy.js');
+
+/**
+ * @typedef {import('./types.js').EvidenceEntry} EvidenceEntry
+ * @typedef {import('./types.js').FileEvidence} FileEvidence
+ */
+
+/**
+ * @typedef {Object} FileChange
+ * @property {string | null} before_sha256 - null when the previous content is unknown
+ * @property {string | null} after_sha256 - null when the file does not exist afterwards
+ * @property {number} [lines_added] - Present when both contents are known text
+ * @property {number} [lines_removed]
+ * @property {string} [diff] - Unified diff hunks (no file header)
+ * @property {boolean} [diff_truncated] - diff was cut at maxDiffChars
+ */
+
+/**
+ * @typedef {Object} FileChangeSummary
+ * @property {string} path - Project-relative path
+ * @property {string} file - Path as recorded (for reading the file now)
+ * @property {number} operations - Write/Edit entries for the file
+ * @property {number} lines_added
+ * @property {number} lines_removed
+ * @property {string | null} first_before_sha256 - Content before the first operation (null if unknown)
+ * @property {string | null} last_after_sha256 - Content after the last operation
+ * @property {'changed' | 'unchanged' | 'reverted' | 'unknown'} status - unchanged: every operation
+ *   left the content as it was; reverted: content changed and was later restored to the first state
+ */
+
+/** Contents larger than this are hashed but not diffed */
+const MAX_DIFF_INPUT_BYTES = 1024 * 1024;
+
+/** Largest LCS table (middle lines before x after) compared line by line */
+const MAX_LCS_CELLS = 4 * 1000 * 1000;
+
+/** Unchanged lines shown around each change */
+const DIFF_CONTEXT = 3;
+
+// ============================================================================
+// Hashing
+// ============================================================================
+
+/**
+ * @param {string | Buffer} content
+ * @returns {string} Hex sha256
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash of a file's current content
+ * @param {string} filePath
+ * @returns {string | null} null when the file cannot be read
+ */
+function hashFile(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath));
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// Line Diff
+// ============================================================================
+
+/**
+ * @param {string} content
+ * @returns {string[]} Lines without a trailing empty line for a final newline
+ */
+function splitLines(content) {
+  if (content === '') return [];
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * @param {string} content
+ * @returns {boolean}
+ */
+function isDiffable(content) {
+  return Buffer.byteLength(content) <= MAX_DIFF_INPUT_BYTES && !content.includes('\u0000');
+}
+
+/**
+ * Line edit script between two texts
+ * @param {string} before
+ * @param {string} after
+ * @returns {{op: ' ' | '-' | '+', line: string}[]}
+ */
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => ({ op: /** @type {' '} */ (' '), line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    for (const line of midA) ops.push({ op: '-', line });
+    for (const line of midB) ops.push({ op: '+', line });
+  } else {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..], stored row-major
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        ops.push({ op: ' ', line: midA[i] });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ op: '-', line: midA[i++] });
+      } else {
+        ops.push({ op: '+', line: midB[j++] });
+      }
+    }
+  }
+
+  for (const line of a.slice(endA)) ops.push({ op: ' ', line });
+  return ops;
+}
+
+/**
+ * Render an edit script as unified diff hunks
+ * @param {{op: ' ' | '-' | '+', line: string}[]} ops
+ * @param {number} [context=DIFF_CONTEXT]
+ * @returns {string}
+ */
+function formatUnifiedDiff(ops, context = DIFF_CONTEXT) {
+  const changed = ops.map((entry, index) => (entry.op !== ' ' ? index : -1)).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  // Line numbers before each op in the old and new file
+  const oldLine = [];
+  const newLine = [];
+  let o = 1;
+  let n = 1;
+  for (const entry of ops) {
+    oldLine.push(o);
+    newLine.push(n);
+    if (entry.op !== '+') o++;
+    if (entry.op !== '-') n++;
+  }
+
+  const lines = [];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter(entry => entry.op !== '+').length;
+    const newCount = slice.filter(entry => entry.op !== '-').length;
+    const oldStart = oldCount === 0 ? oldLine[from] - 1 : oldLine[from];
+    const newStart = newCount === 0 ? newLine[from] - 1 : newLine[from];
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const entry of slice) {
+      lines.push(`${entry.op}${entry.line}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Change Description
+// ============================================================================
+
+/**
+ * Describe a file change
+ * @param {string | null} before - Previous content (null when unknown)
+ * @param {string | null} after - Current content (null when the file is gone)
+ * @param {Object} [options]
+ * @param {boolean} [options.diff=true] - Include a unified diff
+ * @param {number} [options.maxDiffChars=2000] - Diff length kept
+ * @returns {FileChange}
+ */
+function describeFileChange(before, after, options = {}) {
+  const includeDiff = options.diff !== false;
+  const maxDiffChars = options.maxDiffChars || 2000;
+
+  /** @type {FileChange} */
+  const change = {
+    before_sha256: before === null ? null : hashContent(before),
+    after_sha256: after === null ? null : hashContent(after),
+  };
+
+  if (before === null || after === null || !isDiffable(before) || !isDiffable(after)) {
+    return change;
+  }
+
+  const ops = diffLines(before, after);
+  change.lines_added = ops.filter(entry => entry.op === '+').length;
+  change.lines_removed = ops.filter(entry => entry.op === '-').length;
+
+  if (includeDiff && change.lines_added + change.lines_removed > 0) {
+    const diff = formatUnifiedDiff(ops);
+    if (diff.length > maxDiffChars) {
+      const cut = diff.lastIndexOf('\n', maxDiffChars);
+      change.diff = diff.slice(0, cut > 0 ? cut : maxDiffChars);
+      change.diff_truncated = true;
+    } else {
+      change.diff = diff;
+    }
+  }
+
+  return change;
+}
+
+// ============================================================================
+// Per-File Summary
+// ============================================================================
+
+/**
+ * Summarize file_operation entries per file, in log order
+ * @param {EvidenceEntry[]} entries
+ * @param {string} [workingDir] - Base for project-relative paths
+ * @returns {FileChangeSummary[]} Sorted by path
+ */
+function summarizeFileChanges(entries, workingDir) {
+  /** @type {Map<string, FileChangeSummary & {any_change: boolean, known: boolean}>} */
+  const files = new Map();
+
+  for (const entry of entries) {
+    if (entry.type !== 'file_operation' || !entry.path) continue;
+    const fileEntry = /** @type {FileEvidence} */ (entry);
+    const key = toProjectPath(fileEntry.path, workingDir);
+
+    let summary = files.get(key);
+    if (!summary) {
+      summary = {
+        path: key,
+        file: fileEntry.path,
+        operations: 0,
+        lines_added: 0,
+        lines_removed: 0,
+        first_before_sha256: fileEntry.before_sha256 ?? null,
+        last_after_sha256: null,
+        status: 'unknown',
+        any_change: false,
+        known: true,
+      };
+      files.set(key, summary);
+    }
+
+    summary.operations++;
+    summary.lines_added += fileEntry.lines_added || 0;
+    summary.lines_removed += fileEntry.lines_removed || 0;
+    summary.last_after_sha256 = fileEntry.after_sha256 ?? null;
+
+    const before = fileEntry.before_sha256 ?? null;
+    const after = fileEntry.after_sha256 ?? null;
+    if (before === null || after === null) {
+      summary.known = false;
+    } else if (before !== after) {
+      summary.any_change = true;
+    }
+  }
+
+  return [...files.values()]
+    .map(({ any_change: anyChange, known, ...summary }) => {
+      const first = summary.first_before_sha256;
+      const last = summary.last_after_sha256;
+      if (first !== null && last !== null) {
+        if (first !== last) summary.status = 'changed';
+        else if (anyChange) summary.status = 'reverted';
+        else if (known) summary.status = 'unchanged';
+      } else if (anyChange) {
+        summary.status = 'changed';
+      }
+      return summary;
+    })
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+module.exports = {
+  hashContent,
+  hashFile,
+  diffLines,
+  formatUnifiedDiff,
+  describeFileChange,
+  summarizeFileChanges,
+};
@@ -97,4 +97,5 @@ module.exports = {
   acquireLock,
   releaseLock,
   withLock,
+  STALE_LOCK_AGE_MS,
 };
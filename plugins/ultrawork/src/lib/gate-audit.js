@@ -0,0 +1,211 @@
+/**
+ * Gate Audit
+ * Dry-run mode for gate-enforcement.js. In audit mode a gate that would block
+ * a tool call records the denial in {session-dir}/gate-audit.jsonl and the
+ * call is allowed, so rules can be tuned before they are enforced.
+ *
+ * The mode is the session's options.gate_mode (session-update.js --gate-mode)
+ * or, when the session does not set one, "gates.mode" from the project rules.
+ * Session file tamper protection is always enforced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSessionDir } = require('./session-paths.js');
+const { readSessionField } = require('./session-io.js');
+const { GATE_MODES, loadGatePolicy } = require('./gate-policy.js');
+const { loadRedactionConfig, redactEntry } = require('./redaction.js');
+
+/**
+ * @typedef {import('./gate-policy.js').GateMode} GateMode
+ */
+
+/**
+ * @typedef {Object} GateDenial
+ * @property {string} timestamp
+ * @property {string} gate - Gate id (see GATES)
+ * @property {string} tool - Tool name
+ * @property {string} reason - Block reason the gate would have returned
+ * @property {Object} tool_input - Tool input (long strings truncated, secrets redacted)
+ * @property {string} [phase] - Session phase at the time of the call
+ * @property {string} [agent_id] - Worker agent making the call
+ * @property {number} [redactions]
+ */
+
+/**
+ * @typedef {Object} GateSummary
+ * @property {string} gate
+ * @property {string} label
+ * @property {number} count
+ * @property {Object<string, number>} tools - Denials per tool name
+ * @property {{reason: string, count: number}[]} top_reasons - Most frequent reasons
+ */
+
+/**
+ * @typedef {Object} GateAuditSummary
+ * @property {number} total
+ * @property {string | null} first_at
+ * @property {string | null} last_at
+ * @property {GateSummary[]} gates - Sorted by count (descending)
+ */
+
+/** Gates that can run in audit mode, with report labels */
+const GATES = {
+  codex_doc_review: 'Codex doc-review',
+  working_dir_scope: 'Working directory scope',
+  protected_paths: 'Protected paths',
+  file_ownership: 'File ownership',
+  planning_bash: 'PLANNING Bash commands',
+  planning_write: 'PLANNING Edit/Write',
+  tdd: 'TDD order',
+};
+
+const AUDIT_FILE = 'gate-audit.jsonl';
+
+/** Longer tool input strings (e.g. Write content) are truncated to this length */
+const MAX_INPUT_LENGTH = 1000;
+
+/** Number of reasons listed per gate in the summary */
+const TOP_REASONS = 3;
+
+// ============================================================================
+// Mode
+// ============================================================================
+
+/**
+ * Get the audit log path for a session
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function getGateAuditPath(sessionId) {
+  return path.join(getSessionDir(sessionId), AUDIT_FILE);
+}
+
+/**
+ * Resolve the gate mode: session option first, then project rules
+ * @param {string} sessionId
+ * @param {string} [workingDir]
+ * @returns {GateMode}
+ */
+function getGateMode(sessionId, workingDir) {
+  try {
+    const sessionMode = readSessionField(sessionId, 'options.gate_mode');
+    if (GATE_MODES.includes(sessionMode)) return sessionMode;
+  } catch {
+    // Session file error - fall back to project rules
+  }
+  return loadGatePolicy(workingDir).mode;
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Copy tool input with long strings truncated
+ * @param {Object} toolInput
+ * @returns {Object}
+ */
+function truncateToolInput(toolInput) {
+  const copy = {};
+  for (const [key, value] of Object.entries(toolInput || {})) {
+    copy[key] = typeof value === 'string' && value.length > MAX_INPUT_LENGTH
+      ? `${value.slice(0, MAX_INPUT_LENGTH)}… [${value.length - MAX_INPUT_LENGTH} more chars]`
+      : value;
+  }
+  return copy;
+}
+
+/**
+ * Append a would-be denial to the session's audit log
+ * @param {string} sessionId
+ * @param {Omit<GateDenial, 'timestamp'>} denial
+ * @param {{workingDir?: string}} [options] - workingDir selects project redaction patterns
+ * @returns {GateDenial} The recorded entry
+ */
+function recordGateDenial(sessionId, denial, options = {}) {
+  /** @type {GateDenial} */
+  const entry = redactEntry({
+    timestamp: new Date().toISOString(),
+    ...denial,
+    tool_input: truncateToolInput(denial.tool_input),
+  }, loadRedactionConfig(options.workingDir));
+
+  const auditPath = getGateAuditPath(sessionId);
+  fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+  fs.appendFileSync(auditPath, JSON.stringify(entry) + '\n', 'utf-8');
+  return entry;
+}
+
+/**
+ * Read all recorded denials (invalid lines are skipped)
+ * @param {string} sessionId
+ * @returns {GateDenial[]}
+ */
+function readGateAudit(sessionId) {
+  const auditPath = getGateAuditPath(sessionId);
+  if (!fs.existsSync(auditPath)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(auditPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip partial or corrupt lines
+    }
+  }
+  return entries;
+}
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+/**
+ * Count how often each gate would have fired
+ * @param {GateDenial[]} entries
+ * @returns {GateAuditSummary}
+ */
+function summarizeGateAudit(entries) {
+  /** @type {Map<string, {count: number, tools: Object<string, number>, reasons: Map<string, number>}>} */
+  const byGate = new Map();
+
+  for (const entry of entries) {
+    if (!byGate.has(entry.gate)) {
+      byGate.set(entry.gate, { count: 0, tools: {}, reasons: new Map() });
+    }
+    const stats = byGate.get(entry.gate);
+    stats.count++;
+    stats.tools[entry.tool] = (stats.tools[entry.tool] || 0) + 1;
+    stats.reasons.set(entry.reason, (stats.reasons.get(entry.reason) || 0) + 1);
+  }
+
+  const gates = [...byGate].map(([gate, stats]) => ({
+    gate,
+    label: GATES[gate] || gate,
+    count: stats.count,
+    tools: stats.tools,
+    top_reasons: [...stats.reasons]
+      .map(([reason, count]) => ({ reason, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_REASONS),
+  })).sort((a, b) => b.count - a.count || a.gate.localeCompare(b.gate));
+
+  const timestamps = entries.map(e => e.timestamp).filter(Boolean).sort();
+  return {
+    total: entries.length,
+    first_at: timestamps[0] || null,
+    last_at: timestamps[timestamps.length - 1] || null,
+    gates,
+  };
+}
+
+module.exports = {
+  GATES,
+  getGateAuditPath,
+  getGateMode,
+  recordGateDenial,
+  readGateAudit,
+  summarizeGateAudit,
+};
@@ -0,0 +1,234 @@
+/**
+ * Gate Policy
+ * Project settings for gate-enforcement.js, read from
+ * {working-dir}/.claude/ultrawork-rules.json:
+ *
+ *   "gates": {
+ *     "planning_commands": ["bun test", "npm run lint", "make check"],
+ *     "working_dir_scope": true,
+ *     "external_paths": ["~/.cache/my-tool", "/var/tmp/**\/*.log"],
+ *     "protected_paths": ["package-lock.json", ".github/workflows/**", "**\/.env*"],
+ *     "mode": "audit"
+ *   }
+ *
+ * planning_commands are command prefixes (matched word by word) that may run
+ * during PLANNING although they are not on the built-in read-only allowlist.
+ *
+ * With working_dir_scope (default), Edit/Write/Bash targets must resolve inside
+ * the session's working directory. The original checkout of a worktree session
+ * is always out of scope; other paths are allowed when they are inside the
+ * ultrawork data directory, the temp directory or one of external_paths
+ * (directories or absolute globs, ~ expands to the home directory).
+ *
+ * protected_paths are globs (relative to the working dir) that are blocked in
+ * every phase unless the task doing the write lists them in its allowed_paths
+ * (task-create.js --allowed-paths).
+ *
+ * Tasks can also own files (task-create.js --files): while a task is in
+ * progress, other workers may not write them.
+ *
+ * mode "audit" records would-be denials instead of blocking (lib/gate-audit.js);
+ * a session can override it with options.gate_mode.
+ */
+
+const os = require('os');
+const path = require('path');
+const { loadProjectRules } = require('./verify-rules.js');
+const { getUltraworkBase } = require('./session-paths.js');
+const { toProjectPath } = require('./tdd-policy.js');
+const { NON_FILE_TARGETS } = require('./bash-effects.js');
+
+/**
+ * @typedef {Object} GatePolicy
+ * @property {string[]} planning_commands - Extra command prefixes allowed during PLANNING
+ * @property {boolean} working_dir_scope - Block writes outside the working directory
+ * @property {string[]} external_paths - Directories or globs outside the working directory that may be written
+ * @property {string[]} protected_paths - Globs only tasks that declare them in allowed_paths may write
+ * @property {GateMode} mode - 'audit' logs would-be denials and allows the call
+ */
+
+/**
+ * @typedef {'enforce' | 'audit'} GateMode
+ */
+
+/** @type {GateMode[]} */
+const GATE_MODES = ['enforce', 'audit'];
+
+/**
+ * @typedef {Object} PathScope
+ * @property {string} workingDir - Directory writes must stay inside
+ * @property {string | null} [originalDir] - Original checkout of a worktree session (never in scope)
+ * @property {string[]} [externalPaths] - Additional allowed directories or globs
+ */
+
+/** @type {GatePolicy} */
+const DEFAULT_GATE_POLICY = {
+  planning_commands: [],
+  working_dir_scope: true,
+  external_paths: [],
+  protected_paths: [],
+  mode: 'enforce',
+};
+
+// ============================================================================
+// Policy Loading
+// ============================================================================
+
+/**
+ * Load the gate policy for a project (defaults when no project config exists)
+ * @param {string} [workingDir]
+ * @returns {GatePolicy}
+ */
+function loadGatePolicy(workingDir) {
+  let projectGates = null;
+  try {
+    projectGates = loadProjectRules(workingDir)?.gates || null;
+  } catch {
+    // Invalid project rules - fall back to defaults
+  }
+
+  /** @type {GatePolicy} */
+  const policy = { ...DEFAULT_GATE_POLICY };
+  if (projectGates && typeof projectGates === 'object') {
+    for (const key of ['planning_commands', 'external_paths', 'protected_paths']) {
+      if (Array.isArray(projectGates[key])) {
+        policy[key] = projectGates[key].filter(c => typeof c === 'string' && c.trim());
+      }
+    }
+    if (typeof projectGates.working_dir_scope === 'boolean') {
+      policy.working_dir_scope = projectGates.working_dir_scope;
+    }
+    if (GATE_MODES.includes(projectGates.mode)) {
+      policy.mode = projectGates.mode;
+    }
+  }
+  return policy;
+}
+
+// ============================================================================
+// Working Directory Scope
+// ============================================================================
+
+/**
+ * Expand a leading ~ to the home directory
+ * @param {string} p
+ * @returns {string}
+ */
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+/**
+ * Resolve a tool target to an absolute path
+ * @param {string} target - File path from a tool input or a Bash command
+ * @param {string} baseDir - Directory relative paths resolve against
+ * @returns {string | null} null when the path depends on shell expansion ($VAR, $(...))
+ */
+function resolveTargetPath(target, baseDir) {
+  if (!target || target.includes('$') || target.includes('`')) return null;
+  return path.resolve(baseDir, expandHome(target));
+}
+
+/**
+ * @param {string} filePath - Absolute path
+ * @param {string} dir - Absolute directory
+ * @returns {boolean} True when filePath is dir or inside it
+ */
+function isInsideDir(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return relative === '' ||
+    (relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative));
+}
+
+/**
+ * @param {string} filePath - Absolute path
+ * @param {string} entry - Directory or absolute glob
+ * @returns {boolean}
+ */
+function matchesExternalPath(filePath, entry) {
+  const expanded = expandHome(entry);
+  if (/[*?[\]{}]/.test(expanded)) return new Bun.Glob(expanded).match(filePath);
+  return isInsideDir(filePath, path.resolve(expanded));
+}
+
+/**
+ * Check a write target against the session's working directory
+ * @param {string} filePath - Absolute path
+ * @param {PathScope} scope
+ * @returns {'original_dir' | 'outside' | null} Why the path is out of scope, or null when allowed
+ */
+function getScopeViolation(filePath, scope) {
+  // The worktree usually lives inside the original checkout, so check it first
+  if (isInsideDir(filePath, scope.workingDir)) return null;
+  if (scope.originalDir && isInsideDir(filePath, scope.originalDir)) return 'original_dir';
+
+  // Only the null/stdio devices: writing other /dev entries reaches disks and terminals
+  if (NON_FILE_TARGETS.has(filePath)) return null;
+
+  const allowed = [getUltraworkBase(), os.tmpdir(), '/tmp', ...(scope.externalPaths || [])];
+  if (allowed.some(entry => matchesExternalPath(filePath, entry))) return null;
+  return 'outside';
+}
+
+// ============================================================================
+// Protected Paths
+// ============================================================================
+
+/**
+ * Check a path against globs relative to the working dir (absolute globs match absolute paths)
+ * @param {string[]} patterns
+ * @param {string} filePath - Absolute path
+ * @param {string} workingDir
+ * @returns {string | null} The first matching glob
+ */
+function findMatchingGlob(patterns, filePath, workingDir) {
+  const projectPath = toProjectPath(filePath, workingDir);
+  return patterns.find(pattern => new Bun.Glob(expandHome(pattern)).match(projectPath)) || null;
+}
+
+/**
+ * Protected glob a write target falls under
+ * @param {string} filePath - Absolute path
+ * @param {GatePolicy} policy
+ * @param {string} workingDir
+ * @returns {string | null} Matching protected glob, or null when the path is not protected
+ */
+function findProtectedPattern(filePath, policy, workingDir) {
+  return findMatchingGlob(policy.protected_paths, filePath, workingDir);
+}
+
+/**
+ * Check if a task declares a path in its allowed_paths
+ * @param {string} filePath - Absolute path
+ * @param {{allowed_paths?: string[]}} task
+ * @param {string} workingDir
+ * @returns {boolean}
+ */
+function isAllowedForTask(filePath, task, workingDir) {
+  return findMatchingGlob(task.allowed_paths || [], filePath, workingDir) !== null;
+}
+
+/**
+ * Check if a task owns a path through its files
+ * @param {string} filePath - Absolute path
+ * @param {{files?: string[]}} task
+ * @param {string} workingDir
+ * @returns {boolean}
+ */
+function isOwnedByTask(filePath, task, workingDir) {
+  return findMatchingGlob(task.files || [], filePath, workingDir) !== null;
+}
+
+module.exports = {
+  GATE_MODES,
+  DEFAULT_GATE_POLICY,
+  loadGatePolicy,
+  resolveTargetPath,
+  isInsideDir,
+  getScopeViolation,
+  findProtectedPattern,
+  isAllowedForTask,
+  isOwnedByTask,
+};
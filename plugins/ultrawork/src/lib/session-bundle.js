@@ -0,0 +1,373 @@
+/**
+ * Session Bundles
+ * Packs a session directory into a single versioned JSON bundle (manifest +
+ * file contents + SHA-256 checksums) and restores it on another machine.
+ * Used by session-export.js and session-import.js.
+ *
+ * Text files are stored as UTF-8 strings; files that are not valid UTF-8 are
+ * stored as base64 (manifest entry encoding: "base64"). Checksums and sizes
+ * always cover the raw bytes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getSessionsDir, getSessionDir, getSessionFile } = require('./session-paths.js');
+const { isSessionActive } = require('./session-io.js');
+const { validateSafeDelete } = require('./session-cleanup.js');
+const { writeJsonAtomically } = require('./json-ops.js');
+
+/**
+ * @typedef {import('./types.js').Session} Session
+ */
+
+/**
+ * @typedef {Object} BundleFile
+ * @property {string} path - Path relative to the session directory (forward slashes)
+ * @property {number} size - Size in bytes
+ * @property {string} sha256 - Hex digest of the file contents
+ * @property {'base64'} [encoding] - Set when the content is base64 (binary files); UTF-8 otherwise
+ */
+
+/**
+ * @typedef {Object} BundleManifest
+ * @property {string} session_id - Exported session ID
+ * @property {string} exported_at
+ * @property {string} phase
+ * @property {string} goal
+ * @property {string} working_dir - Working dir on the exporting machine
+ * @property {string | null} original_dir
+ * @property {BundleFile[]} files
+ */
+
+/**
+ * @typedef {Object} SessionBundle
+ * @property {string} format - Always BUNDLE_FORMAT
+ * @property {number} version - Bundle format version
+ * @property {BundleManifest} manifest
+ * @property {Object<string, string>} files - File contents keyed by relative path
+ */
+
+const BUNDLE_FORMAT = 'ultrawork-session-bundle';
+// v2: binary files as base64 (v1 bundles are still accepted)
+const BUNDLE_VERSION = 2;
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * SHA-256 hex digest of file contents
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Raw bytes of a bundled file
+ * @param {BundleFile} entry
+ * @param {string} content - Bundled content (UTF-8 text or base64)
+ * @returns {Buffer}
+ */
+function decodeBundleFile(entry, content) {
+  return Buffer.from(content, entry.encoding === 'base64' ? 'base64' : 'utf-8');
+}
+
+/**
+ * List session files to bundle, skipping lock directories and temp files
+ * @param {string} dir - Directory to scan
+ * @param {string} [prefix=''] - Relative path prefix
+ * @returns {string[]} Relative paths (forward slashes), sorted
+ */
+function listSessionFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.endsWith('.lock') || entry.name.endsWith('.tmp')) continue;
+
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listSessionFiles(path.join(dir, entry.name), relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Build a bundle from a session directory
+ * @param {string} sessionId - Session ID
+ * @returns {SessionBundle}
+ * @throws {Error} If the session does not exist
+ */
+function createBundle(sessionId) {
+  const sessionFile = getSessionFile(sessionId);
+  if (!fs.existsSync(sessionFile)) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+
+  const sessionDir = getSessionDir(sessionId);
+  /** @type {Session} */
+  const session = JSON.parse(fs.readFileSync(sessionFile, 'utf-8'));
+
+  const files = {};
+  /** @type {BundleFile[]} */
+  const entries = [];
+  for (const relative of listSessionFiles(sessionDir)) {
+    const data = fs.readFileSync(path.join(sessionDir, relative));
+    const text = data.toString('utf-8');
+    const isText = Buffer.from(text, 'utf-8').equals(data);
+    files[relative] = isText ? text : data.toString('base64');
+    entries.push({ path: relative, size: data.length, sha256: sha256(data), ...(isText ? {} : { encoding: 'base64' }) });
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    manifest: {
+      session_id: sessionId,
+      exported_at: new Date().toISOString(),
+      phase: session.phase,
+      goal: session.goal,
+      working_dir: session.working_dir,
+      original_dir: session.original_dir || null,
+      files: entries,
+    },
+    files,
+  };
+}
+
+// ============================================================================
+// Verification
+// ============================================================================
+
+/**
+ * Check that a bundle path stays inside the session directory
+ * @param {string} relative
+ * @returns {boolean}
+ */
+function isSafeBundlePath(relative) {
+  if (typeof relative !== 'string' || relative.length === 0) return false;
+  if (path.isAbsolute(relative) || relative.includes('\\')) return false;
+  return !relative.split('/').some(part => part === '' || part === '.' || part === '..');
+}
+
+/**
+ * Verify bundle format, version, file list and checksums
+ * @param {any} bundle - Parsed bundle
+ * @returns {string[]} Problems found (empty when the bundle is valid)
+ */
+function verifyBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return ['Not an ultrawork session bundle'];
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+    return [`Unsupported bundle version ${bundle.version} (supported: ${BUNDLE_VERSION})`];
+  }
+
+  const manifest = bundle.manifest;
+  if (!manifest || !Array.isArray(manifest.files) || !bundle.files || typeof bundle.files !== 'object') {
+    return ['Bundle manifest or files missing'];
+  }
+
+  const errors = [];
+  const listed = new Set();
+  for (const entry of manifest.files) {
+    if (!isSafeBundlePath(entry.path)) {
+      errors.push(`Unsafe path in manifest: ${entry.path}`);
+      continue;
+    }
+    listed.add(entry.path);
+
+    const content = bundle.files[entry.path];
+    if (entry.encoding !== undefined && entry.encoding !== 'base64') {
+      errors.push(`Unknown encoding "${entry.encoding}": ${entry.path}`);
+    } else if (typeof content !== 'string') {
+      errors.push(`Missing file: ${entry.path}`);
+    } else {
+      const data = decodeBundleFile(entry, content);
+      if (sha256(data) !== entry.sha256 || data.length !== entry.size) {
+        errors.push(`Checksum mismatch: ${entry.path}`);
+      }
+    }
+  }
+
+  for (const relative of Object.keys(bundle.files)) {
+    if (!listed.has(relative)) {
+      errors.push(`File not in manifest: ${relative}`);
+    }
+  }
+
+  if (!listed.has('session.json')) {
+    errors.push('Bundle has no session.json');
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Rewrite machine-specific paths in a session for a new project directory.
+ * Paths under (or next to) the old project root keep their position relative to it,
+ * so a worktree at {root}/.worktrees/x moves to {newRoot}/.worktrees/x.
+ * @param {Session} session - Session to update (mutated)
+ * @param {string} newRoot - Project directory on this machine
+ * @param {string} [worktreePath] - Explicit worktree location on this machine
+ * @returns {Session}
+ */
+function rebaseSessionPaths(session, newRoot, worktreePath) {
+  const oldRoot = session.original_dir || session.working_dir;
+  const rebase = (p) => (oldRoot ? path.resolve(newRoot, path.relative(oldRoot, p)) : newRoot);
+
+  const oldWorktreePath = session.worktree?.path;
+  const newWorktreePath = oldWorktreePath
+    ? (worktreePath ? path.resolve(worktreePath) : rebase(oldWorktreePath))
+    : null;
+
+  if (session.working_dir) {
+    session.working_dir = oldWorktreePath && session.working_dir === oldWorktreePath
+      ? newWorktreePath
+      : rebase(session.working_dir);
+  } else {
+    session.working_dir = newRoot;
+  }
+  if (session.original_dir) {
+    session.original_dir = newRoot;
+  }
+  if (session.worktree && oldWorktreePath) {
+    session.worktree.path = newWorktreePath;
+  }
+  if (session.plan?.design_doc && path.isAbsolute(session.plan.design_doc) && oldRoot) {
+    session.plan.design_doc = rebase(session.plan.design_doc);
+  }
+
+  return session;
+}
+
+/**
+ * Rewrite absolute paths in a task (file evidence paths and test_file) that
+ * lie under one of the old roots. Relative paths and paths elsewhere are kept.
+ * @param {Object} task - Task to update (mutated)
+ * @param {{from: string, to: string}[]} roots - Old → new roots, most specific first
+ * @returns {boolean} True when a path changed
+ */
+function rebaseTaskPaths(task, roots) {
+  let changed = false;
+  const rebase = (p) => {
+    if (typeof p !== 'string' || !path.isAbsolute(p)) return p;
+    for (const { from, to } of roots) {
+      const relative = path.relative(from, p);
+      if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) continue;
+      changed = true;
+      return path.join(to, relative);
+    }
+    return p;
+  };
+
+  if (task.test_file) {
+    task.test_file = rebase(task.test_file);
+  }
+  for (const evidence of Array.isArray(task.evidence) ? task.evidence : []) {
+    if (evidence && typeof evidence === 'object' && evidence.path) {
+      evidence.path = rebase(evidence.path);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Restore a verified bundle into the sessions directory
+ * @param {SessionBundle} bundle - Bundle that passed verifyBundle
+ * @param {Object} options
+ * @param {string} options.sessionId - Target session ID
+ * @param {string} options.workingDir - Project directory on this machine
+ * @param {string} [options.worktreePath] - Worktree location on this machine
+ * @param {boolean} [options.force=false] - Overwrite an existing session
+ * @returns {Session} The imported session
+ * @throws {Error} If the target session exists and force is not set
+ */
+function restoreBundle(bundle, options) {
+  const { sessionId, workingDir, worktreePath, force = false } = options;
+
+  if (!/^[\w.-]+$/.test(sessionId) || /^\.+$/.test(sessionId)) {
+    throw new Error(`Invalid session ID: ${sessionId}`);
+  }
+
+  const sessionDir = getSessionDir(sessionId);
+  if (!force && isSessionActive(sessionId)) {
+    throw new Error(`Session ${sessionId} already exists and is active. Use --force to overwrite it.`);
+  }
+  if (!force && fs.existsSync(sessionDir)) {
+    throw new Error(`Session ${sessionId} already exists. Use --force to replace it.`);
+  }
+
+  // Write into a staging directory, then swap it in
+  const sessionsDir = getSessionsDir();
+  const stagingDir = path.join(sessionsDir, `.import-${sessionId}-${process.pid}`);
+  fs.mkdirSync(stagingDir, { recursive: true });
+
+  try {
+    for (const entry of bundle.manifest.files) {
+      const target = path.join(stagingDir, ...entry.path.split('/'));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, decodeBundleFile(entry, bundle.files[entry.path]));
+    }
+
+    const stagedSessionFile = path.join(stagingDir, 'session.json');
+    /** @type {Session} */
+    const session = JSON.parse(fs.readFileSync(stagedSessionFile, 'utf-8'));
+    const oldRoot = session.original_dir || session.working_dir;
+    const oldWorktreePath = session.worktree?.path;
+    const newRoot = path.resolve(workingDir);
+    session.session_id = sessionId;
+    rebaseSessionPaths(session, newRoot, worktreePath);
+    writeJsonAtomically(stagedSessionFile, session, { autoTimestamp: true });
+
+    const roots = [];
+    if (oldWorktreePath && session.worktree?.path) roots.push({ from: oldWorktreePath, to: session.worktree.path });
+    if (oldRoot) roots.push({ from: oldRoot, to: newRoot });
+
+    // Evidence log segments are kept as exported: the index addresses entries by byte offset
+    const stagedTasksDir = path.join(stagingDir, 'tasks');
+    if (roots.length > 0 && fs.existsSync(stagedTasksDir)) {
+      for (const file of fs.readdirSync(stagedTasksDir).filter(f => f.endsWith('.json'))) {
+        const taskFile = path.join(stagedTasksDir, file);
+        try {
+          const task = JSON.parse(fs.readFileSync(taskFile, 'utf-8'));
+          if (rebaseTaskPaths(task, roots)) {
+            writeJsonAtomically(taskFile, task);
+          }
+        } catch {
+          // Keep unparseable task files as exported
+        }
+      }
+    }
+
+    if (fs.existsSync(sessionDir)) {
+      validateSafeDelete(sessionDir);
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+    }
+    fs.renameSync(stagingDir, sessionDir);
+
+    return session;
+  } catch (err) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  listSessionFiles,
+  createBundle,
+  verifyBundle,
+  rebaseSessionPaths,
+  rebaseTaskPaths,
+  restoreBundle,
+};
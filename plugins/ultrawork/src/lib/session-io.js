@@ -4,7 +4,8 @@
  */
 
 const fs = require('fs');
-const { getSessionFile, getSessionsDir } = require('./session-paths.js');
+const path = require('path');
+const { getSessionFile, getSessionsDir, getSessionHistoryFile } = require('./session-paths.js');
 const { acquireLock, releaseLock } = require('./file-lock');
 const { writeJsonAtomically } = require('./json-ops');
 
@@ -12,6 +13,8 @@ const { writeJsonAtomically } = require('./json-ops');
 /**
  * @typedef {import('./types').Session} Session
  * @typedef {import('./types').Phase} Phase
+ * @typedef {import('./types').HistoryEvent} HistoryEvent
+ * @typedef {import('./types').HistoryChange} HistoryChange
  */
 
 // ============================================================================
@@ -199,7 +202,8 @@ function extractField(sessionFile, fieldPath) {
 
 /**
  * Update session data with file locking
- * Uses an updater function to transform the session
+ * Uses an updater function to transform the session.
+ * Every change is recorded in history.jsonl (see appendHistoryEvent).
  * @param {string} sessionId - Session ID
  * @param {(session: Session) => Session} updater - Function to transform session
  * @returns {Promise<void>}
@@ -217,6 +221,8 @@ async function updateSession(sessionId, updater) {
     const content = fs.readFileSync(sessionFile, 'utf-8');
     /** @type {Session} */
     const session = JSON.parse(content);
+    /** @type {Session} */
+    const before = JSON.parse(content);
 
     // Apply update
     const updated = updater(session);
@@ -226,11 +232,120 @@ async function updateSession(sessionId, updater) {
 
     // Write atomically using temp file
     writeJsonAtomically(sessionFile, updated);
+
+    // Record the mutation (history.jsonl is only written under the session lock)
+    const changes = diffSession(before, updated);
+    if (changes.length > 0) {
+      appendHistoryEvent(sessionId, {
+        timestamp: updated.updated_at,
+        caller: getCallerScript(),
+        changes,
+      });
+    }
   } finally {
     releaseLock(sessionFile);
   }
 }
 
+// ============================================================================
+// Session History
+// ============================================================================
+
+/** Values whose JSON is longer than this are summarized in history events */
+const MAX_HISTORY_VALUE_LENGTH = 500;
+
+/**
+ * Summarize large values (worker lists, agent maps) so history stays small
+ * @param {any} value
+ * @returns {any}
+ */
+function summarizeHistoryValue(value) {
+  if (value === undefined) return null;
+  const json = JSON.stringify(value);
+  if (json === undefined || json.length <= MAX_HISTORY_VALUE_LENGTH) {
+    return value;
+  }
+  return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+}
+
+/**
+ * Diff two session snapshots. Plain objects are compared field by field;
+ * arrays and scalars are compared as whole values. updated_at is ignored.
+ * @param {Object} before - Session before the update
+ * @param {Object} after - Session after the update
+ * @param {string} [prefix=''] - Dotted path prefix
+ * @returns {HistoryChange[]}
+ */
+function diffSession(before, after, prefix = '') {
+  const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  /** @type {HistoryChange[]} */
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (field === 'updated_at') continue;
+
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      changes.push(...diffSession(oldValue, newValue, field));
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, old: summarizeHistoryValue(oldValue), new: summarizeHistoryValue(newValue) });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Name of the script or hook that is mutating the session
+ * @returns {string}
+ */
+function getCallerScript() {
+  return process.argv[1] ? path.basename(process.argv[1]) : 'unknown';
+}
+
+/**
+ * Append an event to the session's history.jsonl.
+ * Callers must hold the session.json lock. A failed append does not fail the
+ * update that already landed; it is reported on stderr.
+ * @param {string} sessionId - Session ID
+ * @param {HistoryEvent} event - Event to append
+ * @returns {void}
+ */
+function appendHistoryEvent(sessionId, event) {
+  try {
+    fs.appendFileSync(getSessionHistoryFile(sessionId), JSON.stringify(event) + '\n', 'utf-8');
+  } catch (err) {
+    console.error(`Warning: failed to record session history: ${err.message}`);
+  }
+}
+
+/**
+ * Read a session's history events (oldest first), skipping corrupted lines
+ * @param {string} sessionId - Session ID
+ * @returns {HistoryEvent[]}
+ */
+function readSessionHistory(sessionId) {
+  const historyFile = getSessionHistoryFile(sessionId);
+  if (!fs.existsSync(historyFile)) {
+    return [];
+  }
+
+  /** @type {HistoryEvent[]} */
+  const events = [];
+  for (const line of fs.readFileSync(historyFile, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Skip corrupted line
+    }
+  }
+  return events;
+}
+
 // ============================================================================
 // Session Query Operations
 // ============================================================================
@@ -353,6 +468,10 @@ module.exports = {
   readSessionField,
   // Write operations
   updateSession,
+  // Session history
+  diffSession,
+  appendHistoryEvent,
+  readSessionHistory,
   // Query operations
   isSessionActive,
   listActiveSessions,
@@ -45,9 +45,19 @@ function getSessionFile(sessionId) {
   return path.join(getSessionDir(sessionId), 'session.json');
 }
 
+/**
+ * Get history.jsonl path for a session ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} Session history log path
+ */
+function getSessionHistoryFile(sessionId) {
+  return path.join(getSessionDir(sessionId), 'history.jsonl');
+}
+
 module.exports = {
   getUltraworkBase,
   getSessionsDir,
   getSessionDir,
   getSessionFile,
+  getSessionHistoryFile,
 };
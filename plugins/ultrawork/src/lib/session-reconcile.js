@@ -0,0 +1,256 @@
+/**
+ * Session Reconciliation
+ * Detects state left behind by a crashed or interrupted session and repairs it
+ * on resume (setup-ultrawork.js --resume).
+ *
+ * Agents from the previous run cannot still be running after a resume, so:
+ * - orphaned tasks:   tasks stuck in_progress
+ * - dangling workers: workers[] entries without completed_at, and active_agents entries
+ * - stale locks:      *.lock directories older than the lock staleness threshold
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSessionDir } = require('./session-paths.js');
+const { readSession, updateSession } = require('./session-io.js');
+const { acquireLock, releaseLock, STALE_LOCK_AGE_MS } = require('./file-lock.js');
+const { writeJsonAtomically } = require('./json-ops.js');
+const { createEvidence, migrateTaskEvidence } = require('./task-evidence.js');
+
+/**
+ * @typedef {import('./types.js').Task} Task
+ */
+
+/**
+ * @typedef {Object} OrphanedTask
+ * @property {string} id
+ * @property {string} subject
+ * @property {string[]} workers - Dangling worker agent IDs assigned to the task
+ */
+
+/**
+ * @typedef {Object} DanglingWorker
+ * @property {string} agent_id
+ * @property {string | null} task_id
+ * @property {string | null} started_at
+ * @property {'workers' | 'active_agents'} source - Session field the entry came from
+ */
+
+/**
+ * @typedef {Object} ReconcileReport
+ * @property {OrphanedTask[]} orphaned_tasks
+ * @property {DanglingWorker[]} dangling_workers
+ * @property {string[]} stale_locks - Lock directories relative to the session dir
+ */
+
+/** Reconcile actions for orphaned tasks */
+const RECONCILE_ACTIONS = ['reset', 'block'];
+
+const DEFAULT_BLOCK_REASON = 'Worker did not finish before the session was resumed';
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+/**
+ * Read all task files of a session (invalid files skipped)
+ * @param {string} sessionDir
+ * @returns {Task[]}
+ */
+function readTasks(sessionDir) {
+  const tasksDir = path.join(sessionDir, 'tasks');
+  if (!fs.existsSync(tasksDir)) {
+    return [];
+  }
+
+  const tasks = [];
+  for (const file of fs.readdirSync(tasksDir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      tasks.push(JSON.parse(fs.readFileSync(path.join(tasksDir, file), 'utf-8')));
+    } catch {
+      // Skip invalid task files
+    }
+  }
+  return tasks.sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+}
+
+/**
+ * Find lock directories older than maxAgeMs
+ * @param {string} dir - Directory to scan
+ * @param {number} now - Current time in ms
+ * @param {number} maxAgeMs
+ * @param {string} [prefix='']
+ * @returns {string[]} Relative lock paths
+ */
+function findStaleLocks(dir, now, maxAgeMs, prefix = '') {
+  const locks = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.name.endsWith('.lock')) {
+      try {
+        if (now - fs.statSync(fullPath).mtimeMs > maxAgeMs) {
+          locks.push(relative);
+        }
+      } catch {
+        // Lock released while scanning
+      }
+    } else {
+      locks.push(...findStaleLocks(fullPath, now, maxAgeMs, relative));
+    }
+  }
+  return locks;
+}
+
+/**
+ * Inspect a session for orphaned tasks, dangling workers and stale locks
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time in ms
+ * @returns {ReconcileReport}
+ */
+function inspectSession(sessionId, options = {}) {
+  const now = options.now ?? Date.now();
+  const sessionDir = getSessionDir(sessionId);
+  const session = readSession(sessionId);
+
+  /** @type {DanglingWorker[]} */
+  const danglingWorkers = [];
+  for (const worker of session.workers || []) {
+    if (!worker.completed_at) {
+      danglingWorkers.push({
+        agent_id: worker.agent_id,
+        task_id: worker.task_id || null,
+        started_at: worker.started_at || null,
+        source: 'workers',
+      });
+    }
+  }
+  for (const agent of session.active_agents || []) {
+    if (danglingWorkers.some(w => w.agent_id === agent.agent_id)) continue;
+    danglingWorkers.push({
+      agent_id: agent.agent_id,
+      task_id: null,
+      started_at: agent.started_at || null,
+      source: 'active_agents',
+    });
+  }
+
+  const orphanedTasks = readTasks(sessionDir)
+    .filter(task => task.status === 'in_progress')
+    .map(task => ({
+      id: String(task.id),
+      subject: task.subject,
+      workers: danglingWorkers.filter(w => w.task_id === String(task.id)).map(w => w.agent_id),
+    }));
+
+  return {
+    orphaned_tasks: orphanedTasks,
+    dangling_workers: danglingWorkers,
+    stale_locks: findStaleLocks(sessionDir, now, STALE_LOCK_AGE_MS),
+  };
+}
+
+/**
+ * Check whether a report found anything to reconcile
+ * @param {ReconcileReport} report
+ * @returns {boolean}
+ */
+function hasReconcileIssues(report) {
+  return report.orphaned_tasks.length > 0 ||
+    report.dangling_workers.length > 0 ||
+    report.stale_locks.length > 0;
+}
+
+// ============================================================================
+// Repair
+// ============================================================================
+
+/**
+ * Repair what inspectSession found:
+ * removes stale locks, resets orphaned tasks to open, i.e. pending ("reset"), or marks them
+ * blocked with a reason ("block"), and closes dangling workers as failed.
+ * @param {string} sessionId - Session ID
+ * @param {ReconcileReport} report - Report from inspectSession
+ * @param {Object} options
+ * @param {'reset' | 'block'} options.action - What to do with orphaned tasks
+ * @param {string} [options.reason] - Reason recorded on blocked tasks
+ * @returns {Promise<{tasks: string[], workers: number, locks: number}>} What was changed
+ */
+async function applyReconciliation(sessionId, report, options) {
+  const { action } = options;
+  if (!RECONCILE_ACTIONS.includes(action)) {
+    throw new Error(`Invalid reconcile action "${action}". Must be: ${RECONCILE_ACTIONS.join(', ')}`);
+  }
+
+  const sessionDir = getSessionDir(sessionId);
+  const timestamp = new Date().toISOString();
+  const reason = options.reason || DEFAULT_BLOCK_REASON;
+
+  // 1. Stale locks first, so task and session locks can be acquired
+  let locks = 0;
+  for (const lock of report.stale_locks) {
+    try {
+      fs.rmdirSync(path.join(sessionDir, ...lock.split('/')));
+      locks++;
+    } catch {
+      // Already released
+    }
+  }
+
+  // 2. Orphaned tasks
+  const tasks = [];
+  for (const orphan of report.orphaned_tasks) {
+    const taskFile = path.join(sessionDir, 'tasks', `${orphan.id}.json`);
+    const acquired = await acquireLock(taskFile);
+    if (!acquired) {
+      throw new Error(`Failed to acquire lock for task ${orphan.id}`);
+    }
+
+    try {
+      /** @type {Task} */
+      const task = JSON.parse(fs.readFileSync(taskFile, 'utf-8'));
+      if (task.status !== 'in_progress') continue;
+
+      migrateTaskEvidence(task);
+      if (action === 'reset') {
+        task.status = 'open';
+        task.evidence.push(createEvidence('note', { description: 'Reconciled on resume: reset to open (worker did not finish)' }));
+      } else {
+        task.status = 'blocked';
+        task.blocked_reason = reason;
+        task.evidence.push(createEvidence('note', { description: `Reconciled on resume: blocked (${reason})` }));
+      }
+      task.updated_at = timestamp;
+      writeJsonAtomically(taskFile, task);
+      tasks.push(orphan.id);
+    } finally {
+      releaseLock(taskFile);
+    }
+  }
+
+  // 3. Dangling workers
+  const workers = report.dangling_workers.length;
+  if (workers > 0) {
+    const danglingIds = new Set(report.dangling_workers.map(w => w.agent_id));
+    await updateSession(sessionId, (s) => ({
+      ...s,
+      workers: (s.workers || []).map(w => (danglingIds.has(w.agent_id) && !w.completed_at
+        ? { ...w, status: 'failed', completed_at: timestamp, failure_reason: DEFAULT_BLOCK_REASON }
+        : w)),
+      active_agents: (s.active_agents || []).filter(a => !danglingIds.has(a.agent_id)),
+    }));
+  }
+
+  return { tasks, workers, locks };
+}
+
+module.exports = {
+  RECONCILE_ACTIONS,
+  inspectSession,
+  hasReconcileIssues,
+  applyReconciliation,
+};
@@ -0,0 +1,307 @@
+/**
+ * Task Evidence
+ * Typed evidence records stored in task.evidence, so verifiers can tell a
+ * concrete artifact (command + exit code, file + hash, test run, log entry)
+ * from a free-form note.
+ *
+ * Kinds:
+ *   command - command, exit_code, [output]
+ *   file    - path, sha256 (of the file when the evidence was added)
+ *   test    - command, exit_code, passed
+ *   log_ref - log_line (1-based entry number in the evidence log), entry_type
+ *   note    - description only
+ *
+ * Every record has kind, description and created_at, and optionally the
+ * 1-based index of the task criterion it supports (criterion). Legacy string
+ * evidence is migrated to a note with migrated: true. Secrets are masked when
+ * a record is created (redactions: number of masked values).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readEntryAt } = require('./evidence-log.js');
+const { loadRedactionConfig, redactEntry } = require('./redaction.js');
+
+/**
+ * @typedef {import('./types.js').TaskEvidence} TaskEvidence
+ * @typedef {import('./types.js').TaskEvidenceKind} TaskEvidenceKind
+ */
+
+/** @type {TaskEvidenceKind[]} */
+const EVIDENCE_KINDS = ['command', 'file', 'test', 'log_ref', 'note'];
+
+/** Max stored command output (same budget as the session evidence log) */
+const MAX_OUTPUT_LENGTH = 2000;
+
+// ============================================================================
+// Record Creation
+// ============================================================================
+
+/**
+ * Compute the sha256 of a file
+ * @param {string} filePath
+ * @returns {string} Hex digest
+ */
+function fileSha256(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Truncate command output to MAX_OUTPUT_LENGTH, keeping head and tail
+ * @param {string} text
+ * @returns {string}
+ */
+function truncateOutput(text) {
+  if (text.length <= MAX_OUTPUT_LENGTH) {
+    return text;
+  }
+  const half = MAX_OUTPUT_LENGTH / 2;
+  return `${text.slice(0, half)}\n... [truncated ${text.length - MAX_OUTPUT_LENGTH} bytes] ...\n${text.slice(-half)}`;
+}
+
+/**
+ * Parse an exit code option
+ * @param {string | number | undefined} value
+ * @returns {number}
+ * @throws {Error} If missing or not an integer
+ */
+function parseExitCode(value) {
+  const code = typeof value === 'number' ? value : Number(value);
+  if (value === undefined || value === '' || !Number.isInteger(code)) {
+    throw new Error(`Invalid exit code "${value}". Must be an integer`);
+  }
+  return code;
+}
+
+/**
+ * Build a typed evidence record, with secrets in its text fields masked
+ * (see redaction.js; redactions counts the masked values)
+ * @param {TaskEvidenceKind} kind
+ * @param {Object} fields
+ * @param {string} [fields.description] - Human-readable summary (required for notes)
+ * @param {string} [fields.command] - command, test
+ * @param {string | number} [fields.exitCode] - command, test
+ * @param {string} [fields.output] - command
+ * @param {string} [fields.file] - file (hashed now)
+ * @param {string | number} [fields.logLine] - log_ref
+ * @param {Object} [context]
+ * @param {string} [context.sessionDir] - Required for log_ref
+ * @param {string} [context.workingDir] - Base for relative file paths; source of project redaction patterns
+ * @returns {TaskEvidence}
+ * @throws {Error} If the kind is unknown or a required field is missing/invalid
+ */
+function createEvidence(kind, fields, context = {}) {
+  return redactEntry(buildRecord(kind, fields, context), loadRedactionConfig(context.workingDir));
+}
+
+/**
+ * Build a typed evidence record (unredacted)
+ * @param {TaskEvidenceKind} kind
+ * @param {Object} fields - See createEvidence
+ * @param {Object} context - See createEvidence
+ * @returns {TaskEvidence}
+ */
+function buildRecord(kind, fields, context) {
+  if (!EVIDENCE_KINDS.includes(kind)) {
+    throw new Error(`Invalid evidence kind "${kind}". Must be: ${EVIDENCE_KINDS.join(', ')}`);
+  }
+
+  const created_at = new Date().toISOString();
+
+  switch (kind) {
+    case 'command':
+    case 'test': {
+      if (!fields.command) {
+        throw new Error(`${kind} evidence requires a command`);
+      }
+      const exit_code = parseExitCode(fields.exitCode);
+      if (kind === 'test') {
+        const passed = exit_code === 0;
+        return {
+          kind,
+          command: fields.command,
+          exit_code,
+          passed,
+          description: fields.description || `${fields.command} (${passed ? 'passed' : 'failed'}, exit ${exit_code})`,
+          created_at,
+        };
+      }
+      /** @type {TaskEvidence} */
+      const record = {
+        kind,
+        command: fields.command,
+        exit_code,
+        description: fields.description || `${fields.command} (exit ${exit_code})`,
+        created_at,
+      };
+      if (fields.output) {
+        record.output = truncateOutput(fields.output);
+      }
+      return record;
+    }
+
+    case 'file': {
+      if (!fields.file) {
+        throw new Error('file evidence requires a file path');
+      }
+      const absolute = path.resolve(context.workingDir || process.cwd(), fields.file);
+      if (!fs.existsSync(absolute) || !fs.statSync(absolute).isFile()) {
+        throw new Error(`File not found: ${fields.file}`);
+      }
+      const sha256 = fileSha256(absolute);
+      return {
+        kind,
+        path: fields.file,
+        sha256,
+        description: fields.description || `${fields.file} (sha256 ${sha256.slice(0, 12)})`,
+        created_at,
+      };
+    }
+
+    case 'log_ref': {
+      const line = Number(fields.logLine);
+      const entry = context.sessionDir ? readEntryAt(context.sessionDir, line) : null;
+      if (!entry) {
+        throw new Error(`Evidence log entry ${fields.logLine} not found`);
+      }
+      return {
+        kind,
+        log_line: line,
+        entry_type: entry.type,
+        description: fields.description || `Evidence log entry ${line} (${entry.type})`,
+        created_at,
+      };
+    }
+
+    default:
+      if (!fields.description) {
+        throw new Error('note evidence requires text');
+      }
+      return { kind: 'note', description: fields.description, created_at };
+  }
+}
+
+// ============================================================================
+// Migration & Reading
+// ============================================================================
+
+/**
+ * Normalize one evidence item: legacy strings become migrated notes,
+ * objects without a kind become notes keeping their fields.
+ * @param {string | Object} entry
+ * @returns {TaskEvidence}
+ */
+function normalizeEvidence(entry) {
+  if (typeof entry === 'string') {
+    return { kind: 'note', description: entry, migrated: true };
+  }
+  if (entry && typeof entry === 'object') {
+    if (EVIDENCE_KINDS.includes(entry.kind)) {
+      return entry;
+    }
+    return { ...entry, kind: 'note', description: entry.description || '', migrated: true };
+  }
+  return { kind: 'note', description: String(entry), migrated: true };
+}
+
+/**
+ * Migrate a task's evidence in place
+ * @param {import('./types.js').Task} task
+ * @returns {number} Number of entries migrated
+ */
+function migrateTaskEvidence(task) {
+  const evidence = Array.isArray(task.evidence) ? task.evidence : [];
+  let migrated = 0;
+  task.evidence = evidence.map(entry => {
+    const normalized = normalizeEvidence(entry);
+    if (normalized !== entry) migrated++;
+    return normalized;
+  });
+  return migrated;
+}
+
+/**
+ * All text of an evidence item, for pattern scans and searches
+ * @param {string | TaskEvidence} entry
+ * @returns {string}
+ */
+function evidenceText(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+  if (!entry || typeof entry !== 'object') {
+    return '';
+  }
+  return [entry.description, entry.command, entry.output, entry.path]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Prose of an evidence item (description and output) for blocked-pattern
+ * scans. Identifiers are left out, also where the default description repeats
+ * them: a file named src/todo-list.js is not a TODO.
+ * @param {string | TaskEvidence} entry
+ * @returns {string}
+ */
+function evidenceProse(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+  if (!entry || typeof entry !== 'object') {
+    return '';
+  }
+  const identifiers = [entry.path, entry.command].filter(Boolean);
+  return [entry.description, entry.output]
+    .filter(Boolean)
+    .map(text => identifiers.reduce((rest, id) => rest.split(id).join(''), text))
+    .join('\n');
+}
+
+/**
+ * One-line display form of an evidence item
+ * @param {string | TaskEvidence} entry
+ * @returns {string}
+ */
+function formatEvidence(entry) {
+  const record = normalizeEvidence(entry);
+  const text = record.kind === 'note' ? record.description : `[${record.kind}] ${record.description}`;
+  return record.redactions ? `${text} (${record.redactions} redacted)` : text;
+}
+
+/**
+ * Criterion an evidence item supports
+ * @param {string | TaskEvidence} entry
+ * @param {string[]} criteria - Task criteria
+ * @returns {number | null} 1-based criterion index, or null when untagged/out of range
+ */
+function criterionIndex(entry, criteria) {
+  if (!entry || typeof entry !== 'object' || entry.criterion === undefined || entry.criterion === null) {
+    return null;
+  }
+  const index = entry.criterion;
+  return Number.isInteger(index) && index >= 1 && index <= criteria.length ? index : null;
+}
+
+/**
+ * Check whether an evidence item points at a concrete artifact (anything but a note)
+ * @param {string | TaskEvidence} entry
+ * @returns {boolean}
+ */
+function isMachineCheckable(entry) {
+  return normalizeEvidence(entry).kind !== 'note';
+}
+
+module.exports = {
+  EVIDENCE_KINDS,
+  fileSha256,
+  createEvidence,
+  normalizeEvidence,
+  migrateTaskEvidence,
+  evidenceText,
+  evidenceProse,
+  formatEvidence,
+  criterionIndex,
+  isMachineCheckable,
+};
@@ -0,0 +1,486 @@
+/**
+ * Task Graph Analysis
+ * Analyzes the task DAG formed by blocked_by references: topological waves,
+ * complexity-weighted critical path, maximum useful parallelism, and structural
+ * problems (cycles, dangling references, unreachable tasks, and tasks that can
+ * run in parallel although they declare the same files).
+ * Renders the graph as Mermaid or Graphviz DOT with nodes coloured by status.
+ */
+
+/**
+ * @typedef {import('./types.js').Task} Task
+ * @typedef {import('./types.js').Complexity} Complexity
+ */
+
+/**
+ * @typedef {Object} DanglingRef
+ * @property {string} task - Task that declares the dependency
+ * @property {string} missing - Referenced task ID that does not exist
+ */
+
+/**
+ * @typedef {Object} UnreachableTask
+ * @property {string} id
+ * @property {'cycle' | 'dangling' | 'upstream'} reason - In a cycle, depends on a missing task,
+ *   or depends on another unreachable task
+ * @property {string[]} via - Cycle members, missing IDs, or unreachable blockers
+ */
+
+/**
+ * @typedef {Object} FileConflict
+ * @property {[string, string]} tasks - Two tasks that can run at the same time
+ * @property {string[]} files - Declared files (or globs) they share
+ */
+
+/**
+ * @typedef {Object} GraphAnalysis
+ * @property {number} total_tasks
+ * @property {string[][]} waves - Task IDs per wave; wave N can start when waves 0..N-1 are resolved
+ * @property {{tasks: string[], weight: number}} critical_path - Heaviest dependency chain
+ * @property {number} total_weight - Sum of weights of all schedulable tasks
+ * @property {{max: number, wave: number, max_workers: number, limited_by_workers: boolean}} parallelism
+ * @property {string[][]} cycles
+ * @property {DanglingRef[]} dangling
+ * @property {UnreachableTask[]} unreachable
+ * @property {FileConflict[]} file_conflicts - Unresolved tasks sharing files without a blocked_by path between them
+ */
+
+/** Critical path weight per complexity */
+const COMPLEXITY_WEIGHTS = {
+  simple: 1,
+  standard: 2,
+  complex: 3,
+};
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+/**
+ * Compare task IDs (numeric when both are numbers)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareIds(a, b) {
+  const aNum = Number(a);
+  const bNum = Number(b);
+  if (!isNaN(aNum) && !isNaN(bNum)) {
+    return aNum - bNum;
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Weight of a task for critical path calculation
+ * @param {Task} task
+ * @returns {number}
+ */
+function taskWeight(task) {
+  return COMPLEXITY_WEIGHTS[task.complexity] || COMPLEXITY_WEIGHTS.standard;
+}
+
+/**
+ * Find dependency cycles (strongly connected components with more than one
+ * task, or a task that blocks itself) using Tarjan's algorithm
+ * @param {Map<string, string[]>} deps - Task ID to existing blocker IDs
+ * @returns {string[][]} Cycles, members sorted
+ */
+function findCycles(deps) {
+  let index = 0;
+  const indices = new Map();
+  const lowlinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  /** @param {string} id */
+  function visit(id) {
+    indices.set(id, index);
+    lowlinks.set(id, index);
+    index++;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const dep of deps.get(id) || []) {
+      if (!indices.has(dep)) {
+        visit(dep);
+        lowlinks.set(id, Math.min(lowlinks.get(id), lowlinks.get(dep)));
+      } else if (onStack.has(dep)) {
+        lowlinks.set(id, Math.min(lowlinks.get(id), indices.get(dep)));
+      }
+    }
+
+    if (lowlinks.get(id) === indices.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1 || (deps.get(id) || []).includes(id)) {
+        cycles.push(component.sort(compareIds));
+      }
+    }
+  }
+
+  for (const id of deps.keys()) {
+    if (!indices.has(id)) {
+      visit(id);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Analyze the task dependency graph
+ * @param {Task[]} tasks - All session tasks
+ * @param {Object} [options]
+ * @param {number} [options.maxWorkers=0] - Session max_workers (0 = unlimited)
+ * @returns {GraphAnalysis}
+ */
+function analyzeTaskGraph(tasks, options = {}) {
+  const maxWorkers = options.maxWorkers || 0;
+
+  /** @type {Map<string, Task>} */
+  const byId = new Map();
+  for (const task of tasks) {
+    byId.set(String(task.id), task);
+  }
+  const ids = [...byId.keys()].sort(compareIds);
+
+  // Split blocked_by into existing and dangling references
+  /** @type {Map<string, string[]>} */
+  const deps = new Map();
+  /** @type {DanglingRef[]} */
+  const dangling = [];
+  for (const id of ids) {
+    const blockers = [...new Set((byId.get(id).blocked_by || []).map(String))];
+    deps.set(id, blockers.filter(dep => byId.has(dep)));
+    for (const dep of blockers.filter(dep => !byId.has(dep))) {
+      dangling.push({ task: id, missing: dep });
+    }
+  }
+
+  const cycles = findCycles(deps);
+
+  // Tasks that can never start, in dependency order
+  /** @type {Map<string, UnreachableTask>} */
+  const unreachable = new Map();
+  for (const cycle of cycles) {
+    for (const id of cycle) {
+      unreachable.set(id, { id, reason: 'cycle', via: cycle });
+    }
+  }
+  for (const id of new Set(dangling.map(d => d.task))) {
+    if (unreachable.has(id)) continue;
+    unreachable.set(id, { id, reason: 'dangling', via: dangling.filter(d => d.task === id).map(d => d.missing) });
+  }
+
+  // Kahn's algorithm over the remaining tasks
+  /** @type {string[][]} */
+  const waves = [];
+  /** @type {Map<string, number>} */
+  const waveOf = new Map();
+  let remaining = ids.filter(id => !unreachable.has(id));
+  while (remaining.length > 0) {
+    const ready = remaining.filter(id => deps.get(id).every(dep => waveOf.has(dep)));
+    if (ready.length === 0) break;
+    for (const id of ready) {
+      waveOf.set(id, waves.length);
+    }
+    waves.push(ready);
+    remaining = remaining.filter(id => !waveOf.has(id));
+  }
+
+  // Whatever is left depends (transitively) on an unreachable task
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const id of remaining) {
+      if (unreachable.has(id)) continue;
+      const via = deps.get(id).filter(dep => unreachable.has(dep));
+      if (via.length > 0) {
+        unreachable.set(id, { id, reason: 'upstream', via });
+        changed = true;
+      }
+    }
+  }
+
+  // Critical path: heaviest chain through the waves
+  /** @type {Map<string, number>} */
+  const distance = new Map();
+  /** @type {Map<string, string | null>} */
+  const previous = new Map();
+  let end = null;
+  for (const wave of waves) {
+    for (const id of wave) {
+      let best = null;
+      for (const dep of deps.get(id)) {
+        if (best === null || distance.get(dep) > distance.get(best)) {
+          best = dep;
+        }
+      }
+      distance.set(id, taskWeight(byId.get(id)) + (best === null ? 0 : distance.get(best)));
+      previous.set(id, best);
+      if (end === null || distance.get(id) > distance.get(end)) {
+        end = id;
+      }
+    }
+  }
+
+  const criticalPath = [];
+  for (let id = end; id !== null; id = previous.get(id)) {
+    criticalPath.unshift(id);
+  }
+
+  // Widest wave = most tasks that can ever run at the same time
+  let maxWave = 0;
+  for (let i = 1; i < waves.length; i++) {
+    if (waves[i].length > waves[maxWave].length) {
+      maxWave = i;
+    }
+  }
+  const maxParallel = waves.length > 0 ? waves[maxWave].length : 0;
+
+  return {
+    total_tasks: ids.length,
+    waves,
+    critical_path: {
+      tasks: criticalPath,
+      weight: end === null ? 0 : distance.get(end),
+    },
+    total_weight: [...waveOf.keys()].reduce((sum, id) => sum + taskWeight(byId.get(id)), 0),
+    parallelism: {
+      max: maxParallel,
+      wave: maxWave,
+      max_workers: maxWorkers,
+      limited_by_workers: maxWorkers > 0 && maxParallel > maxWorkers,
+    },
+    cycles,
+    dangling,
+    unreachable: [...unreachable.values()].sort((a, b) => compareIds(a.id, b.id)),
+    file_conflicts: findFileConflicts(tasks),
+  };
+}
+
+/**
+ * Check if two declared file entries can refer to the same file
+ * @param {string} a - Path or glob
+ * @param {string} b - Path or glob
+ * @returns {boolean}
+ */
+function fileEntriesOverlap(a, b) {
+  return a === b || new Bun.Glob(a).match(b) || new Bun.Glob(b).match(a);
+}
+
+/**
+ * Find unresolved tasks that share declared files but may run at the same
+ * time (neither depends on the other, directly or transitively)
+ * @param {Task[]} tasks
+ * @returns {FileConflict[]}
+ */
+function findFileConflicts(tasks) {
+  /** @type {Map<string, Task>} */
+  const byId = new Map(tasks.map(t => [String(t.id), t]));
+
+  /**
+   * Depth-first walk of blocked_by (the visited set also stops cycles)
+   * @param {string} id
+   * @returns {Set<string>} Tasks that must resolve before this one
+   */
+  function ancestorsOf(id) {
+    const visited = new Set();
+    const stack = (byId.get(id)?.blocked_by || []).map(String);
+    while (stack.length > 0) {
+      const dep = stack.pop();
+      if (visited.has(dep) || !byId.has(dep)) continue;
+      visited.add(dep);
+      stack.push(...(byId.get(dep).blocked_by || []).map(String));
+    }
+    return visited;
+  }
+
+  const candidates = [...byId.keys()]
+    .filter(id => byId.get(id).status !== 'resolved' && (byId.get(id).files || []).length > 0)
+    .sort(compareIds);
+  const ancestors = new Map(candidates.map(id => [id, ancestorsOf(id)]));
+
+  /** @type {FileConflict[]} */
+  const conflicts = [];
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const [a, b] = [candidates[i], candidates[j]];
+      if (ancestors.get(a).has(b) || ancestors.get(b).has(a)) continue;
+      const filesB = byId.get(b).files || [];
+      const shared = (byId.get(a).files || []).filter(fa => filesB.some(fb => fileEntriesOverlap(fa, fb)));
+      if (shared.length > 0) conflicts.push({ tasks: [a, b], files: shared });
+    }
+  }
+  return conflicts;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/** Node fill colour per task status ('open' is the pending state) */
+const STATUS_COLORS = {
+  pending: '#f1f3f5',
+  in_progress: '#fff3bf',
+  resolved: '#d3f9d8',
+  blocked: '#ffc9c9',
+};
+
+/**
+ * Colour group for a task status
+ * @param {string} status
+ * @returns {'pending' | 'in_progress' | 'resolved' | 'blocked'}
+ */
+function statusGroup(status) {
+  return status === 'in_progress' || status === 'resolved' || status === 'blocked' ? status : 'pending';
+}
+
+/**
+ * Mermaid-safe node ID for a task ID. Characters other than ASCII letters and
+ * digits become _<hex code point>_, so distinct IDs (1.2, 1_2) never collide.
+ * @param {string} id
+ * @returns {string}
+ */
+function mermaidId(id) {
+  return `t_${String(id).replace(/[^A-Za-z0-9]/gu, ch => `_${ch.codePointAt(0).toString(16)}_`)}`;
+}
+
+/**
+ * Mermaid-safe label text
+ * @param {string} text
+ * @returns {string}
+ */
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+/**
+ * DOT-safe quoted string
+ * @param {string} text
+ * @returns {string}
+ */
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Sorted tasks plus the blocked_by edges to draw
+ * @param {Task[]} tasks
+ * @param {GraphAnalysis} analysis
+ * @returns {{sorted: Task[], edges: {from: string, to: string, dangling: boolean}[], missing: string[]}}
+ */
+function collectGraph(tasks, analysis) {
+  const sorted = [...tasks].sort((a, b) => compareIds(String(a.id), String(b.id)));
+  const edges = [];
+  for (const task of sorted) {
+    for (const dep of new Set((task.blocked_by || []).map(String))) {
+      const dangling = analysis.dangling.some(d => d.task === String(task.id) && d.missing === dep);
+      edges.push({ from: dep, to: String(task.id), dangling });
+    }
+  }
+  return { sorted, edges, missing: [...new Set(analysis.dangling.map(d => d.missing))] };
+}
+
+/**
+ * Render the task graph as a Mermaid flowchart.
+ * Nodes are filled by status; edges point from blocker to blocked task.
+ * @param {Task[]} tasks
+ * @param {GraphAnalysis} analysis - Result of analyzeTaskGraph
+ * @param {Object} [options]
+ * @param {boolean} [options.highlight=true] - Outline the critical path and unreachable tasks
+ * @returns {string}
+ */
+function renderMermaid(tasks, analysis, options = {}) {
+  const { highlight = true } = options;
+  const { sorted, edges, missing } = collectGraph(tasks, analysis);
+  const lines = ['flowchart TD'];
+
+  for (const task of sorted) {
+    lines.push(`  ${mermaidId(task.id)}["${mermaidLabel(`${task.id}: ${task.subject}`)}"]:::${statusGroup(task.status)}`);
+  }
+  for (const id of missing) {
+    lines.push(`  ${mermaidId(id)}["${mermaidLabel(`${id}: missing`)}"]:::missing`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${mermaidId(edge.from)} ${edge.dangling ? '-.->' : '-->'} ${mermaidId(edge.to)}`);
+  }
+
+  for (const [group, color] of Object.entries(STATUS_COLORS)) {
+    lines.push(`  classDef ${group} fill:${color},stroke:#495057`);
+  }
+  lines.push('  classDef missing fill:#ffffff,stroke:#868e96,stroke-dasharray:4');
+
+  if (highlight) {
+    const critical = analysis.critical_path.tasks;
+    const problem = analysis.unreachable.map(u => u.id);
+    lines.push('  classDef critical stroke:#d9480f,stroke-width:3px');
+    lines.push('  classDef problem stroke:#c92a2a,stroke-width:2px,stroke-dasharray:5');
+    if (critical.length > 0) {
+      lines.push(`  class ${critical.map(mermaidId).join(',')} critical`);
+    }
+    if (problem.length > 0) {
+      lines.push(`  class ${problem.map(mermaidId).join(',')} problem`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the task graph as Graphviz DOT.
+ * Nodes are filled by status; edges point from blocker to blocked task.
+ * @param {Task[]} tasks
+ * @param {GraphAnalysis} analysis - Result of analyzeTaskGraph
+ * @param {Object} [options]
+ * @param {boolean} [options.highlight=true] - Outline the critical path and unreachable tasks
+ * @returns {string}
+ */
+function renderDot(tasks, analysis, options = {}) {
+  const { highlight = true } = options;
+  const { sorted, edges, missing } = collectGraph(tasks, analysis);
+  const critical = new Set(highlight ? analysis.critical_path.tasks : []);
+  const problem = new Set(highlight ? analysis.unreachable.map(u => u.id) : []);
+  const lines = ['digraph tasks {', '  rankdir=TB;', '  node [shape=box, style=filled];'];
+
+  for (const task of sorted) {
+    const id = String(task.id);
+    const attrs = [
+      `label=${dotString(`${id}: ${task.subject}`)}`,
+      `fillcolor="${STATUS_COLORS[statusGroup(task.status)]}"`,
+    ];
+    if (critical.has(id)) attrs.push('color="#d9480f"', 'penwidth=3');
+    if (problem.has(id)) attrs.push('color="#c92a2a"', 'style="filled,dashed"');
+    lines.push(`  ${dotString(id)} [${attrs.join(', ')}];`);
+  }
+  for (const id of missing) {
+    lines.push(`  ${dotString(id)} [label=${dotString(`${id}: missing`)}, style=dashed];`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)}${edge.dangling ? ' [style=dashed]' : ''};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+module.exports = {
+  COMPLEXITY_WEIGHTS,
+  STATUS_COLORS,
+  statusGroup,
+  compareIds,
+  taskWeight,
+  findCycles,
+  findFileConflicts,
+  analyzeTaskGraph,
+  renderMermaid,
+  renderDot,
+};
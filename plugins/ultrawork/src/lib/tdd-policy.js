@@ -0,0 +1,258 @@
+/**
+ * TDD Policy
+ * Decides which files count as tests, which files need a preceding test, and
+ * which test is expected for an implementation file. Used by gate-enforcement.js
+ * to enforce test-first order for TDD tasks.
+ *
+ * Defaults can be overridden per project in {working-dir}/.claude/ultrawork-rules.json:
+ *
+ *   "tdd": {
+ *     "test_patterns": ["**\/*.test.ts", "tests/**"],
+ *     "source_roots": ["src"],
+ *     "exempt": ["src/generated/**", "**\/migrations/**", "*.config.*"],
+ *     "test_mapping": [
+ *       { "source": "src/**\/*.ts", "test": ["tests/{dir}/{name}.test{ext}"] }
+ *     ]
+ *   }
+ *
+ * Each key replaces the default. Patterns are globs matched against paths
+ * relative to the working dir. Mapping templates support {dir} (directory
+ * relative to the static prefix of the source glob), {name} (file name without
+ * extension) and {ext} (extension including the dot).
+ */
+
+const path = require('path');
+const { loadProjectRules } = require('./verify-rules.js');
+const { readEvidenceEntries } = require('./evidence-log.js');
+
+/**
+ * @typedef {Object} TestMapping
+ * @property {string} source - Glob for implementation files
+ * @property {string | string[]} test - Expected test path template(s)
+ */
+
+/**
+ * @typedef {Object} TddPolicy
+ * @property {string[]} test_patterns - Globs for test files
+ * @property {string[]} source_roots - Directories or globs that require a preceding test (empty = everywhere)
+ * @property {string[]} exempt - Globs that never require a test (generated code, migrations, configs)
+ * @property {TestMapping[]} test_mapping - Implementation file to expected test file
+ */
+
+/** @type {TddPolicy} */
+const DEFAULT_TDD_POLICY = {
+  test_patterns: [
+    '**/*.test.*',
+    '**/*.spec.*',
+    '**/__tests__/**',
+    '**/tests/**',
+    '**/test/**',
+    '**/*_test.{js,ts,py}',
+  ],
+  source_roots: [],
+  exempt: [],
+  test_mapping: [],
+};
+
+// ============================================================================
+// Policy Loading
+// ============================================================================
+
+/**
+ * Load the TDD policy for a project (defaults when no project config exists)
+ * @param {string} [workingDir]
+ * @returns {TddPolicy}
+ */
+function loadTddPolicy(workingDir) {
+  let projectTdd = null;
+  try {
+    projectTdd = loadProjectRules(workingDir)?.tdd || null;
+  } catch {
+    // Invalid project rules - fall back to defaults
+  }
+
+  /** @type {TddPolicy} */
+  const policy = { ...DEFAULT_TDD_POLICY };
+  if (projectTdd && typeof projectTdd === 'object') {
+    for (const key of Object.keys(DEFAULT_TDD_POLICY)) {
+      if (Array.isArray(projectTdd[key])) {
+        policy[key] = projectTdd[key];
+      }
+    }
+  }
+  return policy;
+}
+
+// ============================================================================
+// Path Matching
+// ============================================================================
+
+/**
+ * Path used for pattern matching: relative to workingDir (forward slashes)
+ * when inside it, otherwise the absolute path
+ * @param {string} filePath
+ * @param {string} [workingDir]
+ * @returns {string}
+ */
+function toProjectPath(filePath, workingDir) {
+  const absolute = workingDir ? path.resolve(workingDir, filePath) : path.resolve(filePath);
+  if (workingDir) {
+    const relative = path.relative(path.resolve(workingDir), absolute);
+    if (relative && relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative)) {
+      return relative.split(path.sep).join('/');
+    }
+  }
+  return absolute.split(path.sep).join('/');
+}
+
+/**
+ * Check a glob pattern for wildcard characters
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasGlobChars(pattern) {
+  return /[*?[\]{}]/.test(pattern);
+}
+
+/**
+ * Check a project path against a list of globs
+ * @param {string[]} patterns
+ * @param {string} projectPath
+ * @returns {boolean}
+ */
+function matchesAny(patterns, projectPath) {
+  return patterns.some(pattern => new Bun.Glob(pattern).match(projectPath));
+}
+
+/**
+ * Check if a file is a test file
+ * @param {string} filePath
+ * @param {TddPolicy} policy
+ * @param {string} [workingDir]
+ * @returns {boolean}
+ */
+function isTestFile(filePath, policy, workingDir) {
+  if (!filePath) return false;
+  return matchesAny(policy.test_patterns, toProjectPath(filePath, workingDir));
+}
+
+/**
+ * Check if writing a file requires a preceding test.
+ * Test files and exempt files never do; with source_roots set, only files under them do.
+ * @param {string} filePath
+ * @param {TddPolicy} policy
+ * @param {string} [workingDir]
+ * @returns {boolean}
+ */
+function requiresTest(filePath, policy, workingDir) {
+  if (!filePath) return false;
+  const projectPath = toProjectPath(filePath, workingDir);
+
+  if (matchesAny(policy.test_patterns, projectPath) || matchesAny(policy.exempt, projectPath)) {
+    return false;
+  }
+  if (policy.source_roots.length === 0) {
+    return true;
+  }
+
+  const roots = policy.source_roots.map(root =>
+    hasGlobChars(root) ? root : `${root.replace(/\/+$/, '')}/**`);
+  return matchesAny(roots, projectPath);
+}
+
+/**
+ * Static directory prefix of a glob ("src/lib/**\/*.ts" -> "src/lib")
+ * @param {string} pattern
+ * @returns {string}
+ */
+function globBase(pattern) {
+  const parts = pattern.split('/');
+  const base = [];
+  for (const part of parts.slice(0, -1)) {
+    if (hasGlobChars(part)) break;
+    base.push(part);
+  }
+  return base.join('/');
+}
+
+/**
+ * Expected test files for an implementation file, from test_mapping
+ * @param {string} filePath
+ * @param {TddPolicy} policy
+ * @param {string} [workingDir]
+ * @returns {string[]} Project-relative test paths (empty when no mapping applies)
+ */
+function expectedTestFiles(filePath, policy, workingDir) {
+  const projectPath = toProjectPath(filePath, workingDir);
+  const expected = [];
+
+  for (const mapping of policy.test_mapping) {
+    if (!mapping || !mapping.source || !new Bun.Glob(mapping.source).match(projectPath)) continue;
+
+    const base = globBase(mapping.source);
+    const relative = base ? path.posix.relative(base, projectPath) : projectPath;
+    const ext = path.posix.extname(projectPath);
+    const tokens = {
+      dir: path.posix.dirname(relative) === '.' ? '' : path.posix.dirname(relative),
+      name: path.posix.basename(projectPath, ext),
+      ext,
+    };
+
+    const templates = Array.isArray(mapping.test) ? mapping.test : [mapping.test];
+    for (const template of templates.filter(Boolean)) {
+      const rendered = template.replace(/\{(dir|name|ext)\}/g, (_, key) => tokens[key]);
+      expected.push(path.posix.normalize(rendered).replace(/^\.\//, ''));
+    }
+  }
+
+  return [...new Set(expected)];
+}
+
+// ============================================================================
+// Test-First Check
+// ============================================================================
+
+/**
+ * Check whether one of the expected tests was written before the implementation:
+ * a write/edit of it is in the session evidence log, or the task has typed file
+ * evidence for it or test evidence whose command runs it. Notes that merely
+ * mention the test do not count.
+ * @param {string[]} expected - Project-relative test paths
+ * @param {Object} context
+ * @param {string} context.sessionDir - Session directory
+ * @param {import('./types.js').Task} context.task - Current TDD task
+ * @param {string} [context.workingDir]
+ * @returns {boolean}
+ */
+function hasMatchingTestWritten(expected, context) {
+  const { sessionDir, task, workingDir } = context;
+  const wanted = new Set(expected);
+
+  const recorded = (task.evidence || []).some(e => {
+    if (!e || typeof e !== 'object') return false;
+    if (e.kind === 'file' && e.path) {
+      return wanted.has(toProjectPath(e.path, workingDir));
+    }
+    if (e.kind === 'test' && e.command) {
+      return e.command.split(/\s+/).some(word => word && wanted.has(toProjectPath(word.replace(/^['"]|['"]$/g, ''), workingDir)));
+    }
+    return false;
+  });
+  if (recorded) {
+    return true;
+  }
+
+  return readEvidenceEntries(sessionDir, { type: 'file_operation' }).some(entry =>
+    (entry.operation === 'write' || entry.operation === 'edit') &&
+    wanted.has(toProjectPath(entry.path, workingDir)));
+}
+
+module.exports = {
+  DEFAULT_TDD_POLICY,
+  loadTddPolicy,
+  toProjectPath,
+  isTestFile,
+  requiresTest,
+  expectedTestFiles,
+  hasMatchingTestWritten,
+};
@@ -0,0 +1,498 @@
+/**
+ * Test Report Parsing
+ * Extracts per-test results from structured test reports so test_result
+ * evidence records counts, durations and failing test names instead of a
+ * truncated output preview.
+ *
+ * Supported formats:
+ * - junit: JUnit XML, written to a file referenced by the command or printed to stdout
+ * - tap:   TAP streams (node --test, tape, ...)
+ * - bun:   `bun test` console output
+ * - json:  jest/vitest JSON reporter output (--json, --reporter=json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {import('./types.js').TestCounts} TestCounts
+ * @typedef {import('./types.js').FailedTest} FailedTest
+ */
+
+/**
+ * @typedef {Object} TestReport
+ * @property {'junit' | 'tap' | 'bun' | 'json'} format
+ * @property {TestCounts} counts
+ * @property {number} [duration_ms] - Total run duration
+ * @property {FailedTest[]} failed_tests - Capped at MAX_FAILED_TESTS
+ * @property {string} [source] - Report file path (file-based reports only)
+ */
+
+/** Failing tests recorded per report (counts stay exact) */
+const MAX_FAILED_TESTS = 20;
+
+/** Failure message length kept per failing test */
+const MAX_MESSAGE_LENGTH = 200;
+
+/** Report files larger than this are ignored */
+const MAX_REPORT_BYTES = 5 * 1024 * 1024;
+
+/** Report files older than this were not written by the current command */
+const REPORT_MAX_AGE_MS = 10 * 60 * 1000;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Remove ANSI color codes
+ * @param {string} text
+ * @returns {string}
+ */
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Round a duration to 2 decimal places
+ * @param {number} ms
+ * @returns {number}
+ */
+function roundMs(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+/**
+ * Build a FailedTest record, dropping empty fields
+ * @param {string} name
+ * @param {number} [durationMs]
+ * @param {string} [message]
+ * @returns {FailedTest}
+ */
+function failedTest(name, durationMs, message) {
+  /** @type {FailedTest} */
+  const entry = { name: name.trim() };
+  if (typeof durationMs === 'number' && !Number.isNaN(durationMs)) {
+    entry.duration_ms = roundMs(durationMs);
+  }
+  if (message) {
+    const text = stripAnsi(String(message)).trim();
+    if (text) entry.message = text.slice(0, MAX_MESSAGE_LENGTH);
+  }
+  return entry;
+}
+
+/**
+ * Assemble a TestReport
+ * @param {TestReport['format']} format
+ * @param {TestCounts} counts
+ * @param {FailedTest[]} failures
+ * @param {number} [durationMs]
+ * @returns {TestReport}
+ */
+function buildReport(format, counts, failures, durationMs) {
+  /** @type {TestReport} */
+  const report = {
+    format,
+    counts,
+    failed_tests: failures.slice(0, MAX_FAILED_TESTS),
+  };
+  if (typeof durationMs === 'number' && !Number.isNaN(durationMs)) {
+    report.duration_ms = roundMs(durationMs);
+  }
+  return report;
+}
+
+// ============================================================================
+// JUnit XML
+// ============================================================================
+
+/**
+ * Decode the predefined XML entities
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse XML attributes from a tag's attribute string
+ * @param {string} attrText
+ * @returns {Object<string, string>}
+ */
+function parseXmlAttributes(attrText) {
+  const attrs = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(attrText)) !== null) {
+    attrs[match[1]] = decodeXml(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+/**
+ * Parse a JUnit XML report
+ * @param {string} xml
+ * @returns {TestReport | null} Null when the document has no test cases
+ */
+function parseJUnitXml(xml) {
+  if (!xml || !/<testsuites?\b/.test(xml)) {
+    return null;
+  }
+
+  const counts = { total: 0, passed: 0, failed: 0, skipped: 0 };
+  const failures = [];
+  let caseDuration = 0;
+
+  const casePattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  let match;
+  while ((match = casePattern.exec(xml)) !== null) {
+    const attrs = parseXmlAttributes(match[1]);
+    const body = match[2] || '';
+    const durationMs = attrs.time !== undefined ? parseFloat(attrs.time) * 1000 : undefined;
+    if (durationMs !== undefined && !Number.isNaN(durationMs)) {
+      caseDuration += durationMs;
+    }
+
+    counts.total++;
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    if (failure) {
+      counts.failed++;
+      const failureAttrs = parseXmlAttributes(failure[2]);
+      const name = attrs.classname ? `${attrs.classname} > ${attrs.name || ''}` : (attrs.name || '');
+      const message = failureAttrs.message || decodeXml(failure[3] || '').replace(/<!\[CDATA\[|\]\]>/g, '');
+      failures.push(failedTest(name, durationMs, message));
+    } else if (/<skipped\b/.test(body)) {
+      counts.skipped++;
+    } else {
+      counts.passed++;
+    }
+  }
+
+  if (counts.total === 0) {
+    return null;
+  }
+
+  // Prefer the suite-level wall time over the sum of test cases
+  const rootMatch = xml.match(/<testsuites\b([^>]*)>/);
+  const rootTime = rootMatch ? parseXmlAttributes(rootMatch[1]).time : undefined;
+  const durationMs = rootTime !== undefined ? parseFloat(rootTime) * 1000 : caseDuration;
+
+  return buildReport('junit', counts, failures, durationMs);
+}
+
+// ============================================================================
+// TAP
+// ============================================================================
+
+/**
+ * Parse a TAP stream. Nested subtests (node --test) are counted at the leaf
+ * level: a parent test point is printed right after its last child, at a
+ * shallower indentation.
+ * @param {string} output
+ * @returns {TestReport | null} Null when the output is not TAP
+ */
+function parseTap(output) {
+  if (!output || !/^TAP version \d+|^\s*1\.\.\d+\s*$/m.test(output)) {
+    return null;
+  }
+
+  const lines = output.split('\n');
+  const points = [];
+  const pointPattern = /^(\s*)(not ok|ok)\b(?:\s+\d+)?(?:\s+-)?\s*(.*?)\s*$/;
+  let yaml = null;
+
+  for (const line of lines) {
+    if (yaml) {
+      if (/^\s*\.\.\.\s*$/.test(line)) {
+        yaml = null;
+        continue;
+      }
+      const duration = line.match(/^\s*duration_ms:\s*([\d.]+)/);
+      if (duration) yaml.duration_ms = parseFloat(duration[1]);
+      const message = line.match(/^\s*(?:message|error):\s*(.+)$/);
+      if (message && !yaml.message) yaml.message = message[1].replace(/^(['"])(.*)\1$/, '$2');
+      continue;
+    }
+
+    if (/^\s*---\s*$/.test(line) && points.length > 0) {
+      yaml = points[points.length - 1];
+      continue;
+    }
+
+    const match = line.match(pointPattern);
+    if (!match) continue;
+
+    // "ok 3 - name # SKIP reason"
+    const comment = match[3].match(/^(.*?)\s*#\s*(.*)$/);
+    points.push({
+      indent: match[1].length,
+      ok: match[2] === 'ok',
+      name: comment ? comment[1] : match[3],
+      skipped: comment ? /^(skip|todo)/i.test(comment[2]) : false,
+    });
+  }
+
+  if (points.length === 0) {
+    return null;
+  }
+
+  const counts = { total: 0, passed: 0, failed: 0, skipped: 0 };
+  const failures = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    const isParent = i > 0 && points[i - 1].indent > point.indent;
+    if (isParent) continue;
+
+    counts.total++;
+    if (point.skipped) {
+      counts.skipped++;
+    } else if (point.ok) {
+      counts.passed++;
+    } else {
+      counts.failed++;
+      failures.push(failedTest(point.name, point.duration_ms, point.message));
+    }
+  }
+
+  const totalDuration = output.match(/^# duration_ms\s+([\d.]+)/m);
+  return buildReport('tap', counts, failures, totalDuration ? parseFloat(totalDuration[1]) : undefined);
+}
+
+// ============================================================================
+// bun test
+// ============================================================================
+
+/**
+ * Convert a bun duration ("[1.23ms]" / "[2.00s]") to milliseconds
+ * @param {string} value
+ * @param {string} unit
+ * @returns {number}
+ */
+function bunDuration(value, unit) {
+  return unit === 's' ? parseFloat(value) * 1000 : parseFloat(value);
+}
+
+/**
+ * Parse `bun test` console output. Passing tests are not always listed, so
+ * counts come from the summary lines when present.
+ * @param {string} output
+ * @returns {TestReport | null} Null when the output is not from bun test
+ */
+function parseBunTestOutput(output) {
+  if (!output) {
+    return null;
+  }
+
+  const summaryCount = (label) => {
+    const match = output.match(new RegExp(`^\\s*(\\d+) ${label}\\s*$`, 'm'));
+    return match ? parseInt(match[1], 10) : null;
+  };
+
+  const ran = output.match(/^Ran (\d+) tests? across \d+ files?\.(?:\s*\[([\d.]+)(ms|s)\])?/m);
+  const pass = summaryCount('pass');
+  const fail = summaryCount('fail');
+  const resultLines = output.match(/^\((?:pass|fail|skip|todo)\) /gm) || [];
+
+  if (!ran && pass === null && fail === null && resultLines.length === 0) {
+    return null;
+  }
+
+  const failures = [];
+  const failPattern = /^\(fail\) (.+?)(?: \[([\d.]+)(ms|s)\])?\s*$/gm;
+  let match;
+  while ((match = failPattern.exec(output)) !== null) {
+    const durationMs = match[2] ? bunDuration(match[2], match[3]) : undefined;
+    failures.push(failedTest(match[1], durationMs));
+  }
+
+  const countLines = (status) => (output.match(new RegExp(`^\\(${status}\\) `, 'gm')) || []).length;
+  const skip = summaryCount('skip');
+  const todo = summaryCount('todo');
+
+  const passed = pass ?? countLines('pass');
+  const failed = fail ?? failures.length;
+  const skipped = (skip ?? countLines('skip')) + (todo ?? countLines('todo'));
+  const counts = {
+    total: ran ? parseInt(ran[1], 10) : passed + failed + skipped,
+    passed,
+    failed,
+    skipped,
+  };
+
+  const durationMs = ran && ran[2] ? bunDuration(ran[2], ran[3]) : undefined;
+  return buildReport('bun', counts, failures, durationMs);
+}
+
+// ============================================================================
+// jest / vitest JSON
+// ============================================================================
+
+/**
+ * Extract the JSON reporter document from command output
+ * @param {string} output
+ * @returns {Object | null}
+ */
+function extractJsonDocument(output) {
+  const trimmed = output.trim();
+  const candidates = [trimmed];
+  const start = trimmed.indexOf('{"');
+  const end = trimmed.lastIndexOf('}');
+  if (start > 0 && end > start) {
+    candidates.push(trimmed.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate.startsWith('{')) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse jest/vitest JSON reporter output
+ * @param {string} output
+ * @returns {TestReport | null} Null when the output is not a JSON report
+ */
+function parseJsonReport(output) {
+  if (!output || !output.includes('numTotalTests')) {
+    return null;
+  }
+
+  const doc = extractJsonDocument(output);
+  if (!doc || typeof doc.numTotalTests !== 'number') {
+    return null;
+  }
+
+  const counts = {
+    total: doc.numTotalTests,
+    passed: doc.numPassedTests || 0,
+    failed: doc.numFailedTests || 0,
+    skipped: (doc.numPendingTests || 0) + (doc.numTodoTests || 0),
+  };
+
+  const failures = [];
+  let lastEnd = 0;
+  for (const file of doc.testResults || []) {
+    if (typeof file.endTime === 'number') lastEnd = Math.max(lastEnd, file.endTime);
+    for (const assertion of file.assertionResults || []) {
+      if (assertion.status !== 'failed') continue;
+      const name = assertion.fullName ||
+        [...(assertion.ancestorTitles || []), assertion.title].filter(Boolean).join(' > ');
+      failures.push(failedTest(name, assertion.duration ?? undefined, (assertion.failureMessages || [])[0]));
+    }
+  }
+
+  const durationMs = typeof doc.startTime === 'number' && lastEnd > doc.startTime
+    ? lastEnd - doc.startTime
+    : undefined;
+
+  return buildReport('json', counts, failures, durationMs);
+}
+
+// ============================================================================
+// Report Discovery
+// ============================================================================
+
+/**
+ * Find report file paths referenced by a test command
+ * (--junitxml, --outputFile, --reporter-outfile, JEST_JUNIT_OUTPUT_FILE, > file.xml, tee file.xml)
+ * @param {string} command
+ * @returns {string[]} Paths ending in .xml or .json, in order of appearance
+ */
+function findReportPaths(command) {
+  const patterns = [
+    /(?:--junit-?xml|--outputFile(?:\.[\w-]+)?|--output-file|--reporter-outfile|JEST_JUNIT_OUTPUT_FILE)(?:=|\s+)(["']?)([^\s"';|&]+)\1/g,
+    /(?:>|\btee\s+(?:-a\s+)?)\s*(["']?)([^\s"';|&]+)\1/g,
+  ];
+
+  const paths = [];
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(command)) !== null) {
+      const candidate = match[2];
+      if (/\.(xml|json)$/i.test(candidate) && !paths.includes(candidate)) {
+        paths.push(candidate);
+      }
+    }
+  }
+  return paths;
+}
+
+/**
+ * Read and parse a report file written by the command
+ * @param {string} filePath - Absolute path
+ * @param {number} now - Current time (ms)
+ * @returns {TestReport | null}
+ */
+function readReportFile(filePath, now) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+  if (!stat.isFile() || stat.size > MAX_REPORT_BYTES || stat.mtimeMs < now - REPORT_MAX_AGE_MS) {
+    return null;
+  }
+
+  const content = fs.readFileSync(filePath, 'utf-8');
+  return filePath.toLowerCase().endsWith('.xml')
+    ? parseJUnitXml(content)
+    : parseJsonReport(content);
+}
+
+/**
+ * Parse the structured test report produced by a test command.
+ * Report files referenced by the command take precedence over the output.
+ * @param {string} command - Test command
+ * @param {string} output - Command stdout and stderr
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory relative report paths resolve against
+ * @param {number} [options.now] - Current time in ms (for report freshness)
+ * @returns {TestReport | null} Null when no structured report was found
+ */
+function parseTestReport(command, output, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const now = options.now ?? Date.now();
+
+  for (const reportPath of findReportPaths(command || '')) {
+    const filePath = path.resolve(cwd, reportPath);
+    try {
+      const report = readReportFile(filePath, now);
+      if (report) {
+        return { ...report, source: filePath };
+      }
+    } catch {
+      // Unreadable report - fall back to output parsing
+    }
+  }
+
+  const text = stripAnsi(output || '');
+  return parseJsonReport(text) ||
+    parseJUnitXml(text) ||
+    parseBunTestOutput(text) ||
+    parseTap(text);
+}
+
+module.exports = {
+  MAX_FAILED_TESTS,
+  parseJUnitXml,
+  parseTap,
+  parseBunTestOutput,
+  parseJsonReport,
+  findReportPaths,
+  parseTestReport,
+};
@@ -21,6 +21,7 @@
  * @property {number} max_iterations
  * @property {boolean} plan_only
  * @property {boolean} auto_mode
+ * @property {'enforce' | 'audit'} [gate_mode] - Overrides gates.mode from the project rules
  */
 
 /**
@@ -51,6 +52,22 @@
  * @property {string | null} cancelled_at
  */
 
+/**
+ * One field change recorded in history.jsonl
+ * @typedef {Object} HistoryChange
+ * @property {string} field - Dotted field path (e.g. "phase", "plan.approved_at")
+ * @property {any} old - Previous value (null when absent; large values summarized)
+ * @property {any} new - New value (null when removed; large values summarized)
+ */
+
+/**
+ * One updateSession mutation recorded in history.jsonl
+ * @typedef {Object} HistoryEvent
+ * @property {string} timestamp - ISO timestamp (matches session.updated_at)
+ * @property {string} caller - Script or hook that made the change (e.g. "session-update.js")
+ * @property {HistoryChange[]} changes
+ */
+
 // ============================================================================
 // Task Types
 // ============================================================================
@@ -78,14 +95,39 @@
  * @property {TaskStatus} status
  * @property {string[]} blocked_by
  * @property {string[]} criteria
- * @property {string[]} evidence - Evidence entries (plain text descriptions)
+ * @property {TaskEvidence[]} evidence - Typed evidence records (legacy tasks may still hold strings)
  * @property {string} created_at
  * @property {string} updated_at
  * @property {string} [started_at]
  * @property {string} [resolved_at]
+ * @property {string} [blocked_reason] - Why the task is blocked (set by resume reconciliation)
  * @property {TaskApproach} [approach] - 'tdd' requires test-first evidence
  * @property {string} [test_file] - Expected test file path (for TDD tasks)
  * @property {string} [test_scope] - Test scope (e.g., unit, integration, e2e)
+ * @property {string[]} [allowed_paths] - Protected-path globs this task may write (gates.protected_paths)
+ * @property {string[]} [files] - Files or globs the task owns; other in-progress tasks may not edit them
+ */
+
+/**
+ * @typedef {'command' | 'file' | 'test' | 'log_ref' | 'note'} TaskEvidenceKind
+ */
+
+/**
+ * @typedef {Object} TaskEvidence
+ * @property {TaskEvidenceKind} kind
+ * @property {string} description - Human-readable summary
+ * @property {string} [created_at] - Missing on migrated entries
+ * @property {string} [command] - command, test
+ * @property {number} [exit_code] - command, test
+ * @property {string} [output] - command (max 2KB)
+ * @property {boolean} [passed] - test (exit_code === 0)
+ * @property {string} [path] - file
+ * @property {string} [sha256] - file hash when the evidence was added
+ * @property {number} [log_line] - log_ref: 1-based entry number in the evidence log (across segments)
+ * @property {string} [entry_type] - log_ref: type of the referenced log entry
+ * @property {boolean} [migrated] - Converted from legacy string evidence
+ * @property {number} [redactions] - Secrets masked in this record
+ * @property {number} [criterion] - 1-based index into task.criteria this evidence supports
  */
 
 // ============================================================================
@@ -150,6 +192,9 @@
  * @property {string} command
  * @property {number} exit_code
  * @property {string} output_preview - Command output (max 2KB)
+ * @property {number} [redactions] - Secrets masked in this entry
+ * @property {string} [agent_id] - Worker agent that ran the tool (absent for the main agent)
+ * @property {string} [task_id] - Task the worker was assigned, when known
  */
 
 /**
@@ -158,6 +203,15 @@
  * @property {string} timestamp
  * @property {string} operation - Operation type: 'write' or 'edit' (read operations not tracked)
  * @property {string} path
+ * @property {string | null} [before_sha256] - Content hash before the change (null when unknown)
+ * @property {string | null} [after_sha256] - Content hash after the change (null when unreadable)
+ * @property {number} [lines_added] - When both contents are known text
+ * @property {number} [lines_removed]
+ * @property {string} [diff] - Unified diff hunks, bounded by evidence.max_diff_chars
+ * @property {boolean} [diff_truncated]
+ * @property {number} [redactions] - Secrets masked in this entry
+ * @property {string} [agent_id] - Worker agent that ran the tool (absent for the main agent)
+ * @property {string} [task_id] - Task the worker was assigned, when known
  */
 
 /**
@@ -172,9 +226,33 @@
  * @typedef {Object} TestEvidence
  * @property {'test_result'} type
  * @property {string} timestamp
+ * @property {string} [command] - Test command (missing on entries logged before it was recorded)
  * @property {boolean} passed
  * @property {string} framework
  * @property {string} output_preview - Test output (max 2KB)
+ * @property {'junit' | 'tap' | 'bun' | 'json'} [report_format] - Structured report the fields below came from
+ * @property {TestCounts} [counts] - Per-test pass/fail/skip counts
+ * @property {number} [duration_ms] - Total run duration
+ * @property {FailedTest[]} [failed_tests] - Failing tests (first 20)
+ * @property {string} [report_file] - Report file written by the command
+ * @property {number} [redactions] - Secrets masked in this entry
+ * @property {string} [agent_id] - Worker agent that ran the tool (absent for the main agent)
+ * @property {string} [task_id] - Task the worker was assigned, when known
+ */
+
+/**
+ * @typedef {Object} TestCounts
+ * @property {number} total
+ * @property {number} passed
+ * @property {number} failed
+ * @property {number} skipped
+ */
+
+/**
+ * @typedef {Object} FailedTest
+ * @property {string} name - Test name (suite path joined with " > ")
+ * @property {number} [duration_ms]
+ * @property {string} [message] - First failure message (max 200 chars)
  */
 
 // Export types (for JSDoc references in other files)
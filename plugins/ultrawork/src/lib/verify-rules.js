@@ -0,0 +1,606 @@
+/**
+ * Verification Rules
+ * Rule loading, merging, and check execution shared by deterministic-verify.js
+ * (completion checks) and session-update.js (phase transition checks).
+ *
+ * Rules come from:
+ * 1. Default rules: ../rules/phase-rules.json
+ * 2. Project overrides: {working-dir}/.claude/ultrawork-rules.json
+ *
+ * Built-in check types: task_status, task_count, evidence_count, command, glob, doc_sections,
+ * criteria_coverage, blocked_patterns
+ * Custom check types: registered via "check_types", mapping a type name to a
+ * JS module (path relative to the working dir).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { readSession } = require('./session-io.js');
+const { getSessionDir } = require('./session-paths.js');
+const { buildCriteriaMatrix, missingCriteria } = require('./criteria-matrix.js');
+const { loadIndex } = require('./evidence-log.js');
+
+// ============================================================================
+// Rule Loading & Merging
+// ============================================================================
+
+/**
+ * Load default rules bundled with the plugin
+ * @returns {Object}
+ */
+function loadDefaultRules() {
+  const rulesPath = path.join(__dirname, '..', 'rules', 'phase-rules.json');
+  const content = fs.readFileSync(rulesPath, 'utf-8');
+  return JSON.parse(content);
+}
+
+/**
+ * Load project rules from {workingDir}/.claude/ultrawork-rules.json
+ * @param {string} [workingDir]
+ * @returns {Object|null} Rules or null when absent
+ */
+function loadProjectRules(workingDir) {
+  if (!workingDir) return null;
+  const rulesPath = path.join(workingDir, '.claude', 'ultrawork-rules.json');
+  if (!fs.existsSync(rulesPath)) return null;
+  const content = fs.readFileSync(rulesPath, 'utf-8');
+  return JSON.parse(content);
+}
+
+/**
+ * Merge two check lists by name. Same name -> override wins.
+ * @param {Object[]} baseChecks
+ * @param {Object[]} overrideChecks
+ * @returns {Object[]}
+ */
+function mergeByName(baseChecks, overrideChecks) {
+  const checksMap = new Map();
+
+  for (const check of baseChecks || []) {
+    checksMap.set(check.name, check);
+  }
+
+  for (const check of overrideChecks || []) {
+    checksMap.set(check.name, check);
+  }
+
+  return Array.from(checksMap.values());
+}
+
+/**
+ * Merge default + project completion checks. Same name -> project wins.
+ * @param {Object} defaultRules
+ * @param {Object|null} projectRules
+ * @returns {Object[]}
+ */
+function mergeChecks(defaultRules, projectRules) {
+  return mergeByName(defaultRules.checks, projectRules && projectRules.checks);
+}
+
+/**
+ * Build the transition key used in the "transitions" map.
+ * @param {string} from - Current phase
+ * @param {string} to - Requested phase
+ * @returns {string} e.g. "PLANNING->EXECUTION"
+ */
+function transitionKey(from, to) {
+  return `${from}->${to}`;
+}
+
+/**
+ * Find the checks for a transition in a rules object.
+ * Keys may use "->" or "\u2192" as the arrow.
+ * @param {Object|null} rules
+ * @param {string} key - Transition key from transitionKey()
+ * @returns {Object[]}
+ */
+function findTransitionChecks(rules, key) {
+  if (!rules || !rules.transitions) return [];
+  for (const [rawKey, checks] of Object.entries(rules.transitions)) {
+    if (rawKey.replace(/\s*(->|\u2192)\s*/, '->') === key) {
+      return checks || [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Merge default + project checks for a phase transition. Same name -> project wins.
+ * @param {Object} defaultRules
+ * @param {Object|null} projectRules
+ * @param {string} from - Current phase
+ * @param {string} to - Requested phase
+ * @returns {Object[]}
+ */
+function getTransitionChecks(defaultRules, projectRules, from, to) {
+  const key = transitionKey(from, to);
+  return mergeByName(findTransitionChecks(defaultRules, key), findTransitionChecks(projectRules, key));
+}
+
+/**
+ * Merge default + project custom check type registrations. Same type -> project wins.
+ * @param {Object} defaultRules
+ * @param {Object|null} projectRules
+ * @returns {Object.<string, string>} Map of check type -> module path
+ */
+function mergeCheckTypes(defaultRules, projectRules) {
+  return {
+    ...(defaultRules.check_types || {}),
+    ...((projectRules && projectRules.check_types) || {})
+  };
+}
+
+// ============================================================================
+// Check Executors
+// ============================================================================
+
+/**
+ * task_status: verify all tasks match expected status
+ */
+function runTaskStatusCheck(check, sessionDir) {
+  const tasksDir = path.join(sessionDir, 'tasks');
+  if (!fs.existsSync(tasksDir)) {
+    return { name: check.name, type: check.type, passed: false, detail: 'No tasks directory found' };
+  }
+
+  const taskFiles = fs.readdirSync(tasksDir).filter(f => f.endsWith('.json'));
+  if (taskFiles.length === 0) {
+    return { name: check.name, type: check.type, passed: false, detail: 'No task files found' };
+  }
+
+  const expected = check.expected || 'resolved';
+  const failedTasks = [];
+
+  for (const file of taskFiles) {
+    const content = fs.readFileSync(path.join(tasksDir, file), 'utf-8');
+    const task = JSON.parse(content);
+    if (task.status !== expected) {
+      failedTasks.push({ id: task.id, status: task.status });
+    }
+  }
+
+  if (failedTasks.length > 0) {
+    return {
+      name: check.name,
+      type: check.type,
+      passed: false,
+      detail: `Tasks not ${expected}: ${failedTasks.map(t => `${t.id}(${t.status})`).join(', ')}`
+    };
+  }
+
+  return { name: check.name, type: check.type, passed: true, detail: `All ${taskFiles.length} tasks are ${expected}` };
+}
+
+/**
+ * task_count: verify at least `min` task files exist (ids in `exclude` are not counted)
+ */
+function runTaskCountCheck(check, sessionDir) {
+  const tasksDir = path.join(sessionDir, 'tasks');
+  const exclude = new Set(check.exclude || []);
+  const min = check.min ?? 1;
+
+  const count = fs.existsSync(tasksDir)
+    ? fs.readdirSync(tasksDir)
+      .filter(f => f.endsWith('.json'))
+      .filter(f => !exclude.has(f.replace(/\.json$/, '')))
+      .length
+    : 0;
+
+  const passed = count >= min;
+  return {
+    name: check.name,
+    type: check.type,
+    passed,
+    detail: passed
+      ? `Found ${count} tasks (min: ${min})`
+      : `Found ${count} tasks, need at least ${min}`
+  };
+}
+
+/**
+ * evidence_count: count evidence entries of given type, check >= min
+ */
+function runEvidenceCountCheck(check, sessionDir) {
+  const index = loadIndex(sessionDir);
+  if (index.segments.length === 0) {
+    return { name: check.name, type: check.type, passed: false, detail: 'No evidence log found' };
+  }
+  if (index.segments.every(segment => segment.lines === 0)) {
+    return { name: check.name, type: check.type, passed: false, detail: 'Evidence log is empty' };
+  }
+
+  const evidenceType = check.evidence_type;
+  const min = check.min || 1;
+  const count = index.by_type[evidenceType] || 0;
+
+  const passed = count >= min;
+  return {
+    name: check.name,
+    type: check.type,
+    passed,
+    detail: passed
+      ? `Found ${count} ${evidenceType} entries (min: ${min})`
+      : `Found ${count} ${evidenceType} entries, need at least ${min}`
+  };
+}
+
+/**
+ * command: run shell command, exit 0 = PASS
+ */
+function runCommandCheck(check, workingDir) {
+  const timeout = check.timeout || 30000;
+  const cwd = workingDir || process.cwd();
+
+  try {
+    execSync(check.command, {
+      timeout,
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    return { name: check.name, type: check.type, passed: true, detail: `Command succeeded: ${check.command}` };
+  } catch (err) {
+    if (err.killed || (err.signal === 'SIGTERM')) {
+      return {
+        name: check.name,
+        type: check.type,
+        passed: false,
+        detail: `timeout after ${timeout}ms: ${check.command}`
+      };
+    }
+    return {
+      name: check.name,
+      type: check.type,
+      passed: false,
+      detail: `Command failed (exit ${err.status}): ${check.command}`
+    };
+  }
+}
+
+/**
+ * glob: match files against pattern, count >= min_matches
+ */
+function runGlobCheck(check, workingDir) {
+  const cwd = workingDir || process.cwd();
+  const pattern = check.pattern;
+  const minMatches = check.min_matches || 1;
+
+  // Use Bun.Glob for pattern matching
+  const glob = new Bun.Glob(pattern);
+  const matches = Array.from(glob.scanSync({ cwd, dot: false }));
+
+  const passed = matches.length >= minMatches;
+  return {
+    name: check.name,
+    type: check.type,
+    passed,
+    detail: passed
+      ? `Found ${matches.length} matches for ${pattern} (min: ${minMatches})`
+      : `Found ${matches.length} matches for ${pattern}, need at least ${minMatches}`
+  };
+}
+
+/**
+ * doc_sections: verify a markdown document contains every heading in `sections`.
+ * Document is `check.file` (relative to workingDir) or the session's plan.design_doc.
+ */
+function runDocSectionsCheck(check, sessionId, workingDir) {
+  const cwd = workingDir || process.cwd();
+  let file = check.file;
+
+  if (!file) {
+    try {
+      file = readSession(sessionId).plan?.design_doc;
+    } catch {
+      // Session unreadable; handled as missing document below
+    }
+  }
+
+  if (!file) {
+    return { name: check.name, type: check.type, passed: false, detail: 'No document configured (set file or plan.design_doc)' };
+  }
+
+  const docPath = path.resolve(cwd, file);
+  if (!fs.existsSync(docPath)) {
+    return { name: check.name, type: check.type, passed: false, detail: `Document not found: ${file}` };
+  }
+
+  const headings = fs.readFileSync(docPath, 'utf-8')
+    .split('\n')
+    .map(line => line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/))
+    .filter(Boolean)
+    .map(match => match[1].toLowerCase());
+
+  const missing = (check.sections || []).filter(section =>
+    !headings.some(heading => heading.includes(section.toLowerCase()))
+  );
+
+  if (missing.length > 0) {
+    return {
+      name: check.name,
+      type: check.type,
+      passed: false,
+      detail: `${file} missing sections: ${missing.join(', ')}`
+    };
+  }
+
+  return { name: check.name, type: check.type, passed: true, detail: `${file} has all ${(check.sections || []).length} required sections` };
+}
+
+/**
+ * criteria_coverage: every criterion of every task (ids in `exclude` skipped) has
+ * evidence tagged with it. With `require_concrete`, notes do not count.
+ */
+function runCriteriaCoverageCheck(check, sessionDir) {
+  const tasksDir = path.join(sessionDir, 'tasks');
+  if (!fs.existsSync(tasksDir)) {
+    return { name: check.name, type: check.type, passed: false, detail: 'No tasks directory found' };
+  }
+
+  const exclude = new Set(check.exclude || []);
+  const tasks = fs.readdirSync(tasksDir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(tasksDir, f), 'utf-8')))
+    .filter(task => !exclude.has(String(task.id)));
+
+  const matrix = buildCriteriaMatrix(tasks, { requireConcrete: check.require_concrete === true });
+  const missing = missingCriteria(matrix);
+  const { criteria } = matrix.totals;
+
+  if (missing.length > 0) {
+    const shown = missing.slice(0, 10).map(m => `${m.task}#${m.index}`).join(', ');
+    const more = missing.length > 10 ? ` (+${missing.length - 10} more)` : '';
+    return {
+      name: check.name,
+      type: check.type,
+      passed: false,
+      detail: `${missing.length} of ${criteria} criteria without evidence: ${shown}${more}`
+    };
+  }
+
+  return { name: check.name, type: check.type, passed: true, detail: `All ${criteria} criteria have evidence` };
+}
+
+/**
+ * blocked_patterns: no blocked pattern (TODO, FIXME, placeholder, ...) was added to the
+ * changed files since the git `base`. Files come from file_operation evidence (optionally
+ * one `task`'s) or, with `source: "git"`, from git diff. Fails on error-severity hits,
+ * or on warnings too with `fail_on: "warning"`.
+ */
+function runBlockedPatternsCheck(check, sessionDir, workingDir) {
+  // Required lazily: changed-file-scan.js loads tdd-policy.js, which reads rules through this module
+  const { scanChangedFiles, listEvidenceChangedFiles } = require('./changed-file-scan.js');
+  const cwd = workingDir || process.cwd();
+  const source = check.source || 'evidence';
+
+  if (source !== 'evidence' && source !== 'git') {
+    return { name: check.name, type: check.type, passed: false, detail: `Invalid source: ${source} (expected evidence or git)` };
+  }
+
+  let files;
+  if (source === 'evidence') {
+    const taskId = check.task !== undefined ? String(check.task) : undefined;
+    files = listEvidenceChangedFiles(sessionDir, cwd, taskId);
+    if (files.length === 0) {
+      const scope = taskId !== undefined ? `task ${taskId}` : 'the session';
+      return { name: check.name, type: check.type, passed: true, detail: `No changed files recorded for ${scope}` };
+    }
+  }
+
+  let scan;
+  try {
+    scan = scanChangedFiles(cwd, { files, base: check.base });
+  } catch (err) {
+    return { name: check.name, type: check.type, passed: false, detail: err instanceof Error ? err.message : String(err) };
+  }
+
+  const failing = check.fail_on === 'warning'
+    ? scan.findings.filter(f => f.severity === 'error' || f.severity === 'warning')
+    : scan.findings.filter(f => f.severity === 'error');
+  const scanned = `${scan.files.length} changed file${scan.files.length === 1 ? '' : 's'} (base: ${scan.base.ref})`;
+
+  if (failing.length > 0) {
+    const fileCount = new Set(failing.map(f => f.file)).size;
+    const shown = failing.slice(0, 10).map(f => `${f.file}:${f.line} ${f.match} (${f.message})`).join(', ');
+    const more = failing.length > 10 ? ` (+${failing.length - 10} more)` : '';
+    return {
+      name: check.name,
+      type: check.type,
+      passed: false,
+      detail: `${failing.length} new blocked pattern${failing.length === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}: ${shown}${more}`
+    };
+  }
+
+  const others = scan.findings.length;
+  return {
+    name: check.name,
+    type: check.type,
+    passed: true,
+    detail: others > 0
+      ? `No new blocking patterns in ${scanned}; ${others} below fail_on: ${scan.findings.slice(0, 5).map(f => `${f.file}:${f.line} ${f.match}`).join(', ')}`
+      : `No new blocked patterns in ${scanned}`
+  };
+}
+
+// ============================================================================
+// Check Registry
+// ============================================================================
+
+/**
+ * @typedef {Object} CheckContext
+ * @property {string} sessionId - Session ID being verified
+ * @property {string} sessionDir - Session directory (session.json, tasks/, evidence/)
+ * @property {string} workingDir - Project working directory
+ */
+
+/**
+ * @typedef {Object} CheckResult
+ * @property {string} name - Check name from the rules file
+ * @property {string} type - Check type
+ * @property {boolean} passed - Whether the check passed
+ * @property {string} detail - Human-readable explanation
+ */
+
+/**
+ * @typedef {(check: Object, context: CheckContext) => Partial<CheckResult> | Promise<Partial<CheckResult>>} CheckExecutor
+ */
+
+/**
+ * Built-in check executors. Custom types cannot shadow these.
+ * @type {Object.<string, CheckExecutor>}
+ */
+const BUILTIN_EXECUTORS = {
+  task_status: (check, ctx) => runTaskStatusCheck(check, ctx.sessionDir),
+  task_count: (check, ctx) => runTaskCountCheck(check, ctx.sessionDir),
+  evidence_count: (check, ctx) => runEvidenceCountCheck(check, ctx.sessionDir),
+  command: (check, ctx) => runCommandCheck(check, ctx.workingDir),
+  glob: (check, ctx) => runGlobCheck(check, ctx.workingDir),
+  doc_sections: (check, ctx) => runDocSectionsCheck(check, ctx.sessionId, ctx.workingDir),
+  criteria_coverage: (check, ctx) => runCriteriaCoverageCheck(check, ctx.sessionDir),
+  blocked_patterns: (check, ctx) => runBlockedPatternsCheck(check, ctx.sessionDir, ctx.workingDir)
+};
+
+/**
+ * Load a custom check executor module.
+ * The module must export a function (CommonJS or default export) with the
+ * CheckExecutor signature.
+ * @param {string} modulePath - Module path (relative paths resolve against workingDir)
+ * @param {string} workingDir - Project working directory
+ * @returns {CheckExecutor}
+ * @throws {Error} If the module cannot be loaded or exports no function
+ */
+function loadCheckExecutor(modulePath, workingDir) {
+  const resolved = path.resolve(workingDir || process.cwd(), modulePath);
+  const mod = require(resolved);
+  const executor = typeof mod === 'function' ? mod : mod && mod.default;
+  if (typeof executor !== 'function') {
+    throw new Error(`Check module does not export a function: ${modulePath}`);
+  }
+  return executor;
+}
+
+/**
+ * Build the executor registry: built-ins plus custom check types.
+ * Custom types that fail to load are registered as executors that always fail,
+ * so every check referencing them reports the load error.
+ * @param {Object.<string, string>} checkTypes - Map of check type -> module path
+ * @param {string} workingDir - Project working directory
+ * @returns {Map<string, CheckExecutor>}
+ */
+function buildRegistry(checkTypes, workingDir) {
+  const registry = new Map(Object.entries(BUILTIN_EXECUTORS));
+
+  for (const [type, modulePath] of Object.entries(checkTypes || {})) {
+    if (BUILTIN_EXECUTORS[type]) {
+      console.error(`Warning: custom check type "${type}" ignored (built-in type)`);
+      continue;
+    }
+    try {
+      registry.set(type, loadCheckExecutor(modulePath, workingDir));
+    } catch (err) {
+      const reason = err instanceof Error ? err.message : String(err);
+      registry.set(type, () => ({ passed: false, detail: `Failed to load check type ${type}: ${reason}` }));
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Run a single check through the registry and normalize its result.
+ * name and type always come from the check definition; a result without a
+ * boolean `passed` is treated as a failure.
+ * @param {Object} check - Check definition
+ * @param {Map<string, CheckExecutor>} registry
+ * @param {CheckContext} context
+ * @returns {Promise<CheckResult>}
+ */
+async function runCheck(check, registry, context) {
+  const executor = registry.get(check.type);
+  if (!executor) {
+    return { name: check.name, type: check.type, passed: false, detail: `Unknown check type: ${check.type}` };
+  }
+
+  try {
+    const result = await executor(check, context);
+    if (!result || typeof result.passed !== 'boolean') {
+      return {
+        name: check.name,
+        type: check.type,
+        passed: false,
+        detail: `Check type ${check.type} returned an invalid result (expected { passed: boolean, detail: string })`
+      };
+    }
+    return {
+      name: check.name,
+      type: check.type,
+      passed: result.passed,
+      detail: result.detail !== undefined ? String(result.detail) : ''
+    };
+  } catch (err) {
+    return {
+      name: check.name,
+      type: check.type,
+      passed: false,
+      detail: `Check threw: ${err instanceof Error ? err.message : String(err)}`
+    };
+  }
+}
+
+// ============================================================================
+// Evaluation
+// ============================================================================
+
+/**
+ * @typedef {Object} RulesReport
+ * @property {'PASS'|'FAIL'} verdict
+ * @property {CheckResult[]} checks
+ * @property {string[]} failed - Names of failed checks
+ */
+
+/**
+ * Load, merge and run the rules for a session.
+ * Without `transition`, runs the completion checks ("checks");
+ * with it, runs the checks registered for that phase transition ("transitions").
+ * @param {string} sessionId - Session ID
+ * @param {string} [workingDir] - Project working directory (project rules + command cwd)
+ * @param {{ from: string, to: string }} [transition] - Phase transition to check
+ * @returns {Promise<RulesReport>}
+ */
+async function evaluateRules(sessionId, workingDir, transition) {
+  const defaultRules = loadDefaultRules();
+  const projectRules = loadProjectRules(workingDir);
+  const checks = transition
+    ? getTransitionChecks(defaultRules, projectRules, transition.from, transition.to)
+    : mergeChecks(defaultRules, projectRules);
+  const registry = buildRegistry(mergeCheckTypes(defaultRules, projectRules), workingDir);
+
+  /** @type {CheckContext} */
+  const context = { sessionId, sessionDir: getSessionDir(sessionId), workingDir: workingDir || process.cwd() };
+  const results = [];
+  for (const check of checks) {
+    results.push(await runCheck(check, registry, context));
+  }
+
+  const failed = results.filter(r => !r.passed).map(r => r.name);
+  return {
+    verdict: failed.length === 0 ? 'PASS' : 'FAIL',
+    checks: results,
+    failed
+  };
+}
+
+module.exports = {
+  // Rule loading & merging
+  loadDefaultRules,
+  loadProjectRules,
+  mergeChecks,
+  mergeCheckTypes,
+  transitionKey,
+  getTransitionChecks,
+  // Check execution
+  BUILTIN_EXECUTORS,
+  buildRegistry,
+  runCheck,
+  evaluateRules,
+};
@@ -0,0 +1,184 @@
+#!/usr/bin/env bun
+/**
+ * criteria-matrix.js - Acceptance-criteria traceability matrix
+ *
+ * Lists every success criterion of every task with the evidence tagged with it
+ * (task-update.js --criterion N), or MISSING when nothing supports it.
+ *
+ * Usage:
+ *   criteria-matrix.js --session <ID>                    # All tasks
+ *   criteria-matrix.js --session <ID> --task <TASK_ID>   # Single task
+ *   criteria-matrix.js --session <ID> --concrete         # Notes do not count as support
+ *
+ * Output: Markdown by default, JSON with --format json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSessionDir, getSessionFile } = require('../lib/session-utils.js');
+const { parseArgs, generateHelp, validateTaskId } = require('../lib/args.js');
+const { compareIds } = require('../lib/task-graph.js');
+const { formatEvidence } = require('../lib/task-evidence.js');
+const { buildCriteriaMatrix } = require('../lib/criteria-matrix.js');
+
+/**
+ * @typedef {import('../lib/types.js').Task} Task
+ * @typedef {import('../lib/criteria-matrix.js').CriteriaMatrix} CriteriaMatrix
+ */
+
+const ARG_SPEC = {
+  '--session': { key: 'sessionId', aliases: ['-s'], required: true },
+  '--id': { key: 'taskId', aliases: ['-t', '--task', '--task-id'] },
+  '--concrete': { key: 'concrete', aliases: ['-c'], flag: true },
+  '--format': { key: 'format', aliases: ['-f'], default: 'md' },
+  '--help': { key: 'help', aliases: ['-h'], flag: true }
+};
+
+const VALID_FORMATS = ['md', 'json'];
+
+// ============================================================================
+// Task Reading
+// ============================================================================
+
+/**
+ * Read all tasks from tasks directory
+ * @param {string} sessionId - Session ID
+ * @returns {Task[]} All tasks
+ */
+function readAllTasks(sessionId) {
+  const tasksDir = path.join(getSessionDir(sessionId), 'tasks');
+  if (!fs.existsSync(tasksDir)) {
+    return [];
+  }
+
+  const tasks = [];
+  for (const file of fs.readdirSync(tasksDir).filter(f => f.endsWith('.json'))) {
+    try {
+      tasks.push(JSON.parse(fs.readFileSync(path.join(tasksDir, file), 'utf-8')));
+    } catch {
+      // Skip invalid task files
+    }
+  }
+
+  return tasks.sort((a, b) => compareIds(String(a.id), String(b.id)));
+}
+
+// ============================================================================
+// Markdown Generation
+// ============================================================================
+
+/**
+ * Escape a value for a markdown table cell
+ * @param {string} text
+ * @returns {string}
+ */
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Generate the matrix as markdown
+ * @param {string} sessionId - Session ID
+ * @param {CriteriaMatrix} matrix
+ * @returns {string} Markdown content
+ */
+function generateMarkdown(sessionId, matrix) {
+  const { totals } = matrix;
+  const lines = [];
+
+  lines.push('# Criteria Matrix');
+  lines.push('');
+  lines.push(`**Session**: ${sessionId}`);
+  lines.push(`**Criteria**: ${totals.criteria} | **Covered**: ${totals.covered} | **Missing**: ${totals.missing}`);
+  lines.push('');
+
+  if (matrix.tasks.length === 0) {
+    lines.push('(no tasks yet)');
+    return lines.join('\n');
+  }
+
+  for (const task of matrix.tasks) {
+    lines.push(`## Task ${task.id}: ${task.subject} (${task.status})`);
+    lines.push('');
+
+    if (task.criteria.length === 0) {
+      lines.push('(no criteria)');
+    } else {
+      lines.push('| # | Criterion | Evidence |');
+      lines.push('|---|-----------|----------|');
+      for (const row of task.criteria) {
+        const evidence = row.evidence.map(e => cell(formatEvidence(e))).join('<br>');
+        const support = row.covered ? evidence : ['**MISSING**', evidence].filter(Boolean).join('<br>');
+        lines.push(`| ${row.index} | ${cell(row.text)} | ${support} |`);
+      }
+    }
+
+    if (task.untagged > 0) {
+      lines.push('');
+      lines.push(`_${task.untagged} evidence entr${task.untagged === 1 ? 'y' : 'ies'} not tagged with a criterion_`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+  // Check for help flag first
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(generateHelp('criteria-matrix.js', ARG_SPEC,
+      'Show every success criterion of every task with its supporting evidence,\n' +
+      'or MISSING when no evidence is tagged with it (task-update.js --criterion N).\n' +
+      'With --concrete, notes do not count as support.'
+    ));
+    process.exit(0);
+  }
+
+  const args = parseArgs(ARG_SPEC);
+
+  if (!VALID_FORMATS.includes(args.format)) {
+    console.error(`Error: Invalid format "${args.format}". Must be: ${VALID_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    if (!fs.existsSync(getSessionFile(args.sessionId))) {
+      console.error(`Error: Session ${args.sessionId} not found`);
+      process.exit(1);
+    }
+
+    let tasks = readAllTasks(args.sessionId);
+    if (args.taskId) {
+      validateTaskId(args.taskId);
+      tasks = tasks.filter(t => String(t.id) === args.taskId);
+      if (tasks.length === 0) {
+        console.error(`Error: Task ${args.taskId} not found`);
+        process.exit(1);
+      }
+    }
+
+    const matrix = buildCriteriaMatrix(tasks, { requireConcrete: args.concrete });
+
+    if (args.format === 'json') {
+      console.log(JSON.stringify(matrix, null, 2));
+    } else {
+      console.log(generateMarkdown(args.sessionId, matrix));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readAllTasks, generateMarkdown };
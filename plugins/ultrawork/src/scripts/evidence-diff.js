@@ -0,0 +1,249 @@
+#!/usr/bin/env bun
+/**
+ * evidence-diff.js - Compare evidence between two sessions or two points in time
+ *
+ * Reports test results that were added, removed or changed (regressed, fixed,
+ * newly failing tests), commands whose exit code flipped, and files written or
+ * edited on only one side.
+ *
+ * Usage:
+ *   evidence-diff.js --base <ID> --head <ID>                       # Two sessions
+ *   evidence-diff.js --session <ID> --from <TIME> [--to <TIME>]    # One session, as of two times
+ *
+ * TIME accepts the evidence-query.js forms: 30m, 2h, 1d, an ISO timestamp,
+ * last(<query>) or first(<query>).
+ *
+ * Output: Markdown by default, JSON with --format json
+ */
+
+const fs = require('fs');
+const { getSessionDir, getSessionFile, readSessionField } = require('../lib/session-utils.js');
+const { parseArgs, generateHelp } = require('../lib/args.js');
+const { readEvidenceEntries } = require('../lib/evidence-log.js');
+const { compileQuery } = require('../lib/evidence-query.js');
+const { diffEvidence, countRegressions } = require('../lib/evidence-diff.js');
+
+/**
+ * @typedef {import('../lib/evidence-diff.js').DiffSide} DiffSide
+ * @typedef {import('../lib/evidence-diff.js').EvidenceDiff} EvidenceDiff
+ * @typedef {import('../lib/evidence-diff.js').TestOutcome} TestOutcome
+ */
+
+const ARG_SPEC = {
+  '--base': { key: 'base', aliases: ['-b'] },
+  '--head': { key: 'head', aliases: ['-H'] },
+  '--session': { key: 'sessionId', aliases: ['-s'] },
+  '--from': { key: 'from' },
+  '--to': { key: 'to' },
+  '--format': { key: 'format', aliases: ['-f'], default: 'md' },
+  '--help': { key: 'help', aliases: ['-h'], flag: true }
+};
+
+const VALID_FORMATS = ['md', 'json'];
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Load all evidence of a session
+ * @param {string} sessionId
+ * @returns {{entries: import('../lib/types.js').EvidenceEntry[], workingDir: string | undefined}}
+ * @throws {Error} If the session does not exist
+ */
+function loadSession(sessionId) {
+  if (!fs.existsSync(getSessionFile(sessionId))) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+  return {
+    entries: readEvidenceEntries(getSessionDir(sessionId)),
+    workingDir: readSessionField(sessionId, 'working_dir') || undefined
+  };
+}
+
+/**
+ * Entries logged before a time
+ * @param {import('../lib/types.js').EvidenceEntry[]} entries - Full session log
+ * @param {string} time - Query time value (30m, ISO timestamp, last(...))
+ * @returns {import('../lib/types.js').EvidenceEntry[]}
+ */
+function entriesBefore(entries, time) {
+  const before = compileQuery(`until:"${time}"`, { entries });
+  return entries.filter(before);
+}
+
+/**
+ * Build the two sides from CLI arguments
+ * @param {Object} args
+ * @returns {{base: DiffSide, head: DiffSide}}
+ */
+function loadSides(args) {
+  if (args.base && args.head) {
+    const base = loadSession(args.base);
+    const head = loadSession(args.head);
+    return {
+      base: { label: args.base, ...base },
+      head: { label: args.head, ...head }
+    };
+  }
+
+  const session = loadSession(args.sessionId);
+  return {
+    base: { label: `${args.sessionId} before ${args.from}`, entries: entriesBefore(session.entries, args.from), workingDir: session.workingDir },
+    head: {
+      label: args.to ? `${args.sessionId} before ${args.to}` : `${args.sessionId} (all)`,
+      entries: args.to ? entriesBefore(session.entries, args.to) : session.entries,
+      workingDir: session.workingDir
+    }
+  };
+}
+
+// ============================================================================
+// Markdown Generation
+// ============================================================================
+
+/**
+ * @param {TestOutcome | undefined} outcome
+ * @returns {string}
+ */
+function formatOutcome(outcome) {
+  if (!outcome) return '-';
+  const status = outcome.passed ? '✓ pass' : '✗ FAIL';
+  const counts = outcome.counts;
+  return counts ? `${status} (${counts.passed}/${counts.total}, ${counts.failed} failed)` : status;
+}
+
+/**
+ * Escape a value for a markdown table cell
+ * @param {string} text
+ * @returns {string}
+ */
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Generate the diff as markdown
+ * @param {EvidenceDiff} diff
+ * @returns {string} Markdown content
+ */
+function generateMarkdown(diff) {
+  const { tests, exit_codes: exitCodes, files } = diff;
+  const lines = [];
+
+  lines.push('# Evidence Diff');
+  lines.push('');
+  lines.push(`**Base**: ${diff.base.label} (${diff.base.entries} entries) | **Head**: ${diff.head.label} (${diff.head.entries} entries)`);
+  lines.push(`**Regressions**: ${countRegressions(diff)}`);
+  lines.push('');
+
+  lines.push('## Test Results');
+  lines.push('');
+  if (tests.changed.length + tests.added.length + tests.removed.length === 0) {
+    lines.push('(no differences)');
+  } else {
+    lines.push('| Test | Base | Head | Change |');
+    lines.push('|------|------|------|--------|');
+    for (const change of tests.changed) {
+      lines.push(`| \`${cell(change.key)}\` | ${formatOutcome(change.base)} | ${formatOutcome(change.head)} | ${change.status} |`);
+    }
+    for (const { key, head } of tests.added) {
+      lines.push(`| \`${cell(key)}\` | - | ${formatOutcome(head)} | added |`);
+    }
+    for (const { key, base } of tests.removed) {
+      lines.push(`| \`${cell(key)}\` | ${formatOutcome(base)} | - | removed |`);
+    }
+    for (const change of tests.changed) {
+      if (change.newly_failing.length > 0) {
+        lines.push('');
+        lines.push(`Newly failing in \`${change.key}\`: ${change.newly_failing.join(', ')}`);
+      }
+      if (change.newly_passing.length > 0) {
+        lines.push('');
+        lines.push(`Now passing in \`${change.key}\`: ${change.newly_passing.join(', ')}`);
+      }
+    }
+  }
+  lines.push('');
+
+  lines.push('## Exit Code Flips');
+  lines.push('');
+  if (exitCodes.length === 0) {
+    lines.push('(no differences)');
+  } else {
+    lines.push('| Command | Base | Head | Change |');
+    lines.push('|---------|------|------|--------|');
+    for (const flip of exitCodes) {
+      lines.push(`| \`${cell(flip.command)}\` | ${flip.base} | ${flip.head} | ${flip.status} |`);
+    }
+  }
+  lines.push('');
+
+  lines.push('## Files');
+  lines.push('');
+  lines.push(`**Touched in both**: ${files.both}`);
+  for (const [title, list] of [['Only in base', files.only_base], ['Only in head', files.only_head]]) {
+    lines.push('');
+    lines.push(`**${title}** (${list.length}):`);
+    for (const file of list) {
+      lines.push(`- ${file}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+  // Check for help flag first
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(generateHelp('evidence-diff.js', ARG_SPEC,
+      'Compare evidence between two sessions (--base, --head), or one session\n' +
+      'as of two points in time (--session, --from, optional --to).\n\n' +
+      'Reports added/removed/changed test results, exit code flips and files\n' +
+      'written or edited on only one side. Times: 30m, 2h, 1d, ISO timestamp,\n' +
+      'last(<query>) or first(<query>) (see evidence-query.js --help).'
+    ));
+    process.exit(0);
+  }
+
+  const args = parseArgs(ARG_SPEC);
+
+  if (!VALID_FORMATS.includes(args.format)) {
+    console.error(`Error: Invalid format "${args.format}". Must be: ${VALID_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const twoSessions = Boolean(args.base && args.head);
+  const twoTimes = Boolean(args.sessionId && args.from);
+  if (twoSessions === twoTimes) {
+    console.error('Error: Use --base <ID> --head <ID>, or --session <ID> --from <TIME> [--to <TIME>]');
+    process.exit(1);
+  }
+
+  try {
+    const { base, head } = loadSides(args);
+    const diff = diffEvidence(base, head);
+
+    if (args.format === 'json') {
+      console.log(JSON.stringify(diff, null, 2));
+    } else {
+      console.log(generateMarkdown(diff));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadSides, generateMarkdown };
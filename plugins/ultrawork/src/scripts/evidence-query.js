@@ -3,22 +3,37 @@
  * evidence-query.js - Query evidence with filters
  *
  * Purpose: Allow agents to query specific subsets of evidence efficiently.
- * Supports filtering by: type, time range, task (via task evidence), search pattern.
+ * Supports filtering by: type, time range, task (log entries stamped with the task,
+ * plus the task file's evidence records), search pattern,
+ * and a query language (see lib/evidence-query.js) with grouping.
  *
  * Usage:
  *   evidence-query.js --session <ID>                      # All evidence (compact)
  *   evidence-query.js --session <ID> --type test_result   # Filter by type
  *   evidence-query.js --session <ID> --last 5             # Last N entries
  *   evidence-query.js --session <ID> --search "npm test"  # Search in content
- *   evidence-query.js --session <ID> --task 1             # Evidence for task 1
+ *   evidence-query.js --session <ID> --task 1             # Log entries and task evidence for task 1
+ *   evidence-query.js --session <ID> --query "type:command_execution exit_code!=0 since:last(path:auth.js)"
+ *   evidence-query.js --session <ID> --query "since:1h" --group-by path
  *
  * Output: Markdown by default (token-efficient), JSON with --format json
  */
 
 const fs = require('fs');
 const path = require('path');
-const { getSessionDir, getSessionFile } = require('../lib/session-utils.js');
+const { getSessionDir, getSessionFile, readSessionField } = require('../lib/session-utils.js');
 const { parseArgs, generateHelp } = require('../lib/args.js');
+const { normalizeEvidence, formatEvidence } = require('../lib/task-evidence.js');
+const { readEvidenceEntries } = require('../lib/evidence-log.js');
+const {
+  parseQuery,
+  compileQuery,
+  requiredTypes,
+  hasAnchors,
+  searchableText,
+  groupEvidence,
+  GROUP_FIELDS
+} = require('../lib/evidence-query.js');
 
 // ============================================================================
 // CLI Argument Parsing
@@ -26,6 +41,7 @@ const { parseArgs, generateHelp } = require('../lib/args.js');
 
 /**
  * @typedef {import('../lib/types.js').EvidenceEntry} EvidenceEntry
+ * @typedef {import('../lib/types.js').TaskEvidence} TaskEvidence
  */
 
 const ARG_SPEC = {
@@ -33,6 +49,8 @@ const ARG_SPEC = {
   '--type': { key: 'type', aliases: ['-T'] },
   '--last': { key: 'last', aliases: ['-l'] },
   '--search': { key: 'search', aliases: ['-q'] },
+  '--query': { key: 'query', aliases: ['-Q'] },
+  '--group-by': { key: 'groupBy', aliases: ['-g'] },
   '--id': { key: 'taskId', aliases: ['-t', '--task', '--task-id'] },
   '--format': { key: 'format', aliases: ['-f'], default: 'md' },
   '--help': { key: 'help', aliases: ['-h'], flag: true }
@@ -43,36 +61,34 @@ const ARG_SPEC = {
 // ============================================================================
 
 /**
- * Read evidence entries from JSONL file
+ * Read evidence entries from the segmented evidence log
  * @param {string} sessionId - Session ID
+ * @param {Object} [filters] - type, taskId and last are applied through the log index
  * @returns {EvidenceEntry[]} Evidence entries
  */
-function readEvidence(sessionId) {
-  const sessionDir = getSessionDir(sessionId);
-  const evidenceLog = path.join(sessionDir, 'evidence', 'log.jsonl');
-
-  if (!fs.existsSync(evidenceLog)) {
-    return [];
+function readEvidence(sessionId, filters = {}) {
+  const last = parseInt(filters.last, 10);
+  let type = filters.type;
+
+  if (filters.query) {
+    const tree = parseQuery(filters.query);
+    // last(...)/first(...) anchors may point at entries of any type
+    type = hasAnchors(tree) ? undefined : type || requiredTypes(tree) || undefined;
   }
 
-  const content = fs.readFileSync(evidenceLog, 'utf-8');
-  const lines = content.trim().split('\n').filter(line => line.length > 0);
-  const entries = [];
-  for (const line of lines) {
-    try {
-      entries.push(JSON.parse(line));
-    } catch {
-      console.error(`Warning: skipping corrupted JSONL line: ${line.slice(0, 80)}`);
-    }
-  }
-  return entries;
+  return readEvidenceEntries(getSessionDir(sessionId), {
+    type,
+    taskId: filters.taskId,
+    // --search and --query filter after reading, so the last N can only be taken afterwards
+    last: !filters.search && !filters.query && last > 0 ? last : undefined
+  });
 }
 
 /**
  * Read task evidence from task JSON file
  * @param {string} sessionId - Session ID
  * @param {string} taskId - Task ID
- * @returns {string[]} Task-specific evidence strings
+ * @returns {TaskEvidence[]} Task evidence records (legacy strings normalized to notes)
  */
 function readTaskEvidence(sessionId, taskId) {
   const sessionDir = getSessionDir(sessionId);
@@ -85,7 +101,7 @@ function readTaskEvidence(sessionId, taskId) {
   try {
     const content = fs.readFileSync(taskPath, 'utf-8');
     const task = JSON.parse(content);
-    return task.evidence || [];
+    return (task.evidence || []).map(normalizeEvidence);
   } catch {
     return [];
   }
@@ -105,18 +121,16 @@ function filterEvidence(entries, filters) {
     result = result.filter(e => e.type === filters.type);
   }
 
-  // Filter by search pattern (in command, path, output_preview)
+  // Filter by search pattern (in command, path, output_preview, failing test names)
   if (filters.search) {
     const pattern = filters.search.toLowerCase();
-    result = result.filter(e => {
-      const searchable = [
-        e.command,
-        e.path,
-        e.output_preview,
-        e.type
-      ].filter(Boolean).join(' ').toLowerCase();
-      return searchable.includes(pattern);
-    });
+    result = result.filter(e => searchableText(e).includes(pattern));
+  }
+
+  // Filter by query (anchors search all entries read)
+  if (filters.query) {
+    const matches = compileQuery(filters.query, { workingDir: filters.workingDir, entries });
+    result = result.filter(matches);
   }
 
   // Take last N entries
@@ -161,7 +175,20 @@ function formatEntryMd(entry, index) {
     case 'test_result':
       const status = entry.passed ? '✓ PASSED' : '✗ FAILED';
       lines.push(`- **Status**: ${status}`);
+      if (entry.command) {
+        lines.push(`- **Command**: \`${entry.command}\``);
+      }
       lines.push(`- **Framework**: ${entry.framework}`);
+      if (entry.counts) {
+        const c = entry.counts;
+        lines.push(`- **Tests**: ${c.total} total, ${c.passed} passed, ${c.failed} failed, ${c.skipped} skipped (${entry.report_format})`);
+      }
+      if (entry.failed_tests?.length > 0) {
+        lines.push(`- **Failing**:`);
+        for (const failure of entry.failed_tests) {
+          lines.push(`  - ${failure.name}`);
+        }
+      }
       if (entry.output_preview) {
         lines.push(`- **Summary**: ${entry.output_preview}`);
       }
@@ -170,6 +197,19 @@ function formatEntryMd(entry, index) {
     case 'file_operation':
       lines.push(`- **Operation**: ${entry.operation?.toUpperCase()}`);
       lines.push(`- **Path**: \`${entry.path}\``);
+      if (entry.lines_added !== undefined) {
+        lines.push(`- **Lines**: +${entry.lines_added} -${entry.lines_removed}`);
+      }
+      if (entry.after_sha256 !== undefined) {
+        const short = (hash) => (hash ? hash.slice(0, 12) : 'unknown');
+        lines.push(`- **Content**: ${short(entry.before_sha256)} → ${short(entry.after_sha256)}`);
+      }
+      if (entry.diff) {
+        lines.push(`- **Diff**${entry.diff_truncated ? ' (truncated)' : ''}:`);
+        lines.push('```diff');
+        lines.push(entry.diff);
+        lines.push('```');
+      }
       break;
 
     case 'agent_completed':
@@ -186,6 +226,15 @@ function formatEntryMd(entry, index) {
       lines.push(`- **Data**: ${JSON.stringify(entry)}`);
   }
 
+  // Worker attribution (agent_completed shows it above)
+  if (entry.agent_id && entry.type !== 'agent_completed') {
+    lines.push(`- **Agent**: ${entry.agent_id}${entry.task_id ? ` (task ${entry.task_id})` : ''}`);
+  }
+
+  if (entry.redactions) {
+    lines.push(`- **Redacted**: ${entry.redactions} secret value(s) masked`);
+  }
+
   return lines.join('\n');
 }
 
@@ -205,6 +254,7 @@ function formatAsMd(entries, filters) {
   const filterParts = [];
   if (filters.type) filterParts.push(`type=${filters.type}`);
   if (filters.search) filterParts.push(`search="${filters.search}"`);
+  if (filters.query) filterParts.push(`query=\`${filters.query}\``);
   if (filters.last) filterParts.push(`last=${filters.last}`);
   if (filters.taskId) filterParts.push(`task=${filters.taskId}`);
 
@@ -226,16 +276,48 @@ function formatAsMd(entries, filters) {
   return lines.join('\n');
 }
 
+/**
+ * Format grouped evidence as a markdown table
+ * @param {import('../lib/evidence-query.js').EvidenceGroup[]} groups
+ * @param {Object} filters - Applied filters (groupBy, query)
+ * @returns {string} Markdown content
+ */
+function formatGroupsMd(groups, filters) {
+  const lines = [];
+
+  lines.push(`# Evidence by ${filters.groupBy}`);
+  lines.push('');
+  if (filters.query) {
+    lines.push(`**Query**: \`${filters.query}\``);
+  }
+  lines.push(`**Groups**: ${groups.length} | **Entries**: ${groups.reduce((sum, g) => sum + g.count, 0)}`);
+  lines.push('');
+
+  if (groups.length === 0) {
+    lines.push('(no matching evidence)');
+    return lines.join('\n');
+  }
+
+  lines.push(`| ${filters.groupBy} | Entries | Failures | First | Last |`);
+  lines.push('|---|---|---|---|---|');
+  for (const group of groups) {
+    const time = (ts) => ts?.replace('T', ' ').slice(0, 19) || '-';
+    lines.push(`| ${group.key.replace(/\|/g, '\\|')} | ${group.count} | ${group.failures} | ${time(group.first)} | ${time(group.last)} |`);
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Format task evidence as markdown
  * @param {string} taskId - Task ID
- * @param {string[]} evidence - Task evidence strings
+ * @param {TaskEvidence[]} evidence - Task evidence records
  * @returns {string} Markdown content
  */
 function formatTaskEvidenceMd(taskId, evidence) {
   const lines = [];
 
-  lines.push(`# Evidence for Task ${taskId}`);
+  lines.push(`## Task ${taskId} Evidence Records`);
   lines.push('');
   lines.push(`**Count**: ${evidence.length} entries`);
   lines.push('');
@@ -244,12 +326,7 @@ function formatTaskEvidenceMd(taskId, evidence) {
     lines.push('(no evidence collected yet)');
   } else {
     for (let i = 0; i < evidence.length; i++) {
-      const e = evidence[i];
-      if (typeof e === 'string') {
-        lines.push(`${i + 1}. ${e}`);
-      } else {
-        lines.push(`${i + 1}. ${e.description || JSON.stringify(e)}`);
-      }
+      lines.push(`${i + 1}. ${formatEvidence(evidence[i])}`);
     }
   }
 
@@ -265,7 +342,17 @@ function main() {
   if (process.argv.includes('--help') || process.argv.includes('-h')) {
     console.log(generateHelp('evidence-query.js', ARG_SPEC,
       'Query evidence with filters.\n' +
-      'Supports filtering by type, time, search pattern, or task.\n\n' +
+      'Supports filtering by type, time, search pattern, or task, and a query language:\n\n' +
+      '  type:command_execution exit_code!=0 since:30m path:src/**\n' +
+      '  (type:test_result passed:false) OR command:build\n' +
+      '  type:command_execution exit_code!=0 since:last(path:auth.js)\n\n' +
+      'Fields: type, operation, framework, agent, task, exit_code, duration_ms, passed,\n' +
+      'path (glob), command (substring), text, since/until (30m, 2h, 1d, ISO time,\n' +
+      'last(<query>), first(<query>)). Operators: AND (implicit), OR, NOT / -, ( ).\n' +
+      'Bare words and "quoted text" search command, path and output.\n\n' +
+      '--group-by type|task|path aggregates matches (count, failures, first/last time).\n\n' +
+      '--id N returns log entries stamped with task N (other filters still apply)\n' +
+      'followed by the task file\'s evidence records.\n\n' +
       'Evidence types: command_execution, test_result, file_operation, agent_completed'
     ));
     process.exit(0);
@@ -281,34 +368,38 @@ function main() {
       process.exit(1);
     }
 
-    // Task-specific query
-    if (args.taskId) {
-      const taskEvidence = readTaskEvidence(args.sessionId, args.taskId);
-
-      if (args.format === 'json') {
-        console.log(JSON.stringify(taskEvidence, null, 2));
-      } else {
-        console.log(formatTaskEvidenceMd(args.taskId, taskEvidence));
-      }
-      process.exit(0);
+    if (args.groupBy && !GROUP_FIELDS.includes(args.groupBy)) {
+      console.error(`Error: Invalid --group-by "${args.groupBy}". Must be: ${GROUP_FIELDS.join(', ')}`);
+      process.exit(1);
     }
 
     // General evidence query
-    const entries = readEvidence(args.sessionId);
-    const filtered = filterEvidence(entries, {
+    const filters = {
       type: args.type,
       search: args.search,
-      last: args.last
-    });
-
-    if (args.format === 'json') {
+      query: args.query,
+      last: args.last,
+      groupBy: args.groupBy,
+      taskId: args.taskId,
+      workingDir: readSessionField(args.sessionId, 'working_dir') || undefined
+    };
+    const filtered = filterEvidence(readEvidence(args.sessionId, filters), filters);
+
+    if (args.groupBy) {
+      const groups = groupEvidence(filtered, args.groupBy, filters);
+      console.log(args.format === 'json' ? JSON.stringify(groups, null, 2) : formatGroupsMd(groups, filters));
+    } else if (args.taskId) {
+      // Task query: log entries stamped with the task, then the task file's records
+      const taskEvidence = readTaskEvidence(args.sessionId, args.taskId);
+      if (args.format === 'json') {
+        console.log(JSON.stringify({ task_id: args.taskId, log: filtered, task_evidence: taskEvidence }, null, 2));
+      } else {
+        console.log(`${formatAsMd(filtered, filters)}\n\n${formatTaskEvidenceMd(args.taskId, taskEvidence)}`);
+      }
+    } else if (args.format === 'json') {
       console.log(JSON.stringify(filtered, null, 2));
     } else {
-      console.log(formatAsMd(filtered, {
-        type: args.type,
-        search: args.search,
-        last: args.last
-      }));
+      console.log(formatAsMd(filtered, filters));
     }
 
     process.exit(0);
@@ -3,7 +3,9 @@
  * evidence-summary.js - Generate AI-friendly evidence summary
  *
  * Purpose: Create markdown summary of evidence for token-efficient AI consumption.
- * Reads from evidence/log.jsonl and generates evidence/index.md.
+ * Reads the evidence log (via its index) and generates evidence/index.md.
+ * Includes a per-file change summary (lines added/removed, reverts, whether the
+ * file on disk still matches the last recorded content).
  *
  * Usage: evidence-summary.js --session <ID> [--format md|json]
  *
@@ -16,6 +18,9 @@ const fs = require('fs');
 const path = require('path');
 const { getSessionDir, getSessionFile, readSessionField } = require('../lib/session-utils.js');
 const { parseArgs, generateHelp } = require('../lib/args.js');
+const { normalizeEvidence } = require('../lib/task-evidence.js');
+const { readEvidenceEntries, countEvidence } = require('../lib/evidence-log.js');
+const { summarizeFileChanges, hashFile } = require('../lib/file-changes.js');
 
 // ============================================================================
 // CLI Argument Parsing
@@ -37,29 +42,12 @@ const ARG_SPEC = {
 // ============================================================================
 
 /**
- * Read evidence entries from JSONL file
+ * Read evidence entries from the segmented evidence log
  * @param {string} sessionId - Session ID
  * @returns {EvidenceEntry[]} Evidence entries
  */
 function readEvidence(sessionId) {
-  const sessionDir = getSessionDir(sessionId);
-  const evidenceLog = path.join(sessionDir, 'evidence', 'log.jsonl');
-
-  if (!fs.existsSync(evidenceLog)) {
-    return [];
-  }
-
-  const content = fs.readFileSync(evidenceLog, 'utf-8');
-  const lines = content.trim().split('\n').filter(line => line.length > 0);
-  const entries = [];
-  for (const line of lines) {
-    try {
-      entries.push(JSON.parse(line));
-    } catch {
-      console.error(`Warning: skipping corrupted JSONL line: ${line.slice(0, 80)}`);
-    }
-  }
-  return entries;
+  return readEvidenceEntries(getSessionDir(sessionId));
 }
 
 /**
@@ -88,7 +76,7 @@ function readTasks(sessionId) {
         subject: task.subject,
         status: task.status,
         criteria: task.criteria || [],
-        evidence: task.evidence || []
+        evidence: (task.evidence || []).map(normalizeEvidence)
       });
     } catch {
       // Skip invalid task files
@@ -102,6 +90,21 @@ function readTasks(sessionId) {
 // Summary Generation
 // ============================================================================
 
+/**
+ * Per-file change summary, with a check of each file's current content
+ * @param {EvidenceEntry[]} entries - file_operation entries
+ * @param {string} [workingDir]
+ * @returns {(import('../lib/file-changes.js').FileChangeSummary & {on_disk: 'matches' | 'differs' | 'missing' | null})[]}
+ */
+function summarizeFiles(entries, workingDir) {
+  return summarizeFileChanges(entries, workingDir).map(file => {
+    if (!file.last_after_sha256) return { ...file, on_disk: null };
+    const current = hashFile(path.resolve(workingDir || '', file.file));
+    const onDisk = current === null ? 'missing' : current === file.last_after_sha256 ? 'matches' : 'differs';
+    return { ...file, on_disk: onDisk };
+  });
+}
+
 /**
  * Generate evidence summary
  * @param {string} sessionId - Session ID
@@ -111,17 +114,22 @@ function generateSummary(sessionId) {
   const goal = readSessionField(sessionId, 'goal') || 'Unknown';
   const phase = readSessionField(sessionId, 'phase') || 'Unknown';
 
-  const entries = readEvidence(sessionId);
+  const sessionDir = getSessionDir(sessionId);
   const tasks = readTasks(sessionId);
 
-  // Count by type
-  const byType = {};
-  for (const entry of entries) {
-    byType[entry.type] = (byType[entry.type] || 0) + 1;
-  }
+  // Counts come from the log index; only the entries shown are read
+  const { total, by_type: byType } = countEvidence(sessionDir);
 
   // Get recent entries (last 10)
-  const recent = entries.slice(-10).reverse();
+  const recent = readEvidenceEntries(sessionDir, { last: 10 }).reverse();
+
+  const workingDir = readSessionField(sessionId, 'working_dir') || undefined;
+  const fileChanges = summarizeFiles(readEvidenceEntries(sessionDir, { type: 'file_operation' }), workingDir);
+
+  // Most recent test run with a structured report (per-test results)
+  const latestTestReport = readEvidenceEntries(sessionDir, { type: 'test_result' })
+    .filter(e => e.counts)
+    .pop() || null;
 
   // Task status summary
   const taskStats = {
@@ -135,14 +143,25 @@ function generateSummary(sessionId) {
     sessionId,
     goal,
     phase,
-    evidenceCount: entries.length,
+    evidenceCount: total,
     byType,
     taskStats,
     tasks,
+    latestTestReport,
+    fileChanges,
     recent
   };
 }
 
+/**
+ * Format per-test counts of a test report
+ * @param {import('../lib/types.js').TestCounts} counts
+ * @returns {string} e.g. "41 passed, 2 failed, 1 skipped"
+ */
+function formatCounts(counts) {
+  return `${counts.passed} passed, ${counts.failed} failed, ${counts.skipped} skipped`;
+}
+
 /**
  * Format entry for markdown
  * @param {EvidenceEntry} entry - Evidence entry
@@ -156,9 +175,13 @@ function formatEntryMd(entry) {
       return `- ${time} \`${entry.command?.slice(0, 40)}...\` → exit ${entry.exit_code}`;
     case 'test_result':
       const status = entry.passed ? '✓' : '✗';
+      if (entry.counts) {
+        return `- ${time} ${status} ${entry.framework}: ${formatCounts(entry.counts)}`;
+      }
       return `- ${time} ${status} ${entry.framework}: ${entry.output_preview?.slice(0, 50) || 'N/A'}`;
     case 'file_operation':
-      return `- ${time} ${entry.operation?.toUpperCase()} \`${entry.path}\``;
+      const lineCounts = entry.lines_added !== undefined ? ` (+${entry.lines_added} -${entry.lines_removed})` : '';
+      return `- ${time} ${entry.operation?.toUpperCase()} \`${entry.path}\`${lineCounts}`;
     case 'agent_completed':
       return `- ${time} Agent ${entry.agent_id} completed (task: ${entry.task_id || 'N/A'})`;
     default:
@@ -212,6 +235,45 @@ function generateMarkdown(summary) {
   }
   lines.push('');
 
+  // Latest structured test report
+  const report = summary.latestTestReport;
+  if (report) {
+    lines.push('## Latest Test Report');
+    lines.push('');
+    const duration = report.duration_ms !== undefined ? ` in ${report.duration_ms}ms` : '';
+    lines.push(`${report.passed ? '✓' : '✗'} ${report.framework} (${report.report_format}): ${formatCounts(report.counts)}${duration}`);
+    lines.push('');
+    if (report.failed_tests?.length > 0) {
+      lines.push('### Failing Tests');
+      lines.push('');
+      for (const failure of report.failed_tests) {
+        const message = failure.message ? ` — ${failure.message.split('\n')[0]}` : '';
+        lines.push(`- ${failure.name}${message}`);
+      }
+      if (report.counts.failed > report.failed_tests.length) {
+        lines.push(`- ... and ${report.counts.failed - report.failed_tests.length} more`);
+      }
+      lines.push('');
+    }
+  }
+
+  // Per-file changes
+  if (summary.fileChanges.length > 0) {
+    lines.push('## File Changes');
+    lines.push('');
+    lines.push('| File | Ops | Lines | Status | On Disk |');
+    lines.push('|------|-----|-------|--------|---------|');
+    for (const file of summary.fileChanges) {
+      lines.push(`| \`${file.path}\` | ${file.operations} | +${file.lines_added} -${file.lines_removed} | ${file.status} | ${file.on_disk || '-'} |`);
+    }
+    lines.push('');
+    const drifted = summary.fileChanges.filter(f => f.on_disk === 'differs' || f.on_disk === 'missing').length;
+    if (drifted > 0) {
+      lines.push(`⚠ ${drifted} file(s) changed on disk since their last recorded Write/Edit`);
+      lines.push('');
+    }
+  }
+
   // Recent activity
   if (summary.recent.length > 0) {
     lines.push('## Recent Activity');
@@ -290,4 +352,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { generateSummary, generateMarkdown, readEvidence, readTasks };
+module.exports = { generateSummary, generateMarkdown, readEvidence, readTasks, summarizeFiles };
@@ -0,0 +1,144 @@
+#!/usr/bin/env bun
+/**
+ * gate-audit.js - Summarize would-be gate denials recorded in audit mode
+ *
+ * In audit mode (session-update.js --gate-mode audit, or "gates.mode": "audit"
+ * in .claude/ultrawork-rules.json) gate-enforcement.js allows every call and
+ * logs what it would have blocked to {session-dir}/gate-audit.jsonl. This
+ * report shows how often each gate would have fired and the most frequent
+ * reasons, to tune rules before enforcing them.
+ *
+ * Usage: gate-audit.js --session <ID> [--format table|json]
+ *
+ * Output formats:
+ *   table - Markdown report (default, AI-friendly)
+ *   json  - Mode, summary and all entries (for scripts)
+ */
+
+const fs = require('fs');
+const { getSessionFile, readSession } = require('../lib/session-utils.js');
+const { parseArgs, generateHelp } = require('../lib/args.js');
+const { getGateMode, readGateAudit, summarizeGateAudit } = require('../lib/gate-audit.js');
+
+/**
+ * @typedef {import('../lib/gate-audit.js').GateAuditSummary} GateAuditSummary
+ * @typedef {import('../lib/gate-policy.js').GateMode} GateMode
+ */
+
+const ARG_SPEC = {
+  '--session': { key: 'sessionId', aliases: ['-s'], required: true },
+  '--format': { key: 'format', aliases: ['-f'], default: 'table' },
+  '--help': { key: 'help', aliases: ['-h'], flag: true }
+};
+
+const VALID_FORMATS = ['table', 'json'];
+
+// ============================================================================
+// Markdown Report
+// ============================================================================
+
+/**
+ * Generate the markdown report
+ * @param {string} sessionId - Session ID
+ * @param {GateMode} mode - Current gate mode
+ * @param {GateAuditSummary} summary - Result of summarizeGateAudit
+ * @returns {string} Markdown content
+ */
+function generateMarkdown(sessionId, mode, summary) {
+  const lines = [];
+
+  lines.push('# Gate Audit');
+  lines.push('');
+  lines.push(`**Session**: ${sessionId}`);
+  lines.push(`**Mode**: ${mode} | **Would-be denials**: ${summary.total}`);
+  if (summary.first_at) {
+    lines.push(`**Period**: ${summary.first_at} → ${summary.last_at}`);
+  }
+  lines.push('');
+
+  if (summary.total === 0) {
+    lines.push('_No would-be denials recorded_');
+    if (mode !== 'audit') {
+      lines.push('');
+      lines.push('Gates are enforced. The user can enable audit mode by running `session-update.js --gate-mode audit` ' +
+        'in their terminal or with `"gates": { "mode": "audit" }` in .claude/ultrawork-rules.json.');
+    }
+    return lines.join('\n');
+  }
+
+  lines.push('## By Gate');
+  lines.push('');
+  lines.push('| Gate | Count | Share | Tools |');
+  lines.push('|------|-------|-------|-------|');
+  for (const gate of summary.gates) {
+    const share = Math.round((gate.count / summary.total) * 100);
+    const tools = Object.entries(gate.tools).map(([tool, count]) => `${tool}: ${count}`).join(', ');
+    lines.push(`| ${gate.label} (${gate.gate}) | ${gate.count} | ${share}% | ${tools} |`);
+  }
+  lines.push('');
+
+  lines.push('## Top Reasons');
+  for (const gate of summary.gates) {
+    lines.push('');
+    lines.push(`### ${gate.label}`);
+    lines.push('');
+    for (const { reason, count } of gate.top_reasons) {
+      lines.push(`- ${count}× ${reason}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+  // Check for help flag first
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(generateHelp('gate-audit.js', ARG_SPEC,
+      'Summarize would-be gate denials recorded in audit mode:\n' +
+      'how often each gate would have fired and the most frequent reasons.\n' +
+      'Formats: table (default), json.'
+    ));
+    process.exit(0);
+  }
+
+  const args = parseArgs(ARG_SPEC);
+
+  if (!VALID_FORMATS.includes(args.format)) {
+    console.error(`Error: Invalid format "${args.format}". Must be: ${VALID_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    if (!fs.existsSync(getSessionFile(args.sessionId))) {
+      console.error(`Error: Session ${args.sessionId} not found`);
+      process.exit(1);
+    }
+
+    const session = readSession(args.sessionId);
+    const mode = getGateMode(args.sessionId, session.working_dir);
+    const entries = readGateAudit(args.sessionId);
+    const summary = summarizeGateAudit(entries);
+
+    if (args.format === 'json') {
+      console.log(JSON.stringify({ mode, ...summary, entries }, null, 2));
+    } else {
+      console.log(generateMarkdown(args.sessionId, mode, summary));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { generateMarkdown };
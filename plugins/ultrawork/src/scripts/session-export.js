@@ -0,0 +1,67 @@
+#!/usr/bin/env bun
+/**
+ * session-export.js - Export a session as a single bundle file
+ *
+ * Packs session.json, context.json, tasks/, evidence/ and exploration/ into a
+ * versioned JSON bundle with a manifest and SHA-256 checksums, for handing a
+ * session to another machine (session-import.js) or attaching it to a bug report.
+ *
+ * Usage: session-export.js --session <ID> [--output <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createBundle } = require('../lib/session-bundle.js');
+const { parseArgs, generateHelp } = require('../lib/args.js');
+
+const ARG_SPEC = {
+  '--session': { key: 'sessionId', aliases: ['-s'], required: true },
+  '--output': { key: 'output', aliases: ['-o'] },
+  '--help': { key: 'help', aliases: ['-h'], flag: true }
+};
+
+// ============================================================================
+// Main Logic
+// ============================================================================
+
+/**
+ * Main execution function
+ * @returns {void}
+ */
+function main() {
+  // Check for help flag first (before validation)
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(generateHelp('session-export.js', ARG_SPEC,
+      'Export a session (session.json, context, tasks, evidence, exploration) as a\n' +
+      'single JSON bundle with checksums. Default output: ./ultrawork-<session>.bundle.json'
+    ));
+    process.exit(0);
+  }
+
+  const args = parseArgs(ARG_SPEC);
+
+  try {
+    const bundle = createBundle(args.sessionId);
+    const output = path.resolve(args.output || `ultrawork-${args.sessionId}.bundle.json`);
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, JSON.stringify(bundle, null, 2), 'utf-8');
+
+    console.log(`OK: Session ${args.sessionId} exported`);
+    console.log(`    Bundle: ${output}`);
+    console.log(`    Files: ${bundle.manifest.files.length}`);
+    console.log(`    Phase: ${bundle.manifest.phase}`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+if (require.main === module) {
+  main();
+}
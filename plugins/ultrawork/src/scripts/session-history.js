@@ -0,0 +1,274 @@
+#!/usr/bin/env bun
+/**
+ * session-history.js - Render a session's history.jsonl as a timeline
+ *
+ * Every updateSession mutation appends an event (old value, new value, caller
+ * script, timestamp) to {session_dir}/history.jsonl. This script shows those
+ * events with per-phase durations, e.g. when the session entered VERIFICATION,
+ * how often it went back to EXECUTION, or which script set verifier_passed.
+ *
+ * Usage: session-history.js --session <ID> [--field <path>] [--format md|json]
+ *
+ * Output formats:
+ *   md   - Markdown timeline (default, AI-friendly)
+ *   json - Phase segments, durations and events (for scripts)
+ */
+
+const fs = require('fs');
+const { getSessionFile, readSession, readSessionHistory } = require('../lib/session-utils.js');
+const { parseArgs, generateHelp } = require('../lib/args.js');
+
+/**
+ * @typedef {import('../lib/types.js').Session} Session
+ * @typedef {import('../lib/types.js').HistoryEvent} HistoryEvent
+ */
+
+/**
+ * @typedef {Object} PhaseSegment
+ * @property {string} phase
+ * @property {string} entered_at
+ * @property {string | null} left_at - Null for the current phase
+ * @property {number | null} duration_ms - Null for a current terminal phase
+ * @property {string | null} entered_by - Caller that made the transition (null for the initial phase)
+ */
+
+const ARG_SPEC = {
+  '--session': { key: 'sessionId', aliases: ['-s'], required: true },
+  '--field': { key: 'field', aliases: ['-F'] },
+  '--format': { key: 'format', aliases: ['-f'], default: 'md' },
+  '--help': { key: 'help', aliases: ['-h'], flag: true }
+};
+
+/** @type {string[]} */
+const TERMINAL_PHASES = ['COMPLETE', 'CANCELLED', 'FAILED'];
+
+// ============================================================================
+// Timeline
+// ============================================================================
+
+/**
+ * Split the session lifetime into phase segments
+ * @param {Session} session - Current session
+ * @param {HistoryEvent[]} events - History events (oldest first)
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {PhaseSegment[]}
+ */
+function buildPhaseSegments(session, events, now = Date.now()) {
+  const transitions = [];
+  for (const event of events) {
+    const change = (event.changes || []).find(c => c.field === 'phase');
+    if (change) {
+      transitions.push({ timestamp: event.timestamp, caller: event.caller, from: change.old, to: change.new });
+    }
+  }
+
+  /** @type {PhaseSegment[]} */
+  const segments = [];
+  let current = {
+    phase: transitions.length > 0 ? transitions[0].from : session.phase,
+    entered_at: session.started_at,
+    entered_by: null,
+  };
+
+  for (const transition of transitions) {
+    segments.push({
+      ...current,
+      left_at: transition.timestamp,
+      duration_ms: Date.parse(transition.timestamp) - Date.parse(current.entered_at),
+    });
+    current = { phase: transition.to, entered_at: transition.timestamp, entered_by: transition.caller };
+  }
+
+  segments.push({
+    ...current,
+    left_at: null,
+    duration_ms: TERMINAL_PHASES.includes(current.phase) ? null : now - Date.parse(current.entered_at),
+  });
+
+  return segments;
+}
+
+/**
+ * Total time and number of visits per phase
+ * @param {PhaseSegment[]} segments
+ * @returns {Object<string, {visits: number, duration_ms: number}>}
+ */
+function summarizePhaseDurations(segments) {
+  const durations = {};
+  for (const segment of segments) {
+    const entry = durations[segment.phase] || { visits: 0, duration_ms: 0 };
+    entry.visits++;
+    entry.duration_ms += segment.duration_ms || 0;
+    durations[segment.phase] = entry;
+  }
+  return durations;
+}
+
+/**
+ * Keep only changes to a field (or its sub-fields)
+ * @param {HistoryEvent[]} events
+ * @param {string} field - Dotted field path, e.g. "phase" or "plan"
+ * @returns {HistoryEvent[]}
+ */
+function filterEventsByField(events, field) {
+  return events
+    .map(event => ({
+      ...event,
+      changes: (event.changes || []).filter(c => c.field === field || c.field.startsWith(`${field}.`)),
+    }))
+    .filter(event => event.changes.length > 0);
+}
+
+/**
+ * Build the full history report for a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {string} [options.field] - Only include changes to this field
+ * @param {number} [options.now] - Current time in ms
+ * @returns {Object} History report
+ */
+function generateHistory(sessionId, options = {}) {
+  const session = readSession(sessionId);
+  const allEvents = readSessionHistory(sessionId);
+  const phases = buildPhaseSegments(session, allEvents, options.now);
+
+  return {
+    session_id: sessionId,
+    phase: session.phase,
+    started_at: session.started_at,
+    phases,
+    durations: summarizePhaseDurations(phases),
+    events: options.field ? filterEventsByField(allEvents, options.field) : allEvents,
+  };
+}
+
+// ============================================================================
+// Markdown Rendering
+// ============================================================================
+
+/**
+ * Format a duration in ms as "1h 05m", "4m 12s" or "37s"
+ * @param {number | null} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Format a history value for display
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return 'null';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Format an ISO timestamp as "YYYY-MM-DD HH:MM:SS"
+ * @param {string} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return (timestamp || '').replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Generate markdown timeline
+ * @param {Object} history - Report from generateHistory
+ * @returns {string} Markdown content
+ */
+function generateMarkdown(history) {
+  const lines = [];
+
+  lines.push('# Session History');
+  lines.push('');
+  lines.push(`**Session**: ${history.session_id}`);
+  lines.push(`**Phase**: ${history.phase}`);
+  lines.push(`**Started**: ${formatTime(history.started_at)}`);
+  lines.push('');
+
+  lines.push('## Phase Durations');
+  lines.push('');
+  lines.push('| Phase | Visits | Total |');
+  lines.push('|-------|--------|-------|');
+  for (const [phase, entry] of Object.entries(history.durations)) {
+    lines.push(`| ${phase} | ${entry.visits} | ${formatDuration(entry.duration_ms)} |`);
+  }
+  lines.push('');
+
+  lines.push('## Phases');
+  lines.push('');
+  for (const segment of history.phases) {
+    const by = segment.entered_by ? ` (${segment.entered_by})` : '';
+    const duration = segment.left_at ? formatDuration(segment.duration_ms) : `${formatDuration(segment.duration_ms)}, current`;
+    lines.push(`- ${formatTime(segment.entered_at)} **${segment.phase}** — ${duration}${by}`);
+  }
+  lines.push('');
+
+  lines.push('## Events');
+  lines.push('');
+  if (history.events.length === 0) {
+    lines.push('_No recorded changes_');
+  }
+  for (const event of history.events) {
+    const changes = event.changes
+      .map(c => `${c.field}: ${formatValue(c.old)} → ${formatValue(c.new)}`)
+      .join('; ');
+    lines.push(`- ${formatTime(event.timestamp)} \`${event.caller}\` ${changes}`);
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+  // Check for help flag first
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(generateHelp('session-history.js', ARG_SPEC,
+      'Show the session change history as a timeline with per-phase durations.\n' +
+      'Use --field to show only changes to one field (e.g. phase, verifier_passed, plan).'
+    ));
+    process.exit(0);
+  }
+
+  const args = parseArgs(ARG_SPEC);
+
+  try {
+    if (!fs.existsSync(getSessionFile(args.sessionId))) {
+      console.error(`Error: Session ${args.sessionId} not found`);
+      process.exit(1);
+    }
+
+    const history = generateHistory(args.sessionId, { field: args.field });
+
+    if (args.format === 'json') {
+      console.log(JSON.stringify(history, null, 2));
+    } else {
+      console.log(generateMarkdown(history));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildPhaseSegments, summarizePhaseDurations, filterEventsByField, generateHistory, generateMarkdown, formatDuration };
@@ -0,0 +1,103 @@
+#!/usr/bin/env bun
+/**
+ * session-import.js - Import a session bundle created by session-export.js
+ *
+ * Verifies the bundle manifest and checksums, restores the session directory and
+ * rewrites machine-specific paths (working_dir, original_dir, worktree.path,
+ * plan.design_doc, and absolute file evidence / test_file paths in tasks) for
+ * this machine's project directory. Evidence log entries keep the exported paths.
+ *
+ * Refuses to overwrite an existing session unless --force is given.
+ *
+ * Usage: session-import.js --bundle <file> [--session <ID>] [--working-dir <dir>]
+ *                          [--worktree-path <dir>] [--force]
+ */
+
+const fs = require('fs');
+const { verifyBundle, restoreBundle } = require('../lib/session-bundle.js');
+const { parseArgs, generateHelp } = require('../lib/args.js');
+
+const ARG_SPEC = {
+  '--bundle': { key: 'bundle', aliases: ['-b'], required: true },
+  '--session': { key: 'sessionId', aliases: ['-s'] },
+  '--working-dir': { key: 'workingDir', aliases: ['-d'] },
+  '--worktree-path': { key: 'worktreePath' },
+  '--force': { key: 'force', aliases: ['-f'], flag: true },
+  '--help': { key: 'help', aliases: ['-h'], flag: true }
+};
+
+// ============================================================================
+// Main Logic
+// ============================================================================
+
+/**
+ * Main execution function
+ * @returns {void}
+ */
+function main() {
+  // Check for help flag first (before validation)
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(generateHelp('session-import.js', ARG_SPEC,
+      'Import a session bundle created by session-export.js.\n' +
+      'Session ID defaults to the exported ID; working dir defaults to the current directory.\n' +
+      'Use --force to overwrite an existing session.'
+    ));
+    process.exit(0);
+  }
+
+  const args = parseArgs(ARG_SPEC);
+
+  if (!fs.existsSync(args.bundle)) {
+    console.error(`Error: Bundle not found: ${args.bundle}`);
+    process.exit(1);
+  }
+
+  let bundle;
+  try {
+    bundle = JSON.parse(fs.readFileSync(args.bundle, 'utf-8'));
+  } catch (error) {
+    console.error(`Error: Invalid bundle JSON: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+
+  const problems = verifyBundle(bundle);
+  if (problems.length > 0) {
+    console.error('Error: Bundle verification failed:');
+    for (const problem of problems) {
+      console.error(`  - ${problem}`);
+    }
+    process.exit(1);
+  }
+
+  const sessionId = args.sessionId || bundle.manifest.session_id;
+
+  try {
+    const session = restoreBundle(bundle, {
+      sessionId,
+      workingDir: args.workingDir || process.cwd(),
+      worktreePath: args.worktreePath,
+      force: args.force
+    });
+
+    console.log(`OK: Session ${sessionId} imported`);
+    console.log(`    From: ${bundle.manifest.session_id} (exported ${bundle.manifest.exported_at})`);
+    console.log(`    Files: ${bundle.manifest.files.length}`);
+    console.log(`    Phase: ${session.phase}`);
+    console.log(`    Working dir: ${session.working_dir}`);
+    if (session.worktree?.path) {
+      console.log(`    Worktree: ${session.worktree.path}`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+if (require.main === module) {
+  main();
+}
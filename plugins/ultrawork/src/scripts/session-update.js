@@ -1,13 +1,22 @@
 #!/usr/bin/env bun
 /**
  * session-update.js - Update session
- * Usage: session-update.js --session <ID> [--phase PHASE] [--exploration-stage STAGE] [--iteration N]
+ * Usage: session-update.js --session <ID> [--phase PHASE] [--exploration-stage STAGE] [--iteration N] [--gate-mode enforce|audit]
+ *
+ * Phase transitions must pass the checks registered for that transition in
+ * phase-rules.json / .claude/ultrawork-rules.json ("transitions").
+ *
+ * --gate-mode is for the user: gate-enforcement.js blocks agents from running it.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { updateSession, resolveSessionId, readSession, validatePhaseTransition, getSessionDir } = require('../lib/session-utils.js');
 const { parseArgs, generateHelp } = require('../lib/args.js');
+const { evaluateRules } = require('../lib/verify-rules.js');
+const { countEvidence } = require('../lib/evidence-log.js');
+const { findFileConflicts } = require('../lib/task-graph.js');
+const { GATE_MODES } = require('../lib/gate-policy.js');
 
 /**
  * Validation error thrown inside updateSession callback.
@@ -39,6 +48,7 @@ const ARG_SPEC = {
   '--iteration': { key: 'iteration', aliases: ['-i'] },
   '--verifier-passed': { key: 'verifierPassed', aliases: [], flag: true },
   '--documenter-completed': { key: 'documenterCompleted', aliases: [], flag: true },
+  '--gate-mode': { key: 'gateMode', aliases: [] },
   '--quiet': { key: 'quiet', aliases: ['-q'], flag: true },
   '--help': { key: 'help', aliases: ['-h'], flag: true }
 };
@@ -94,10 +104,41 @@ function normalizePhase(phase) {
  * @property {string} [designDoc]
  * @property {ExplorationStage} [explorationStage]
  * @property {number} [iteration]
+ * @property {import('../lib/gate-policy.js').GateMode} [gateMode]
  * @property {boolean} [quiet]
  * @property {boolean} [help]
  */
 
+// ============================================================================
+// Plan Approval
+// ============================================================================
+
+/**
+ * Warn about tasks that may run in parallel while declaring the same files.
+ * Advisory: approval still succeeds.
+ * @param {string} sessionId
+ * @returns {void}
+ */
+function warnFileConflicts(sessionId) {
+  const tasksDir = path.join(getSessionDir(sessionId), 'tasks');
+  if (!fs.existsSync(tasksDir)) return;
+
+  const tasks = [];
+  for (const f of fs.readdirSync(tasksDir)) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      tasks.push(JSON.parse(fs.readFileSync(path.join(tasksDir, f), 'utf-8')));
+    } catch { /* skip invalid */ }
+  }
+
+  for (const conflict of findFileConflicts(tasks)) {
+    console.error(
+      `Warning: tasks ${conflict.tasks.join(' and ')} both change ${conflict.files.join(', ')} without a blocked_by edge. ` +
+      'Parallel workers may overwrite each other; add --blocked-by or split the files.'
+    );
+  }
+}
+
 // ============================================================================
 // Main Logic
 // ============================================================================
@@ -109,7 +150,7 @@ function normalizePhase(phase) {
 async function main() {
   // Check for help flag first (before validation)
   if (process.argv.includes('--help') || process.argv.includes('-h')) {
-    console.log(generateHelp('session-update.js', ARG_SPEC, 'Update session phase, plan approval, exploration stage, or iteration number'));
+    console.log(generateHelp('session-update.js', ARG_SPEC, 'Update session phase, plan approval, exploration stage, iteration number, or gate mode'));
     process.exit(0);
   }
 
@@ -130,11 +171,36 @@ async function main() {
       process.exit(1);
     }
 
+    if (args.gateMode !== undefined && !GATE_MODES.includes(args.gateMode)) {
+      console.error(`Error: Invalid gate mode "${args.gateMode}". Must be: ${GATE_MODES.join(', ')}`);
+      process.exit(1);
+    }
+
     // Normalize and validate phase if provided
     if (args.phase) {
       args.phase = normalizePhase(args.phase);
     }
 
+    // ========================================================================
+    // Transition rule checks (pre-lock: checks may run commands)
+    // ========================================================================
+    /** @type {Phase | null} */
+    let checkedFromPhase = null;
+    if (args.phase) {
+      const current = readSession(args.sessionId);
+      if (current.phase !== args.phase && validatePhaseTransition(current.phase, args.phase).allowed) {
+        const report = await evaluateRules(args.sessionId, current.working_dir, { from: current.phase, to: args.phase });
+        if (report.verdict === 'FAIL') {
+          console.error(`Error: Phase transition ${current.phase} \u2192 ${args.phase} blocked by rule checks:`);
+          for (const check of report.checks.filter(c => !c.passed)) {
+            console.error(`  - ${check.name}: ${check.detail}`);
+          }
+          process.exit(1);
+        }
+        checkedFromPhase = current.phase;
+      }
+    }
+
     // ========================================================================
     // Update session with file locking (all validation inside lock)
     // ========================================================================
@@ -191,6 +257,11 @@ async function main() {
             throw new GateError(result.reason);
           }
 
+          // Rule checks ran against the phase read before locking
+          if (checkedFromPhase !== currentPhase) {
+            throw new GateError(`Session phase changed to ${currentPhase} while checking transition rules. Retry the update.`);
+          }
+
           // Gate: VERIFICATION → DOCUMENTATION requires verifier_passed already set
           if (args.phase === 'DOCUMENTATION' && currentPhase === 'VERIFICATION') {
             if (!session.verifier_passed) {
@@ -209,13 +280,9 @@ async function main() {
               throw new GateError('DOCUMENTATION → COMPLETE requires documenter_completed. Set --documenter-completed first in a separate call.');
             }
 
-            // Check evidence from log.jsonl
+            // Check evidence from the log index
             const sessionDir = getSessionDir(args.sessionId);
-            const evidenceLog = path.join(sessionDir, 'evidence', 'log.jsonl');
-            let evidenceCount = 0;
-            if (fs.existsSync(evidenceLog)) {
-              evidenceCount = fs.readFileSync(evidenceLog, 'utf-8').trim().split('\n').filter(l => l.length > 0).length;
-            }
+            const evidenceCount = countEvidence(sessionDir).total;
 
             const tasksDir = path.join(sessionDir, 'tasks');
             let resolvedTasks = 0;
@@ -281,6 +348,11 @@ async function main() {
         session.documenter_completed = true;
       }
 
+      // Set gate mode if provided (audit: gate-enforcement logs instead of blocking)
+      if (args.gateMode) {
+        session.options = { ...session.options, gate_mode: args.gateMode };
+      }
+
       return session;
     });
 
@@ -292,6 +364,10 @@ async function main() {
       try { fs.unlinkSync(codexDocResultPath); } catch { /* file may not exist */ }
     }
 
+    if (args.planApproved) {
+      warnFileConflicts(args.sessionId);
+    }
+
     // Read and output updated session
     const updatedSession = readSession(args.sessionId);
 
@@ -10,11 +10,18 @@ const {
   getSessionsDir,
   getSessionDir,
   getSessionFile,
+  getSessionHistoryFile,
   listActiveSessions,
   readSession,
+  updateSession,
 } = require('../lib/session-utils.js');
-const { acquireLock, releaseLock } = require('../lib/file-lock.js');
 const { parseArgs, generateHelp } = require('../lib/args.js');
+const {
+  RECONCILE_ACTIONS,
+  inspectSession,
+  hasReconcileIssues,
+  applyReconciliation,
+} = require('../lib/session-reconcile.js');
 
 // ============================================================================
 // CLI Arguments Parsing
@@ -35,6 +42,8 @@ const { parseArgs, generateHelp } = require('../lib/args.js');
  * @property {boolean} autoMode
  * @property {boolean} force
  * @property {boolean} resume
+ * @property {string} [reconcile] - 'reset' or 'block' (with --resume)
+ * @property {string} [reason] - Reason for --reconcile block
  * @property {boolean} worktree
  * @property {string} branch
  * @property {boolean} help
@@ -49,6 +58,8 @@ const ARG_SPEC = {
   '--auto': { key: 'autoMode', aliases: ['-a'], flag: true },
   '--force': { key: 'force', aliases: ['-f'], flag: true },
   '--resume': { key: 'resume', aliases: ['-r'], flag: true },
+  '--reconcile': { key: 'reconcile' },
+  '--reason': { key: 'reason' },
   '--worktree': { key: 'worktree', aliases: ['-W'], flag: true },
   '--branch': { key: 'branch', aliases: ['-b'] },
   '--help': { key: 'help', aliases: ['-h'], flag: true }
@@ -80,6 +91,8 @@ function parseCliArgs(argv) {
     '--auto', '-a',
     '--force', '-f',
     '--resume', '-r',
+    '--reconcile',
+    '--reason',
     '--worktree', '-W',
     '--branch', '-b',
     '--help', '-h'
@@ -116,12 +129,36 @@ function parseCliArgs(argv) {
 // Session Resume Logic
 // ============================================================================
 
+/**
+ * Format a reconciliation report for the resume banner
+ * @param {import('../lib/session-reconcile.js').ReconcileReport} report
+ * @returns {string[]} Banner lines
+ */
+function formatReconcileReport(report) {
+  const lines = ['', ' Reconciliation:'];
+  for (const task of report.orphaned_tasks) {
+    const workers = task.workers.length > 0 ? ` (worker: ${task.workers.join(', ')})` : ' (no worker)';
+    lines.push(`   - Task ${task.id} stuck in_progress: ${task.subject}${workers}`);
+  }
+  for (const worker of report.dangling_workers) {
+    const task = worker.task_id ? `task ${worker.task_id}` : worker.source;
+    lines.push(`   - Worker ${worker.agent_id} never finished (${task}, started ${worker.started_at || 'unknown'})`);
+  }
+  for (const lock of report.stale_locks) {
+    lines.push(`   - Stale lock: ${lock}`);
+  }
+  return lines;
+}
+
 /**
  * Resume an existing session
  * @param {string} sessionId - Session ID to resume
+ * @param {Object} [options]
+ * @param {string} [options.reconcile] - 'reset' or 'block' orphaned tasks
+ * @param {string} [options.reason] - Reason recorded on blocked tasks
  * @returns {Promise<void>}
  */
-async function resumeSession(sessionId) {
+async function resumeSession(sessionId, options = {}) {
   const sessionFile = getSessionFile(sessionId);
 
   if (!fs.existsSync(sessionFile)) {
@@ -145,25 +182,29 @@ async function resumeSession(sessionId) {
     process.exit(1);
   }
 
-  // Read existing session
-  const session = readSession(sessionId);
-  const timestamp = new Date().toISOString();
+  // Detect state left behind by the previous run (stale locks first, so the
+  // session lock below is not held by a dead process)
+  const report = inspectSession(sessionId);
+  let applied = null;
+  if (options.reconcile && hasReconcileIssues(report)) {
+    applied = await applyReconciliation(sessionId, report, {
+      action: /** @type {'reset' | 'block'} */ (options.reconcile),
+      reason: options.reason,
+    });
+  }
 
   // Clear cancelled_at if resuming
-  const acquired = await acquireLock(sessionFile);
-  if (!acquired) {
-    console.error('❌ Error: Failed to acquire session lock');
+  try {
+    await updateSession(sessionId, (s) => {
+      s.cancelled_at = null;
+      return s;
+    });
+  } catch (err) {
+    console.error(`❌ Error: ${err instanceof Error ? err.message : String(err)}`);
     process.exit(1);
   }
 
-  try {
-    session.cancelled_at = null;
-    session.updated_at = timestamp;
-
-    fs.writeFileSync(sessionFile, JSON.stringify(session, null, 2), 'utf-8');
-  } finally {
-    releaseLock(sessionFile);
-  }
+  const session = readSession(sessionId);
 
   // Output resume message
   console.log(`\
@@ -173,10 +214,26 @@ async function resumeSession(sessionId) {
 
  Session ID: ${sessionId}
  Goal: ${session.goal}
- Resumed: ${timestamp}
+ Resumed: ${session.updated_at}
 
 ═══════════════════════════════════════════════════════════`);
 
+  if (hasReconcileIssues(report)) {
+    const lines = formatReconcileReport(report);
+    lines.push('');
+    if (applied) {
+      const taskAction = options.reconcile === 'reset' ? 'reset to open' : 'marked blocked';
+      lines.push(` Applied: ${applied.tasks.length} task(s) ${taskAction}, ${applied.workers} worker(s) closed, ${applied.locks} lock(s) removed`);
+    } else {
+      lines.push(' Not changed. Re-run with one of:');
+      lines.push(`   setup-ultrawork.js --session ${sessionId} --resume --reconcile reset`);
+      lines.push(`   setup-ultrawork.js --session ${sessionId} --resume --reconcile block --reason "<why>"`);
+    }
+    lines.push('');
+    lines.push('═══════════════════════════════════════════════════════════');
+    console.log(lines.join('\n'));
+  }
+
   // Output goal on last line for parsing
   console.log(session.goal);
   process.exit(0);
@@ -442,6 +499,9 @@ function createSession(args) {
   fs.mkdirSync(path.join(sessionDir, 'tasks'), { recursive: true });
   fs.mkdirSync(path.join(sessionDir, 'exploration'), { recursive: true });
 
+  // Start a fresh history when re-creating a session over an old directory
+  fs.rmSync(getSessionHistoryFile(sessionId), { force: true });
+
   // Generate timestamp
   const timestamp = new Date().toISOString();
 
@@ -643,9 +703,21 @@ async function main() {
     process.exit(1);
   }
 
+  // Validate --reconcile
+  if (args.reconcile !== undefined) {
+    if (!args.resume) {
+      console.error('❌ Error: --reconcile can only be used with --resume');
+      process.exit(1);
+    }
+    if (!RECONCILE_ACTIONS.includes(args.reconcile)) {
+      console.error(`❌ Error: Invalid --reconcile value "${args.reconcile}". Must be: ${RECONCILE_ACTIONS.join(', ')}`);
+      process.exit(1);
+    }
+  }
+
   // Handle --resume
   if (args.resume) {
-    await resumeSession(args.sessionId);
+    await resumeSession(args.sessionId, { reconcile: args.reconcile, reason: args.reason });
     return;
   }
 
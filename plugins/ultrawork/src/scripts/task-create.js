@@ -35,6 +35,8 @@ const { writeJsonAtomically } = require('../lib/json-ops.js');
  * @property {string} [descriptionFile]
  * @property {string} [testFile]
  * @property {string} [testScope]
+ * @property {string} [allowedPaths]
+ * @property {string} [files]
  * @property {boolean} [help]
  */
 
@@ -50,6 +52,8 @@ const ARG_SPEC = {
   '--approach': { key: 'approach', aliases: ['-a'], default: 'tdd' },
   '--test-file': { key: 'testFile', aliases: ['-t'] },
   '--test-scope': { key: 'testScope', aliases: ['-T', '--scope'] },
+  '--allowed-paths': { key: 'allowedPaths', aliases: ['-P'] },
+  '--files': { key: 'files', aliases: ['-f'] },
   '--help': { key: 'help', aliases: ['-h'], flag: true }
 };
 
@@ -182,6 +186,22 @@ function parseBlockedBy(blockedByStr) {
     .filter(id => id.length > 0);
 }
 
+/**
+ * Parse a comma-separated path list (--allowed-paths, --files) into array
+ * @param {string} pathsStr - Comma-separated paths or globs (relative to the working dir)
+ * @returns {string[]} Array of paths
+ */
+function parsePathList(pathsStr) {
+  if (!pathsStr || pathsStr.trim() === '') {
+    return [];
+  }
+
+  return pathsStr
+    .split(',')
+    .map(p => p.trim())
+    .filter(p => p.length > 0);
+}
+
 /**
  * Create task file
  * @param {CliArgs} args - CLI arguments
@@ -232,6 +252,18 @@ function createTask(args) {
     task.test_scope = args.testScope;
   }
 
+  // Protected paths this task may write
+  const allowedPaths = parsePathList(args.allowedPaths || '');
+  if (allowedPaths.length > 0) {
+    task.allowed_paths = allowedPaths;
+  }
+
+  // Files this task owns while in progress
+  const files = parsePathList(args.files || '');
+  if (files.length > 0) {
+    task.files = files;
+  }
+
   // Write task JSON
   writeJsonAtomically(taskFile, task, { ensureDir: true });
 
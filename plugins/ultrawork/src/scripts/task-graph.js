@@ -0,0 +1,208 @@
+#!/usr/bin/env bun
+/**
+ * task-graph.js - Analyze the task dependency graph
+ *
+ * Shows why execution is serialized: topological waves, the critical path
+ * weighted by complexity (simple=1, standard=2, complex=3), and the maximum
+ * useful parallelism compared with options.max_workers. Also reports cycles,
+ * blocked_by references to missing tasks, tasks that can never start, and
+ * tasks that may run in parallel although they declare the same files.
+ *
+ * Usage: task-graph.js --session <ID> [--format table|json|mermaid|dot]
+ *
+ * Output formats:
+ *   table   - Markdown report (default, AI-friendly)
+ *   json    - Full analysis (for scripts)
+ *   mermaid - Mermaid flowchart, critical path highlighted
+ *   dot     - Graphviz DOT, critical path highlighted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSessionDir, getSessionFile, readSession } = require('../lib/session-utils.js');
+const { parseArgs, generateHelp } = require('../lib/args.js');
+const { taskWeight, compareIds, analyzeTaskGraph, renderMermaid, renderDot } = require('../lib/task-graph.js');
+
+/**
+ * @typedef {import('../lib/types.js').Task} Task
+ * @typedef {import('../lib/task-graph.js').GraphAnalysis} GraphAnalysis
+ */
+
+const ARG_SPEC = {
+  '--session': { key: 'sessionId', aliases: ['-s'], required: true },
+  '--format': { key: 'format', aliases: ['-f'], default: 'table' },
+  '--help': { key: 'help', aliases: ['-h'], flag: true }
+};
+
+const VALID_FORMATS = ['table', 'json', 'mermaid', 'dot'];
+
+// ============================================================================
+// Task Reading
+// ============================================================================
+
+/**
+ * Read all tasks from tasks directory
+ * @param {string} sessionId - Session ID
+ * @returns {Task[]} All tasks
+ */
+function readAllTasks(sessionId) {
+  const tasksDir = path.join(getSessionDir(sessionId), 'tasks');
+  if (!fs.existsSync(tasksDir)) {
+    return [];
+  }
+
+  const tasks = [];
+  for (const file of fs.readdirSync(tasksDir).filter(f => f.endsWith('.json'))) {
+    try {
+      tasks.push(JSON.parse(fs.readFileSync(path.join(tasksDir, file), 'utf-8')));
+    } catch {
+      // Skip invalid task files
+    }
+  }
+
+  return tasks.sort((a, b) => compareIds(String(a.id), String(b.id)));
+}
+
+// ============================================================================
+// Markdown Report
+// ============================================================================
+
+/**
+ * Generate the markdown report
+ * @param {string} sessionId - Session ID
+ * @param {Task[]} tasks - All tasks
+ * @param {GraphAnalysis} analysis - Result of analyzeTaskGraph
+ * @returns {string} Markdown content
+ */
+function generateMarkdown(sessionId, tasks, analysis) {
+  const byId = new Map(tasks.map(t => [String(t.id), t]));
+  const { waves, critical_path: critical, parallelism } = analysis;
+  const workers = parallelism.max_workers > 0 ? String(parallelism.max_workers) : 'unlimited';
+  const lines = [];
+
+  lines.push('# Task Graph');
+  lines.push('');
+  lines.push(`**Session**: ${sessionId}`);
+  lines.push(`**Tasks**: ${analysis.total_tasks} | **Waves**: ${waves.length} | **Max parallelism**: ${parallelism.max} (max_workers: ${workers})`);
+  lines.push('');
+
+  lines.push('## Waves');
+  lines.push('');
+  if (waves.length === 0) {
+    lines.push('(no schedulable tasks)');
+  } else {
+    lines.push('| Wave | Tasks | Size |');
+    lines.push('|------|-------|------|');
+    waves.forEach((wave, i) => {
+      lines.push(`| ${i + 1} | ${wave.join(', ')} | ${wave.length} |`);
+    });
+  }
+  lines.push('');
+
+  lines.push('## Critical Path');
+  lines.push('');
+  if (critical.tasks.length > 0) {
+    const share = analysis.total_weight > 0 ? Math.round((critical.weight / analysis.total_weight) * 100) : 0;
+    lines.push(`${critical.tasks.join(' → ')} (weight ${critical.weight} of ${analysis.total_weight}, ${share}%)`);
+    lines.push('');
+    lines.push('| ID | Subject | Complexity | Weight |');
+    lines.push('|----|---------|------------|--------|');
+    for (const id of critical.tasks) {
+      const task = byId.get(id);
+      lines.push(`| ${id} | ${task.subject} | ${task.complexity || 'standard'} | ${taskWeight(task)} |`);
+    }
+    lines.push('');
+    lines.push('Tasks on the critical path run one after another; shortening it is the only way to finish sooner.');
+  } else {
+    lines.push('(none)');
+  }
+  lines.push('');
+
+  lines.push('## Parallelism');
+  lines.push('');
+  if (parallelism.max > 0) {
+    lines.push(`- Widest wave: ${parallelism.wave + 1} with ${parallelism.max} task(s)`);
+  }
+  if (parallelism.limited_by_workers) {
+    lines.push(`- max_workers (${parallelism.max_workers}) is lower than the widest wave; some ready tasks will wait for a worker`);
+  } else if (parallelism.max_workers > parallelism.max && parallelism.max > 0) {
+    lines.push(`- max_workers (${parallelism.max_workers}) exceeds useful parallelism; at most ${parallelism.max} worker(s) can be busy`);
+  }
+  if (waves.length > 0 && waves.every(w => w.length === 1)) {
+    lines.push('- Every wave has one task: execution is fully serialized by blocked_by');
+  }
+  lines.push('');
+
+  lines.push('## Problems');
+  lines.push('');
+  const problems = [
+    ...analysis.cycles.map(cycle => `- Cycle: ${cycle.join(' ↔ ')}`),
+    ...analysis.dangling.map(d => `- Dangling reference: task ${d.task} is blocked by missing task ${d.missing}`),
+    ...analysis.unreachable.map(u => `- Unreachable: task ${u.id} (${u.reason}: ${u.via.join(', ')})`),
+    ...analysis.file_conflicts.map(c =>
+      `- File conflict: tasks ${c.tasks.join(' and ')} both change ${c.files.join(', ')} without a blocked_by edge`),
+  ];
+  lines.push(problems.length > 0 ? problems.join('\n') : '_No problems found_');
+
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+function main() {
+  // Check for help flag first
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(generateHelp('task-graph.js', ARG_SPEC,
+      'Analyze the task dependency graph: waves, critical path, parallelism,\n' +
+      'cycles, dangling references, unreachable tasks and file conflicts.\n' +
+      'Formats: table (default), json, mermaid, dot.'
+    ));
+    process.exit(0);
+  }
+
+  const args = parseArgs(ARG_SPEC);
+
+  if (!VALID_FORMATS.includes(args.format)) {
+    console.error(`Error: Invalid format "${args.format}". Must be: ${VALID_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    if (!fs.existsSync(getSessionFile(args.sessionId))) {
+      console.error(`Error: Session ${args.sessionId} not found`);
+      process.exit(1);
+    }
+
+    const session = readSession(args.sessionId);
+    const tasks = readAllTasks(args.sessionId);
+    const analysis = analyzeTaskGraph(tasks, { maxWorkers: session.options?.max_workers || 0 });
+
+    switch (args.format) {
+      case 'json':
+        console.log(JSON.stringify(analysis, null, 2));
+        break;
+      case 'mermaid':
+        console.log(renderMermaid(tasks, analysis));
+        break;
+      case 'dot':
+        console.log(renderDot(tasks, analysis));
+        break;
+      default:
+        console.log(generateMarkdown(args.sessionId, tasks, analysis));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readAllTasks, generateMarkdown };
@@ -9,14 +9,18 @@
  *   task-summary.js --session <ID>                    # Overview of all tasks
  *   task-summary.js --session <ID> --task <TASK_ID>   # Single task detail
  *   task-summary.js --session <ID> --save             # Save tasks/summary.md
+ *   task-summary.js --session <ID> --format mermaid   # Dependency diagram (or --format dot)
  *
- * Output: Markdown format optimized for AI agents
+ * Output: Markdown format optimized for AI agents. Mermaid/DOT render every task
+ * as a node coloured by status with blocked_by edges, for design docs and PRs.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { getSessionDir, getSessionFile, readSessionField } = require('../lib/session-utils.js');
 const { parseArgs, generateHelp, validateTaskId } = require('../lib/args.js');
+const { analyzeTaskGraph, renderMermaid, renderDot } = require('../lib/task-graph.js');
+const { formatEvidence, criterionIndex, isMachineCheckable } = require('../lib/task-evidence.js');
 
 // ============================================================================
 // CLI Argument Parsing
@@ -34,6 +38,8 @@ const ARG_SPEC = {
   '--help': { key: 'help', aliases: ['-h'], flag: true }
 };
 
+const VALID_FORMATS = ['md', 'json', 'mermaid', 'dot'];
+
 // ============================================================================
 // Task Reading
 // ============================================================================
@@ -216,27 +222,25 @@ function generateTaskDetailMd(task) {
   if (task.criteria && task.criteria.length > 0) {
     lines.push('## Success Criteria');
     lines.push('');
-    for (const criterion of task.criteria) {
-      // Check if criterion has matching evidence
-      const hasEvidence = task.evidence?.some(e =>
-        typeof e === 'string' ? false : e.criterion === criterion
-      );
+    task.criteria.forEach((criterion, i) => {
+      // Check if criterion has evidence tagged with it
+      const hasEvidence = (task.evidence || []).some(e => criterionIndex(e, task.criteria) === i + 1);
       const checkmark = hasEvidence ? '✓' : '○';
       lines.push(`- [${checkmark}] ${criterion}`);
-    }
+    });
     lines.push('');
   }
 
   // Evidence
   if (task.evidence && task.evidence.length > 0) {
+    const concrete = task.evidence.filter(isMachineCheckable).length;
     lines.push('## Collected Evidence');
     lines.push('');
+    lines.push(`${concrete} of ${task.evidence.length} backed by a command, file, test or log entry`);
+    lines.push('');
     for (const evidence of task.evidence) {
-      if (typeof evidence === 'string') {
-        lines.push(`- ${evidence}`);
-      } else if (evidence.description) {
-        lines.push(`- ${evidence.description}`);
-      }
+      const index = criterionIndex(evidence, task.criteria || []);
+      lines.push(`- ${formatEvidence(evidence)}${index ? ` (criterion ${index})` : ''}`);
     }
     lines.push('');
   }
@@ -267,13 +271,19 @@ function main() {
   if (process.argv.includes('--help') || process.argv.includes('-h')) {
     console.log(generateHelp('task-summary.js', ARG_SPEC,
       'Generate AI-friendly task summary.\n' +
-      'Creates markdown overview or detail view of tasks.'
+      'Creates markdown overview or detail view of tasks.\n' +
+      'Formats: md (default), json, mermaid, dot (diagram of all tasks coloured by status).'
     ));
     process.exit(0);
   }
 
   const args = parseArgs(ARG_SPEC);
 
+  if (!VALID_FORMATS.includes(args.format)) {
+    console.error(`Error: Invalid format "${args.format}". Must be: ${VALID_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
   try {
     // Validate session exists
     const sessionFile = getSessionFile(args.sessionId);
@@ -282,6 +292,15 @@ function main() {
       process.exit(1);
     }
 
+    // Diagram of all tasks (--task is ignored)
+    if (args.format === 'mermaid' || args.format === 'dot') {
+      const tasks = readAllTasks(args.sessionId);
+      const analysis = analyzeTaskGraph(tasks);
+      const render = args.format === 'mermaid' ? renderMermaid : renderDot;
+      console.log(render(tasks, analysis, { highlight: false }));
+      process.exit(0);
+    }
+
     let markdown;
 
     if (args.taskId) {
@@ -3,16 +3,27 @@
  * task-update.js - Update task status and evidence
  *
  * Usage: task-update.js --session <ID> --task-id <id> [--status open|resolved] [--add-evidence "..."]
+ *        task-update.js ... --command "npm test" --exit-code 0 [--kind test] [--output "..."]
+ *        task-update.js ... --file src/auth.ts        # path + sha256
+ *        task-update.js ... --log-line 12             # reference to evidence log entry 12
+ *        task-update.js ... --criterion 2 ...         # evidence supports the task's 2nd criterion
  * Aliases: --task-id, --task, --id (all accepted for task identification)
+ *
+ * Evidence is stored as typed records (see lib/task-evidence.js). The kind is
+ * inferred from the flags unless --kind is given; --add-evidence alone adds a
+ * note, otherwise it becomes the record's description. Legacy string evidence
+ * is migrated to notes whenever the task is written.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { getSessionDir, resolveSessionId } = require('../lib/session-utils.js');
+const { getSessionDir, resolveSessionId, readSessionField } = require('../lib/session-utils.js');
 const { acquireLock, releaseLock } = require('../lib/file-lock.js');
 const { parseArgs, generateHelp, validateTaskId } = require('../lib/args.js');
-const { scanForBlockedPatterns, shouldBlockCompletion } = require('../lib/blocked-patterns.js');
+const { loadBlockedPatternConfig, scanForBlockedPatterns, shouldBlockCompletion } = require('../lib/blocked-patterns.js');
 const { writeJsonAtomically } = require('../lib/json-ops.js');
+const { createEvidence, migrateTaskEvidence, evidenceProse } = require('../lib/task-evidence.js');
+const { toProjectPath } = require('../lib/tdd-policy.js');
 
 // ============================================================================
 // CLI Argument Parsing
@@ -29,6 +40,13 @@ const { writeJsonAtomically } = require('../lib/json-ops.js');
  * @property {string} [id]
  * @property {TaskStatus} [status]
  * @property {string} [addEvidence]
+ * @property {import('../lib/types.js').TaskEvidenceKind} [kind]
+ * @property {string} [command]
+ * @property {string} [exitCode]
+ * @property {string} [output]
+ * @property {string} [file]
+ * @property {string} [logLine]
+ * @property {string} [criterion]
  * @property {boolean} [help]
  */
 
@@ -37,6 +55,13 @@ const ARG_SPEC = {
   '--id': { key: 'id', aliases: ['-t', '--task', '--task-id'], required: true },
   '--status': { key: 'status', aliases: ['-S'] },
   '--add-evidence': { key: 'addEvidence', aliases: ['-e'] },
+  '--kind': { key: 'kind', aliases: ['-k'] },
+  '--command': { key: 'command', aliases: ['-c'] },
+  '--exit-code': { key: 'exitCode', aliases: ['-x'] },
+  '--output': { key: 'output', aliases: ['-o'] },
+  '--file': { key: 'file', aliases: ['-F'] },
+  '--log-line': { key: 'logLine', aliases: ['-L'] },
+  '--criterion': { key: 'criterion', aliases: ['-C'] },
   '--help': { key: 'help', aliases: ['-h'], flag: true }
 };
 
@@ -53,6 +78,24 @@ const VALID_TRANSITIONS = {
   resolved: ['open'],  // Ralph loop: verifier reopens tasks
 };
 
+// ============================================================================
+// Evidence
+// ============================================================================
+
+/**
+ * Evidence kind implied by the given flags
+ * @param {ParsedArgs} args
+ * @returns {import('../lib/types.js').TaskEvidenceKind | null} null when no evidence was given
+ */
+function inferEvidenceKind(args) {
+  if (args.kind) return args.kind;
+  if (args.logLine !== undefined) return 'log_ref';
+  if (args.file) return 'file';
+  if (args.command) return 'command';
+  if (args.addEvidence) return 'note';
+  return null;
+}
+
 // ============================================================================
 // Main Logic
 // ============================================================================
@@ -64,7 +107,13 @@ const VALID_TRANSITIONS = {
 async function main() {
   // Check for help flag first (before validation)
   if (process.argv.includes('--help') || process.argv.includes('-h')) {
-    console.log(generateHelp('task-update.js', ARG_SPEC, 'Update task status and add evidence'));
+    console.log(generateHelp('task-update.js', ARG_SPEC,
+      'Update task status and add evidence.\n' +
+      'Evidence kinds: command (--command --exit-code [--output]), test (--kind test --command --exit-code),\n' +
+      'file (--file, hashed), log_ref (--log-line N, entry number in the evidence log), note (--add-evidence only).\n' +
+      'With other evidence flags, --add-evidence is the description.\n' +
+      '--criterion N tags the evidence with the task\'s Nth success criterion (1-based).'
+    ));
     process.exit(0);
   }
 
@@ -79,6 +128,25 @@ async function main() {
     const sessionDir = getSessionDir(args.session);
     const taskFile = path.join(sessionDir, 'tasks', `${args.id}.json`);
 
+    // Build the evidence record up front (hashing and log lookups happen outside the lock)
+    const kind = inferEvidenceKind(args);
+    if (args.criterion !== undefined && !kind) {
+      console.error('Error: --criterion requires evidence to tag');
+      process.exit(1);
+    }
+    const workingDir = readSessionField(args.session, 'working_dir') || process.cwd();
+    const newEvidence = kind ? createEvidence(kind, {
+      description: args.addEvidence,
+      command: args.command,
+      exitCode: args.exitCode,
+      output: args.output,
+      file: args.file,
+      logLine: args.logLine,
+    }, {
+      sessionDir,
+      workingDir,
+    }) : null;
+
     // Check if task exists
     if (!fs.existsSync(taskFile)) {
       console.error(`Error: Task ${args.id} not found`);
@@ -92,63 +160,62 @@ async function main() {
       process.exit(1);
     }
 
+    // Errors inside the lock are thrown (process.exit would skip the finally and leave the lock behind)
     try {
       // Read current task
       const content = fs.readFileSync(taskFile, 'utf-8');
       /** @type {Task} */
       const task = JSON.parse(content);
 
-      // Add evidence BEFORE status check (so new evidence is included in pattern scan)
-      if (args.addEvidence) {
-        task.evidence.push(args.addEvidence);
+      // Migrate legacy string evidence, then add new evidence BEFORE status check
+      // (so new evidence is included in pattern scan)
+      migrateTaskEvidence(task);
+      if (newEvidence) {
+        if (args.criterion !== undefined) {
+          const criteria = task.criteria || [];
+          const index = Number(args.criterion);
+          if (!Number.isInteger(index) || index < 1 || index > criteria.length) {
+            const range = criteria.length > 0 ? `use 1-${criteria.length}` : 'it has no criteria';
+            throw new Error(`Invalid --criterion "${args.criterion}" for task ${args.id} (${range})`);
+          }
+          newEvidence.criterion = index;
+        }
+        task.evidence.push(newEvidence);
       }
 
       // Update status if provided
       if (args.status) {
         // Validate status value
         if (!VALID_STATUSES.includes(args.status)) {
-          console.error(`Error: Invalid status "${args.status}". Must be: ${VALID_STATUSES.join(', ')}`);
-          process.exit(1);
+          throw new Error(`Invalid status "${args.status}". Must be: ${VALID_STATUSES.join(', ')}`);
         }
 
         // Validate transition
         const allowed = VALID_TRANSITIONS[task.status];
         if (allowed && !allowed.includes(args.status)) {
-          console.error(`Error: Invalid transition ${task.status} → ${args.status}. Allowed: ${allowed.join(', ')}`);
-          process.exit(1);
+          throw new Error(`Invalid transition ${task.status} → ${args.status}. Allowed: ${allowed.join(', ')}`);
         }
 
         // Check for blocked patterns before allowing status=resolved
         if (args.status === 'resolved') {
-          // Collect all evidence text for scanning
-          const evidenceTexts = [];
-          for (const evidence of task.evidence) {
-            if (typeof evidence === 'string') {
-              // String evidence (backward compatibility)
-              evidenceTexts.push(evidence);
-            } else if (typeof evidence === 'object' && evidence !== null) {
-              // Structured evidence - scan relevant fields
-              if (evidence.output) evidenceTexts.push(evidence.output);
-              if (evidence.description) evidenceTexts.push(evidence.description);
-              if (evidence.command) evidenceTexts.push(evidence.command);
-            }
-          }
-
-          // Scan all evidence for blocked patterns
+          // Scan evidence prose for blocked patterns (a file evidence path only selects the allowlist)
+          const config = loadBlockedPatternConfig(workingDir);
           const allMatches = [];
-          for (const text of evidenceTexts) {
-            const matches = scanForBlockedPatterns(text);
+          for (const evidence of task.evidence) {
+            const filePath = evidence && evidence.kind === 'file' && evidence.path
+              ? toProjectPath(evidence.path, workingDir)
+              : undefined;
+            const matches = scanForBlockedPatterns(evidenceProse(evidence), { config, path: filePath });
             allMatches.push(...matches);
           }
 
           // Block completion if error-severity patterns found
-          if (shouldBlockCompletion(allMatches)) {
-            const errorMatches = allMatches.filter(m => m.severity === 'error');
-            console.error('Error: Cannot resolve task - blocked patterns detected in evidence:');
-            for (const match of errorMatches) {
-              console.error(`  - "${match.match}": ${match.message}`);
-            }
-            process.exit(1);
+          const completion = shouldBlockCompletion(allMatches);
+          if (completion.blocked) {
+            throw new Error([
+              'Cannot resolve task - blocked patterns detected in evidence:',
+              ...completion.blocking.map(match => `  - "${match.match}": ${match.message} (rule ${match.rule}, ${match.source})`),
+            ].join('\n'));
           }
 
           // Warn about warning-severity patterns but allow completion
@@ -156,7 +223,7 @@ async function main() {
           if (warningMatches.length > 0) {
             console.error('Warning: Potentially problematic patterns in evidence:');
             for (const match of warningMatches) {
-              console.error(`  - "${match.match}": ${match.message}`);
+              console.error(`  - "${match.match}": ${match.message} (rule ${match.rule}, ${match.source})`);
             }
           }
         }
@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const { getSessionDir, getSessionFile, readSessionField } = require('../lib/session-utils.js');
 const { parseArgs, generateHelp } = require('../lib/args.js');
+const { readEvidenceEntries } = require('../lib/evidence-log.js');
 
 // ============================================================================
 // Argument Parsing
@@ -72,6 +73,10 @@ function formatEvidenceEntry(entry, index) {
       lines.push(`    Data: ${JSON.stringify(entry)}`);
   }
 
+  if (entry.redactions) {
+    lines.push(`    Redacted: ${entry.redactions} secret value(s) masked`);
+  }
+
   return lines.join('\n');
 }
 
@@ -103,7 +108,7 @@ function showEvidenceLog(sessionId) {
   }
 
   const sessionDir = getSessionDir(sessionId);
-  const evidenceLog = path.join(sessionDir, 'evidence', 'log.jsonl');
+  const evidenceDir = path.join(sessionDir, 'evidence');
 
   // Output header
   console.log('═══════════════════════════════════════════════════════════');
@@ -119,14 +124,9 @@ function showEvidenceLog(sessionId) {
   console.log('───────────────────────────────────────────────────────────');
   console.log('');
 
-  // Read evidence from JSONL file
+  // Read evidence from all log segments, oldest first
   /** @type {EvidenceEntry[]} */
-  let entries = [];
-  if (fs.existsSync(evidenceLog)) {
-    const content = fs.readFileSync(evidenceLog, 'utf-8');
-    const lines = content.trim().split('\n').filter(line => line.length > 0);
-    entries = lines.map(line => JSON.parse(line));
-  }
+  const entries = readEvidenceEntries(sessionDir);
 
   // Display evidence entries
   if (entries.length === 0) {
@@ -150,12 +150,14 @@ function showEvidenceLog(sessionId) {
   console.log('   ├── session.json');
   console.log('   ├── context.json');
   console.log('   ├── evidence/');
-  console.log('   │   └── log.jsonl');
+  console.log('   │   ├── log.jsonl          (active segment)');
+  console.log('   │   ├── log.NNNNNN.jsonl   (sealed segments)');
+  console.log('   │   └── index.json');
   console.log('   ├── exploration/');
   console.log('   └── tasks/');
   console.log('');
   console.log(' To view raw evidence:');
-  console.log(`   cat "${evidenceLog}"`);
+  console.log(`   cat "${evidenceDir}"/log*.jsonl`);
   console.log('');
   console.log('═══════════════════════════════════════════════════════════');
 }
@@ -0,0 +1,109 @@
+#!/usr/bin/env bun
+/**
+ * Tests for criteria-matrix.js
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const { createMockSession, createMockTask, runScript, assertHelpText } = require('./test-utils.js');
+const path = require('path');
+
+const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/criteria-matrix.js');
+
+describe('criteria-matrix.js', () => {
+  const sessionId = 'test-criteria-matrix';
+  let session;
+
+  beforeEach(() => {
+    session = createMockSession(sessionId, { phase: 'VERIFICATION' });
+    createMockTask(sessionId, '1', {
+      subject: 'Parser',
+      status: 'resolved',
+      criteria: ['Parses input', 'Handles a | b'],
+      evidence: [
+        { kind: 'test', command: 'bun test', exit_code: 0, passed: true, description: 'bun test (passed, exit 0)', criterion: 1 },
+        'Legacy note'
+      ]
+    });
+    createMockTask(sessionId, '2', {
+      subject: 'Docs',
+      criteria: ['README updated'],
+      evidence: [{ kind: 'note', description: 'Updated README', criterion: 1 }]
+    });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  describe('help flag', () => {
+    test('should display help with --help', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--help']);
+
+      expect(result.exitCode).toBe(0);
+      assertHelpText(result.stdout, ['--session', '--id', '--concrete', '--format']);
+    });
+  });
+
+  describe('markdown format', () => {
+    test('should show each criterion with evidence or MISSING', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('**Criteria**: 3 | **Covered**: 2 | **Missing**: 1');
+      expect(result.stdout).toContain('## Task 1: Parser (resolved)');
+      expect(result.stdout).toContain('| 1 | Parses input | [test] bun test (passed, exit 0) |');
+      expect(result.stdout).toContain('| 2 | Handles a \\| b | **MISSING** |');
+      expect(result.stdout).toContain('_1 evidence entry not tagged with a criterion_');
+      expect(result.stdout).toContain('| 1 | README updated | Updated README |');
+    });
+
+    test('should mark note-only criteria MISSING with --concrete', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--concrete']);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('| 1 | README updated | **MISSING**<br>Updated README |');
+    });
+
+    test('should limit output to one task with --task', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--task', '2']);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('## Task 2: Docs');
+      expect(result.stdout).not.toContain('Task 1');
+    });
+  });
+
+  describe('json format', () => {
+    test('should output the matrix', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--format', 'json']);
+
+      expect(result.exitCode).toBe(0);
+      const matrix = JSON.parse(result.stdout);
+      expect(matrix.totals).toEqual({ criteria: 3, covered: 2, missing: 1 });
+      expect(matrix.tasks[0].criteria[1]).toMatchObject({ index: 2, covered: false, evidence: [] });
+    });
+  });
+
+  describe('error cases', () => {
+    test('should fail for unknown session', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', 'nonexistent-session']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('not found');
+    });
+
+    test('should fail for unknown task', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--task', '9']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Task 9 not found');
+    });
+
+    test('should reject invalid formats', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--format', 'csv']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid format');
+    });
+  });
+});
@@ -3,7 +3,8 @@
  * Tests for deterministic-verify.js (RED phase - script does not exist yet)
  *
  * deterministic-verify.js runs rule-based verification checks against a session.
- * Check types: task_status, evidence_count, command, glob
+ * Check types: task_status, evidence_count, command, glob, plus custom types
+ * registered via check_types
  * Rules: default (phase-rules.json) merged with project (.claude/ultrawork-rules.json)
  * Output: JSON with verdict (PASS/FAIL) and per-check results
  */
@@ -370,6 +371,124 @@ describe('deterministic-verify.js', () => {
     });
   });
 
+  // =========================================================================
+  // criteria_coverage check
+  // =========================================================================
+  describe('criteria_coverage check', () => {
+    beforeEach(() => {
+      const claudeDir = path.join(TEST_BASE_DIR, 'test-project', '.claude');
+      fs.mkdirSync(claudeDir, { recursive: true });
+      fs.writeFileSync(path.join(claudeDir, 'ultrawork-rules.json'), JSON.stringify({
+        version: '1',
+        checks: [
+          { name: 'criteria_covered', type: 'criteria_coverage', exclude: ['verify'] }
+        ]
+      }), 'utf-8');
+    });
+
+    test('should PASS when every criterion has tagged evidence', async () => {
+      createMockTask(session.sessionId, '1', {
+        status: 'resolved',
+        criteria: ['Tests pass', 'Docs updated'],
+        evidence: [
+          { kind: 'test', command: 'bun test', exit_code: 0, passed: true, description: 'bun test', criterion: 1 },
+          { kind: 'file', path: 'README.md', sha256: 'abc', description: 'README.md', criterion: 2 }
+        ]
+      });
+      createMockTask(session.sessionId, 'verify', { status: 'open', criteria: ['Everything verified'] });
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'criteria_covered');
+      expect(check.passed).toBe(true);
+      expect(check.detail).toBe('All 2 criteria have evidence');
+    });
+
+    test('should FAIL listing criteria without evidence', async () => {
+      createMockTask(session.sessionId, '1', {
+        status: 'resolved',
+        criteria: ['Tests pass', 'Docs updated'],
+        evidence: ['Untagged legacy evidence']
+      });
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'criteria_covered');
+      expect(check.passed).toBe(false);
+      expect(check.detail).toBe('2 of 2 criteria without evidence: 1#1, 1#2');
+      expect(parsed.verdict).toBe('FAIL');
+    });
+  });
+
+  // =========================================================================
+  // blocked_patterns check
+  // =========================================================================
+  describe('blocked_patterns check', () => {
+    let projectDir;
+
+    beforeEach(() => {
+      const { execSync } = require('child_process');
+      projectDir = path.join(TEST_BASE_DIR, 'test-project');
+      execSync('git init -q -b main && git config user.email "test@test.com" && git config user.name "Test"', { cwd: projectDir, stdio: 'pipe' });
+      fs.writeFileSync(path.join(projectDir, 'a.js'), '// TODO: existing\n');
+      fs.writeFileSync(path.join(projectDir, 'b.js'), '// FIXME: existing\n');
+      execSync('git add -A && git commit -q -m init', { cwd: projectDir, stdio: 'pipe' });
+
+      fs.writeFileSync(path.join(projectDir, 'a.js'), '// TODO: existing\nthrow new Error("not implemented");\n');
+      fs.writeFileSync(path.join(projectDir, 'b.js'), '// FIXME: existing\nmodule.exports = {};\n');
+
+      const evidenceDir = path.join(session.sessionDir, 'evidence');
+      fs.mkdirSync(evidenceDir, { recursive: true });
+      fs.writeFileSync(path.join(evidenceDir, 'log.jsonl'), [
+        { type: 'file_operation', timestamp: '2026-03-19T00:00:00Z', operation: 'edit', path: path.join(projectDir, 'a.js'), task_id: '1' },
+        { type: 'file_operation', timestamp: '2026-03-19T00:01:00Z', operation: 'edit', path: path.join(projectDir, 'b.js'), task_id: '2' }
+      ].map(e => JSON.stringify(e)).join('\n') + '\n', 'utf-8');
+    });
+
+    /**
+     * @param {Object} check
+     */
+    function writeRules(check) {
+      fs.mkdirSync(path.join(projectDir, '.claude'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, '.claude', 'ultrawork-rules.json'), JSON.stringify({
+        version: '1',
+        checks: [{ name: 'no_new_markers', type: 'blocked_patterns', ...check }]
+      }), 'utf-8');
+    }
+
+    test('should FAIL with file:line for markers added to changed files', async () => {
+      writeRules({});
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const check = JSON.parse(result.stdout).checks.find(c => c.name === 'no_new_markers');
+      expect(check.passed).toBe(false);
+      expect(check.detail).toBe('1 new blocked pattern in 1 file: a.js:2 not implemented (Explicit incompleteness)');
+    });
+
+    test('should only scan the files changed by the given task', async () => {
+      writeRules({ task: '2' });
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const check = JSON.parse(result.stdout).checks.find(c => c.name === 'no_new_markers');
+      expect(check.passed).toBe(true);
+      expect(check.detail).toBe('No new blocked patterns in 1 changed file (base: main)');
+    });
+
+    test('should fail when the base ref does not exist', async () => {
+      writeRules({ source: 'git', base: 'release' });
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const check = JSON.parse(result.stdout).checks.find(c => c.name === 'no_new_markers');
+      expect(check.passed).toBe(false);
+      expect(check.detail).toBe('Base ref not found: release');
+    });
+  });
+
   // =========================================================================
   // 12. Merge logic - additive
   // =========================================================================
@@ -460,7 +579,184 @@ describe('deterministic-verify.js', () => {
   });
 
   // =========================================================================
-  // 14. Overall verdict PASS
+  // 14. Custom check types
+  // =========================================================================
+  describe('custom check types', () => {
+    /**
+     * Write a check module and rules file into the test project
+     * @param {string} moduleSource - Check module source code
+     * @param {Object[]} checks - Project checks
+     */
+    function writeCustomCheck(moduleSource, checks) {
+      const projectDir = path.join(TEST_BASE_DIR, 'test-project');
+      const checksDir = path.join(projectDir, '.claude', 'checks');
+      fs.mkdirSync(checksDir, { recursive: true });
+      fs.writeFileSync(path.join(checksDir, 'custom.js'), moduleSource, 'utf-8');
+      fs.writeFileSync(path.join(projectDir, '.claude', 'ultrawork-rules.json'), JSON.stringify({
+        version: '1',
+        check_types: { file_contains: '.claude/checks/custom.js' },
+        checks
+      }), 'utf-8');
+    }
+
+    const FILE_CONTAINS_MODULE = `
+      const fs = require('fs');
+      const path = require('path');
+      module.exports = function fileContains(check, context) {
+        const content = fs.readFileSync(path.join(context.workingDir, check.file), 'utf-8');
+        const passed = content.includes(check.text);
+        return { passed, detail: passed ? 'found ' + check.text : 'missing ' + check.text };
+      };
+    `;
+
+    test('should PASS when custom executor returns passed=true', async () => {
+      createMockTask(session.sessionId, '1', { status: 'resolved' });
+      const projectDir = path.join(TEST_BASE_DIR, 'test-project');
+      fs.writeFileSync(path.join(projectDir, 'README.md'), '## Usage\n', 'utf-8');
+      writeCustomCheck(FILE_CONTAINS_MODULE, [
+        { name: 'readme_usage', type: 'file_contains', file: 'README.md', text: '## Usage' }
+      ]);
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'readme_usage');
+      expect(check).toEqual({ name: 'readme_usage', type: 'file_contains', passed: true, detail: 'found ## Usage' });
+    });
+
+    test('should FAIL when custom executor returns passed=false', async () => {
+      createMockTask(session.sessionId, '1', { status: 'resolved' });
+      const projectDir = path.join(TEST_BASE_DIR, 'test-project');
+      fs.writeFileSync(path.join(projectDir, 'README.md'), '# Title\n', 'utf-8');
+      writeCustomCheck(FILE_CONTAINS_MODULE, [
+        { name: 'readme_usage', type: 'file_contains', file: 'README.md', text: '## Usage' }
+      ]);
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'readme_usage');
+      expect(check.passed).toBe(false);
+      expect(check.detail).toBe('missing ## Usage');
+      expect(parsed.failed).toContain('readme_usage');
+    });
+
+    test('should support async executors', async () => {
+      createMockTask(session.sessionId, '1', { status: 'resolved' });
+      writeCustomCheck(
+        'module.exports = async () => ({ passed: true, detail: "async ok" });',
+        [{ name: 'async_check', type: 'file_contains' }]
+      );
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'async_check');
+      expect(check.passed).toBe(true);
+      expect(check.detail).toBe('async ok');
+    });
+
+    test('should FAIL the check when executor throws', async () => {
+      createMockTask(session.sessionId, '1', { status: 'resolved' });
+      writeCustomCheck(
+        'module.exports = () => { throw new Error("boom"); };',
+        [{ name: 'throwing_check', type: 'file_contains' }]
+      );
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'throwing_check');
+      expect(check.passed).toBe(false);
+      expect(check.detail).toContain('boom');
+    });
+
+    test('should FAIL the check when executor returns an invalid result', async () => {
+      createMockTask(session.sessionId, '1', { status: 'resolved' });
+      writeCustomCheck(
+        'module.exports = () => "yes";',
+        [{ name: 'invalid_check', type: 'file_contains' }]
+      );
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'invalid_check');
+      expect(check.passed).toBe(false);
+      expect(check.detail).toContain('invalid result');
+    });
+
+    test('should FAIL checks whose module cannot be loaded', async () => {
+      createMockTask(session.sessionId, '1', { status: 'resolved' });
+      const projectDir = path.join(TEST_BASE_DIR, 'test-project');
+      fs.mkdirSync(path.join(projectDir, '.claude'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, '.claude', 'ultrawork-rules.json'), JSON.stringify({
+        version: '1',
+        check_types: { missing_type: '.claude/checks/does-not-exist.js' },
+        checks: [{ name: 'missing_module', type: 'missing_type' }]
+      }), 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'missing_module');
+      expect(check.passed).toBe(false);
+      expect(check.detail).toContain('Failed to load check type missing_type');
+    });
+
+    test('should not allow custom modules to shadow built-in types', async () => {
+      createMockTask(session.sessionId, '1', { status: 'resolved' });
+      const projectDir = path.join(TEST_BASE_DIR, 'test-project');
+      const checksDir = path.join(projectDir, '.claude', 'checks');
+      fs.mkdirSync(checksDir, { recursive: true });
+      fs.writeFileSync(path.join(checksDir, 'fake.js'), 'module.exports = () => ({ passed: true, detail: "fake" });', 'utf-8');
+      fs.writeFileSync(path.join(projectDir, '.claude', 'ultrawork-rules.json'), JSON.stringify({
+        version: '1',
+        check_types: { command: '.claude/checks/fake.js' },
+        checks: [{ name: 'real_command', type: 'command', command: 'false' }]
+      }), 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      const parsed = JSON.parse(result.stdout);
+      const check = parsed.checks.find(c => c.name === 'real_command');
+      expect(check.passed).toBe(false);
+      expect(result.stderr).toContain('built-in type');
+    });
+  });
+
+  // =========================================================================
+  // 15. Transition checks
+  // =========================================================================
+  describe('--transition', () => {
+    test('should run only the checks for the given transition', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--transition', 'PLANNING->EXECUTION'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const parsed = JSON.parse(result.stdout);
+      expect(parsed.checks.map(c => c.name)).toEqual(['tasks_exist']);
+      expect(parsed.verdict).toBe('FAIL');
+    });
+
+    test('should reject malformed transition values', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--transition', 'PLANNING'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('FROM->TO');
+    });
+  });
+
+  // =========================================================================
+  // 16. Overall verdict PASS
   // =========================================================================
   describe('overall verdict', () => {
     test('should return PASS when all checks pass', async () => {
@@ -485,7 +781,7 @@ describe('deterministic-verify.js', () => {
     });
 
     // =========================================================================
-    // 15. Overall verdict FAIL
+    // 17. Overall verdict FAIL
     // =========================================================================
     test('should return FAIL when any check fails', async () => {
       // One task open -> task_status will fail
@@ -0,0 +1,143 @@
+#!/usr/bin/env bun
+/**
+ * Tests for evidence-diff.js
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const { createMockSession, runScript, assertHelpText } = require('./test-utils.js');
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/evidence-diff.js');
+
+/**
+ * Write evidence entries to a session log
+ * @param {string} sessionDir
+ * @param {Object[]} entries
+ */
+function writeLog(sessionDir, entries) {
+  const evidenceDir = path.join(sessionDir, 'evidence');
+  fs.mkdirSync(evidenceDir, { recursive: true });
+  fs.writeFileSync(path.join(evidenceDir, 'log.jsonl'), entries.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf-8');
+}
+
+describe('evidence-diff.js', () => {
+  let base;
+  let head;
+
+  beforeEach(() => {
+    base = createMockSession('test-evidence-diff-base');
+    head = createMockSession('test-evidence-diff-head');
+
+    writeLog(base.sessionDir, [
+      { type: 'test_result', timestamp: '2026-01-17T10:00:00Z', command: 'bun test', passed: true, framework: 'bun' },
+      { type: 'command_execution', timestamp: '2026-01-17T10:01:00Z', command: 'bun run build', exit_code: 0 },
+      { type: 'file_operation', timestamp: '2026-01-17T10:02:00Z', operation: 'edit', path: 'src/auth.js' }
+    ]);
+    writeLog(head.sessionDir, [
+      { type: 'file_operation', timestamp: '2026-01-18T10:00:00Z', operation: 'edit', path: 'src/auth.js' },
+      { type: 'command_execution', timestamp: '2026-01-18T10:01:00Z', command: 'bun run build', exit_code: 1 },
+      {
+        type: 'test_result',
+        timestamp: '2026-01-18T10:02:00Z',
+        command: 'bun test',
+        passed: false,
+        framework: 'bun',
+        counts: { total: 2, passed: 1, failed: 1, skipped: 0 },
+        failed_tests: [{ name: 'auth > login' }]
+      },
+      { type: 'file_operation', timestamp: '2026-01-18T10:03:00Z', operation: 'write', path: 'src/session.js' }
+    ]);
+  });
+
+  afterEach(() => {
+    base.cleanup();
+    head.cleanup();
+  });
+
+  describe('help flag', () => {
+    test('should display help with --help', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--help']);
+
+      expect(result.exitCode).toBe(0);
+      assertHelpText(result.stdout, ['--base', '--head', '--session', '--from', '--to', '--format']);
+    });
+  });
+
+  describe('two sessions', () => {
+    test('should report regressions, flips and file differences', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--base', base.sessionId, '--head', head.sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('**Regressions**: 2');
+      expect(result.stdout).toContain('| `bun test` | ✓ pass | ✗ FAIL (1/2, 1 failed) | regressed |');
+      expect(result.stdout).toContain('Newly failing in `bun test`: auth > login');
+      expect(result.stdout).toContain('| `bun run build` | 0 | 1 | broke |');
+      expect(result.stdout).toContain('**Touched in both**: 1');
+      expect(result.stdout).toContain('- src/session.js');
+    });
+
+    test('should output JSON', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--base', base.sessionId, '--head', head.sessionId, '--format', 'json']);
+
+      expect(result.exitCode).toBe(0);
+      const diff = JSON.parse(result.stdout);
+      expect(diff.base).toEqual({ label: base.sessionId, entries: 3 });
+      expect(diff.files.only_head).toEqual(['src/session.js']);
+    });
+  });
+
+  describe('one session, two times', () => {
+    test('should compare evidence before the last edit with all evidence', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', head.sessionId,
+        '--from', 'last(path:auth.js)',
+        '--format', 'json'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const diff = JSON.parse(result.stdout);
+      expect(diff.base.entries).toBe(0);
+      expect(diff.head.entries).toBe(4);
+      expect(diff.tests.added.map(t => t.key)).toEqual(['bun test']);
+    });
+
+    test('should slice both sides by time', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', head.sessionId,
+        '--from', '2026-01-18T10:01:30Z',
+        '--to', '2026-01-18T10:02:30Z',
+        '--format', 'json'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const diff = JSON.parse(result.stdout);
+      expect(diff.base.entries).toBe(2);
+      expect(diff.head.entries).toBe(3);
+      expect(diff.files.only_head).toEqual([]);
+    });
+  });
+
+  describe('error cases', () => {
+    test('should require two sessions or a session and a time', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--base', base.sessionId]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Use --base <ID> --head <ID>');
+    });
+
+    test('should fail for unknown sessions', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--base', base.sessionId, '--head', 'nonexistent-session']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Session nonexistent-session not found');
+    });
+
+    test('should reject invalid times', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', head.sessionId, '--from', 'yesterday']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid time');
+    });
+  });
+});
@@ -4,7 +4,7 @@
  */
 
 const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
-const { createMockSession, runScript, assertHelpText } = require('./test-utils.js');
+const { createMockSession, createMockTask, runScript, assertHelpText } = require('./test-utils.js');
 const fs = require('fs');
 const path = require('path');
 
@@ -54,7 +54,7 @@ describe('evidence-query.js', () => {
       const result = await runScript(SCRIPT_PATH, ['--help']);
 
       expect(result.exitCode).toBe(0);
-      assertHelpText(result.stdout, ['--session', '--type', '--last', '--search']);
+      assertHelpText(result.stdout, ['--session', '--type', '--last', '--search', '--query', '--group-by']);
     });
   });
 
@@ -197,6 +197,127 @@ describe('evidence-query.js', () => {
     });
   });
 
+  describe('query language', () => {
+    test('should combine terms with AND, OR and NOT', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--query', '(type:command_execution exit_code:0) OR path:src/** -operation:edit',
+        '--format', 'json'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout).map(e => e.type)).toEqual(['command_execution', 'file_operation']);
+    });
+
+    test('should filter relative to the last matching entry', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--query', 'since:last(command:npm) NOT type:file_operation'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('**Results**: 1 entries');
+      expect(result.stdout).toContain('TEST_RESULT');
+    });
+
+    test('should reject unknown fields', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--query', 'colour:red'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Unknown query field "colour"');
+    });
+  });
+
+  describe('group-by', () => {
+    test('should aggregate matches per group', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--group-by', 'type',
+        '--format', 'json'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const groups = JSON.parse(result.stdout);
+      expect(groups.map(g => [g.key, g.count])).toEqual([
+        ['command_execution', 1],
+        ['file_operation', 1],
+        ['test_result', 1]
+      ]);
+    });
+
+    test('should render a markdown table', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--query', 'NOT type:test_result',
+        '--group-by', 'path'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('# Evidence by path');
+      expect(result.stdout).toContain('| src/test.ts | 1 | 0 |');
+      expect(result.stdout).toContain('| (none) | 1 | 0 |');
+    });
+
+    test('should reject invalid groups', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--group-by', 'colour'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid --group-by');
+    });
+  });
+
+  describe('task evidence', () => {
+    beforeEach(() => {
+      const entries = [
+        { type: 'file_operation', timestamp: '2026-01-17T11:00:00Z', operation: 'edit', path: 'src/a.ts', agent_id: 'agent-1', task_id: '1' },
+        { type: 'command_execution', timestamp: '2026-01-17T11:01:00Z', command: 'tsc', exit_code: 0, agent_id: 'agent-2', task_id: '2' },
+        { type: 'command_execution', timestamp: '2026-01-17T11:02:00Z', command: 'npm run lint', exit_code: 1, agent_id: 'agent-1', task_id: '1' }
+      ];
+      fs.appendFileSync(
+        path.join(session.sessionDir, 'evidence', 'log.jsonl'),
+        '\n' + entries.map(e => JSON.stringify(e)).join('\n') + '\n'
+      );
+      createMockTask(session.sessionId, '1', { evidence: ['Implemented a.ts'] });
+    });
+
+    test('should return log entries stamped with the task and the task records', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--id', '1', '--format', 'json']);
+
+      expect(result.exitCode).toBe(0);
+      const output = JSON.parse(result.stdout);
+      expect(output.task_id).toBe('1');
+      expect(output.log.map(e => e.timestamp)).toEqual(['2026-01-17T11:00:00Z', '2026-01-17T11:02:00Z']);
+      expect(output.task_evidence[0].description).toBe('Implemented a.ts');
+    });
+
+    test('should apply other filters to the task log entries', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--task', '1',
+        '--query', 'exit_code!=0'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('**Results**: 1 entries');
+      expect(result.stdout).toContain('npm run lint');
+      expect(result.stdout).toContain('- **Agent**: agent-1 (task 1)');
+      expect(result.stdout).toContain('## Task 1 Evidence Records');
+    });
+
+    test('should return no log entries for tasks without attributed evidence', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--id', '9', '--format', 'json']);
+
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout)).toEqual({ task_id: '9', log: [], task_evidence: [] });
+    });
+  });
+
   describe('empty results', () => {
     test('should handle no matching evidence', async () => {
       const result = await runScript(SCRIPT_PATH, [
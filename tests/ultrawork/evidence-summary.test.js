@@ -6,7 +6,9 @@
 const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
 const { createMockSession, createMockTask, runScript, assertHelpText } = require('./test-utils.js');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { hashContent } = require('../../plugins/ultrawork/src/lib/file-changes.js');
 
 const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/evidence-summary.js');
 
@@ -132,6 +134,74 @@ describe('evidence-summary.js', () => {
     });
   });
 
+  describe('test reports', () => {
+    test('should list failing tests from the latest structured test report', async () => {
+      const evidenceLog = path.join(session.sessionDir, 'evidence', 'log.jsonl');
+      const entries = [
+        { type: 'test_result', timestamp: new Date().toISOString(), passed: false, framework: 'jest', output_preview: 'old' },
+        {
+          type: 'test_result',
+          timestamp: new Date().toISOString(),
+          passed: false,
+          framework: 'bun',
+          output_preview: '',
+          report_format: 'bun',
+          counts: { total: 5, passed: 4, failed: 1, skipped: 0 },
+          duration_ms: 20,
+          failed_tests: [{ name: 'parser > rejects garbage', message: 'Expected 1\nReceived 2' }]
+        }
+      ];
+      fs.writeFileSync(evidenceLog, entries.map(e => JSON.stringify(e)).join('\n'), 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('## Latest Test Report');
+      expect(result.stdout).toContain('4 passed, 1 failed, 0 skipped in 20ms');
+      expect(result.stdout).toContain('- parser > rejects garbage — Expected 1');
+    });
+
+    test('should expose the latest test report in JSON format', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--format', 'json']);
+
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout).latestTestReport).toBeNull();
+    });
+  });
+
+  describe('file changes', () => {
+    test('should summarize changes per file and check the files on disk', async () => {
+      const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-summary-project-'));
+      const project = createMockSession('test-evidence-summary-files', { working_dir: projectDir });
+      try {
+        fs.writeFileSync(path.join(projectDir, 'a.js'), 'v2');
+        fs.writeFileSync(path.join(projectDir, 'b.js'), 'edited later');
+        const entries = [
+          { type: 'file_operation', timestamp: new Date().toISOString(), operation: 'edit', path: path.join(projectDir, 'a.js'),
+            before_sha256: hashContent('v1'), after_sha256: hashContent('v2'), lines_added: 2, lines_removed: 1 },
+          { type: 'file_operation', timestamp: new Date().toISOString(), operation: 'write', path: path.join(projectDir, 'b.js'),
+            before_sha256: hashContent('x'), after_sha256: hashContent('y'), lines_added: 1, lines_removed: 1 },
+          { type: 'file_operation', timestamp: new Date().toISOString(), operation: 'write', path: path.join(projectDir, 'b.js'),
+            before_sha256: hashContent('y'), after_sha256: hashContent('x'), lines_added: 1, lines_removed: 1 }
+        ];
+        fs.mkdirSync(path.join(project.sessionDir, 'evidence'), { recursive: true });
+        fs.writeFileSync(path.join(project.sessionDir, 'evidence', 'log.jsonl'), entries.map(e => JSON.stringify(e)).join('\n'));
+
+        const result = await runScript(SCRIPT_PATH, ['--session', project.sessionId]);
+
+        expect(result.exitCode).toBe(0);
+        expect(result.stdout).toContain('## File Changes');
+        expect(result.stdout).toContain('| `a.js` | 1 | +2 -1 | changed | matches |');
+        expect(result.stdout).toContain('| `b.js` | 2 | +2 -2 | reverted | differs |');
+        expect(result.stdout).toContain('1 file(s) changed on disk since their last recorded Write/Edit');
+        expect(result.stdout).toContain(`EDIT \`${path.join(projectDir, 'a.js')}\` (+2 -1)`);
+      } finally {
+        project.cleanup();
+        fs.rmSync(projectDir, { recursive: true, force: true });
+      }
+    });
+  });
+
   describe('error cases', () => {
     test('should fail when session ID missing', async () => {
       const result = await runScript(SCRIPT_PATH, []);
@@ -0,0 +1,102 @@
+#!/usr/bin/env bun
+/**
+ * Tests for gate-audit.js
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const { createMockSession, runScript, assertHelpText, TEST_BASE_DIR } = require('./test-utils.js');
+const path = require('path');
+
+// Set test base directory BEFORE recording denials in-process
+process.env.ULTRAWORK_TEST_BASE_DIR = TEST_BASE_DIR;
+const { recordGateDenial } = require('../../plugins/ultrawork/src/lib/gate-audit.js');
+
+const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/gate-audit.js');
+
+describe('gate-audit.js', () => {
+  const sessionId = 'test-gate-audit-script';
+  let session;
+
+  beforeEach(() => {
+    session = createMockSession(sessionId, { phase: 'EXECUTION', gate_mode: 'audit' });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  /**
+   * Record denials for the report
+   */
+  function recordDenials() {
+    recordGateDenial(sessionId, { gate: 'tdd', tool: 'Edit', reason: 'Edit blocked: TDD violation', tool_input: { file_path: 'src/a.js' } });
+    recordGateDenial(sessionId, { gate: 'tdd', tool: 'Write', reason: 'Edit blocked: TDD violation', tool_input: { file_path: 'src/b.js' } });
+    recordGateDenial(sessionId, { gate: 'tdd', tool: 'Edit', reason: 'Edit blocked: TDD violation', tool_input: { file_path: 'src/c.js' } });
+    recordGateDenial(sessionId, { gate: 'planning_bash', tool: 'Bash', reason: 'Bash blocked during PLANNING phase', tool_input: { command: 'rm x' } });
+  }
+
+  describe('help flag', () => {
+    test('should display help with --help', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--help']);
+
+      expect(result.exitCode).toBe(0);
+      assertHelpText(result.stdout, ['--session', '--format']);
+    });
+  });
+
+  describe('table format', () => {
+    test('should count would-be denials per gate with top reasons', async () => {
+      recordDenials();
+
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('**Mode**: audit | **Would-be denials**: 4');
+      expect(result.stdout).toContain('| TDD order (tdd) | 3 | 75% | Edit: 2, Write: 1 |');
+      expect(result.stdout).toContain('| PLANNING Bash commands (planning_bash) | 1 | 25% | Bash: 1 |');
+      expect(result.stdout).toContain('- 3× Edit blocked: TDD violation');
+    });
+
+    test('should explain how to enable audit mode when nothing was recorded', async () => {
+      session.cleanup();
+      session = createMockSession(sessionId, { phase: 'EXECUTION' });
+
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('_No would-be denials recorded_');
+      expect(result.stdout).toContain('--gate-mode audit');
+    });
+  });
+
+  describe('json format', () => {
+    test('should output mode, summary and entries', async () => {
+      recordDenials();
+
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--format', 'json']);
+
+      expect(result.exitCode).toBe(0);
+      const report = JSON.parse(result.stdout);
+      expect(report.mode).toBe('audit');
+      expect(report.total).toBe(4);
+      expect(report.gates.map(g => [g.gate, g.count])).toEqual([['tdd', 3], ['planning_bash', 1]]);
+      expect(report.entries[3].tool_input).toEqual({ command: 'rm x' });
+    });
+  });
+
+  describe('errors', () => {
+    test('should reject an unknown format', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--format', 'csv']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid format "csv"');
+    });
+
+    test('should fail for a missing session', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', 'missing-gate-audit-session']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('not found');
+    });
+  });
+});
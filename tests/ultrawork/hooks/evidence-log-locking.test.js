@@ -3,8 +3,8 @@
  * Tests for evidence log file locking in hooks
  *
  * Verifies that post-tool-use-evidence.js and subagent-stop-tracking.js
- * use acquireLock/releaseLock around JSONL evidence log appends,
- * and skip writes on lock failure (no unlocked fallback).
+ * append through evidence-log.js, which uses acquireLock/releaseLock around
+ * JSONL evidence log appends, and skip writes on lock failure (no unlocked fallback).
  */
 
 const fs = require('fs');
@@ -13,6 +13,10 @@ const os = require('os');
 const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
 const { createTempDir } = require('../../test-utils.js');
 const { acquireLock, releaseLock } = require('../../../plugins/ultrawork/src/lib/file-lock.js');
+const { appendEvidence, getActiveLogPath } = require('../../../plugins/ultrawork/src/lib/evidence-log.js');
+
+const HOOKS_DIR = path.join(__dirname, '../../../plugins/ultrawork/src/hooks');
+const EVIDENCE_LOG_LIB = path.join(__dirname, '../../../plugins/ultrawork/src/lib/evidence-log.js');
 
 describe('evidence log locking', () => {
   let tempDir;
@@ -25,27 +29,21 @@ describe('evidence log locking', () => {
     tempDir.cleanup();
   });
 
-  describe('post-tool-use-evidence.js imports file-lock', () => {
+  describe('evidence-log.js locks appends', () => {
     test('source file requires acquireLock and releaseLock from file-lock.js', () => {
-      const hookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/post-tool-use-evidence.js'),
-        'utf-8'
-      );
+      const libSource = fs.readFileSync(EVIDENCE_LOG_LIB, 'utf-8');
 
-      expect(hookSource).toContain("require('../lib/file-lock.js')");
-      expect(hookSource).toContain('acquireLock');
-      expect(hookSource).toContain('releaseLock');
+      expect(libSource).toContain("require('./file-lock.js')");
+      expect(libSource).toContain('acquireLock');
+      expect(libSource).toContain('releaseLock');
     });
 
     test('source file calls acquireLock before appendFileSync for evidence log', () => {
-      const hookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/post-tool-use-evidence.js'),
-        'utf-8'
-      );
+      const libSource = fs.readFileSync(EVIDENCE_LOG_LIB, 'utf-8');
 
-      // The lock acquire should appear before the append in the evidence section
-      const acquireIndex = hookSource.indexOf('acquireLock(evidenceLog');
-      const appendIndex = hookSource.indexOf("fs.appendFileSync(evidenceLog, line, 'utf-8')");
+      // The lock acquire should appear before the append
+      const acquireIndex = libSource.indexOf('acquireLock(activePath');
+      const appendIndex = libSource.indexOf('fs.appendFileSync(activePath');
 
       expect(acquireIndex).toBeGreaterThan(-1);
       expect(appendIndex).toBeGreaterThan(-1);
@@ -53,85 +51,52 @@ describe('evidence log locking', () => {
     });
 
     test('source file calls releaseLock in finally block', () => {
-      const hookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/post-tool-use-evidence.js'),
-        'utf-8'
-      );
-
-      expect(hookSource).toContain('releaseLock(evidenceLog)');
-      // Verify finally pattern
-      expect(hookSource).toMatch(/finally\s*\{[\s\S]*?releaseLock\(evidenceLog\)/);
-    });
-  });
-
-  describe('subagent-stop-tracking.js imports file-lock', () => {
-    test('source file requires acquireLock and releaseLock from file-lock.js', () => {
-      const hookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/subagent-stop-tracking.js'),
-        'utf-8'
-      );
+      const libSource = fs.readFileSync(EVIDENCE_LOG_LIB, 'utf-8');
 
-      expect(hookSource).toContain("require('../lib/file-lock.js')");
-      expect(hookSource).toContain('acquireLock');
-      expect(hookSource).toContain('releaseLock');
+      expect(libSource).toMatch(/finally\s*\{[\s\S]*?releaseLock\(activePath\)/);
     });
 
-    test('source file calls acquireLock before appendFileSync for evidence log', () => {
-      const hookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/subagent-stop-tracking.js'),
-        'utf-8'
-      );
+    test('uses 15000ms lock timeout', () => {
+      const libSource = fs.readFileSync(EVIDENCE_LOG_LIB, 'utf-8');
 
-      // The lock acquire should appear before the append in the evidence section
-      const acquireIndex = hookSource.indexOf('acquireLock(evidenceLogFile');
-      const appendIndex = hookSource.indexOf("fs.appendFileSync(evidenceLogFile, logLine, 'utf-8')");
-
-      expect(acquireIndex).toBeGreaterThan(-1);
-      expect(appendIndex).toBeGreaterThan(-1);
-      expect(acquireIndex).toBeLessThan(appendIndex);
+      expect(libSource).toContain('const LOCK_TIMEOUT_MS = 15000;');
+      expect(libSource).toContain('acquireLock(activePath, LOCK_TIMEOUT_MS)');
     });
+  });
 
-    test('source file calls releaseLock in finally block', () => {
-      const hookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/subagent-stop-tracking.js'),
-        'utf-8'
-      );
+  describe('hooks append through evidence-log.js', () => {
+    for (const hook of ['post-tool-use-evidence.js', 'subagent-stop-tracking.js']) {
+      test(`${hook} uses appendEvidence and never writes the log directly`, () => {
+        const hookSource = fs.readFileSync(path.join(HOOKS_DIR, hook), 'utf-8');
 
-      expect(hookSource).toContain('releaseLock(evidenceLogFile)');
-      // Verify finally pattern
-      expect(hookSource).toMatch(/finally\s*\{[\s\S]*?releaseLock\(evidenceLogFile\)/);
-    });
+        expect(hookSource).toContain("require('../lib/evidence-log.js')");
+        expect(hookSource).toContain('await appendEvidence(');
+        expect(hookSource).not.toContain('fs.appendFileSync(');
+      });
+    }
   });
 
   describe('lock failure behavior', () => {
-    test('post-tool-use-evidence.js skips write on lock failure (no unlocked fallback)', () => {
-      const hookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/post-tool-use-evidence.js'),
-        'utf-8'
-      );
-
-      // Should have exactly 1 appendFileSync call (inside lock only)
-      const appendCalls = hookSource.match(/fs\.appendFileSync\(evidenceLog/g);
-      expect(appendCalls).not.toBeNull();
-      expect(appendCalls.length).toBe(1); // only locked path, no fallback
-
-      // Should log warning on lock timeout
-      expect(hookSource).toContain('evidence log lock timeout, skipping write');
+    test('hooks skip write on lock failure (no unlocked fallback)', () => {
+      for (const hook of ['post-tool-use-evidence.js', 'subagent-stop-tracking.js']) {
+        const hookSource = fs.readFileSync(path.join(HOOKS_DIR, hook), 'utf-8');
+        expect(hookSource).toContain('evidence log lock timeout, skipping write');
+      }
     });
 
-    test('subagent-stop-tracking.js skips write on lock failure (no unlocked fallback)', () => {
-      const hookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/subagent-stop-tracking.js'),
-        'utf-8'
-      );
+    test('appendEvidence waits for the log lock before writing', async () => {
+      const sessionDir = tempDir.path;
+      const logFile = getActiveLogPath(sessionDir);
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
 
-      // Should have exactly 1 appendFileSync call (inside lock only)
-      const appendCalls = hookSource.match(/fs\.appendFileSync\(evidenceLogFile/g);
-      expect(appendCalls).not.toBeNull();
-      expect(appendCalls.length).toBe(1); // only locked path, no fallback
+      expect(await acquireLock(logFile, 1000)).toBe(true);
+      const pending = appendEvidence(sessionDir, { type: 'test' });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(fs.existsSync(logFile)).toBe(false);
 
-      // Should log warning on lock timeout
-      expect(hookSource).toContain('evidence log lock timeout, skipping write');
+      releaseLock(logFile);
+      expect(await pending).toBe(true);
+      expect(JSON.parse(fs.readFileSync(logFile, 'utf-8').trim()).type).toBe('test');
     });
 
     test('locked append followed by unlock actually writes data', async () => {
@@ -205,8 +170,8 @@ describe('evidence log locking', () => {
 
       // updateSession acquires session.json lock internally
       const sessionLockIndex = hookSource.indexOf('await updateSession(sessionId');
-      // evidence log lock acquired after
-      const evidenceLockIndex = hookSource.indexOf('acquireLock(evidenceLogFile');
+      // evidence log lock acquired after (inside appendEvidence)
+      const evidenceLockIndex = hookSource.indexOf('await appendEvidence(');
 
       expect(sessionLockIndex).toBeGreaterThan(-1);
       expect(evidenceLockIndex).toBeGreaterThan(-1);
@@ -222,22 +187,8 @@ describe('evidence log locking', () => {
       // Should NOT call updateSession (which acquires session lock)
       expect(hookSource).not.toContain('updateSession(');
 
-      // Should only acquire evidence log lock
-      expect(hookSource).toContain('acquireLock(evidenceLog');
-    });
-
-    test('both hooks use 15000ms lock timeout', () => {
-      const postHookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/post-tool-use-evidence.js'),
-        'utf-8'
-      );
-      const subagentHookSource = fs.readFileSync(
-        path.join(__dirname, '../../../plugins/ultrawork/src/hooks/subagent-stop-tracking.js'),
-        'utf-8'
-      );
-
-      expect(postHookSource).toContain('acquireLock(evidenceLog, 15000)');
-      expect(subagentHookSource).toContain('acquireLock(evidenceLogFile, 15000)');
+      // Should only acquire evidence log lock (inside appendEvidence)
+      expect(hookSource).toContain('await appendEvidence(');
     });
   });
 });
@@ -0,0 +1,205 @@
+#!/usr/bin/env bun
+/**
+ * Tests for gate-enforcement.js - Audit mode
+ *
+ * With options.gate_mode or "gates.mode" set to "audit", would-be denials are
+ * appended to {session-dir}/gate-audit.jsonl and the call is allowed.
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const {
+  createMockSession,
+  createMockTask,
+  TEST_BASE_DIR
+} = require('../test-utils.js');
+
+// Set test base directory BEFORE reading audit logs in-process
+process.env.ULTRAWORK_TEST_BASE_DIR = TEST_BASE_DIR;
+const { readGateAudit } = require('../../../plugins/ultrawork/src/lib/gate-audit.js');
+
+const HOOK_PATH = path.join(
+  __dirname,
+  '../../../plugins/ultrawork/src/hooks/gate-enforcement.js'
+);
+
+const PROJECT_DIR = path.join(os.tmpdir(), 'ultrawork-gate-audit-project');
+
+/**
+ * Run the gate-enforcement hook with given stdin input
+ * @param {Object} hookInput - Hook input object
+ * @returns {Promise<{exitCode: number, json: Object|null}>}
+ */
+async function runHook(hookInput) {
+  return new Promise((resolve) => {
+    const proc = spawn('bun', [HOOK_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ULTRAWORK_TEST_BASE_DIR: TEST_BASE_DIR }
+    });
+
+    let stdout = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+
+    proc.on('close', (exitCode) => {
+      let json = null;
+      try {
+        json = JSON.parse(stdout.trim());
+      } catch {
+        // not JSON
+      }
+      resolve({ exitCode: exitCode || 0, json });
+    });
+
+    proc.stdin.write(JSON.stringify(hookInput));
+    proc.stdin.end();
+  });
+}
+
+/**
+ * Write the project's .claude/ultrawork-rules.json
+ * @param {Object} rules
+ */
+function writeRules(rules) {
+  fs.mkdirSync(path.join(PROJECT_DIR, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(PROJECT_DIR, '.claude', 'ultrawork-rules.json'), JSON.stringify(rules));
+}
+
+describe('gate-enforcement.js - audit mode', () => {
+  const sessionId = 'test-gate-audit-' + Date.now();
+  let session;
+
+  /**
+   * @param {string} toolName
+   * @param {Object} toolInput
+   */
+  function input(toolName, toolInput) {
+    return { session_id: sessionId, tool_name: toolName, tool_input: toolInput };
+  }
+
+  /**
+   * @param {Object} options - createMockSession options
+   */
+  function startSession(options) {
+    session?.cleanup();
+    session = createMockSession(sessionId, { working_dir: PROJECT_DIR, ...options });
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(PROJECT_DIR, { recursive: true });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+    session = null;
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  test('logs PLANNING denials and allows the call', async () => {
+    startSession({ phase: 'PLANNING', gate_mode: 'audit' });
+    const filePath = path.join(PROJECT_DIR, 'src', 'app.js');
+
+    const write = await runHook(input('Write', { file_path: filePath, content: 'x' }));
+    const bash = await runHook(input('Bash', { command: 'rm -rf dist' }));
+
+    expect(write.json.hookSpecificOutput.decision).toBe('allow');
+    expect(bash.json.hookSpecificOutput.decision).toBe('allow');
+    const entries = readGateAudit(sessionId);
+    expect(entries.map(e => e.gate)).toEqual(['planning_write', 'planning_bash']);
+    expect(entries[0]).toMatchObject({
+      tool: 'Write',
+      reason: 'Write blocked during PLANNING phase',
+      tool_input: { file_path: filePath, content: 'x' },
+      phase: 'PLANNING'
+    });
+  });
+
+  test('uses gates.mode from the project rules', async () => {
+    startSession({ phase: 'PLANNING' });
+    writeRules({ gates: { mode: 'audit' } });
+
+    const result = await runHook(input('Bash', { command: 'echo x > src/x.js' }));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('allow');
+    expect(readGateAudit(sessionId).map(e => e.gate)).toEqual(['planning_bash']);
+  });
+
+  test('session gate_mode enforce overrides the project', async () => {
+    startSession({ phase: 'PLANNING', gate_mode: 'enforce' });
+    writeRules({ gates: { mode: 'audit' } });
+
+    const result = await runHook(input('Bash', { command: 'echo x > src/x.js' }));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+    expect(readGateAudit(sessionId)).toEqual([]);
+  });
+
+  test('records every gate that would fire for one call', async () => {
+    startSession({ phase: 'EXECUTION', gate_mode: 'audit' });
+    writeRules({ gates: { protected_paths: ['src/generated/**'] } });
+    createMockTask(sessionId, '1', { status: 'in_progress', approach: 'tdd' });
+
+    const result = await runHook(input('Edit', { file_path: path.join(PROJECT_DIR, 'src', 'generated', 'api.js') }));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('allow');
+    expect(readGateAudit(sessionId).map(e => e.gate)).toEqual(['protected_paths', 'tdd']);
+  });
+
+  test('logs the Codex doc-review gate', async () => {
+    startSession({ phase: 'PLANNING', gate_mode: 'audit' });
+    const resultPath = `/tmp/codex-doc-${sessionId}.json`;
+    fs.writeFileSync(resultPath, JSON.stringify({ verdict: 'FAIL', summary: 'Missing API section' }));
+
+    try {
+      const result = await runHook(input('Bash', { command: `bun "/plugin/src/scripts/session-update.js" --session ${sessionId} --phase EXECUTION` }));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('allow');
+      expect(readGateAudit(sessionId).map(e => e.gate)).toEqual(['codex_doc_review']);
+    } finally {
+      fs.rmSync(resultPath, { force: true });
+    }
+  });
+
+  test('keeps session file tamper protection enforced', async () => {
+    startSession({ phase: 'EXECUTION', gate_mode: 'audit' });
+
+    const result = await runHook(input('Bash', { command: `rm ${path.join(session.sessionDir, 'gate-audit.jsonl')}` }));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+    expect(readGateAudit(sessionId)).toEqual([]);
+  });
+
+  test('blocks agents from switching the gate mode', async () => {
+    startSession({ phase: 'EXECUTION', gate_mode: 'audit' });
+
+    for (const command of [
+      `bun "$SCRIPTS/session-update.js" --session ${sessionId} --gate-mode audit`,
+      `bun "$SCRIPTS/session-update.js" --session ${sessionId} --gate-mode=enforce`,
+      `cd /tmp && bash -c 'bun session-update.js --session ${sessionId} --gate-mode audit'`
+    ]) {
+      const result = await runHook(input('Bash', { command }));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('block');
+      expect(result.json.hookSpecificOutput.reason).toBe('Changing the gate mode is reserved for the user.');
+    }
+    expect(readGateAudit(sessionId)).toEqual([]);
+
+    const phase = await runHook(input('Bash', { command: `bun "$SCRIPTS/session-update.js" --session ${sessionId} --phase VERIFICATION` }));
+    expect(phase.json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('protects the session history from Bash writes', async () => {
+    startSession({ phase: 'EXECUTION' });
+    const historyFile = path.join(session.sessionDir, 'history.jsonl');
+
+    for (const command of [`: > ${historyFile}`, `sed -i '1d' ${historyFile}`, `rm ${historyFile}`]) {
+      const result = await runHook(input('Bash', { command }));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('block');
+      expect(result.json.hookSpecificOutput.reason).toBe('Direct modification of session files is not allowed.');
+    }
+    expect((await runHook(input('Bash', { command: `tail -5 ${historyFile}` }))).json.hookSpecificOutput.decision).toBe('allow');
+  });
+});
@@ -0,0 +1,122 @@
+#!/usr/bin/env bun
+/**
+ * Tests for gate-enforcement.js - File ownership between worker agents
+ *
+ * Files an in-progress task declares with --files may only be written by the
+ * worker bound to that task (evidence/agents.json).
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const {
+  createMockSession,
+  createMockTask,
+  TEST_BASE_DIR
+} = require('../test-utils.js');
+
+const HOOK_PATH = path.join(
+  __dirname,
+  '../../../plugins/ultrawork/src/hooks/gate-enforcement.js'
+);
+
+const PROJECT_DIR = path.join(os.tmpdir(), 'ultrawork-gate-ownership-project');
+
+/**
+ * Run the gate-enforcement hook with given stdin input
+ * @param {Object} hookInput - Hook input object
+ * @returns {Promise<{exitCode: number, json: Object|null}>}
+ */
+async function runHook(hookInput) {
+  return new Promise((resolve) => {
+    const proc = spawn('bun', [HOOK_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ULTRAWORK_TEST_BASE_DIR: TEST_BASE_DIR }
+    });
+
+    let stdout = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+
+    proc.on('close', (exitCode) => {
+      let json = null;
+      try {
+        json = JSON.parse(stdout.trim());
+      } catch {
+        // not JSON
+      }
+      resolve({ exitCode: exitCode || 0, json });
+    });
+
+    proc.stdin.write(JSON.stringify(hookInput));
+    proc.stdin.end();
+  });
+}
+
+describe('gate-enforcement.js - file ownership', () => {
+  const sessionId = 'test-gate-ownership-' + Date.now();
+  let session;
+
+  /**
+   * @param {string} toolName
+   * @param {Object} toolInput
+   * @param {string} [agentId]
+   */
+  function input(toolName, toolInput, agentId) {
+    return { session_id: sessionId, tool_name: toolName, tool_input: toolInput, ...(agentId ? { agent_id: agentId } : {}) };
+  }
+
+  const api = { file_path: path.join(PROJECT_DIR, 'src', 'api.ts') };
+
+  beforeEach(() => {
+    fs.mkdirSync(PROJECT_DIR, { recursive: true });
+    session = createMockSession(sessionId, { phase: 'EXECUTION', working_dir: PROJECT_DIR });
+    createMockTask(sessionId, '1', { status: 'in_progress', files: ['src/cli.ts'] });
+    createMockTask(sessionId, '2', { status: 'in_progress', files: ['src/api.ts', 'src/db/**'] });
+    fs.mkdirSync(path.join(session.sessionDir, 'evidence'), { recursive: true });
+    fs.writeFileSync(path.join(session.sessionDir, 'evidence', 'agents.json'), JSON.stringify({ 'agent-1': '1', 'agent-2': '2' }));
+  });
+
+  afterEach(() => {
+    session.cleanup();
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  test('blocks files owned by another in-progress task', async () => {
+    const result = await runHook(input('Edit', api, 'agent-1'));
+
+    expect(result.exitCode).toBe(0);
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+    expect(result.json.hookSpecificOutput.reason).toBe(`Edit blocked: ${api.file_path} is owned by task 2`);
+    expect(result.json.hookSpecificOutput.additionalContext).toContain('⛔ FILE OWNERSHIP');
+  });
+
+  test('allows the owning worker and files nobody owns', async () => {
+    expect((await runHook(input('Edit', api, 'agent-2'))).json.hookSpecificOutput.decision).toBe('allow');
+    expect((await runHook(input('Write', { file_path: path.join(PROJECT_DIR, 'README.md') }, 'agent-1'))).json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('blocks Bash writes into owned globs', async () => {
+    const result = await runHook(input('Bash', { command: 'echo x > src/db/user.ts' }, 'agent-1'));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+  });
+
+  test('does not apply without a bound worker agent', async () => {
+    expect((await runHook(input('Edit', api))).json.hookSpecificOutput.decision).toBe('allow');
+    expect((await runHook(input('Edit', api, 'agent-9'))).json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('allows files both tasks declare', async () => {
+    createMockTask(sessionId, '1', { status: 'in_progress', files: ['src/cli.ts', 'src/api.ts'] });
+
+    expect((await runHook(input('Edit', api, 'agent-1'))).json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('ignores ownership of tasks that are not in progress', async () => {
+    createMockTask(sessionId, '2', { status: 'resolved', files: ['src/api.ts'] });
+
+    expect((await runHook(input('Edit', api, 'agent-1'))).json.hookSpecificOutput.decision).toBe('allow');
+  });
+});
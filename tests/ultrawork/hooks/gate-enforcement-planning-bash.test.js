@@ -0,0 +1,152 @@
+#!/usr/bin/env bun
+/**
+ * Tests for gate-enforcement.js - Bash write effects during PLANNING phase
+ *
+ * Extra allowed commands come from "gates.planning_commands" in
+ * {working_dir}/.claude/ultrawork-rules.json
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const {
+  createMockSession,
+  TEST_BASE_DIR
+} = require('../test-utils.js');
+
+const HOOK_PATH = path.join(
+  __dirname,
+  '../../../plugins/ultrawork/src/hooks/gate-enforcement.js'
+);
+
+const PROJECT_DIR = path.join(os.tmpdir(), 'ultrawork-gate-planning-project');
+
+/**
+ * Run the gate-enforcement hook with given stdin input
+ * @param {Object} hookInput - Hook input object
+ * @returns {Promise<{exitCode: number, json: Object|null}>}
+ */
+async function runHook(hookInput) {
+  return new Promise((resolve) => {
+    const proc = spawn('bun', [HOOK_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ULTRAWORK_TEST_BASE_DIR: TEST_BASE_DIR }
+    });
+
+    let stdout = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+
+    proc.on('close', (exitCode) => {
+      let json = null;
+      try {
+        json = JSON.parse(stdout.trim());
+      } catch {
+        // not JSON
+      }
+      resolve({ exitCode: exitCode || 0, json });
+    });
+
+    proc.stdin.write(JSON.stringify(hookInput));
+    proc.stdin.end();
+  });
+}
+
+/**
+ * Write the project's .claude/ultrawork-rules.json
+ * @param {Object} rules
+ */
+function writeRules(rules) {
+  fs.mkdirSync(path.join(PROJECT_DIR, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(PROJECT_DIR, '.claude', 'ultrawork-rules.json'), JSON.stringify(rules));
+}
+
+describe('gate-enforcement.js - PLANNING Bash gate', () => {
+  const sessionId = 'test-gate-planning-bash-' + Date.now();
+  let session;
+
+  /**
+   * Hook input for a Bash command
+   * @param {string} command
+   */
+  function bashInput(command) {
+    return { session_id: sessionId, tool_name: 'Bash', tool_input: { command } };
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(PROJECT_DIR, { recursive: true });
+    session = createMockSession(sessionId, { phase: 'PLANNING', working_dir: PROJECT_DIR });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  test('allows read-only commands', async () => {
+    const result = await runHook(bashInput('ls -la src && grep -rn "TODO" src | head -20 && git log --oneline -5'));
+
+    expect(result.exitCode).toBe(0);
+    expect(result.json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('allows plugin scripts', async () => {
+    const result = await runHook(bashInput(`bun "/plugin/src/scripts/task-list.js" --session ${sessionId}`));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('blocks redirections into project files with the detected effects', async () => {
+    const result = await runHook(bashInput('echo "export const x = 1;" > src/x.js'));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+    expect(result.json.hookSpecificOutput.reason).toBe('Bash blocked during PLANNING phase');
+    const context = result.json.hookSpecificOutput.additionalContext;
+    expect(context).toContain('⛔ GATE VIOLATION');
+    expect(context).toContain('Command: echo "export const x = 1;" > src/x.js');
+    expect(context).toContain('[redirect] output redirected to src/x.js');
+    expect(context).toContain(`Session ID: ${sessionId}`);
+    expect(context).toContain('gates.planning_commands');
+  });
+
+  test('blocks in-place edits, deletions, installs and git writes', async () => {
+    const commands = {
+      "sed -i 's/a/b/' src/a.js": '[in_place_edit]',
+      'rm -rf dist': '[file_delete]',
+      'npm install lodash': '[package_manager]',
+      'git commit -am wip': '[git_write]'
+    };
+
+    for (const [command, kind] of Object.entries(commands)) {
+      const result = await runHook(bashInput(command));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('block');
+      expect(result.json.hookSpecificOutput.additionalContext).toContain(kind);
+    }
+  });
+
+  test('allows writes to planning files', async () => {
+    const result = await runHook(bashInput('cat > docs/plans/auth-design.md <<EOF\n# Design\nEOF'));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('allows commands listed in gates.planning_commands', async () => {
+    expect((await runHook(bashInput('bun test tests/auth'))).json.hookSpecificOutput.decision).toBe('block');
+
+    writeRules({ gates: { planning_commands: ['bun test'] } });
+
+    expect((await runHook(bashInput('bun test tests/auth'))).json.hookSpecificOutput.decision).toBe('allow');
+    expect((await runHook(bashInput('bun test > out.txt'))).json.hookSpecificOutput.decision).toBe('block');
+  });
+
+  test('does not gate Bash outside PLANNING', async () => {
+    session.cleanup();
+    session = createMockSession(sessionId, { phase: 'EXECUTION', working_dir: PROJECT_DIR });
+
+    const result = await runHook(bashInput('echo x > src/x.js'));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('allow');
+  });
+});
@@ -0,0 +1,140 @@
+#!/usr/bin/env bun
+/**
+ * Tests for gate-enforcement.js - Protected paths (all phases)
+ *
+ * Globs from "gates.protected_paths" in {working_dir}/.claude/ultrawork-rules.json
+ * may only be written by a task that lists them in allowed_paths.
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const {
+  createMockSession,
+  createMockTask,
+  TEST_BASE_DIR
+} = require('../test-utils.js');
+
+const HOOK_PATH = path.join(
+  __dirname,
+  '../../../plugins/ultrawork/src/hooks/gate-enforcement.js'
+);
+
+const PROJECT_DIR = path.join(os.tmpdir(), 'ultrawork-gate-protected-project');
+
+/**
+ * Run the gate-enforcement hook with given stdin input
+ * @param {Object} hookInput - Hook input object
+ * @returns {Promise<{exitCode: number, json: Object|null}>}
+ */
+async function runHook(hookInput) {
+  return new Promise((resolve) => {
+    const proc = spawn('bun', [HOOK_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ULTRAWORK_TEST_BASE_DIR: TEST_BASE_DIR }
+    });
+
+    let stdout = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+
+    proc.on('close', (exitCode) => {
+      let json = null;
+      try {
+        json = JSON.parse(stdout.trim());
+      } catch {
+        // not JSON
+      }
+      resolve({ exitCode: exitCode || 0, json });
+    });
+
+    proc.stdin.write(JSON.stringify(hookInput));
+    proc.stdin.end();
+  });
+}
+
+/**
+ * Write the project's .claude/ultrawork-rules.json
+ * @param {Object} rules
+ */
+function writeRules(rules) {
+  fs.mkdirSync(path.join(PROJECT_DIR, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(PROJECT_DIR, '.claude', 'ultrawork-rules.json'), JSON.stringify(rules));
+}
+
+describe('gate-enforcement.js - protected paths', () => {
+  const sessionId = 'test-gate-protected-' + Date.now();
+  let session;
+
+  /**
+   * @param {string} toolName
+   * @param {Object} toolInput
+   * @param {string} [agentId]
+   */
+  function input(toolName, toolInput, agentId) {
+    return { session_id: sessionId, tool_name: toolName, tool_input: toolInput, ...(agentId ? { agent_id: agentId } : {}) };
+  }
+
+  const workflow = path.join(PROJECT_DIR, '.github', 'workflows', 'ci.yml');
+
+  beforeEach(() => {
+    fs.mkdirSync(PROJECT_DIR, { recursive: true });
+    session = createMockSession(sessionId, { phase: 'EXECUTION', working_dir: PROJECT_DIR });
+    writeRules({ gates: { protected_paths: ['.github/workflows/**', 'package-lock.json', '**/.env*'] } });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  test('blocks protected paths when no task declares them', async () => {
+    createMockTask(sessionId, '1', { status: 'in_progress' });
+
+    const result = await runHook(input('Edit', { file_path: workflow }));
+
+    expect(result.exitCode).toBe(0);
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+    expect(result.json.hookSpecificOutput.reason).toBe(`Edit blocked: ${workflow} is a protected path`);
+    const context = result.json.hookSpecificOutput.additionalContext;
+    expect(context).toContain('⛔ PROTECTED PATH');
+    expect(context).toContain('(protected by ".github/workflows/**")');
+    expect(context).toContain('--allowed-paths ".github/workflows/**"');
+  });
+
+  test('allows protected paths the in-progress task declares', async () => {
+    createMockTask(sessionId, '1', { status: 'in_progress', allowed_paths: ['.github/workflows/*.yml'] });
+
+    const result = await runHook(input('Write', { file_path: workflow }));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('uses the worker agent task when the agent is bound', async () => {
+    createMockTask(sessionId, '1', { status: 'in_progress', allowed_paths: ['package-lock.json'] });
+    createMockTask(sessionId, '2', { status: 'in_progress' });
+    fs.mkdirSync(path.join(session.sessionDir, 'evidence'), { recursive: true });
+    fs.writeFileSync(path.join(session.sessionDir, 'evidence', 'agents.json'), JSON.stringify({ 'agent-1': '1', 'agent-2': '2' }));
+    const lockfile = { file_path: path.join(PROJECT_DIR, 'package-lock.json') };
+
+    expect((await runHook(input('Edit', lockfile, 'agent-1'))).json.hookSpecificOutput.decision).toBe('allow');
+    expect((await runHook(input('Edit', lockfile, 'agent-2'))).json.hookSpecificOutput.decision).toBe('block');
+  });
+
+  test('blocks Bash writes and deletions of protected paths', async () => {
+    expect((await runHook(input('Bash', { command: 'echo SECRET=1 >> app/.env' }))).json.hookSpecificOutput.decision).toBe('block');
+    expect((await runHook(input('Bash', { command: 'rm package-lock.json' }))).json.hookSpecificOutput.decision).toBe('block');
+    expect((await runHook(input('Bash', { command: 'cat package-lock.json' }))).json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('applies during PLANNING too', async () => {
+    session.cleanup();
+    session = createMockSession(sessionId, { phase: 'PLANNING', working_dir: PROJECT_DIR });
+
+    const result = await runHook(input('Write', { file_path: path.join(PROJECT_DIR, 'docs', 'plans', '.env.example') }));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+    expect(result.json.hookSpecificOutput.additionalContext).toContain('Current Phase: PLANNING');
+  });
+});
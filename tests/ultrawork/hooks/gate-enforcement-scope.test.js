@@ -0,0 +1,144 @@
+#!/usr/bin/env bun
+/**
+ * Tests for gate-enforcement.js - Working directory scope (all phases)
+ *
+ * A worktree session's working_dir is {original_dir}/.worktrees/<name>; edits to
+ * the original checkout or elsewhere on disk are blocked. Extra writable paths
+ * come from "gates.external_paths" in {working_dir}/.claude/ultrawork-rules.json
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const {
+  createMockSession,
+  TEST_BASE_DIR
+} = require('../test-utils.js');
+
+const HOOK_PATH = path.join(
+  __dirname,
+  '../../../plugins/ultrawork/src/hooks/gate-enforcement.js'
+);
+
+const ORIGINAL_DIR = path.join(os.tmpdir(), 'ultrawork-gate-scope-project');
+const WORKTREE_DIR = path.join(ORIGINAL_DIR, '.worktrees', 'feature');
+const ELSEWHERE = path.join(os.homedir(), 'ultrawork-scope-elsewhere');
+
+/**
+ * Run the gate-enforcement hook with given stdin input
+ * @param {Object} hookInput - Hook input object
+ * @returns {Promise<{exitCode: number, json: Object|null}>}
+ */
+async function runHook(hookInput) {
+  return new Promise((resolve) => {
+    const proc = spawn('bun', [HOOK_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ULTRAWORK_TEST_BASE_DIR: TEST_BASE_DIR }
+    });
+
+    let stdout = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+
+    proc.on('close', (exitCode) => {
+      let json = null;
+      try {
+        json = JSON.parse(stdout.trim());
+      } catch {
+        // not JSON
+      }
+      resolve({ exitCode: exitCode || 0, json });
+    });
+
+    proc.stdin.write(JSON.stringify(hookInput));
+    proc.stdin.end();
+  });
+}
+
+/**
+ * Write the project's .claude/ultrawork-rules.json
+ * @param {Object} rules
+ */
+function writeRules(rules) {
+  fs.mkdirSync(path.join(WORKTREE_DIR, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(WORKTREE_DIR, '.claude', 'ultrawork-rules.json'), JSON.stringify(rules));
+}
+
+describe('gate-enforcement.js - working directory scope', () => {
+  const sessionId = 'test-gate-scope-' + Date.now();
+  let session;
+
+  beforeEach(() => {
+    fs.mkdirSync(WORKTREE_DIR, { recursive: true });
+    session = createMockSession(sessionId, { phase: 'EXECUTION', working_dir: WORKTREE_DIR, original_dir: ORIGINAL_DIR });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+    fs.rmSync(ORIGINAL_DIR, { recursive: true, force: true });
+  });
+
+  /**
+   * @param {string} toolName
+   * @param {Object} toolInput
+   * @param {string} [cwd]
+   */
+  function input(toolName, toolInput, cwd) {
+    return { session_id: sessionId, tool_name: toolName, tool_input: toolInput, ...(cwd ? { cwd } : {}) };
+  }
+
+  test('allows edits inside the worktree', async () => {
+    const result = await runHook(input('Edit', { file_path: path.join(WORKTREE_DIR, 'src', 'a.js') }));
+
+    expect(result.exitCode).toBe(0);
+    expect(result.json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('blocks edits to the original checkout and points at the worktree', async () => {
+    const result = await runHook(input('Write', { file_path: path.join(ORIGINAL_DIR, 'src', 'a.js') }));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+    expect(result.json.hookSpecificOutput.reason).toBe('Write blocked: target is in the original checkout, not the worktree');
+    const context = result.json.hookSpecificOutput.additionalContext;
+    expect(context).toContain('⛔ SCOPE VIOLATION');
+    expect(context).toContain(`${path.join(ORIGINAL_DIR, 'src', 'a.js')} (original checkout)`);
+    expect(context).toContain(`- ${path.join(WORKTREE_DIR, 'src', 'a.js')}`);
+  });
+
+  test('blocks edits outside both directories', async () => {
+    const result = await runHook(input('Edit', { file_path: path.join(ELSEWHERE, 'a.js') }));
+
+    expect(result.json.hookSpecificOutput.decision).toBe('block');
+    expect(result.json.hookSpecificOutput.reason).toBe('Edit blocked: target is outside the session working directory');
+  });
+
+  test('allows session files and temp files', async () => {
+    expect((await runHook(input('Write', { file_path: path.join(session.sessionDir, 'exploration', 'overview.md') })))
+      .json.hookSpecificOutput.decision).toBe('allow');
+    expect((await runHook(input('Bash', { command: `echo x > ${path.join(os.tmpdir(), 'scratch.txt')}` })))
+      .json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('resolves relative Bash targets against the shell directory', async () => {
+    const fromOriginal = await runHook(input('Bash', { command: "sed -i 's/a/b/' src/a.js" }, ORIGINAL_DIR));
+    expect(fromOriginal.json.hookSpecificOutput.decision).toBe('block');
+    expect(fromOriginal.json.hookSpecificOutput.additionalContext).toContain(path.join(ORIGINAL_DIR, 'src', 'a.js'));
+
+    const afterCd = await runHook(input('Bash', { command: `cd ${WORKTREE_DIR} && sed -i 's/a/b/' src/a.js` }, ORIGINAL_DIR));
+    expect(afterCd.json.hookSpecificOutput.decision).toBe('allow');
+
+    const readOnly = await runHook(input('Bash', { command: 'cat src/a.js' }, ORIGINAL_DIR));
+    expect(readOnly.json.hookSpecificOutput.decision).toBe('allow');
+  });
+
+  test('allows gates.external_paths and can be turned off', async () => {
+    const target = path.join(ELSEWHERE, 'a.js');
+
+    writeRules({ gates: { external_paths: [ELSEWHERE] } });
+    expect((await runHook(input('Edit', { file_path: target }))).json.hookSpecificOutput.decision).toBe('allow');
+
+    writeRules({ gates: { working_dir_scope: false } });
+    expect((await runHook(input('Edit', { file_path: path.join(ORIGINAL_DIR, 'a.js') }))).json.hookSpecificOutput.decision).toBe('allow');
+  });
+});
@@ -0,0 +1,178 @@
+#!/usr/bin/env bun
+/**
+ * Tests for gate-enforcement.js - TDD test-first gate (EXECUTION phase)
+ *
+ * Uses the project TDD policy from {working_dir}/.claude/ultrawork-rules.json
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const {
+  createMockSession,
+  createMockTask,
+  TEST_BASE_DIR
+} = require('../test-utils.js');
+
+const HOOK_PATH = path.join(
+  __dirname,
+  '../../../plugins/ultrawork/src/hooks/gate-enforcement.js'
+);
+
+const PROJECT_DIR = path.join(os.tmpdir(), 'ultrawork-gate-tdd-project');
+
+/**
+ * Run the gate-enforcement hook with given stdin input
+ * @param {Object} hookInput - Hook input object
+ * @returns {Promise<{exitCode: number, json: Object|null}>}
+ */
+async function runHook(hookInput) {
+  return new Promise((resolve) => {
+    const proc = spawn('bun', [HOOK_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ULTRAWORK_TEST_BASE_DIR: TEST_BASE_DIR }
+    });
+
+    let stdout = '';
+    proc.stdout.on('data', (data) => { stdout += data.toString(); });
+
+    proc.on('close', (exitCode) => {
+      let json = null;
+      try {
+        json = JSON.parse(stdout.trim());
+      } catch {
+        // not JSON
+      }
+      resolve({ exitCode: exitCode || 0, json });
+    });
+
+    proc.stdin.write(JSON.stringify(hookInput));
+    proc.stdin.end();
+  });
+}
+
+/**
+ * Write the project's .claude/ultrawork-rules.json
+ * @param {Object} rules
+ */
+function writeRules(rules) {
+  fs.mkdirSync(path.join(PROJECT_DIR, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(PROJECT_DIR, '.claude', 'ultrawork-rules.json'), JSON.stringify(rules));
+}
+
+/**
+ * Append a file_operation entry to the session evidence log
+ * @param {string} sessionDir
+ * @param {string} filePath
+ */
+function logWrite(sessionDir, filePath) {
+  fs.mkdirSync(path.join(sessionDir, 'evidence'), { recursive: true });
+  fs.appendFileSync(
+    path.join(sessionDir, 'evidence', 'log.jsonl'),
+    JSON.stringify({ type: 'file_operation', operation: 'write', path: filePath, timestamp: new Date().toISOString() }) + '\n'
+  );
+}
+
+describe('gate-enforcement.js - TDD gate', () => {
+  const sessionId = 'test-gate-tdd-' + Date.now();
+  let session;
+
+  /**
+   * Hook input for a Write to a project file
+   * @param {string} relativePath
+   */
+  function writeInput(relativePath) {
+    return {
+      session_id: sessionId,
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(PROJECT_DIR, relativePath) }
+    };
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(PROJECT_DIR, { recursive: true });
+    session = createMockSession(sessionId, { phase: 'EXECUTION', working_dir: PROJECT_DIR });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  describe('default policy', () => {
+    test('blocks implementation before TDD-RED evidence', async () => {
+      createMockTask(sessionId, '1', { status: 'in_progress', approach: 'tdd' });
+
+      const result = await runHook(writeInput('src/user.ts'));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('block');
+      expect(result.json.hookSpecificOutput.additionalContext).toContain('Missing TDD-RED evidence');
+    });
+
+    test('allows test files before TDD-RED evidence', async () => {
+      createMockTask(sessionId, '1', { status: 'in_progress', approach: 'tdd' });
+
+      const result = await runHook(writeInput('src/user.test.ts'));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('allow');
+    });
+
+    test('allows implementation after TDD-RED evidence', async () => {
+      createMockTask(sessionId, '1', { status: 'in_progress', approach: 'tdd', evidence: ['TDD-RED: bun test (exit code 1)'] });
+
+      const result = await runHook(writeInput('src/user.ts'));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('allow');
+    });
+
+    test('ignores non-TDD tasks', async () => {
+      createMockTask(sessionId, '1', { status: 'in_progress', approach: 'standard' });
+
+      const result = await runHook(writeInput('src/user.ts'));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('allow');
+    });
+  });
+
+  describe('project policy', () => {
+    test('uses project test patterns', async () => {
+      writeRules({ tdd: { test_patterns: ['spec/**/*_spec.rb'] } });
+      createMockTask(sessionId, '1', { status: 'in_progress', approach: 'tdd' });
+
+      expect((await runHook(writeInput('spec/user_spec.rb'))).json.hookSpecificOutput.decision).toBe('allow');
+      expect((await runHook(writeInput('src/user.test.ts'))).json.hookSpecificOutput.decision).toBe('block');
+    });
+
+    test('allows exempt files and files outside source roots', async () => {
+      writeRules({ tdd: { source_roots: ['src'], exempt: ['src/generated/**'] } });
+      createMockTask(sessionId, '1', { status: 'in_progress', approach: 'tdd' });
+
+      expect((await runHook(writeInput('src/generated/api.ts'))).json.hookSpecificOutput.decision).toBe('allow');
+      expect((await runHook(writeInput('scripts/build.js'))).json.hookSpecificOutput.decision).toBe('allow');
+      expect((await runHook(writeInput('src/user.ts'))).json.hookSpecificOutput.decision).toBe('block');
+    });
+
+    test('blocks implementation when only a different test was written', async () => {
+      writeRules({ tdd: { test_mapping: [{ source: 'src/**/*.ts', test: 'tests/{dir}/{name}.test{ext}' }] } });
+      createMockTask(sessionId, '1', { status: 'in_progress', approach: 'tdd', evidence: ['TDD-RED: bun test (exit code 1)'] });
+      logWrite(session.sessionDir, path.join(PROJECT_DIR, 'tests/other.test.ts'));
+
+      const result = await runHook(writeInput('src/lib/user.ts'));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('block');
+      expect(result.json.hookSpecificOutput.additionalContext).toContain('- tests/lib/user.test.ts');
+    });
+
+    test('allows implementation once the matching test was written', async () => {
+      writeRules({ tdd: { test_mapping: [{ source: 'src/**/*.ts', test: 'tests/{dir}/{name}.test{ext}' }] } });
+      createMockTask(sessionId, '1', { status: 'in_progress', approach: 'tdd', evidence: ['TDD-RED: bun test (exit code 1)'] });
+      logWrite(session.sessionDir, path.join(PROJECT_DIR, 'tests/lib/user.test.ts'));
+
+      const result = await runHook(writeInput('src/lib/user.ts'));
+
+      expect(result.json.hookSpecificOutput.decision).toBe('allow');
+    });
+  });
+});
@@ -11,6 +11,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { spawn } = require('child_process');
 const { describe, test, expect, beforeEach, afterAll } = require('bun:test');
 
 // Set test base dir BEFORE importing session-utils
@@ -22,8 +23,63 @@ const {
   buildFileEvidence,
   truncateOutput,
   isTestCommand,
+  readPreviousContent,
+  extractTaskUpdateId,
+  resolveAgentTask,
+  attributeEvidence,
 } = require('../../../plugins/ultrawork/src/hooks/post-tool-use-evidence.js');
 
+const HOOK_PATH = path.join(__dirname, '../../../plugins/ultrawork/src/hooks/post-tool-use-evidence.js');
+
+/**
+ * Run the hook with given stdin input
+ * @param {Object} hookInput
+ * @returns {Promise<number>} Exit code
+ */
+function runHook(hookInput) {
+  return new Promise((resolve) => {
+    const proc = spawn('bun', [HOOK_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ULTRAWORK_TEST_BASE_DIR: TEST_BASE_DIR }
+    });
+    proc.on('close', (exitCode) => resolve(exitCode || 0));
+    proc.stdin.write(JSON.stringify(hookInput));
+    proc.stdin.end();
+  });
+}
+
+/**
+ * Create an EXECUTION-phase session under TEST_BASE_DIR
+ * @param {string} sessionId
+ * @param {Object} [extra] - Additional session fields
+ * @returns {string} Session directory
+ */
+function createExecutionSession(sessionId, extra = {}) {
+  const sessionDir = path.join(TEST_BASE_DIR, 'sessions', sessionId);
+  fs.mkdirSync(path.join(sessionDir, 'tasks'), { recursive: true });
+  fs.writeFileSync(path.join(sessionDir, 'session.json'), JSON.stringify({
+    version: '6.1',
+    session_id: sessionId,
+    working_dir: '/tmp/test-project',
+    phase: 'EXECUTION',
+    updated_at: new Date().toISOString(),
+    evidence_log: [],
+    ...extra
+  }, null, 2));
+  return sessionDir;
+}
+
+/**
+ * Entries in the active evidence log
+ * @param {string} sessionDir
+ * @returns {Object[]}
+ */
+function readLog(sessionDir) {
+  const logPath = path.join(sessionDir, 'evidence', 'log.jsonl');
+  if (!fs.existsSync(logPath)) return [];
+  return fs.readFileSync(logPath, 'utf-8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
 // Cleanup
 afterAll(() => {
   if (fs.existsSync(TEST_BASE_DIR)) {
@@ -70,6 +126,7 @@ describe('post-tool-use-evidence.js - JSONL format validation', () => {
       expect(evidence.type).toBe('test_result');
       expect(evidence.passed).toBe(true);
       expect(evidence.framework).toBe('jest');
+      expect(evidence.command).toBe('npm test');
     });
 
     test('failed test command sets passed=false', () => {
@@ -82,6 +139,48 @@ describe('post-tool-use-evidence.js - JSONL format validation', () => {
       expect(evidence.type).toBe('test_result');
       expect(evidence.passed).toBe(false);
     });
+
+    test('structured test report adds counts and failing tests', () => {
+      const evidence = buildBashEvidence(
+        'bun test',
+        '',
+        1,
+        { stderr: '(fail) parser > rejects garbage [1.50ms]\n\n 4 pass\n 1 fail\nRan 5 tests across 1 file. [20.00ms]' }
+      );
+
+      expect(evidence.framework).toBe('bun');
+      expect(evidence.report_format).toBe('bun');
+      expect(evidence.counts).toEqual({ total: 5, passed: 4, failed: 1, skipped: 0 });
+      expect(evidence.duration_ms).toBe(20);
+      expect(evidence.failed_tests).toEqual([{ name: 'parser > rejects garbage', duration_ms: 1.5 }]);
+    });
+
+    test('report file written by the command is read relative to cwd', () => {
+      fs.mkdirSync(TEST_BASE_DIR, { recursive: true });
+      fs.writeFileSync(
+        path.join(TEST_BASE_DIR, 'junit.xml'),
+        '<testsuite><testcase name="ok"/><testcase name="bad"><failure message="nope"/></testcase></testsuite>'
+      );
+
+      const evidence = buildBashEvidence('pytest --junitxml=junit.xml', '1 failed, 1 passed', 1, { cwd: TEST_BASE_DIR });
+
+      expect(evidence.report_format).toBe('junit');
+      expect(evidence.report_file).toBe(path.join(TEST_BASE_DIR, 'junit.xml'));
+      expect(evidence.failed_tests).toEqual([{ name: 'bad', message: 'nope' }]);
+    });
+
+    test('reported failures set passed=false even with exit code 0', () => {
+      const evidence = buildBashEvidence('bun test', ' 2 pass\n 1 fail', 0);
+
+      expect(evidence.passed).toBe(false);
+    });
+
+    test('unstructured output records no report fields', () => {
+      const evidence = buildBashEvidence('npm test', 'Tests: 5 passed, 5 total', 0);
+
+      expect(evidence).not.toHaveProperty('counts');
+      expect(evidence).not.toHaveProperty('failed_tests');
+    });
   });
 
   describe('buildFileEvidence', () => {
@@ -100,6 +199,30 @@ describe('post-tool-use-evidence.js - JSONL format validation', () => {
       expect(evidence.operation).toBe('edit');
       expect(evidence.path).toBe('/src/utils.ts');
     });
+
+    test('includes the file change when given', () => {
+      const evidence = buildFileEvidence('edit', '/src/utils.ts', { before_sha256: 'a', after_sha256: 'b', lines_added: 1, lines_removed: 0 });
+
+      expect(evidence).toMatchObject({ before_sha256: 'a', after_sha256: 'b', lines_added: 1 });
+    });
+  });
+
+  describe('readPreviousContent', () => {
+    test('uses originalFile from the tool response', () => {
+      expect(readPreviousContent('write', {}, { originalFile: 'old' }, 'new')).toBe('old');
+      expect(readPreviousContent('write', {}, { type: 'create', originalFile: null }, 'new')).toBe('');
+      expect(readPreviousContent('write', {}, 'ok', 'new')).toBeNull();
+    });
+
+    test('undoes an edit when the replacement is unambiguous', () => {
+      const edit = { old_string: 'foo', new_string: 'bar' };
+
+      expect(readPreviousContent('edit', edit, undefined, 'a bar b')).toBe('a foo b');
+      expect(readPreviousContent('edit', edit, undefined, 'bar bar')).toBeNull();
+      expect(readPreviousContent('edit', { ...edit, replace_all: true }, undefined, 'bar bar')).toBe('foo foo');
+      expect(readPreviousContent('edit', { old_string: 'foo', new_string: '' }, undefined, 'ab')).toBeNull();
+      expect(readPreviousContent('edit', edit, undefined, null)).toBeNull();
+    });
   });
 
   describe('JSONL format - single entry', () => {
@@ -163,6 +286,11 @@ describe('post-tool-use-evidence.js - JSONL format validation', () => {
       expect(isTestCommand('pytest tests/')).toBe(true);
     });
 
+    test('detects bun test and node --test', () => {
+      expect(isTestCommand('bun test tests/')).toBe(true);
+      expect(isTestCommand('node --test')).toBe(true);
+    });
+
     test('does not match regular commands', () => {
       expect(isTestCommand('ls -la')).toBe(false);
       expect(isTestCommand('git status')).toBe(false);
@@ -182,4 +310,86 @@ describe('post-tool-use-evidence.js - JSONL format validation', () => {
       expect(result).toContain('[truncated');
     });
   });
+
+  describe('attribution', () => {
+    test('extracts the task ID from task-update.js commands', () => {
+      expect(extractTaskUpdateId('bun "/p/scripts/task-update.js" --session abc --id 3 --status in_progress')).toBe('3');
+      expect(extractTaskUpdateId('bun task-update.js --session abc --task-id "verify" --add-evidence x')).toBe('verify');
+      expect(extractTaskUpdateId('bun task-update.js --session abc \\\n  --id 4 \\\n  --add-evidence x')).toBe('4');
+      expect(extractTaskUpdateId('bun task-update.js --session abc; bun task-get.js --id 5')).toBe('');
+      expect(extractTaskUpdateId('bun task-get.js --session abc --id 3')).toBe('');
+      expect(extractTaskUpdateId('npm test')).toBe('');
+    });
+
+    test('resolves the task from bindings, then workers', () => {
+      const bindings = { a1: '1' };
+      const workers = [{ agent_id: 'a1', task_id: 'old' }, { agent_id: 'a2', task_id: '2' }];
+
+      expect(resolveAgentTask('a1', bindings, workers)).toBe('1');
+      expect(resolveAgentTask('a2', bindings, workers)).toBe('2');
+      expect(resolveAgentTask('a3', bindings, workers)).toBe('');
+      expect(resolveAgentTask('a1', {})).toBe('');
+    });
+
+    test('stamps only the fields that are known', () => {
+      const evidence = buildFileEvidence('edit', '/src/a.ts');
+
+      expect(attributeEvidence(evidence, 'a1', '1')).toMatchObject({ agent_id: 'a1', task_id: '1' });
+      expect(attributeEvidence(evidence, 'a1', '')).not.toHaveProperty('task_id');
+      expect(attributeEvidence(evidence, '', '')).toEqual(evidence);
+    });
+
+    test('hook records hashes, line counts and a diff for edits', async () => {
+      const sessionId = 'test-file-change-' + Date.now();
+      const sessionDir = createExecutionSession(sessionId);
+      const filePath = path.join(TEST_BASE_DIR, 'project', 'app.js');
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, 'const a = 1;\nconst b = 3;\n');
+
+      await runHook({
+        session_id: sessionId,
+        tool_name: 'Edit',
+        tool_input: { file_path: filePath, old_string: 'const b = 2;', new_string: 'const b = 3;' }
+      });
+
+      const entry = readLog(sessionDir)[0];
+      expect(entry.before_sha256).toHaveLength(64);
+      expect(entry.after_sha256).not.toBe(entry.before_sha256);
+      expect(entry).toMatchObject({ lines_added: 1, lines_removed: 1 });
+      expect(entry.diff).toBe('@@ -1,2 +1,2 @@\n const a = 1;\n-const b = 2;\n+const b = 3;');
+    });
+
+    test('hook stamps evidence of tracked workers', async () => {
+      const sessionId = 'test-attribution-workers-' + Date.now();
+      const sessionDir = createExecutionSession(sessionId, { workers: [{ agent_id: 'agent-2', task_id: '5', status: 'failed' }] });
+
+      await runHook({ session_id: sessionId, agent_id: 'agent-2', tool_name: 'Write', tool_input: { file_path: '/tmp/x.ts' } });
+
+      expect(readLog(sessionDir)[0]).toMatchObject({ agent_id: 'agent-2', task_id: '5' });
+    });
+
+    test('hook binds a worker to its task and stamps its evidence', async () => {
+      const sessionId = 'test-attribution-' + Date.now();
+      const sessionDir = createExecutionSession(sessionId);
+      const agent = { session_id: sessionId, agent_id: 'agent-1', agent_type: 'ultrawork:worker' };
+
+      await runHook({
+        ...agent,
+        tool_name: 'Bash',
+        tool_input: { command: `bun "/p/scripts/task-update.js" --session ${sessionId} --id 2 --status in_progress` },
+        tool_response: { stdout: 'ok', exit_code: 0 }
+      });
+      await runHook({ ...agent, tool_name: 'Edit', tool_input: { file_path: '/tmp/test-project/src/a.ts' } });
+      await runHook({ session_id: sessionId, tool_name: 'Write', tool_input: { file_path: '/tmp/test-project/b.ts' } });
+
+      const bindings = JSON.parse(fs.readFileSync(path.join(sessionDir, 'evidence', 'agents.json'), 'utf-8'));
+      expect(bindings).toEqual({ 'agent-1': '2' });
+
+      const log = readLog(sessionDir);
+      expect(log.length).toBe(2);
+      expect(log[0]).toMatchObject({ type: 'file_operation', agent_id: 'agent-1', task_id: '2' });
+      expect(log[1].agent_id).toBeUndefined();
+      expect(log[1].task_id).toBeUndefined();
+    });
+  });
 });
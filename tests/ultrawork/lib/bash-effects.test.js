@@ -0,0 +1,181 @@
+#!/usr/bin/env bun
+/**
+ * Tests for bash-effects.js - Write effects of Bash commands
+ */
+
+const { describe, test, expect } = require('bun:test');
+const {
+  tokenize,
+  analyzeCommand,
+  isReadOnlyCommand
+} = require('../../../plugins/ultrawork/src/lib/bash-effects.js');
+
+/**
+ * Effects as "kind[targets]" strings
+ * @param {string} command
+ * @param {Object} [options]
+ * @returns {string[]}
+ */
+function effects(command, options) {
+  return analyzeCommand(command, options).map(e => `${e.kind}[${e.targets.join(',')}]`);
+}
+
+describe('bash-effects.js', () => {
+  describe('tokenize', () => {
+    test('should split on operators and keep quoted text in one word', () => {
+      const { commands } = tokenize('grep "a; b" src | sort && echo \'x > y\'');
+
+      expect(commands.map(c => c.words)).toEqual([['grep', 'a; b', 'src'], ['sort'], ['echo', 'x > y']]);
+    });
+
+    test('should separate redirections and drop file descriptor numbers', () => {
+      const { commands } = tokenize('cmd 2>/dev/null >> out.log 2>&1');
+
+      expect(commands[0].words).toEqual(['cmd']);
+      expect(commands[0].redirects).toEqual([{ op: '>', target: '/dev/null' }, { op: '>>', target: 'out.log' }]);
+    });
+
+    test('should return command substitutions separately', () => {
+      const { commands, substitutions } = tokenize('echo "$(git rev-parse HEAD)" `date`');
+
+      expect(commands[0].words).toEqual(['echo', '$(...)', '`...`']);
+      expect(substitutions).toEqual(['git rev-parse HEAD', 'date']);
+    });
+
+    test('should skip heredoc bodies', () => {
+      const { commands } = tokenize('cat <<EOF\nrm -rf /\nEOF\nls');
+
+      expect(commands.map(c => c.words[0])).toEqual(['cat', 'ls']);
+    });
+  });
+
+  describe('analyzeCommand', () => {
+    test('should allow read-only commands and pipelines', () => {
+      expect(effects('ls -la && cat a.js | grep x | sort | uniq -c')).toEqual([]);
+      expect(effects("sed -n '1,5p' a.js; find . -name '*.js'")).toEqual([]);
+      expect(effects('for f in *.js; do wc -l "$f"; done')).toEqual([]);
+      expect(effects('echo "a > b" 2>/dev/null # > c')).toEqual([]);
+    });
+
+    test('should report output redirections', () => {
+      expect(effects('echo hi > out.txt')).toEqual(['redirect[out.txt]']);
+      expect(effects('cat <<EOF >> notes.md\nhello\nEOF')).toEqual(['redirect[notes.md]']);
+    });
+
+    test('should report in-place edits, writes and deletions', () => {
+      expect(effects("sed -i 's/a/b/' src/a.js src/b.js")).toEqual(['in_place_edit[src/a.js,src/b.js]']);
+      expect(effects('rm -rf build')).toEqual(['file_delete[build]']);
+      expect(effects('cp a.js lib/')).toEqual(['file_write[lib/]']);
+      expect(effects('npm test | tee log.txt')).toEqual(['unknown[]', 'file_write[log.txt]']);
+      expect(effects('find . -name "*.tmp" -delete')).toEqual(['file_delete[.]']);
+    });
+
+    test('should classify git subcommands', () => {
+      expect(effects('git status && git -C repo log --oneline && git branch --contains abc')).toEqual([]);
+      expect(effects('git commit -m "x"').map(e => e.split('[')[0])).toEqual(['git_write']);
+      expect(effects('git branch feature')).toEqual(['git_write[]']);
+      expect(effects('git stash')).toEqual(['git_write[]']);
+    });
+
+    test('should classify package manager subcommands', () => {
+      expect(effects('npm ls && pip list')).toEqual([]);
+      expect(effects('npm install lodash')).toEqual(['package_manager[]']);
+      expect(effects('sudo -u root apt-get install foo')).toEqual(['package_manager[]']);
+      expect(effects('yarn')).toEqual(['package_manager[]']);
+      expect(effects('npm run build')).toEqual(['unknown[]']);
+    });
+
+    test('should look inside substitutions, shells, eval and find -exec', () => {
+      expect(effects('echo "$(rm x)"')).toEqual(['file_delete[x]']);
+      expect(effects('bash -c "echo x > y"')).toEqual(['redirect[y]']);
+      expect(effects('find . -name "*.bak" -exec rm {} \\;')).toEqual(['file_delete[{}]']);
+      expect(effects('timeout 10 touch x')).toEqual(['file_write[x]']);
+    });
+
+    test('should allow plugin scripts and configured prefixes', () => {
+      expect(effects('bun "$SCRIPTS/session-get.js" --session 1 --field phase')).toEqual([]);
+      expect(effects('bun test')).toEqual(['unknown[]']);
+      expect(effects('bun test && npm run lint', { allowedCommands: ['bun test', 'npm run lint'] })).toEqual([]);
+      expect(effects('bun test > out.txt', { allowedCommands: ['bun test'] })).toEqual(['redirect[out.txt]']);
+    });
+
+    test('should report awk programs that write files or run commands', () => {
+      expect(effects(`awk '{print > "out.txt"}' x`)).toEqual(['unknown[]']);
+      expect(effects(`awk 'BEGIN{system("rm -rf /")}'`)).toEqual(['unknown[]']);
+      expect(effects(`awk '{print | "sh"}' x`)).toEqual(['unknown[]']);
+      expect(effects(`awk 'BEGIN{"date" | getline d}'`)).toEqual(['unknown[]']);
+      expect(effects('awk -f prog.awk x')).toEqual(['unknown[]']);
+      expect(effects(`awk '$1 > 5 {print $1 "|" $2}' x && awk -F '|' '{print $1}' x`)).toEqual([]);
+    });
+
+    test('should report options of read-only programs that write or run commands', () => {
+      expect(effects(`yq -i '.a=1' f.yml`)).toEqual(['in_place_edit[f.yml]']);
+      expect(effects(`yq --inplace '.a=1' f.yml`)).toEqual(['in_place_edit[f.yml]']);
+      expect(effects(`yq '.a' f.yml`)).toEqual([]);
+      expect(effects('git -C . diff --output=foo.patch')).toEqual(['file_write[foo.patch]']);
+      expect(effects('git format-patch -o patches HEAD~2')).toEqual(['file_write[patches]']);
+      expect(effects('git grep -o TODO')).toEqual([]);
+      expect(effects('date -s 2020-01-01')).toEqual(['unknown[]']);
+      expect(effects('date 010112002020')).toEqual(['unknown[]']);
+      expect(effects('date +%s && date -d yesterday +%F')).toEqual([]);
+      expect(effects('hostname foo')).toEqual(['unknown[]']);
+      expect(effects('hostname && hostname -f')).toEqual([]);
+      expect(effects('sort -ofoo a && sort --output=bar a && sort -uo baz a')).toEqual(['file_write[foo]', 'file_write[bar]', 'file_write[baz]']);
+      expect(effects('sort -t , -k 2 a')).toEqual([]);
+      expect(effects('uniq a.txt b.txt')).toEqual(['file_write[b.txt]']);
+      expect(effects('uniq -f 2 -c a.txt')).toEqual([]);
+      expect(effects('xxd a.bin out.hex')).toEqual(['file_write[out.hex]']);
+      expect(effects('xxd -c 16 a.bin')).toEqual([]);
+      expect(effects('tree -o out.txt && tree -oout2.txt')).toEqual(['file_write[out.txt]', 'file_write[out2.txt]']);
+      expect(effects('tree -L 2 src')).toEqual([]);
+      expect(effects('history -w h.txt')).toEqual(['file_write[h.txt]']);
+      expect(effects('history -c')).toEqual(['unknown[]']);
+      expect(effects('history 20')).toEqual([]);
+    });
+
+    test('should report programs that run other commands', () => {
+      expect(effects('fd . -x rm')).toEqual(['file_delete[]']);
+      expect(effects('fd -e js --exec-batch wc -l')).toEqual([]);
+      expect(effects('rg --pre ./x.sh foo')).toEqual(['unknown[]']);
+      expect(effects('rg --pre=./x.sh foo')).toEqual(['unknown[]']);
+      expect(effects('git -c core.pager="rm -rf x" log')).toEqual(['unknown[]']);
+      expect(effects(`git -c 'alias.st=!rm x' st`)).toEqual(['unknown[]']);
+      expect(effects('git -c diff.external=./x.sh diff')).toEqual(['unknown[]']);
+      expect(effects('git -c core.hooksPath=hooks log')).toEqual(['unknown[]']);
+      expect(effects('git --config-env=core.pager=PAGER log')).toEqual(['unknown[]']);
+      expect(effects('git -c color.ui=false log')).toEqual([]);
+    });
+
+    test('should not allow pagers that run commands', () => {
+      expect(effects(`man -P 'rm x' ls`)).toEqual(['unknown[]']);
+      expect(effects(`less +'!rm x' f`)).toEqual(['unknown[]']);
+    });
+
+    test('should record the directory set by a preceding cd', () => {
+      const found = analyzeCommand('cd /repo && cd src && echo x > a.js; bash -c "cd lib && rm b.js"; touch c.js');
+
+      expect(found.map(e => e.cwd)).toEqual(['/repo/src', '/repo/src/lib', '/repo/src']);
+      expect(analyzeCommand('touch c.js')[0]).not.toHaveProperty('cwd');
+    });
+
+    test('should report unknown programs with the command they come from', () => {
+      const [effect] = analyzeCommand('FOO=1 ./deploy.sh --prod');
+
+      expect(effect).toEqual({
+        kind: 'unknown',
+        command: 'FOO=1 ./deploy.sh --prod',
+        program: 'deploy.sh',
+        targets: [],
+        detail: 'deploy.sh is not on the read-only allowlist'
+      });
+    });
+  });
+
+  describe('isReadOnlyCommand', () => {
+    test('should be true only without effects', () => {
+      expect(isReadOnlyCommand('git diff HEAD~1 -- src')).toBe(true);
+      expect(isReadOnlyCommand('touch x')).toBe(false);
+      expect(isReadOnlyCommand('')).toBe(true);
+    });
+  });
+});
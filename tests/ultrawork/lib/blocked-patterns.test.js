@@ -3,9 +3,16 @@
  * Tests for blocked-patterns.js - Blocked pattern detection
  */
 
-const { describe, test, expect } = require('bun:test');
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
   BLOCKED_PATTERNS,
+  PATTERN_PACKS,
+  loadBlockedPatternConfig,
+  detectLanguages,
+  scanLines,
   scanForBlockedPatterns,
   shouldBlockCompletion
 } = require('../../../plugins/ultrawork/src/lib/blocked-patterns.js');
@@ -96,26 +103,190 @@ describe('blocked-patterns.js', () => {
   });
 
   describe('shouldBlockCompletion', () => {
-    test('should return true when error-severity matches exist', () => {
-      const matches = [{ severity: 'error', pattern: 'test', message: 'test', match: 'test' }];
-      expect(shouldBlockCompletion(matches)).toBe(true);
+    test('should block when error-severity matches exist', () => {
+      const matches = [{ severity: 'error', pattern: 'test', rule: 'todo', source: 'default', message: 'test', match: 'test' }];
+      expect(shouldBlockCompletion(matches)).toEqual({ blocked: true, blocking: matches });
     });
 
-    test('should return false when only warning-severity matches exist', () => {
+    test('should not block when only warning-severity matches exist', () => {
       const matches = [{ severity: 'warning', pattern: 'test', message: 'test', match: 'test' }];
-      expect(shouldBlockCompletion(matches)).toBe(false);
+      expect(shouldBlockCompletion(matches)).toEqual({ blocked: false, blocking: [] });
     });
 
-    test('should return false for empty matches array', () => {
-      expect(shouldBlockCompletion([])).toBe(false);
+    test('should not block for empty matches array', () => {
+      expect(shouldBlockCompletion([]).blocked).toBe(false);
     });
 
-    test('should return true if any match is error among mixed severities', () => {
+    test('should report the error matches with their rule source among mixed severities', () => {
       const matches = [
-        { severity: 'warning', pattern: 'w', message: 'w', match: 'w' },
-        { severity: 'error', pattern: 'e', message: 'e', match: 'e' }
+        { severity: 'warning', pattern: 'w', rule: 'hack', source: 'default', message: 'w', match: 'w' },
+        { severity: 'error', pattern: 'e', rule: 'console_log', source: 'project', message: 'e', match: 'e' }
       ];
-      expect(shouldBlockCompletion(matches)).toBe(true);
+      const result = shouldBlockCompletion(matches);
+      expect(result.blocked).toBe(true);
+      expect(result.blocking.map(m => `${m.rule}:${m.source}`)).toEqual(['console_log:project']);
+    });
+  });
+
+  describe('scanLines', () => {
+    test('should report every matching rule per line with line numbers', () => {
+      const found = scanLines(['ok', '// TODO: hack around it', 'fine']);
+      expect(found.map(f => `${f.line}:${f.rule}:${f.source}`)).toEqual(['2:todo:default', '2:hack:default']);
+    });
+
+    test('should honor inline suppression comments', () => {
+      const found = scanLines([
+        '// TODO: tracked in #12 ultrawork-allow: todo',
+        '// FIXME and TODO ultrawork-allow',
+        '// ultrawork-allow-next-line: placeholder',
+        'const label = "placeholder"; // TODO',
+        'const other = "placeholder";'
+      ]);
+      expect(found.map(f => `${f.line}:${f.rule}`)).toEqual(['4:todo', '5:placeholder']);
+    });
+  });
+
+  describe('language packs', () => {
+    test('should give every pack the same concepts as English', () => {
+      const concepts = BLOCKED_PATTERNS.map(p => p.name);
+      for (const lang of ['ko', 'ja']) {
+        expect(PATTERN_PACKS[lang].map(p => p.name.replace(`_${lang}`, ''))).toEqual(concepts);
+      }
+    });
+
+    test('should detect Korean and Japanese from their scripts', () => {
+      expect(detectLanguages('All tests pass')).toEqual([]);
+      expect(detectLanguages('테스트 통과')).toEqual(['ko']);
+      expect(detectLanguages(['ok', 'テストは未実装です'])).toEqual(['ja']);
+      expect(detectLanguages('漢字のみ')).toEqual(['ja']);
+      expect(detectLanguages('漢字')).toEqual([]);
+    });
+
+    test('should detect Korean speculation and incompleteness phrases', () => {
+      const matches = scanForBlockedPatterns('아마 잘 작동할 것입니다. 에러 처리는 미구현 상태이고 추후 구현 예정');
+
+      expect(matches.map(m => m.rule)).toEqual(['should_work_ko', 'probably_works_ko', 'todo_ko', 'not_implemented_ko']);
+      expect(matches.every(m => m.severity === 'error' && m.source === 'default')).toBe(true);
+    });
+
+    test('should detect Japanese speculation and incompleteness phrases', () => {
+      const matches = scanForBlockedPatterns('これで動くはずです。エラー処理は未実装で、暫定対応です');
+
+      expect(matches.map(m => `${m.rule}:${m.severity}`)).toEqual([
+        'should_work_ja:error',
+        'not_implemented_ja:error',
+        'temporary_ja:warning'
+      ]);
+    });
+
+    test('should detect hand-off and work-in-progress phrasing', () => {
+      expect(scanForBlockedPatterns('필요에 따라 캐시 계층을 확장하실 수 있습니다').map(m => m.rule)).toEqual(['you_can_extend_this_ko']);
+      expect(scanForBlockedPatterns('필요하면 검증 로직을 추가하시면 됩니다').map(m => m.rule)).toEqual(['you_can_extend_this_ko']);
+      expect(scanForBlockedPatterns('必要に応じてハンドラを拡張できます').map(m => m.rule)).toEqual(['you_can_extend_this_ja']);
+      expect(scanForBlockedPatterns('에러 처리는 아직 작업 중입니다').map(m => m.rule)).toEqual(['wip_ko']);
+      expect(scanForBlockedPatterns('로그인 화면 (작업 중)').map(m => m.rule)).toEqual(['wip_ko']);
+    });
+
+    test('should not flag factual descriptions of capabilities or work', () => {
+      expect(scanForBlockedPatterns('설정으로 옵션을 추가할 수 있습니다')).toEqual([]);
+      expect(scanForBlockedPatterns('사용자는 플러그인을 확장할 수 있습니다')).toEqual([]);
+      expect(scanForBlockedPatterns('プラグインを追加できます')).toEqual([]);
+      expect(scanForBlockedPatterns('設定ファイルで形式を拡張できます')).toEqual([]);
+      expect(scanForBlockedPatterns('작업 중 발견한 버그 수정')).toEqual([]);
+      expect(scanForBlockedPatterns('빌드 작업 중에 캐시를 재사용합니다')).toEqual([]);
+    });
+
+    test('should keep detecting English in Korean text', () => {
+      const matches = scanForBlockedPatterns('TODO: 꼼수로 처리');
+
+      expect(matches.map(m => m.rule)).toEqual(['todo', 'hack_ko']);
+    });
+
+    test('should honor suppression comments for localized rules', () => {
+      expect(scanLines(['// 미구현 ultrawork-allow: not_implemented_ko'])).toEqual([]);
+    });
+  });
+
+  describe('loadBlockedPatternConfig', () => {
+    let workingDir;
+
+    /**
+     * @param {Object} config - "blocked_patterns" section
+     */
+    function writeConfig(config) {
+      fs.mkdirSync(path.join(workingDir, '.claude'), { recursive: true });
+      fs.writeFileSync(
+        path.join(workingDir, '.claude', 'ultrawork-rules.json'),
+        JSON.stringify({ version: '1', blocked_patterns: config }),
+        'utf-8'
+      );
+    }
+
+    beforeEach(() => {
+      workingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ultrawork-patterns-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(workingDir, { recursive: true, force: true });
+    });
+
+    test('should return the defaults without project config', () => {
+      const config = loadBlockedPatternConfig(workingDir);
+      expect(config.patterns.filter(p => p.lang === 'en').map(p => p.name)).toEqual(BLOCKED_PATTERNS.map(p => p.name));
+      expect(config.allow).toEqual([]);
+      expect(config.languages).toBe('auto');
+    });
+
+    test('should only load the selected language packs', () => {
+      writeConfig({ languages: ['ko', 'xx'] });
+
+      const config = loadBlockedPatternConfig(workingDir);
+
+      expect(config.languages).toEqual(['ko']);
+      expect(new Set(config.patterns.map(p => p.lang))).toEqual(new Set(['ko']));
+      expect(scanForBlockedPatterns('TODO: 추후 구현 예정', { config }).map(m => m.rule)).toEqual(['todo_ko']);
+    });
+
+    test('should add, remove and re-rate patterns with their source', () => {
+      writeConfig({
+        patterns: [{ name: 'console_log', pattern: 'console\\.log\\(', severity: 'warning', message: 'Debug output' }],
+        disable: ['hack'],
+        severity: { placeholder: 'info' }
+      });
+
+      const config = loadBlockedPatternConfig(workingDir);
+      const matches = scanForBlockedPatterns('console.log("x"); // hack with placeholder', { config });
+
+      expect(matches.map(m => `${m.rule}:${m.severity}:${m.source}`)).toEqual([
+        'placeholder:info:project',
+        'console_log:warning:project'
+      ]);
+      expect(scanForBlockedPatterns('TODO', { config })[0].source).toBe('default');
+    });
+
+    test('should skip invalid project patterns with a warning', () => {
+      writeConfig({ patterns: [{ name: 'broken', pattern: '(' }, { name: 'loud', pattern: 'x', severity: 'fatal' }] });
+
+      const config = loadBlockedPatternConfig(workingDir);
+      expect(config.patterns.map(p => p.name)).not.toContain('broken');
+      expect(config.patterns.map(p => p.name)).not.toContain('loud');
+    });
+
+    test('should skip allowlisted patterns for matching paths only', () => {
+      writeConfig({
+        allow: [
+          { paths: ['src/ui/**'], patterns: ['placeholder'] },
+          { paths: ['docs/**'] }
+        ]
+      });
+
+      const config = loadBlockedPatternConfig(workingDir);
+      const text = 'placeholder text, TODO later';
+
+      expect(scanForBlockedPatterns(text, { config, path: 'src/ui/Input.tsx' }).map(m => m.rule)).toEqual(['todo']);
+      expect(scanForBlockedPatterns(text, { config, path: 'docs/guide.md' })).toEqual([]);
+      expect(scanForBlockedPatterns(text, { config, path: 'src/api.js' }).map(m => m.rule)).toEqual(['todo', 'placeholder']);
+      expect(scanForBlockedPatterns(text, { config }).map(m => m.rule)).toEqual(['todo', 'placeholder']);
     });
   });
 });
@@ -0,0 +1,130 @@
+#!/usr/bin/env bun
+/**
+ * Tests for changed-file-scan.js - Blocked patterns introduced in changed files
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveBase,
+  listGitChangedFiles,
+  findAddedMatches,
+  scanChangedFiles
+} = require('../../../plugins/ultrawork/src/lib/changed-file-scan.js');
+const { BLOCKED_PATTERNS } = require('../../../plugins/ultrawork/src/lib/blocked-patterns.js');
+
+/**
+ * @param {string} cwd
+ * @param {string} command
+ */
+function sh(cwd, command) {
+  execSync(command, { cwd, stdio: 'pipe' });
+}
+
+describe('changed-file-scan.js', () => {
+  describe('findAddedMatches', () => {
+    test('should report markers on added lines with their line numbers', () => {
+      const found = findAddedMatches('a\nb\n', 'a\n// TODO: retry\nb\nthrow new Error("not implemented")\n');
+
+      expect(found.map(f => [f.line, f.match])).toEqual([[2, 'TODO'], [4, 'not implemented']]);
+      expect(found[0].text).toBe('// TODO: retry');
+    });
+
+    test('should ignore markers that were already there or only moved', () => {
+      const before = '// TODO: old\nfunction a() {}\n// FIXME: moved\n';
+      const after = '// FIXME: moved\n// TODO: old\nfunction a() { return 1; }\n';
+
+      expect(findAddedMatches(before, after)).toEqual([]);
+    });
+
+    test('should apply allowlists and suppression comments', () => {
+      const config = { patterns: BLOCKED_PATTERNS, allow: [{ paths: ['src/ui/**'], names: ['placeholder'] }] };
+      const after = 'const a = "placeholder";\n// ultrawork-allow-next-line: todo\n// TODO: later\n';
+
+      expect(findAddedMatches('', after, { config, path: 'src/ui/Input.js' })).toEqual([]);
+      expect(findAddedMatches('', after, { config, path: 'src/api.js' }).map(f => `${f.line}:${f.rule}`)).toEqual(['1:placeholder']);
+    });
+
+    test('should pick language packs from the scanned file', () => {
+      const found = findAddedMatches('', '// 에러 처리는 추후 구현\nconst x = 1;\n');
+
+      expect(found.map(f => `${f.line}:${f.rule}`)).toEqual(['1:todo_ko']);
+    });
+
+    test('should report every marker added to a new file', () => {
+      const found = findAddedMatches('', 'const x = 1; // TODO\nconst y = "placeholder";\n');
+
+      expect(found.map(f => f.severity)).toEqual(['error', 'error']);
+    });
+  });
+
+  describe('with a git repository', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'ultrawork-scan-'));
+      sh(repo, 'git init -q -b main');
+      sh(repo, 'git config user.email "test@test.com"');
+      sh(repo, 'git config user.name "Test"');
+      fs.mkdirSync(path.join(repo, 'src'));
+      fs.writeFileSync(path.join(repo, 'src', 'a.js'), '// TODO: existing\nmodule.exports = 1;\n');
+      sh(repo, 'git add -A && git commit -q -m init');
+      sh(repo, 'git checkout -q -b feature');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    test('should resolve the base as the merge base with main', () => {
+      const mainCommit = execSync('git rev-parse main', { cwd: repo, encoding: 'utf-8' }).trim();
+      fs.writeFileSync(path.join(repo, 'src', 'a.js'), '// TODO: existing\nmodule.exports = 2;\n');
+      sh(repo, 'git commit -q -am change');
+
+      expect(resolveBase(repo)).toEqual({ ref: 'main', commit: mainCommit });
+      expect(resolveBase(repo, 'missing-branch')).toBeNull();
+    });
+
+    test('should list committed, modified and untracked files since the base', () => {
+      fs.writeFileSync(path.join(repo, 'src', 'b.js'), 'b\n');
+      sh(repo, 'git add -A && git commit -q -m b');
+      fs.writeFileSync(path.join(repo, 'src', 'a.js'), 'changed\n');
+      fs.writeFileSync(path.join(repo, 'c.js'), 'c\n');
+
+      expect(listGitChangedFiles(repo, resolveBase(repo).commit)).toEqual(['c.js', 'src/a.js', 'src/b.js']);
+    });
+
+    test('should report only markers introduced since the base, including committed ones', () => {
+      fs.writeFileSync(path.join(repo, 'src', 'a.js'), '// TODO: existing\n// FIXME: new\nmodule.exports = 1;\n');
+      sh(repo, 'git commit -q -am fixme');
+      fs.writeFileSync(path.join(repo, 'src', 'new.js'), 'const x = 1;\n// HACK for now\n');
+
+      const scan = scanChangedFiles(repo);
+
+      expect(scan.base.ref).toBe('main');
+      expect(scan.files).toEqual(['src/a.js', 'src/new.js']);
+      expect(scan.findings.map(f => `${f.file}:${f.line} ${f.match} ${f.severity}`)).toEqual([
+        'src/a.js:2 FIXME error',
+        'src/new.js:2 HACK warning'
+      ]);
+    });
+
+    test('should scan only the given files and skip missing ones', () => {
+      fs.writeFileSync(path.join(repo, 'src', 'a.js'), '// TODO: existing\n// TODO: new\n');
+      fs.writeFileSync(path.join(repo, 'other.js'), '// FIXME\n');
+
+      const scan = scanChangedFiles(repo, { files: ['src/a.js', 'gone.js'] });
+
+      expect(scan.files).toEqual(['src/a.js']);
+      expect(scan.skipped).toEqual(['gone.js']);
+      expect(scan.findings.map(f => `${f.file}:${f.line}`)).toEqual(['src/a.js:2']);
+    });
+
+    test('should throw for an unknown base ref', () => {
+      expect(() => scanChangedFiles(repo, { base: 'nope' })).toThrow('Base ref not found: nope');
+    });
+  });
+});
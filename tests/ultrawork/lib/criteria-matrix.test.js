@@ -0,0 +1,79 @@
+#!/usr/bin/env bun
+/**
+ * Tests for criteria-matrix.js - Criterion to evidence traceability
+ */
+
+const { describe, test, expect } = require('bun:test');
+const {
+  buildCriteriaMatrix,
+  missingCriteria
+} = require('../../../plugins/ultrawork/src/lib/criteria-matrix.js');
+
+const TASKS = [
+  {
+    id: '1',
+    subject: 'Parser',
+    status: 'resolved',
+    criteria: ['Parses input', 'Rejects bad input', 'Documented'],
+    evidence: [
+      { kind: 'test', command: 'bun test', exit_code: 0, passed: true, description: 'bun test', criterion: 1 },
+      { kind: 'note', description: 'Checked by hand', criterion: 2 },
+      { kind: 'note', description: 'Docs', criterion: 3 },
+      'Legacy untagged'
+    ]
+  },
+  {
+    id: '2',
+    subject: 'CLI',
+    status: 'open',
+    criteria: ['Has --help'],
+    evidence: [{ kind: 'note', description: 'Wrong index', criterion: 4 }]
+  }
+];
+
+describe('criteria-matrix.js', () => {
+  describe('buildCriteriaMatrix', () => {
+    test('should attach tagged evidence to each criterion', () => {
+      const matrix = buildCriteriaMatrix(TASKS);
+      const [parser, cli] = matrix.tasks;
+
+      expect(parser.criteria.map(r => r.evidence.map(e => e.description))).toEqual([
+        ['bun test'],
+        ['Checked by hand'],
+        ['Docs']
+      ]);
+      expect(parser.criteria.every(r => r.covered)).toBe(true);
+      expect(parser.untagged).toBe(1);
+
+      expect(cli.criteria[0].covered).toBe(false);
+      expect(cli.untagged).toBe(1);
+      expect(matrix.totals).toEqual({ criteria: 4, covered: 3, missing: 1 });
+    });
+
+    test('should not count notes with requireConcrete', () => {
+      const matrix = buildCriteriaMatrix(TASKS, { requireConcrete: true });
+
+      expect(matrix.tasks[0].criteria.map(r => r.covered)).toEqual([true, false, false]);
+      expect(matrix.totals).toEqual({ criteria: 4, covered: 1, missing: 3 });
+    });
+
+    test('should handle tasks without criteria or evidence', () => {
+      const matrix = buildCriteriaMatrix([{ id: 3, subject: 'Empty', status: 'open' }]);
+
+      expect(matrix.tasks[0]).toEqual({ id: '3', subject: 'Empty', status: 'open', criteria: [], untagged: 0 });
+      expect(matrix.totals).toEqual({ criteria: 0, covered: 0, missing: 0 });
+    });
+  });
+
+  describe('missingCriteria', () => {
+    test('should list uncovered criteria by task and index', () => {
+      const missing = missingCriteria(buildCriteriaMatrix(TASKS, { requireConcrete: true }));
+
+      expect(missing).toEqual([
+        { task: '1', index: 2, text: 'Rejects bad input' },
+        { task: '1', index: 3, text: 'Documented' },
+        { task: '2', index: 1, text: 'Has --help' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env bun
+/**
+ * Tests for evidence-diff.js - Evidence comparison
+ */
+
+const { describe, test, expect } = require('bun:test');
+const { diffEvidence, countRegressions } = require('../../../plugins/ultrawork/src/lib/evidence-diff.js');
+
+/**
+ * @param {string} command
+ * @param {boolean} passed
+ * @param {string[]} [failing]
+ */
+function testRun(command, passed, failing = []) {
+  return {
+    type: 'test_result',
+    timestamp: '2026-01-01T00:00:00Z',
+    command,
+    passed,
+    framework: 'bun',
+    counts: { total: 3, passed: 3 - failing.length, failed: failing.length, skipped: 0 },
+    failed_tests: failing.map(name => ({ name }))
+  };
+}
+
+/**
+ * @param {string} command
+ * @param {number} exitCode
+ */
+function run(command, exitCode) {
+  return { type: 'command_execution', timestamp: '2026-01-01T00:00:00Z', command, exit_code: exitCode };
+}
+
+/**
+ * @param {string} filePath
+ */
+function edit(filePath) {
+  return { type: 'file_operation', timestamp: '2026-01-01T00:00:00Z', operation: 'edit', path: filePath };
+}
+
+describe('evidence-diff.js', () => {
+  describe('diffEvidence', () => {
+    test('should report regressed, fixed, added and removed test results', () => {
+      const diff = diffEvidence(
+        { label: 'a', entries: [testRun('bun test', true), testRun('npm test', false, ['x']), testRun('pytest', true)] },
+        { label: 'b', entries: [testRun('bun test', false, ['parser > rejects']), testRun('npm test', true), testRun('go test', true)] }
+      );
+
+      expect(diff.tests.changed.map(c => [c.key, c.status])).toEqual([['bun test', 'regressed'], ['npm test', 'fixed']]);
+      expect(diff.tests.changed[0].newly_failing).toEqual(['parser > rejects']);
+      expect(diff.tests.changed[1].newly_passing).toEqual(['x']);
+      expect(diff.tests.added.map(t => t.key)).toEqual(['go test']);
+      expect(diff.tests.removed.map(t => t.key)).toEqual(['pytest']);
+    });
+
+    test('should compare the latest run of each command', () => {
+      const diff = diffEvidence(
+        { label: 'a', entries: [testRun('bun test', false, ['a']), testRun('bun test', true)] },
+        { label: 'b', entries: [testRun('bun test', true)] }
+      );
+
+      expect(diff.tests.changed).toEqual([]);
+    });
+
+    test('should report failing-test changes when both sides fail', () => {
+      const diff = diffEvidence(
+        { label: 'a', entries: [testRun('bun test', false, ['a'])] },
+        { label: 'b', entries: [testRun('bun test', false, ['b'])] }
+      );
+
+      expect(diff.tests.changed[0]).toMatchObject({ status: 'changed', newly_failing: ['b'], newly_passing: ['a'] });
+    });
+
+    test('should report exit code flips of commands run on both sides', () => {
+      const diff = diffEvidence(
+        { label: 'a', entries: [run('make', 0), run('lint', 1), run('deploy', 2), run('ls', 0)] },
+        { label: 'b', entries: [run('make', 2), run('lint', 0), run('deploy', 1), run('ls', 0), run('new', 1)] }
+      );
+
+      expect(diff.exit_codes).toEqual([
+        { command: 'make', status: 'broke', base: 0, head: 2 },
+        { command: 'lint', status: 'fixed', base: 1, head: 0 },
+        { command: 'deploy', status: 'changed', base: 2, head: 1 }
+      ]);
+      expect(countRegressions(diff)).toBe(1);
+    });
+
+    test('should compare files relative to each working directory', () => {
+      const diff = diffEvidence(
+        { label: 'a', workingDir: '/one', entries: [edit('/one/src/a.js'), edit('/one/src/b.js')] },
+        { label: 'b', workingDir: '/two', entries: [edit('/two/src/b.js'), edit('/two/src/c.js')] }
+      );
+
+      expect(diff.files).toEqual({ only_base: ['src/a.js'], only_head: ['src/c.js'], both: 1 });
+    });
+
+    test('should key test results without a command by framework', () => {
+      const legacy = { type: 'test_result', timestamp: '2026-01-01T00:00:00Z', passed: true, framework: 'jest' };
+      const diff = diffEvidence({ label: 'a', entries: [] }, { label: 'b', entries: [legacy] });
+
+      expect(diff.tests.added[0].key).toBe('(jest tests)');
+      expect(diff.base.entries).toBe(0);
+      expect(diff.head.entries).toBe(1);
+    });
+  });
+});
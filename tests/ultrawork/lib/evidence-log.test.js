@@ -0,0 +1,251 @@
+#!/usr/bin/env bun
+/**
+ * Tests for evidence-log.js - Segmented, indexed evidence log
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_EVIDENCE_LOG_CONFIG,
+  loadEvidenceLogConfig,
+  listSegmentFiles,
+  buildIndex,
+  loadIndex,
+  appendEvidence,
+  compactEvidenceLog,
+  readEvidenceEntries,
+  countEvidence,
+  readEntryAt,
+  readAgentTasks,
+  bindAgentTask
+} = require('../../../plugins/ultrawork/src/lib/evidence-log.js');
+
+/**
+ * Build a command_execution entry
+ * @param {number} n
+ * @param {Object} [extra]
+ */
+function commandEntry(n, extra = {}) {
+  return {
+    type: 'command_execution',
+    timestamp: `2026-01-01T00:00:${String(n).padStart(2, '0')}Z`,
+    command: `echo ${n}`,
+    exit_code: 0,
+    output_preview: 'x'.repeat(400),
+    ...extra
+  };
+}
+
+describe('evidence-log.js', () => {
+  let sessionDir;
+  let evidenceDir;
+
+  beforeEach(() => {
+    sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-log-'));
+    evidenceDir = path.join(sessionDir, 'evidence');
+  });
+
+  afterEach(() => {
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+  });
+
+  describe('appendEvidence', () => {
+    test('should append to log.jsonl and write index.json', async () => {
+      expect(await appendEvidence(sessionDir, [commandEntry(1), { type: 'file_operation', path: 'a.js' }])).toBe(true);
+
+      const lines = fs.readFileSync(path.join(evidenceDir, 'log.jsonl'), 'utf-8').trim().split('\n');
+      expect(lines).toHaveLength(2);
+
+      const index = JSON.parse(fs.readFileSync(path.join(evidenceDir, 'index.json'), 'utf-8'));
+      expect(index.total).toBe(2);
+      expect(index.by_type).toEqual({ command_execution: 1, file_operation: 1 });
+      expect(index.segments[0]).toMatchObject({ file: 'log.jsonl', lines: 2, malformed: 0 });
+    });
+
+    test('should rotate log.jsonl into numbered segments at max_segment_bytes', async () => {
+      const config = { ...DEFAULT_EVIDENCE_LOG_CONFIG, max_segment_bytes: 1100 };
+      for (let n = 1; n <= 5; n++) {
+        await appendEvidence(sessionDir, commandEntry(n), config);
+      }
+
+      expect(listSegmentFiles(evidenceDir)).toEqual(['log.000001.jsonl', 'log.000002.jsonl', 'log.jsonl']);
+      for (const file of listSegmentFiles(evidenceDir)) {
+        expect(fs.statSync(path.join(evidenceDir, file)).size).toBeLessThanOrEqual(1100);
+      }
+      expect(readEvidenceEntries(sessionDir).map(e => e.command)).toEqual(['echo 1', 'echo 2', 'echo 3', 'echo 4', 'echo 5']);
+      expect(countEvidence(sessionDir).total).toBe(5);
+    });
+
+    test('should compact the oldest segments above max_total_bytes', async () => {
+      const config = { max_segment_bytes: 1100, max_total_bytes: 1200, compact_preview_chars: 20 };
+      for (let n = 1; n <= 6; n++) {
+        await appendEvidence(sessionDir, commandEntry(n), config);
+      }
+
+      const [first] = readEvidenceEntries(sessionDir);
+      expect(first.output_preview).toBe(`${'x'.repeat(20)}... [compacted]`);
+      expect(readEvidenceEntries(sessionDir, { last: 1 })[0].output_preview).toHaveLength(400);
+      expect(countEvidence(sessionDir).total).toBe(6);
+    });
+
+    test('should redact secrets before writing', async () => {
+      await appendEvidence(sessionDir, commandEntry(1, { output_preview: 'DB_PASSWORD=hunter22' }));
+
+      const raw = fs.readFileSync(path.join(evidenceDir, 'log.jsonl'), 'utf-8');
+      expect(raw).not.toContain('hunter22');
+      expect(JSON.parse(raw)).toMatchObject({ output_preview: 'DB_PASSWORD=[REDACTED:secret_assignment]', redactions: 1 });
+    });
+
+    test('should not glue entries onto an unterminated last line', async () => {
+      fs.mkdirSync(evidenceDir, { recursive: true });
+      fs.writeFileSync(path.join(evidenceDir, 'log.jsonl'), JSON.stringify(commandEntry(1)));
+
+      await appendEvidence(sessionDir, commandEntry(2));
+
+      expect(readEvidenceEntries(sessionDir).map(e => e.command)).toEqual(['echo 1', 'echo 2']);
+    });
+  });
+
+  describe('index', () => {
+    test('should record byte offsets of entries carrying task_id', async () => {
+      await appendEvidence(sessionDir, [
+        commandEntry(1, { task_id: '1' }),
+        commandEntry(2),
+        commandEntry(3, { task_id: '2' }),
+        { type: 'test_result', task_id: '1', command: 'bun test', passed: true }
+      ]);
+
+      expect(loadIndex(sessionDir).tasks['1']).toHaveLength(2);
+      expect(readEvidenceEntries(sessionDir, { taskId: '1' }).map(e => e.type)).toEqual(['command_execution', 'test_result']);
+      expect(readEvidenceEntries(sessionDir, { taskId: '1', type: 'test_result' })).toHaveLength(1);
+      expect(readEvidenceEntries(sessionDir, { taskId: '9' })).toEqual([]);
+    });
+
+    test('should rebuild a stale index from the segments', async () => {
+      await appendEvidence(sessionDir, commandEntry(1));
+      // Written directly, as older versions of the hooks did
+      fs.appendFileSync(path.join(evidenceDir, 'log.jsonl'), JSON.stringify({ type: 'file_operation' }) + '\n');
+
+      expect(countEvidence(sessionDir)).toEqual({ total: 2, by_type: { command_execution: 1, file_operation: 1 } });
+    });
+
+    test('should count malformed lines per segment but not in totals', () => {
+      fs.mkdirSync(evidenceDir, { recursive: true });
+      fs.writeFileSync(path.join(evidenceDir, 'log.jsonl'), `${JSON.stringify(commandEntry(1))}\nnot json\n`);
+
+      const index = buildIndex(sessionDir);
+
+      expect(index.total).toBe(1);
+      expect(index.segments[0]).toMatchObject({ lines: 2, malformed: 1 });
+    });
+
+    test('should return an empty index without an evidence directory', () => {
+      expect(countEvidence(sessionDir)).toEqual({ total: 0, by_type: {} });
+      expect(readEvidenceEntries(sessionDir)).toEqual([]);
+    });
+  });
+
+  describe('readEvidenceEntries', () => {
+    test('should filter by type and take the last N across segments', async () => {
+      const config = { ...DEFAULT_EVIDENCE_LOG_CONFIG, max_segment_bytes: 1100 };
+      for (let n = 1; n <= 4; n++) {
+        await appendEvidence(sessionDir, [commandEntry(n), { type: 'file_operation', path: `f${n}.js` }], config);
+      }
+
+      expect(readEvidenceEntries(sessionDir, { type: 'file_operation' }).map(e => e.path)).toEqual(['f1.js', 'f2.js', 'f3.js', 'f4.js']);
+      expect(readEvidenceEntries(sessionDir, { last: 3 }).map(e => e.command || e.path)).toEqual(['f3.js', 'echo 4', 'f4.js']);
+      expect(readEvidenceEntries(sessionDir, { type: ['test_result'] })).toEqual([]);
+    });
+  });
+
+  describe('readEntryAt', () => {
+    test('should number entries across segments', async () => {
+      const config = { ...DEFAULT_EVIDENCE_LOG_CONFIG, max_segment_bytes: 1100 };
+      for (let n = 1; n <= 4; n++) {
+        await appendEvidence(sessionDir, commandEntry(n), config);
+      }
+
+      expect(readEntryAt(sessionDir, 1).command).toBe('echo 1');
+      expect(readEntryAt(sessionDir, 4).command).toBe('echo 4');
+      expect(readEntryAt(sessionDir, 5)).toBeNull();
+      expect(readEntryAt(sessionDir, 0)).toBeNull();
+    });
+  });
+
+  describe('compactEvidenceLog', () => {
+    test('should compact all sealed segments and leave the active one', async () => {
+      const config = { max_segment_bytes: 1100, max_total_bytes: 1024 * 1024, compact_preview_chars: 10 };
+      for (let n = 1; n <= 3; n++) {
+        await appendEvidence(sessionDir, commandEntry(n, { diff: '+'.repeat(15) }), config);
+      }
+
+      const result = await compactEvidenceLog(sessionDir, config);
+
+      expect(result.segments).toBe(1);
+      expect(result.bytes_after).toBeLessThan(result.bytes_before);
+      const entries = readEvidenceEntries(sessionDir);
+      expect(entries[0].output_preview).toContain('[compacted]');
+      expect(entries[0].diff).toBe('++++++++++... [compacted]');
+      expect(entries[2].output_preview).toHaveLength(400);
+      expect(loadIndex(sessionDir).total).toBe(3);
+    });
+  });
+
+  describe('loadEvidenceLogConfig', () => {
+    test('should use defaults without project rules', () => {
+      expect(loadEvidenceLogConfig(sessionDir)).toEqual(DEFAULT_EVIDENCE_LOG_CONFIG);
+      expect(loadEvidenceLogConfig(undefined)).toEqual(DEFAULT_EVIDENCE_LOG_CONFIG);
+    });
+
+    test('should read positive integer limits from the evidence key', () => {
+      fs.mkdirSync(path.join(sessionDir, '.claude'), { recursive: true });
+      fs.writeFileSync(path.join(sessionDir, '.claude', 'ultrawork-rules.json'), JSON.stringify({
+        evidence: { max_segment_bytes: 4096, max_total_bytes: -1, compact_preview_chars: '50' }
+      }));
+
+      expect(loadEvidenceLogConfig(sessionDir)).toEqual({ ...DEFAULT_EVIDENCE_LOG_CONFIG, max_segment_bytes: 4096 });
+    });
+
+    test('should read diff capture settings', () => {
+      fs.mkdirSync(path.join(sessionDir, '.claude'), { recursive: true });
+      fs.writeFileSync(path.join(sessionDir, '.claude', 'ultrawork-rules.json'), JSON.stringify({
+        evidence: { capture_diff: false, max_diff_chars: 500 }
+      }));
+
+      expect(loadEvidenceLogConfig(sessionDir)).toMatchObject({ capture_diff: false, max_diff_chars: 500 });
+    });
+
+    test('should include project redaction patterns', async () => {
+      fs.mkdirSync(path.join(sessionDir, '.claude'), { recursive: true });
+      fs.writeFileSync(path.join(sessionDir, '.claude', 'ultrawork-rules.json'), JSON.stringify({
+        redaction: { patterns: [{ name: 'ticket', pattern: 'SEC-[0-9]+' }] }
+      }));
+
+      await appendEvidence(sessionDir, commandEntry(1, { output_preview: 'see SEC-42' }), loadEvidenceLogConfig(sessionDir));
+
+      expect(readEvidenceEntries(sessionDir)[0].output_preview).toBe('see [REDACTED:ticket]');
+    });
+  });
+
+  describe('agent bindings', () => {
+    test('should bind agents to tasks in agents.json', async () => {
+      expect(readAgentTasks(sessionDir)).toEqual({});
+
+      expect(await bindAgentTask(sessionDir, 'agent-1', '1')).toBe(true);
+      expect(await bindAgentTask(sessionDir, 'agent-2', '2')).toBe(true);
+      expect(await bindAgentTask(sessionDir, 'agent-1', '3')).toBe(true);
+
+      expect(readAgentTasks(sessionDir)).toEqual({ 'agent-1': '3', 'agent-2': '2' });
+      expect(listSegmentFiles(evidenceDir)).toEqual([]);
+    });
+
+    test('should ignore a malformed agents.json', () => {
+      fs.mkdirSync(evidenceDir, { recursive: true });
+      fs.writeFileSync(path.join(evidenceDir, 'agents.json'), '[1, 2]');
+
+      expect(readAgentTasks(sessionDir)).toEqual({});
+    });
+  });
+});
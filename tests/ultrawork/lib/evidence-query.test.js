@@ -0,0 +1,134 @@
+#!/usr/bin/env bun
+/**
+ * Tests for evidence-query.js - Evidence query language and grouping
+ */
+
+const { describe, test, expect } = require('bun:test');
+const {
+  parseQuery,
+  compileQuery,
+  requiredTypes,
+  hasAnchors,
+  groupEvidence
+} = require('../../../plugins/ultrawork/src/lib/evidence-query.js');
+
+const ENTRIES = [
+  { type: 'command_execution', timestamp: '2026-01-01T10:00:00Z', command: 'npm run build', exit_code: 2 },
+  { type: 'file_operation', timestamp: '2026-01-01T10:01:00Z', operation: 'edit', path: '/work/src/auth.js', task_id: '1' },
+  { type: 'command_execution', timestamp: '2026-01-01T10:02:00Z', command: 'npm run lint', exit_code: 1, task_id: '1' },
+  { type: 'command_execution', timestamp: '2026-01-01T10:03:00Z', command: 'ls', exit_code: 0 },
+  { type: 'test_result', timestamp: '2026-01-01T10:04:00Z', passed: false, framework: 'jest', output_preview: 'auth timeout' },
+  { type: 'file_operation', timestamp: '2026-01-01T10:05:00Z', operation: 'write', path: '/work/docs/README.md' }
+];
+
+const CONTEXT = { workingDir: '/work', entries: ENTRIES, now: Date.parse('2026-01-01T10:06:00Z') };
+
+/**
+ * Timestamps (minute) of the entries a query matches
+ * @param {string} query
+ * @returns {number[]}
+ */
+function run(query) {
+  return ENTRIES.filter(compileQuery(query, CONTEXT)).map(e => Number(e.timestamp.slice(14, 16)));
+}
+
+describe('evidence-query.js', () => {
+  describe('terms', () => {
+    test('should match string fields exactly or by glob', () => {
+      expect(run('type:command_execution')).toEqual([0, 2, 3]);
+      expect(run('type:*_result')).toEqual([4]);
+      expect(run('task:1')).toEqual([1, 2]);
+      expect(run('type!=command_execution')).toEqual([1, 4, 5]);
+    });
+
+    test('should compare exit codes', () => {
+      expect(run('exit_code!=0')).toEqual([0, 2]);
+      expect(run('exit_code>1')).toEqual([0]);
+      expect(run('exit_code<=1')).toEqual([2, 3]);
+    });
+
+    test('should match paths relative to the working directory', () => {
+      expect(run('path:src/**')).toEqual([1]);
+      expect(run('path:auth.js')).toEqual([1]);
+      expect(run('path:**/*.md')).toEqual([5]);
+    });
+
+    test('should match booleans, commands and free text', () => {
+      expect(run('passed:false')).toEqual([4]);
+      expect(run('command:RUN')).toEqual([0, 2]);
+      expect(run('timeout')).toEqual([4]);
+      expect(run('"npm run lint"')).toEqual([2]);
+    });
+
+    test('should filter by time', () => {
+      expect(run('since:3m')).toEqual([4, 5]);
+      expect(run('until:2026-01-01T10:01:30Z')).toEqual([0, 1]);
+      expect(run('since:last(path:auth.js) exit_code!=0')).toEqual([2]);
+      expect(run('until:first(type:test_result) type:file_operation')).toEqual([1]);
+      expect(run('since:last(path:missing.js)')).toEqual([]);
+    });
+  });
+
+  describe('operators', () => {
+    test('should apply NOT before AND before OR', () => {
+      expect(run('type:file_operation OR exit_code:0 task:1')).toEqual([1, 5]);
+      expect(run('(type:file_operation OR exit_code:0) NOT task:1')).toEqual([3, 5]);
+      expect(run('-type:command_execution -type:file_operation')).toEqual([4]);
+      expect(run('type:command_execution AND NOT exit_code:0')).toEqual([0, 2]);
+    });
+  });
+
+  describe('parseQuery', () => {
+    test('should reject invalid queries', () => {
+      expect(() => parseQuery('')).toThrow('Empty query');
+      expect(() => parseQuery('colour:red')).toThrow('Unknown query field "colour"');
+      expect(() => parseQuery('exit_code:abc')).toThrow('Invalid number');
+      expect(() => parseQuery('type>1')).toThrow('"type" does not support >');
+      expect(() => parseQuery('passed:maybe')).toThrow('Invalid value for "passed"');
+      expect(() => parseQuery('since:yesterday')).toThrow('Invalid time for "since"');
+      expect(() => parseQuery('(type:a')).toThrow('Missing ")"');
+      expect(() => parseQuery('type:a)')).toThrow('Unexpected ")"');
+      expect(() => parseQuery('"open')).toThrow('Unterminated quote');
+      expect(() => parseQuery('type:a OR')).toThrow('Unexpected end of query');
+    });
+  });
+
+  describe('requiredTypes', () => {
+    test('should derive the types a query can match', () => {
+      expect(requiredTypes(parseQuery('type:test_result passed:false'))).toEqual(['test_result']);
+      expect(requiredTypes(parseQuery('type:a OR type:b'))).toEqual(['a', 'b']);
+      expect(requiredTypes(parseQuery('type:a OR exit_code:1'))).toBeNull();
+      expect(requiredTypes(parseQuery('NOT type:a'))).toBeNull();
+      expect(requiredTypes(parseQuery('type:*_result'))).toBeNull();
+    });
+
+    test('should detect anchors', () => {
+      expect(hasAnchors(parseQuery('type:a since:last(path:x)'))).toBe(true);
+      expect(hasAnchors(parseQuery('type:a since:1h'))).toBe(false);
+    });
+  });
+
+  describe('groupEvidence', () => {
+    test('should count entries and failures per group', () => {
+      const groups = groupEvidence(ENTRIES, 'type');
+
+      expect(groups[0]).toEqual({
+        key: 'command_execution',
+        count: 3,
+        failures: 2,
+        first: '2026-01-01T10:00:00Z',
+        last: '2026-01-01T10:03:00Z'
+      });
+      expect(groups.find(g => g.key === 'test_result').failures).toBe(1);
+    });
+
+    test('should group by task and project-relative path', () => {
+      expect(groupEvidence(ENTRIES, 'task').map(g => [g.key, g.count])).toEqual([['(none)', 4], ['1', 2]]);
+      expect(groupEvidence(ENTRIES, 'path', CONTEXT).map(g => g.key)).toEqual(['(none)', 'docs/README.md', 'src/auth.js']);
+    });
+
+    test('should reject unknown groups', () => {
+      expect(() => groupEvidence(ENTRIES, 'colour')).toThrow('Invalid group-by');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env bun
+/**
+ * Tests for file-changes.js - File change hashing, line diffs and per-file summaries
+ */
+
+const { describe, test, expect } = require('bun:test');
+const {
+  hashContent,
+  diffLines,
+  formatUnifiedDiff,
+  describeFileChange,
+  summarizeFileChanges
+} = require('../../../plugins/ultrawork/src/lib/file-changes.js');
+
+/**
+ * @param {string} filePath
+ * @param {string | null} before
+ * @param {string | null} after
+ * @param {Object} [extra]
+ */
+function fileOp(filePath, before, after, extra = {}) {
+  return {
+    type: 'file_operation',
+    timestamp: '2026-01-01T00:00:00Z',
+    operation: 'edit',
+    path: filePath,
+    before_sha256: before === null ? null : hashContent(before),
+    after_sha256: after === null ? null : hashContent(after),
+    ...extra
+  };
+}
+
+describe('file-changes.js', () => {
+  describe('diffLines', () => {
+    test('should keep common lines and order removals before additions', () => {
+      const ops = diffLines('a\nb\nc\n', 'a\nB\nc\nd\n');
+
+      expect(ops.map(o => `${o.op}${o.line}`)).toEqual([' a', '-b', '+B', ' c', '+d']);
+    });
+
+    test('should treat empty content as no lines', () => {
+      expect(diffLines('', 'x\n').map(o => o.op)).toEqual(['+']);
+      expect(diffLines('x\n', '')).toEqual([{ op: '-', line: 'x' }]);
+    });
+  });
+
+  describe('formatUnifiedDiff', () => {
+    test('should split distant changes into hunks with context', () => {
+      const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+      const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+
+      expect(formatUnifiedDiff(diffLines(before, after))).toBe(
+        '@@ -1,5 +1,5 @@\n a\n-b\n+B\n c\n d\n e\n' +
+        '@@ -8,3 +8,4 @@\n h\n i\n j\n+k'
+      );
+    });
+
+    test('should number hunks of new and deleted files from zero', () => {
+      expect(formatUnifiedDiff(diffLines('', 'x\n'))).toBe('@@ -0,0 +1,1 @@\n+x');
+      expect(formatUnifiedDiff(diffLines('x\ny\n', ''))).toBe('@@ -1,2 +0,0 @@\n-x\n-y');
+    });
+  });
+
+  describe('describeFileChange', () => {
+    test('should record hashes, line counts and a diff', () => {
+      const change = describeFileChange('a\nb\n', 'a\nc\nd\n');
+
+      expect(change.before_sha256).toBe(hashContent('a\nb\n'));
+      expect(change.after_sha256).toBe(hashContent('a\nc\nd\n'));
+      expect(change.lines_added).toBe(2);
+      expect(change.lines_removed).toBe(1);
+      expect(change.diff).toBe('@@ -1,2 +1,3 @@\n a\n-b\n+c\n+d');
+    });
+
+    test('should cut the diff at a line boundary', () => {
+      const after = Array.from({ length: 100 }, (_, i) => `line ${i}`).join('\n');
+      const change = describeFileChange('', after, { maxDiffChars: 50 });
+
+      expect(change.lines_added).toBe(100);
+      expect(change.diff.length).toBeLessThanOrEqual(50);
+      expect(change.diff.endsWith('\n')).toBe(false);
+      expect(change.diff_truncated).toBe(true);
+    });
+
+    test('should omit the diff when disabled or unchanged', () => {
+      expect(describeFileChange('a\n', 'b\n', { diff: false })).not.toHaveProperty('diff');
+      expect(describeFileChange('a\n', 'a\n')).toMatchObject({ lines_added: 0, lines_removed: 0 });
+      expect(describeFileChange('a\n', 'a\n')).not.toHaveProperty('diff');
+    });
+
+    test('should only hash when the previous content is unknown or binary', () => {
+      expect(describeFileChange(null, 'a\n')).toEqual({ before_sha256: null, after_sha256: hashContent('a\n') });
+      expect(describeFileChange('a\u0000', 'b\u0000')).not.toHaveProperty('lines_added');
+    });
+  });
+
+  describe('summarizeFileChanges', () => {
+    test('should sum line counts per project-relative file', () => {
+      const summary = summarizeFileChanges([
+        fileOp('/work/src/a.js', 'v1', 'v2', { lines_added: 3, lines_removed: 1 }),
+        { type: 'command_execution', command: 'ls', exit_code: 0 },
+        fileOp('/work/src/a.js', 'v2', 'v3', { lines_added: 1, lines_removed: 0 })
+      ], '/work');
+
+      expect(summary).toEqual([{
+        path: 'src/a.js',
+        file: '/work/src/a.js',
+        operations: 2,
+        lines_added: 4,
+        lines_removed: 1,
+        first_before_sha256: hashContent('v1'),
+        last_after_sha256: hashContent('v3'),
+        status: 'changed'
+      }]);
+    });
+
+    test('should detect reverts, no-op writes and unknown history', () => {
+      const summary = summarizeFileChanges([
+        fileOp('/work/b.js', 'v1', 'v2'),
+        fileOp('/work/b.js', 'v2', 'v1'),
+        fileOp('/work/c.js', 'same', 'same'),
+        fileOp('/work/d.js', null, 'x'),
+        { type: 'file_operation', operation: 'write', path: '/work/e.js' }
+      ], '/work');
+
+      expect(summary.map(f => [f.path, f.status])).toEqual([
+        ['b.js', 'reverted'],
+        ['c.js', 'unchanged'],
+        ['d.js', 'unknown'],
+        ['e.js', 'unknown']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+#!/usr/bin/env bun
+/**
+ * Tests for gate-policy.js - Project gate settings and working directory scope
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_GATE_POLICY,
+  loadGatePolicy,
+  resolveTargetPath,
+  isInsideDir,
+  getScopeViolation,
+  findProtectedPattern,
+  isAllowedForTask,
+  isOwnedByTask
+} = require('../../../plugins/ultrawork/src/lib/gate-policy.js');
+
+describe('gate-policy.js', () => {
+  describe('loadGatePolicy', () => {
+    let projectDir;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ultrawork-gate-policy-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {string} content
+     */
+    function writeRules(content) {
+      fs.mkdirSync(path.join(projectDir, '.claude'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, '.claude', 'ultrawork-rules.json'), content);
+    }
+
+    test('should return defaults without project rules', () => {
+      expect(loadGatePolicy(projectDir)).toEqual(DEFAULT_GATE_POLICY);
+      expect(loadGatePolicy(undefined)).toEqual(DEFAULT_GATE_POLICY);
+    });
+
+    test('should read project gate settings and drop invalid entries', () => {
+      writeRules(JSON.stringify({
+        gates: {
+          planning_commands: ['bun test', '', 3],
+          working_dir_scope: false,
+          external_paths: ['~/.cache/tool'],
+          protected_paths: ['LICENSE'],
+          mode: 'audit'
+        }
+      }));
+
+      expect(loadGatePolicy(projectDir)).toEqual({
+        planning_commands: ['bun test'],
+        working_dir_scope: false,
+        external_paths: ['~/.cache/tool'],
+        protected_paths: ['LICENSE'],
+        mode: 'audit'
+      });
+    });
+
+    test('should enforce for unknown modes', () => {
+      writeRules(JSON.stringify({ gates: { mode: 'warn' } }));
+
+      expect(loadGatePolicy(projectDir).mode).toBe('enforce');
+    });
+
+    test('should fall back to defaults for invalid JSON', () => {
+      writeRules('{ not json');
+
+      expect(loadGatePolicy(projectDir)).toEqual(DEFAULT_GATE_POLICY);
+    });
+  });
+
+  describe('resolveTargetPath', () => {
+    test('should resolve relative paths and ~', () => {
+      expect(resolveTargetPath('src/a.js', '/repo')).toBe('/repo/src/a.js');
+      expect(resolveTargetPath('/etc/hosts', '/repo')).toBe('/etc/hosts');
+      expect(resolveTargetPath('~/notes.md', '/repo')).toBe(path.join(os.homedir(), 'notes.md'));
+    });
+
+    test('should skip paths that depend on shell expansion', () => {
+      expect(resolveTargetPath('$OUT/a.js', '/repo')).toBeNull();
+      expect(resolveTargetPath('`pwd`/a.js', '/repo')).toBeNull();
+    });
+  });
+
+  describe('getScopeViolation', () => {
+    const scope = { workingDir: '/repo/.worktrees/feature', originalDir: '/repo', externalPaths: ['/opt/shared', '/var/log/**/*.log'] };
+
+    test('should allow the working directory even inside the original checkout', () => {
+      expect(getScopeViolation('/repo/.worktrees/feature/src/a.js', scope)).toBeNull();
+      expect(getScopeViolation('/repo/.worktrees/feature', scope)).toBeNull();
+    });
+
+    test('should flag the original checkout and unrelated paths', () => {
+      expect(getScopeViolation('/repo/src/a.js', scope)).toBe('original_dir');
+      expect(getScopeViolation('/repo/.worktrees/other/a.js', scope)).toBe('original_dir');
+      expect(getScopeViolation('/home/someone/project/a.js', scope)).toBe('outside');
+      expect(getScopeViolation('/repo-other/a.js', { workingDir: '/repo' })).toBe('outside');
+    });
+
+    test('should allow temp, external directories and globs', () => {
+      expect(getScopeViolation(path.join(os.tmpdir(), 'scratch.txt'), scope)).toBeNull();
+      expect(getScopeViolation('/opt/shared/cache/x', scope)).toBeNull();
+      expect(getScopeViolation('/var/log/app/run.log', scope)).toBeNull();
+      expect(getScopeViolation('/var/log/app/run.txt', scope)).toBe('outside');
+    });
+
+    test('should allow only the null and stdio devices under /dev', () => {
+      expect(getScopeViolation('/dev/null', scope)).toBeNull();
+      expect(getScopeViolation('/dev/stderr', scope)).toBeNull();
+      expect(getScopeViolation('/dev/sda', scope)).toBe('outside');
+      expect(getScopeViolation('/dev/nvme0n1', scope)).toBe('outside');
+    });
+
+    test('should treat in-tree names starting with .. as inside', () => {
+      expect(isInsideDir('/repo/..foo', '/repo')).toBe(true);
+      expect(isInsideDir('/repo/src/..bar/a.js', '/repo')).toBe(true);
+      expect(isInsideDir('/other', '/repo')).toBe(false);
+      expect(getScopeViolation('/repo/.worktrees/feature/..cache', scope)).toBeNull();
+    });
+  });
+
+  describe('protected paths', () => {
+    const policy = { ...DEFAULT_GATE_POLICY, protected_paths: ['package-lock.json', '.github/workflows/**', '**/.env*'] };
+
+    test('should match globs against the project-relative path', () => {
+      expect(findProtectedPattern('/repo/.github/workflows/ci.yml', policy, '/repo')).toBe('.github/workflows/**');
+      expect(findProtectedPattern('/repo/app/.env.local', policy, '/repo')).toBe('**/.env*');
+      expect(findProtectedPattern('/repo/package-lock.json', policy, '/repo')).toBe('package-lock.json');
+      expect(findProtectedPattern('/repo/app/package-lock.json', policy, '/repo')).toBeNull();
+      expect(findProtectedPattern('/repo/src/index.js', policy, '/repo')).toBeNull();
+    });
+
+    test('should allow paths a task declares', () => {
+      const task = { allowed_paths: ['.github/workflows/ci.yml'] };
+
+      expect(isAllowedForTask('/repo/.github/workflows/ci.yml', task, '/repo')).toBe(true);
+      expect(isAllowedForTask('/repo/.github/workflows/release.yml', task, '/repo')).toBe(false);
+      expect(isAllowedForTask('/repo/.github/workflows/ci.yml', {}, '/repo')).toBe(false);
+    });
+
+    test('should match files a task owns', () => {
+      const task = { files: ['src/api/**', 'src/routes.ts'] };
+
+      expect(isOwnedByTask('/repo/src/api/users.ts', task, '/repo')).toBe(true);
+      expect(isOwnedByTask('/repo/src/cli.ts', task, '/repo')).toBe(false);
+      expect(isOwnedByTask('/repo/src/routes.ts', {}, '/repo')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env bun
+/**
+ * Tests for session-reconcile.js - Resume reconciliation
+ *
+ * IMPORTANT: Uses ULTRAWORK_TEST_BASE_DIR for test isolation
+ */
+
+const { describe, test, expect, afterEach, afterAll } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  TEST_BASE_DIR,
+  getTestSessionDir,
+  createMockSession,
+  createMockTask,
+  cleanupAllTestSessions
+} = require('../test-utils.js');
+
+process.env.ULTRAWORK_TEST_BASE_DIR = TEST_BASE_DIR;
+
+const {
+  inspectSession,
+  hasReconcileIssues,
+  applyReconciliation
+} = require('../../../plugins/ultrawork/src/lib/session-reconcile.js');
+const { readSession } = require('../../../plugins/ultrawork/src/lib/session-utils.js');
+
+const SESSION_ID = 'test-reconcile-session';
+
+/**
+ * Create a session left behind by a crashed run: task 1 in progress with a
+ * worker that never finished, task 2 resolved, and a stale task lock.
+ */
+function createCrashedSession() {
+  const mock = createMockSession(SESSION_ID, { phase: 'EXECUTION' });
+  const session = JSON.parse(fs.readFileSync(mock.sessionFile, 'utf-8'));
+  session.workers = [
+    { agent_id: 'agent-a', task_id: '1', status: 'running', started_at: '2026-01-01T00:00:00.000Z' },
+    { agent_id: 'agent-b', task_id: '2', status: 'completed', started_at: '2026-01-01T00:00:00.000Z', completed_at: '2026-01-01T00:05:00.000Z' }
+  ];
+  session.active_agents = [
+    { agent_id: 'agent-a', agent_type: 'ultrawork:worker', started_at: '2026-01-01T00:00:00.000Z' },
+    { agent_id: 'agent-c', agent_type: 'ultrawork:explorer', started_at: '2026-01-01T00:01:00.000Z' }
+  ];
+  fs.writeFileSync(mock.sessionFile, JSON.stringify(session, null, 2));
+
+  createMockTask(SESSION_ID, '1', { status: 'in_progress', subject: 'Build parser' });
+  createMockTask(SESSION_ID, '2', { status: 'resolved' });
+
+  const lockDir = path.join(mock.sessionDir, 'tasks', '2.json.lock');
+  fs.mkdirSync(lockDir);
+  const old = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockDir, old, old);
+
+  return mock;
+}
+
+/**
+ * @param {string} taskId
+ * @returns {Object} Task data
+ */
+function readTask(taskId) {
+  return JSON.parse(fs.readFileSync(path.join(getTestSessionDir(SESSION_ID), 'tasks', `${taskId}.json`), 'utf-8'));
+}
+
+describe('session-reconcile.js', () => {
+  afterEach(() => {
+    fs.rmSync(getTestSessionDir(SESSION_ID), { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    cleanupAllTestSessions();
+    delete process.env.ULTRAWORK_TEST_BASE_DIR;
+  });
+
+  describe('inspectSession', () => {
+    test('should report orphaned tasks, dangling workers and stale locks', () => {
+      createCrashedSession();
+
+      const report = inspectSession(SESSION_ID);
+
+      expect(report.orphaned_tasks).toEqual([{ id: '1', subject: 'Build parser', workers: ['agent-a'] }]);
+      expect(report.dangling_workers).toEqual([
+        { agent_id: 'agent-a', task_id: '1', started_at: '2026-01-01T00:00:00.000Z', source: 'workers' },
+        { agent_id: 'agent-c', task_id: null, started_at: '2026-01-01T00:01:00.000Z', source: 'active_agents' }
+      ]);
+      expect(report.stale_locks).toEqual(['tasks/2.json.lock']);
+      expect(hasReconcileIssues(report)).toBe(true);
+    });
+
+    test('should not report fresh locks', () => {
+      const mock = createMockSession(SESSION_ID);
+      fs.mkdirSync(path.join(mock.sessionDir, 'session.json.lock'));
+
+      const report = inspectSession(SESSION_ID);
+
+      expect(report.stale_locks).toEqual([]);
+      expect(hasReconcileIssues(report)).toBe(false);
+    });
+  });
+
+  describe('applyReconciliation', () => {
+    test('should reset orphaned tasks to open and close dangling workers', async () => {
+      const mock = createCrashedSession();
+      const report = inspectSession(SESSION_ID);
+
+      const applied = await applyReconciliation(SESSION_ID, report, { action: 'reset' });
+
+      expect(applied).toEqual({ tasks: ['1'], workers: 2, locks: 1 });
+
+      const task = readTask('1');
+      expect(task.status).toBe('open');
+      expect(task.evidence[task.evidence.length - 1].kind).toBe('note');
+      expect(task.evidence[task.evidence.length - 1].description).toContain('reset to open');
+      expect(readTask('2').status).toBe('resolved');
+
+      const session = readSession(SESSION_ID);
+      const agentA = session.workers.find(w => w.agent_id === 'agent-a');
+      expect(agentA.status).toBe('failed');
+      expect(agentA.completed_at).toBeTruthy();
+      expect(session.workers.find(w => w.agent_id === 'agent-b').status).toBe('completed');
+      expect(session.active_agents).toEqual([]);
+
+      expect(fs.existsSync(path.join(mock.sessionDir, 'tasks', '2.json.lock'))).toBe(false);
+      expect(hasReconcileIssues(inspectSession(SESSION_ID))).toBe(false);
+    });
+
+    test('should mark orphaned tasks blocked with the given reason', async () => {
+      createCrashedSession();
+      const report = inspectSession(SESSION_ID);
+
+      await applyReconciliation(SESSION_ID, report, { action: 'block', reason: 'Needs manual review' });
+
+      const task = readTask('1');
+      expect(task.status).toBe('blocked');
+      expect(task.blocked_reason).toBe('Needs manual review');
+      expect(task.evidence[task.evidence.length - 1].description).toBe('Reconciled on resume: blocked (Needs manual review)');
+    });
+
+    test('should use a default reason when blocking', async () => {
+      createCrashedSession();
+
+      await applyReconciliation(SESSION_ID, inspectSession(SESSION_ID), { action: 'block' });
+
+      expect(readTask('1').blocked_reason).toBe('Worker did not finish before the session was resumed');
+    });
+
+    test('should reject unknown actions', async () => {
+      createCrashedSession();
+
+      await expect(applyReconciliation(SESSION_ID, inspectSession(SESSION_ID), { action: 'delete' }))
+        .rejects.toThrow('Invalid reconcile action');
+    });
+  });
+});
@@ -19,12 +19,15 @@ const {
   getSessionsDir,
   getSessionDir,
   getSessionFile,
+  getSessionHistoryFile,
   resolveSessionId,
   isSessionActive,
   listActiveSessions,
   readSession,
   readSessionField,
   updateSession,
+  diffSession,
+  readSessionHistory,
   getClaudeSessionId,
   getCurrentSessionFile,
   cleanupOldSessions,
@@ -121,6 +124,11 @@ describe('session-utils.js', () => {
       const file = getSessionFile('abc-123');
       expect(file).toBe(path.join(TEST_BASE_DIR, 'sessions', 'abc-123', 'session.json'));
     });
+
+    test('getSessionHistoryFile should return history.jsonl path', () => {
+      const file = getSessionHistoryFile('abc-123');
+      expect(file).toBe(path.join(TEST_BASE_DIR, 'sessions', 'abc-123', 'history.jsonl'));
+    });
   });
 
   describe('resolveSessionId', () => {
@@ -322,6 +330,62 @@ describe('session-utils.js', () => {
     });
   });
 
+  describe('session history', () => {
+    test('updateSession should append changed fields with caller and timestamp', async () => {
+      await updateSession(session.sessionId, (session) => {
+        session.phase = 'EXECUTION';
+        session.plan.approved_at = '2026-01-01T00:00:00.000Z';
+        return session;
+      });
+
+      const events = readSessionHistory(session.sessionId);
+      expect(events.length).toBe(1);
+      expect(events[0].timestamp).toBe(readSession(session.sessionId).updated_at);
+      expect(typeof events[0].caller).toBe('string');
+      expect(events[0].changes).toEqual([
+        { field: 'phase', old: 'PLANNING', new: 'EXECUTION' },
+        { field: 'plan.approved_at', old: null, new: '2026-01-01T00:00:00.000Z' }
+      ]);
+    });
+
+    test('updateSession should not record an event when nothing changed', async () => {
+      await updateSession(session.sessionId, (session) => session);
+
+      expect(readSessionHistory(session.sessionId)).toEqual([]);
+      expect(fs.existsSync(getSessionHistoryFile(session.sessionId))).toBe(false);
+    });
+
+    test('updater returning a new object is diffed against the stored session', async () => {
+      await updateSession(session.sessionId, (s) => ({ ...s, verifier_passed: true }));
+
+      const events = readSessionHistory(session.sessionId);
+      expect(events[0].changes).toEqual([{ field: 'verifier_passed', old: false, new: true }]);
+    });
+
+    test('diffSession should summarize large values and report removed fields', () => {
+      const workers = Array.from({ length: 50 }, (_, i) => ({ agent_id: `agent-${i}`, status: 'running' }));
+      const changes = diffSession(
+        { workers: [], gone: 'x', updated_at: 'a' },
+        { workers, updated_at: 'b' }
+      );
+
+      expect(changes).toEqual([
+        { field: 'workers', old: [], new: '[50 items]' },
+        { field: 'gone', old: 'x', new: null }
+      ]);
+    });
+
+    test('readSessionHistory should skip corrupted lines', () => {
+      fs.writeFileSync(
+        getSessionHistoryFile(session.sessionId),
+        '{"timestamp":"t1","caller":"a.js","changes":[]}\n{broken\n',
+        'utf-8'
+      );
+
+      expect(readSessionHistory(session.sessionId).length).toBe(1);
+    });
+  });
+
   describe('getClaudeSessionId', () => {
     test('should return session ID from environment', () => {
       process.env.ULTRAWORK_STDIN_SESSION_ID = 'env-session-123';
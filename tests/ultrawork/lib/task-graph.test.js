@@ -0,0 +1,208 @@
+#!/usr/bin/env bun
+/**
+ * Tests for task-graph.js - Task DAG analysis and rendering
+ */
+
+const { describe, test, expect } = require('bun:test');
+const {
+  STATUS_COLORS,
+  statusGroup,
+  findCycles,
+  findFileConflicts,
+  analyzeTaskGraph,
+  renderMermaid,
+  renderDot
+} = require('../../../plugins/ultrawork/src/lib/task-graph.js');
+
+/**
+ * Minimal task for graph analysis
+ */
+function task(id, blockedBy = [], complexity = 'standard') {
+  return { id, subject: `Task ${id}`, complexity, status: 'open', blocked_by: blockedBy };
+}
+
+// 1 → {2 (complex), 3} → 4 → verify (complex)
+const DIAMOND = [
+  task('1', [], 'simple'),
+  task('2', ['1'], 'complex'),
+  task('3', ['1']),
+  task('4', ['2', '3']),
+  task('verify', ['4'], 'complex')
+];
+
+describe('task-graph.js', () => {
+  describe('analyzeTaskGraph', () => {
+    test('should group tasks into topological waves', () => {
+      const analysis = analyzeTaskGraph(DIAMOND);
+
+      expect(analysis.waves).toEqual([['1'], ['2', '3'], ['4'], ['verify']]);
+    });
+
+    test('should pick the heaviest chain as critical path', () => {
+      const analysis = analyzeTaskGraph(DIAMOND);
+
+      expect(analysis.critical_path).toEqual({ tasks: ['1', '2', '4', 'verify'], weight: 9 });
+      expect(analysis.total_weight).toBe(11);
+    });
+
+    test('should compare widest wave with max_workers', () => {
+      expect(analyzeTaskGraph(DIAMOND, { maxWorkers: 1 }).parallelism)
+        .toEqual({ max: 2, wave: 1, max_workers: 1, limited_by_workers: true });
+      expect(analyzeTaskGraph(DIAMOND).parallelism.limited_by_workers).toBe(false);
+    });
+
+    test('should sort numeric IDs numerically', () => {
+      const analysis = analyzeTaskGraph([task('10'), task('2'), task('1')]);
+
+      expect(analysis.waves).toEqual([['1', '2', '10']]);
+    });
+
+    test('should report cycles and keep them out of the waves', () => {
+      const analysis = analyzeTaskGraph([task('1'), task('2', ['3']), task('3', ['2']), task('4', ['4'])]);
+
+      expect(analysis.cycles).toEqual([['2', '3'], ['4']]);
+      expect(analysis.waves).toEqual([['1']]);
+      expect(analysis.unreachable.map(u => [u.id, u.reason])).toEqual([['2', 'cycle'], ['3', 'cycle'], ['4', 'cycle']]);
+    });
+
+    test('should report dangling references and tasks downstream of them', () => {
+      const analysis = analyzeTaskGraph([task('1', ['9']), task('2', ['1']), task('3')]);
+
+      expect(analysis.dangling).toEqual([{ task: '1', missing: '9' }]);
+      expect(analysis.unreachable).toEqual([
+        { id: '1', reason: 'dangling', via: ['9'] },
+        { id: '2', reason: 'upstream', via: ['1'] }
+      ]);
+      expect(analysis.waves).toEqual([['3']]);
+    });
+
+    test('should handle an empty task list', () => {
+      const analysis = analyzeTaskGraph([]);
+
+      expect(analysis.waves).toEqual([]);
+      expect(analysis.critical_path).toEqual({ tasks: [], weight: 0 });
+      expect(analysis.parallelism.max).toBe(0);
+    });
+  });
+
+  describe('findFileConflicts', () => {
+    /**
+     * Task declaring files
+     */
+    function owning(id, blockedBy, files, status = 'open') {
+      return { ...task(id, blockedBy), files, status };
+    }
+
+    test('should report tasks sharing files without a dependency path', () => {
+      const conflicts = findFileConflicts([
+        owning('1', [], ['src/api.ts', 'src/db/**']),
+        owning('2', [], ['src/api.ts']),
+        owning('3', ['1'], ['src/db/user.ts']),
+        owning('4', ['3'], ['src/api.ts'])
+      ]);
+
+      expect(conflicts).toEqual([
+        { tasks: ['1', '2'], files: ['src/api.ts'] },
+        { tasks: ['2', '4'], files: ['src/api.ts'] }
+      ]);
+    });
+
+    test('should follow dependencies through a cycle', () => {
+      // Cycle 1 → 2 → 3 → 1; every task reaches 4 through 1
+      expect(findFileConflicts([
+        owning('1', ['2', '4'], ['src/a.ts']),
+        owning('2', ['3'], ['src/a.ts']),
+        owning('3', ['1'], ['src/a.ts']),
+        owning('4', [], ['src/a.ts']),
+        owning('5', ['3'], ['src/a.ts'])
+      ])).toEqual([]);
+    });
+
+    test('should ignore resolved tasks and tasks without files', () => {
+      expect(findFileConflicts([
+        owning('1', [], ['src/a.ts'], 'resolved'),
+        owning('2', [], ['src/a.ts']),
+        task('3')
+      ])).toEqual([]);
+    });
+
+    test('should be part of the graph analysis', () => {
+      expect(analyzeTaskGraph(DIAMOND).file_conflicts).toEqual([]);
+    });
+  });
+
+  describe('findCycles', () => {
+    test('should return nothing for a DAG', () => {
+      expect(findCycles(new Map([['1', []], ['2', ['1']]]))).toEqual([]);
+    });
+  });
+
+  describe('renderMermaid', () => {
+    test('should draw blocker-to-task edges and highlight the critical path', () => {
+      const output = renderMermaid(DIAMOND, analyzeTaskGraph(DIAMOND));
+
+      expect(output.split('\n')[0]).toBe('flowchart TD');
+      expect(output).toContain('t_1 --> t_2');
+      expect(output).toContain('t_4 --> t_verify');
+      expect(output).toContain('class t_1,t_2,t_4,t_verify critical');
+    });
+
+    test('should escape labels and mark missing tasks', () => {
+      const tasks = [{ ...task('a-1', ['x']), subject: 'Say "hi"' }];
+      const output = renderMermaid(tasks, analyzeTaskGraph(tasks));
+
+      expect(output).toContain('t_a_2d_1["a-1: Say #quot;hi#quot;"]');
+      expect(output).toContain('t_x["x: missing"]:::missing');
+      expect(output).toContain('t_x -.-> t_a_2d_1');
+    });
+
+    test('should give distinct node IDs to IDs that differ only in punctuation', () => {
+      const tasks = [task('1.2'), task('1_2'), task('1-2'), task('1ü2')];
+      const output = renderMermaid(tasks, analyzeTaskGraph(tasks));
+
+      expect(output).toContain('t_1_2e_2["1.2: Task 1.2"]');
+      expect(output).toContain('t_1_5f_2["1_2: Task 1_2"]');
+      expect(output).toContain('t_1_2d_2["1-2: Task 1-2"]');
+      expect(output).toContain('t_1_fc_2["1ü2: Task 1ü2"]');
+    });
+  });
+
+  describe('status colours', () => {
+    test('should fill nodes by status and treat open as pending', () => {
+      const tasks = [
+        { ...task('1'), status: 'resolved' },
+        { ...task('2', ['1']), status: 'in_progress' },
+        { ...task('3', ['1']), status: 'blocked' },
+        task('4', ['2'])
+      ];
+      const output = renderMermaid(tasks, analyzeTaskGraph(tasks), { highlight: false });
+
+      expect(output).toContain('t_1["1: Task 1"]:::resolved');
+      expect(output).toContain('t_2["2: Task 2"]:::in_progress');
+      expect(output).toContain('t_3["3: Task 3"]:::blocked');
+      expect(output).toContain('t_4["4: Task 4"]:::pending');
+      expect(output).toContain(`classDef pending fill:${STATUS_COLORS.pending}`);
+      expect(output).not.toContain('classDef critical');
+    });
+
+    test('should map unknown statuses to pending', () => {
+      expect(statusGroup('open')).toBe('pending');
+      expect(statusGroup('pending')).toBe('pending');
+      expect(statusGroup(undefined)).toBe('pending');
+    });
+  });
+
+  describe('renderDot', () => {
+    test('should render a digraph with quoted IDs', () => {
+      const tasks = [task('1'), { ...task('2', ['1', '9']), subject: 'Path C:\\tmp' }];
+      const output = renderDot(tasks, analyzeTaskGraph(tasks));
+
+      expect(output.startsWith('digraph tasks {')).toBe(true);
+      expect(output).toContain('"1" -> "2";');
+      expect(output).toContain('"9" -> "2" [style=dashed];');
+      expect(output).toContain('label="2: Path C:\\\\tmp"');
+      expect(output).toContain(`fillcolor="${STATUS_COLORS.pending}"`);
+      expect(output.trim().endsWith('}')).toBe(true);
+    });
+  });
+});
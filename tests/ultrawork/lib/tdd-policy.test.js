@@ -0,0 +1,189 @@
+#!/usr/bin/env bun
+/**
+ * Tests for tdd-policy.js - Test-file detection and test-first policy
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  DEFAULT_TDD_POLICY,
+  loadTddPolicy,
+  toProjectPath,
+  isTestFile,
+  requiresTest,
+  expectedTestFiles,
+  hasMatchingTestWritten
+} = require('../../../plugins/ultrawork/src/lib/tdd-policy.js');
+
+const PROJECT_DIR = path.join(os.tmpdir(), 'ultrawork-tdd-policy-test');
+
+/**
+ * Write {PROJECT_DIR}/.claude/ultrawork-rules.json
+ */
+function writeRules(rules) {
+  fs.mkdirSync(path.join(PROJECT_DIR, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(PROJECT_DIR, '.claude', 'ultrawork-rules.json'), JSON.stringify(rules));
+}
+
+describe('tdd-policy.js', () => {
+  beforeEach(() => {
+    fs.mkdirSync(PROJECT_DIR, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(PROJECT_DIR, { recursive: true, force: true });
+  });
+
+  describe('loadTddPolicy', () => {
+    test('should return defaults without project config', () => {
+      expect(loadTddPolicy(PROJECT_DIR)).toEqual(DEFAULT_TDD_POLICY);
+      expect(loadTddPolicy(undefined)).toEqual(DEFAULT_TDD_POLICY);
+    });
+
+    test('should replace only the keys the project sets', () => {
+      writeRules({ tdd: { source_roots: ['src'], exempt: 'not-an-array' } });
+
+      const policy = loadTddPolicy(PROJECT_DIR);
+
+      expect(policy.source_roots).toEqual(['src']);
+      expect(policy.exempt).toEqual([]);
+      expect(policy.test_patterns).toEqual(DEFAULT_TDD_POLICY.test_patterns);
+    });
+
+    test('should fall back to defaults for invalid JSON', () => {
+      fs.mkdirSync(path.join(PROJECT_DIR, '.claude'), { recursive: true });
+      fs.writeFileSync(path.join(PROJECT_DIR, '.claude', 'ultrawork-rules.json'), '{ nope');
+
+      expect(loadTddPolicy(PROJECT_DIR)).toEqual(DEFAULT_TDD_POLICY);
+    });
+  });
+
+  describe('toProjectPath', () => {
+    test('should make paths inside the working dir relative', () => {
+      expect(toProjectPath(path.join(PROJECT_DIR, 'src', 'a.ts'), PROJECT_DIR)).toBe('src/a.ts');
+      expect(toProjectPath('src/a.ts', PROJECT_DIR)).toBe('src/a.ts');
+      expect(toProjectPath(path.join(PROJECT_DIR, '..config', 'a.ts'), PROJECT_DIR)).toBe('..config/a.ts');
+    });
+
+    test('should keep paths outside the working dir absolute', () => {
+      expect(toProjectPath('/elsewhere/a.ts', PROJECT_DIR)).toBe('/elsewhere/a.ts');
+    });
+  });
+
+  describe('isTestFile', () => {
+    test('should match the default test patterns', () => {
+      for (const file of ['src/a.test.ts', 'src/a.spec.js', 'src/__tests__/a.js', 'tests/a.py', 'pkg/test/a.go', 'a_test.py']) {
+        expect(isTestFile(file, DEFAULT_TDD_POLICY, PROJECT_DIR)).toBe(true);
+      }
+      expect(isTestFile('src/a.ts', DEFAULT_TDD_POLICY, PROJECT_DIR)).toBe(false);
+      expect(isTestFile('src/latest.ts', DEFAULT_TDD_POLICY, PROJECT_DIR)).toBe(false);
+    });
+
+    test('should use project patterns', () => {
+      const policy = { ...DEFAULT_TDD_POLICY, test_patterns: ['spec/**/*_spec.rb'] };
+
+      expect(isTestFile('spec/models/user_spec.rb', policy, PROJECT_DIR)).toBe(true);
+      expect(isTestFile('src/a.test.ts', policy, PROJECT_DIR)).toBe(false);
+    });
+  });
+
+  describe('requiresTest', () => {
+    test('should require a test for any non-test file by default', () => {
+      expect(requiresTest('src/a.ts', DEFAULT_TDD_POLICY, PROJECT_DIR)).toBe(true);
+      expect(requiresTest('README.md', DEFAULT_TDD_POLICY, PROJECT_DIR)).toBe(true);
+      expect(requiresTest('src/a.test.ts', DEFAULT_TDD_POLICY, PROJECT_DIR)).toBe(false);
+    });
+
+    test('should only require tests under source roots', () => {
+      const policy = { ...DEFAULT_TDD_POLICY, source_roots: ['src', 'lib/**/*.py'] };
+
+      expect(requiresTest('src/deep/a.ts', policy, PROJECT_DIR)).toBe(true);
+      expect(requiresTest('lib/pkg/a.py', policy, PROJECT_DIR)).toBe(true);
+      expect(requiresTest('lib/pkg/a.txt', policy, PROJECT_DIR)).toBe(false);
+      expect(requiresTest('scripts/build.sh', policy, PROJECT_DIR)).toBe(false);
+    });
+
+    test('should skip exempt files', () => {
+      const policy = { ...DEFAULT_TDD_POLICY, exempt: ['src/generated/**', '**/migrations/**', '*.config.*'] };
+
+      expect(requiresTest('src/generated/api.ts', policy, PROJECT_DIR)).toBe(false);
+      expect(requiresTest('db/migrations/001.sql', policy, PROJECT_DIR)).toBe(false);
+      expect(requiresTest('vite.config.ts', policy, PROJECT_DIR)).toBe(false);
+      expect(requiresTest('src/a.ts', policy, PROJECT_DIR)).toBe(true);
+    });
+  });
+
+  describe('expectedTestFiles', () => {
+    const policy = {
+      ...DEFAULT_TDD_POLICY,
+      test_mapping: [
+        { source: 'src/**/*.ts', test: ['tests/{dir}/{name}.test{ext}', 'src/{dir}/{name}.spec{ext}'] },
+        { source: 'app/*.py', test: 'tests/test_{name}.py' }
+      ]
+    };
+
+    test('should render templates relative to the source glob base', () => {
+      expect(expectedTestFiles(path.join(PROJECT_DIR, 'src/lib/user.ts'), policy, PROJECT_DIR))
+        .toEqual(['tests/lib/user.test.ts', 'src/lib/user.spec.ts']);
+    });
+
+    test('should collapse an empty {dir}', () => {
+      expect(expectedTestFiles('src/user.ts', policy, PROJECT_DIR))
+        .toEqual(['tests/user.test.ts', 'src/user.spec.ts']);
+      expect(expectedTestFiles('app/models.py', policy, PROJECT_DIR)).toEqual(['tests/test_models.py']);
+    });
+
+    test('should return nothing when no mapping applies', () => {
+      expect(expectedTestFiles('docs/a.md', policy, PROJECT_DIR)).toEqual([]);
+      expect(expectedTestFiles('src/a.ts', DEFAULT_TDD_POLICY, PROJECT_DIR)).toEqual([]);
+    });
+  });
+
+  describe('hasMatchingTestWritten', () => {
+    const sessionDir = path.join(PROJECT_DIR, 'session');
+    const task = { id: '1', subject: 'User', evidence: [] };
+
+    /**
+     * Write evidence/log.jsonl entries
+     */
+    function writeLog(entries) {
+      fs.mkdirSync(path.join(sessionDir, 'evidence'), { recursive: true });
+      fs.writeFileSync(path.join(sessionDir, 'evidence', 'log.jsonl'), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+    }
+
+    test('should accept a logged write of the matching test', () => {
+      writeLog([{ type: 'file_operation', operation: 'write', path: path.join(PROJECT_DIR, 'tests/user.test.ts') }]);
+
+      expect(hasMatchingTestWritten(['tests/user.test.ts'], { sessionDir, task, workingDir: PROJECT_DIR })).toBe(true);
+    });
+
+    test('should reject when only another test was written', () => {
+      writeLog([
+        { type: 'file_operation', operation: 'write', path: path.join(PROJECT_DIR, 'tests/other.test.ts') },
+        { type: 'file_operation', operation: 'read', path: path.join(PROJECT_DIR, 'tests/user.test.ts') }
+      ]);
+
+      expect(hasMatchingTestWritten(['tests/user.test.ts'], { sessionDir, task, workingDir: PROJECT_DIR })).toBe(false);
+    });
+
+    test('should accept typed file or test evidence for the matching test', () => {
+      const fileEvidence = { ...task, evidence: [{ kind: 'file', path: 'tests/user.test.ts', sha256: 'abc', description: 'x' }] };
+      const testEvidence = { ...task, evidence: [{ kind: 'test', command: 'bun test ./tests/user.test.ts', exit_code: 1, passed: false }] };
+
+      expect(hasMatchingTestWritten(['tests/user.test.ts'], { sessionDir, task: fileEvidence, workingDir: PROJECT_DIR })).toBe(true);
+      expect(hasMatchingTestWritten(['tests/user.test.ts'], { sessionDir, task: testEvidence, workingDir: PROJECT_DIR })).toBe(true);
+    });
+
+    test('should not accept notes that only mention the matching test', () => {
+      const notes = { ...task, evidence: [
+        'TDD-RED: will write tests/user.test.ts next',
+        { kind: 'note', description: 'Plan: tests/user.test.ts' },
+        { kind: 'command', command: 'cat tests/user.test.ts', exit_code: 0 }
+      ] };
+
+      expect(hasMatchingTestWritten(['tests/user.test.ts'], { sessionDir, task: notes, workingDir: PROJECT_DIR })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+#!/usr/bin/env bun
+/**
+ * Tests for test-reports.js - Structured test report parsing
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  MAX_FAILED_TESTS,
+  parseJUnitXml,
+  parseTap,
+  parseBunTestOutput,
+  parseJsonReport,
+  findReportPaths,
+  parseTestReport
+} = require('../../../plugins/ultrawork/src/lib/test-reports.js');
+
+const JUNIT_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="jest tests" tests="4" failures="1" time="1.5">
+  <testsuite name="math" tests="4">
+    <testcase classname="math" name="adds" time="0.1"/>
+    <testcase classname="math" name="divides &amp; rounds" time="0.25">
+      <failure message="expected 1 &lt; 2">Error: expected 1 &lt; 2
+    at Object.&lt;anonymous&gt; (math.test.js:10:5)</failure>
+    </testcase>
+    <testcase classname="math" name="multiplies" time="0.05"></testcase>
+    <testcase classname="math" name="later" time="0"><skipped/></testcase>
+  </testsuite>
+</testsuites>`;
+
+describe('test-reports.js', () => {
+  describe('parseJUnitXml', () => {
+    test('should count passed, failed and skipped test cases', () => {
+      const report = parseJUnitXml(JUNIT_XML);
+
+      expect(report.format).toBe('junit');
+      expect(report.counts).toEqual({ total: 4, passed: 2, failed: 1, skipped: 1 });
+      expect(report.duration_ms).toBe(1500);
+    });
+
+    test('should record failing test name, duration and message', () => {
+      const report = parseJUnitXml(JUNIT_XML);
+
+      expect(report.failed_tests).toEqual([
+        { name: 'math > divides & rounds', duration_ms: 250, message: 'expected 1 < 2' }
+      ]);
+    });
+
+    test('should treat <error> as a failure and fall back to the element body', () => {
+      const xml = '<testsuite><testcase name="boom"><error>TypeError: x is undefined</error></testcase></testsuite>';
+      const report = parseJUnitXml(xml);
+
+      expect(report.counts.failed).toBe(1);
+      expect(report.failed_tests[0]).toEqual({ name: 'boom', message: 'TypeError: x is undefined' });
+    });
+
+    test('should return null for non-JUnit input', () => {
+      expect(parseJUnitXml('')).toBeNull();
+      expect(parseJUnitXml('<html></html>')).toBeNull();
+      expect(parseJUnitXml('<testsuites></testsuites>')).toBeNull();
+    });
+  });
+
+  describe('parseTap', () => {
+    test('should parse a flat TAP stream with directives', () => {
+      const output = [
+        'TAP version 13',
+        'ok 1 - parses input',
+        'not ok 2 - handles empty string',
+        'ok 3 - unicode # SKIP not supported yet',
+        'not ok 4 - future feature # TODO',
+        '1..4'
+      ].join('\n');
+      const report = parseTap(output);
+
+      expect(report.format).toBe('tap');
+      expect(report.counts).toEqual({ total: 4, passed: 1, failed: 1, skipped: 2 });
+      expect(report.failed_tests).toEqual([{ name: 'handles empty string' }]);
+    });
+
+    test('should count node --test subtests at the leaf level', () => {
+      const output = [
+        'TAP version 13',
+        '# Subtest: parser',
+        '    # Subtest: reads tokens',
+        '    ok 1 - reads tokens',
+        '      ---',
+        '      duration_ms: 1.5',
+        '      ...',
+        '    # Subtest: rejects garbage',
+        '    not ok 2 - rejects garbage',
+        '      ---',
+        '      duration_ms: 2.25',
+        "      error: 'Expected values to be strictly equal'",
+        '      ...',
+        '    1..2',
+        'not ok 1 - parser',
+        '1..1',
+        '# duration_ms 40.1'
+      ].join('\n');
+      const report = parseTap(output);
+
+      expect(report.counts).toEqual({ total: 2, passed: 1, failed: 1, skipped: 0 });
+      expect(report.failed_tests).toEqual([
+        { name: 'rejects garbage', duration_ms: 2.25, message: 'Expected values to be strictly equal' }
+      ]);
+      expect(report.duration_ms).toBe(40.1);
+    });
+
+    test('should return null for non-TAP output', () => {
+      expect(parseTap('ok then, all good')).toBeNull();
+      expect(parseTap('')).toBeNull();
+    });
+  });
+
+  describe('parseBunTestOutput', () => {
+    test('should take counts from the summary and names from (fail) lines', () => {
+      const output = [
+        'tests/math.test.js:',
+        '(fail) math > divides [0.52ms]',
+        '(fail) math > slow path [1.20s]',
+        '',
+        ' 10 pass',
+        ' 1 skip',
+        ' 2 fail',
+        ' 25 expect() calls',
+        'Ran 13 tests across 2 files. [120.00ms]'
+      ].join('\n');
+      const report = parseBunTestOutput(output);
+
+      expect(report.format).toBe('bun');
+      expect(report.counts).toEqual({ total: 13, passed: 10, failed: 2, skipped: 1 });
+      expect(report.duration_ms).toBe(120);
+      expect(report.failed_tests).toEqual([
+        { name: 'math > divides', duration_ms: 0.52 },
+        { name: 'math > slow path', duration_ms: 1200 }
+      ]);
+    });
+
+    test('should count result lines when the summary is missing', () => {
+      const report = parseBunTestOutput('(pass) a\n(pass) b\n(skip) c\n(fail) d');
+
+      expect(report.counts).toEqual({ total: 4, passed: 2, failed: 1, skipped: 1 });
+    });
+
+    test('should return null for other output', () => {
+      expect(parseBunTestOutput('Tests: 5 passed, 5 total')).toBeNull();
+    });
+  });
+
+  describe('parseJsonReport', () => {
+    const doc = {
+      numTotalTests: 3,
+      numPassedTests: 1,
+      numFailedTests: 1,
+      numPendingTests: 1,
+      startTime: 1000,
+      testResults: [{
+        name: '/repo/src/a.test.ts',
+        endTime: 1500,
+        assertionResults: [
+          { status: 'passed', fullName: 'a works', title: 'works', duration: 2 },
+          { status: 'failed', ancestorTitles: ['a'], title: 'breaks', duration: 3, failureMessages: ['\x1b[31mAssertionError: expected 2 to be 3\x1b[39m'] },
+          { status: 'skipped', fullName: 'a skipped', title: 'skipped' }
+        ]
+      }]
+    };
+
+    test('should parse jest/vitest JSON reporter output', () => {
+      const report = parseJsonReport(JSON.stringify(doc));
+
+      expect(report.format).toBe('json');
+      expect(report.counts).toEqual({ total: 3, passed: 1, failed: 1, skipped: 1 });
+      expect(report.duration_ms).toBe(500);
+      expect(report.failed_tests).toEqual([
+        { name: 'a > breaks', duration_ms: 3, message: 'AssertionError: expected 2 to be 3' }
+      ]);
+    });
+
+    test('should find the document after leading noise', () => {
+      const report = parseJsonReport(`> vitest run --reporter=json\n${JSON.stringify(doc)}\n`);
+
+      expect(report.counts.total).toBe(3);
+    });
+
+    test('should return null for other JSON', () => {
+      expect(parseJsonReport('{"numTotalTests": "many"}')).toBeNull();
+      expect(parseJsonReport('{"ok": true}')).toBeNull();
+    });
+  });
+
+  describe('findReportPaths', () => {
+    test('should find report files named by reporter flags and redirects', () => {
+      const command = 'pytest --junitxml=out/junit.xml && vitest --reporter=json --outputFile "r.json" | tee log.txt; ' +
+        'go test -v 2>&1 | go-junit-report > report.xml';
+
+      expect(findReportPaths(command)).toEqual(['out/junit.xml', 'r.json', 'report.xml']);
+    });
+
+    test('should ignore non-report redirects', () => {
+      expect(findReportPaths('npm test > test.log 2>&1')).toEqual([]);
+    });
+  });
+
+  describe('parseTestReport', () => {
+    const TEST_DIR = path.join(os.tmpdir(), 'ultrawork-test-reports');
+
+    beforeEach(() => {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    test('should prefer a report file written by the command', () => {
+      fs.writeFileSync(path.join(TEST_DIR, 'junit.xml'), JUNIT_XML);
+
+      const report = parseTestReport('pytest --junitxml=junit.xml', '1 failed, 2 passed', { cwd: TEST_DIR });
+
+      expect(report.format).toBe('junit');
+      expect(report.source).toBe(path.join(TEST_DIR, 'junit.xml'));
+      expect(report.counts.failed).toBe(1);
+    });
+
+    test('should ignore stale report files', () => {
+      const reportFile = path.join(TEST_DIR, 'junit.xml');
+      fs.writeFileSync(reportFile, JUNIT_XML);
+      const old = new Date(Date.now() - 60 * 60 * 1000);
+      fs.utimesSync(reportFile, old, old);
+
+      expect(parseTestReport('pytest --junitxml=junit.xml', '', { cwd: TEST_DIR })).toBeNull();
+    });
+
+    test('should fall back to parsing the output', () => {
+      const report = parseTestReport('bun test', ' 3 pass\n 0 fail\nRan 3 tests across 1 file. [5.00ms]', { cwd: TEST_DIR });
+
+      expect(report.format).toBe('bun');
+      expect(report.counts.passed).toBe(3);
+    });
+
+    test('should cap recorded failing tests but keep exact counts', () => {
+      const cases = Array.from({ length: MAX_FAILED_TESTS + 5 }, (_, i) =>
+        `<testcase name="t${i}"><failure message="no"/></testcase>`).join('');
+      const report = parseTestReport('jest', `<testsuite>${cases}</testsuite>`, { cwd: TEST_DIR });
+
+      expect(report.counts.failed).toBe(MAX_FAILED_TESTS + 5);
+      expect(report.failed_tests.length).toBe(MAX_FAILED_TESTS);
+    });
+
+    test('should return null when no structured report is present', () => {
+      expect(parseTestReport('npm test', 'Tests: 5 passed, 5 total', { cwd: TEST_DIR })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+#!/usr/bin/env bun
+/**
+ * Tests for verify-rules.js - Rule merging and phase transition checks
+ */
+
+const { describe, test, expect } = require('bun:test');
+const {
+  loadDefaultRules,
+  mergeChecks,
+  mergeCheckTypes,
+  transitionKey,
+  getTransitionChecks,
+  BUILTIN_EXECUTORS
+} = require('../../../plugins/ultrawork/src/lib/verify-rules.js');
+
+describe('verify-rules.js', () => {
+  describe('loadDefaultRules', () => {
+    test('should define completion checks and transition checks', () => {
+      const rules = loadDefaultRules();
+      expect(Array.isArray(rules.checks)).toBe(true);
+      expect(rules.transitions).toBeDefined();
+      expect(Object.keys(rules.transitions)).toEqual([
+        'PLANNING->EXECUTION',
+        'EXECUTION->VERIFICATION',
+        'VERIFICATION->DOCUMENTATION',
+        'DOCUMENTATION->COMPLETE'
+      ]);
+    });
+
+    test('should only use built-in check types', () => {
+      const rules = loadDefaultRules();
+      const allChecks = [...rules.checks, ...Object.values(rules.transitions).flat()];
+      for (const check of allChecks) {
+        expect(BUILTIN_EXECUTORS[check.type]).toBeDefined();
+      }
+    });
+  });
+
+  describe('mergeChecks', () => {
+    test('should let project checks override defaults by name', () => {
+      const merged = mergeChecks(
+        { checks: [{ name: 'a', type: 'task_status' }, { name: 'b', type: 'glob' }] },
+        { checks: [{ name: 'b', type: 'command' }, { name: 'c', type: 'glob' }] }
+      );
+      expect(merged.map(c => `${c.name}:${c.type}`)).toEqual(['a:task_status', 'b:command', 'c:glob']);
+    });
+
+    test('should handle missing project rules', () => {
+      expect(mergeChecks({ checks: [{ name: 'a' }] }, null)).toEqual([{ name: 'a' }]);
+    });
+  });
+
+  describe('mergeCheckTypes', () => {
+    test('should let project registrations override defaults', () => {
+      const merged = mergeCheckTypes(
+        { check_types: { x: 'default.js', y: 'y.js' } },
+        { check_types: { x: 'project.js' } }
+      );
+      expect(merged).toEqual({ x: 'project.js', y: 'y.js' });
+    });
+  });
+
+  describe('getTransitionChecks', () => {
+    test('should build keys as FROM->TO', () => {
+      expect(transitionKey('PLANNING', 'EXECUTION')).toBe('PLANNING->EXECUTION');
+    });
+
+    test('should merge default and project checks for the transition only', () => {
+      const defaults = {
+        transitions: {
+          'PLANNING->EXECUTION': [{ name: 'tasks_exist', type: 'task_count' }],
+          'EXECUTION->VERIFICATION': [{ name: 'other', type: 'glob' }]
+        }
+      };
+      const project = {
+        transitions: {
+          'PLANNING->EXECUTION': [{ name: 'design', type: 'doc_sections' }]
+        }
+      };
+
+      const checks = getTransitionChecks(defaults, project, 'PLANNING', 'EXECUTION');
+      expect(checks.map(c => c.name)).toEqual(['tasks_exist', 'design']);
+    });
+
+    test('should accept unicode arrows and spacing in keys', () => {
+      const project = {
+        transitions: { 'VERIFICATION → DOCUMENTATION': [{ name: 'docs', type: 'glob' }] }
+      };
+
+      const checks = getTransitionChecks({}, project, 'VERIFICATION', 'DOCUMENTATION');
+      expect(checks.map(c => c.name)).toEqual(['docs']);
+    });
+
+    test('should return no checks for unregistered transitions', () => {
+      expect(getTransitionChecks({ transitions: {} }, null, 'VERIFICATION', 'EXECUTION')).toEqual([]);
+    });
+  });
+});
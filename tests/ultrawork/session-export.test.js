@@ -0,0 +1,93 @@
+#!/usr/bin/env bun
+/**
+ * Tests for session-export.js
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const { createMockSession, createMockTask, runScript, assertHelpText, TEST_BASE_DIR } = require('./test-utils.js');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/session-export.js');
+const BUNDLE_FILE = path.join(TEST_BASE_DIR, 'bundles', 'export.bundle.json');
+
+describe('session-export.js', () => {
+  let session;
+
+  beforeEach(() => {
+    session = createMockSession('test-session-export', { phase: 'EXECUTION', working_dir: '/home/alice/project' });
+    createMockTask(session.sessionId, '1', { subject: 'Task 1' });
+
+    const evidenceDir = path.join(session.sessionDir, 'evidence');
+    fs.mkdirSync(evidenceDir, { recursive: true });
+    fs.writeFileSync(path.join(evidenceDir, 'log.jsonl'), '{"type":"command_execution"}\n', 'utf-8');
+    fs.writeFileSync(path.join(session.sessionDir, 'exploration', 'overview.md'), '# Overview\n', 'utf-8');
+  });
+
+  afterEach(() => {
+    session.cleanup();
+    fs.rmSync(path.dirname(BUNDLE_FILE), { recursive: true, force: true });
+  });
+
+  describe('help flag', () => {
+    test('should display help with --help', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--help']);
+
+      expect(result.exitCode).toBe(0);
+      assertHelpText(result.stdout, ['--session', '--output']);
+    });
+  });
+
+  describe('export', () => {
+    test('should write a versioned bundle with manifest and checksums', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--output', BUNDLE_FILE]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('OK: Session test-session-export exported');
+
+      const bundle = JSON.parse(fs.readFileSync(BUNDLE_FILE, 'utf-8'));
+      expect(bundle.format).toBe('ultrawork-session-bundle');
+      expect(bundle.version).toBe(2);
+      expect(bundle.manifest.session_id).toBe(session.sessionId);
+      expect(bundle.manifest.phase).toBe('EXECUTION');
+      expect(bundle.manifest.working_dir).toBe('/home/alice/project');
+
+      const paths = bundle.manifest.files.map(f => f.path);
+      expect(paths).toEqual([
+        'context.json',
+        'evidence/log.jsonl',
+        'exploration/overview.md',
+        'session.json',
+        'tasks/1.json'
+      ]);
+
+      for (const entry of bundle.manifest.files) {
+        const content = fs.readFileSync(path.join(session.sessionDir, entry.path), 'utf-8');
+        expect(bundle.files[entry.path]).toBe(content);
+        expect(entry.sha256).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+      }
+    });
+
+    test('should skip lock directories and temp files', async () => {
+      fs.mkdirSync(path.join(session.sessionDir, 'session.json.lock'));
+      fs.writeFileSync(path.join(session.sessionDir, 'session.json.123.456.tmp'), '{}', 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--output', BUNDLE_FILE]);
+
+      expect(result.exitCode).toBe(0);
+      const bundle = JSON.parse(fs.readFileSync(BUNDLE_FILE, 'utf-8'));
+      expect(bundle.manifest.files.some(f => f.path.includes('.lock') || f.path.endsWith('.tmp'))).toBe(false);
+    });
+  });
+
+  describe('error cases', () => {
+    test('should fail for non-existent session', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', 'non-existent-session', '--output', BUNDLE_FILE]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('not found');
+      expect(fs.existsSync(BUNDLE_FILE)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+#!/usr/bin/env bun
+/**
+ * Tests for session-history.js
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const { createMockSession, runScript, assertHelpText } = require('./test-utils.js');
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/session-history.js');
+const UPDATE_SCRIPT = path.join(__dirname, '../../plugins/ultrawork/src/scripts/session-update.js');
+const { buildPhaseSegments, summarizePhaseDurations, formatDuration } = require(SCRIPT_PATH);
+
+/**
+ * Build a history event changing one field
+ */
+function event(timestamp, caller, field, oldValue, newValue) {
+  return { timestamp, caller, changes: [{ field, old: oldValue, new: newValue }] };
+}
+
+const STARTED_AT = '2026-03-01T10:00:00.000Z';
+
+// PLANNING 10m → EXECUTION 30m → VERIFICATION 5m → EXECUTION 20m → VERIFICATION (current)
+const EVENTS = [
+  event('2026-03-01T10:10:00.000Z', 'session-update.js', 'phase', 'PLANNING', 'EXECUTION'),
+  event('2026-03-01T10:40:00.000Z', 'session-update.js', 'phase', 'EXECUTION', 'VERIFICATION'),
+  event('2026-03-01T10:45:00.000Z', 'session-update.js', 'phase', 'VERIFICATION', 'EXECUTION'),
+  event('2026-03-01T10:45:00.000Z', 'subagent-stop-tracking.js', 'workers', [], '[12 items]'),
+  event('2026-03-01T11:05:00.000Z', 'session-update.js', 'phase', 'EXECUTION', 'VERIFICATION'),
+  event('2026-03-01T11:10:00.000Z', 'session-update.js', 'verifier_passed', false, true)
+];
+
+describe('session-history.js', () => {
+  let session;
+
+  beforeEach(() => {
+    session = createMockSession('test-session-history', { phase: 'VERIFICATION' });
+    const sessionData = JSON.parse(fs.readFileSync(session.sessionFile, 'utf-8'));
+    sessionData.started_at = STARTED_AT;
+    fs.writeFileSync(session.sessionFile, JSON.stringify(sessionData, null, 2), 'utf-8');
+    fs.writeFileSync(
+      path.join(session.sessionDir, 'history.jsonl'),
+      EVENTS.map(e => JSON.stringify(e)).join('\n') + '\n',
+      'utf-8'
+    );
+  });
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  describe('help flag', () => {
+    test('should display help with --help', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--help']);
+
+      expect(result.exitCode).toBe(0);
+      assertHelpText(result.stdout, ['--session', '--field', '--format']);
+    });
+  });
+
+  describe('buildPhaseSegments', () => {
+    test('should split the session into phase segments with durations', () => {
+      const now = Date.parse('2026-03-01T11:15:00.000Z');
+      const segments = buildPhaseSegments({ phase: 'VERIFICATION', started_at: STARTED_AT }, EVENTS, now);
+
+      expect(segments.map(s => [s.phase, s.duration_ms / 60000])).toEqual([
+        ['PLANNING', 10],
+        ['EXECUTION', 30],
+        ['VERIFICATION', 5],
+        ['EXECUTION', 20],
+        ['VERIFICATION', 10]
+      ]);
+      expect(segments[0].entered_by).toBeNull();
+      expect(segments[1].entered_by).toBe('session-update.js');
+      expect(segments[4].left_at).toBeNull();
+    });
+
+    test('should count visits and total time per phase', () => {
+      const now = Date.parse('2026-03-01T11:15:00.000Z');
+      const durations = summarizePhaseDurations(
+        buildPhaseSegments({ phase: 'VERIFICATION', started_at: STARTED_AT }, EVENTS, now)
+      );
+
+      expect(durations.EXECUTION).toEqual({ visits: 2, duration_ms: 50 * 60000 });
+      expect(durations.VERIFICATION).toEqual({ visits: 2, duration_ms: 15 * 60000 });
+    });
+
+    test('should not report a duration for a terminal current phase', () => {
+      const events = [event('2026-03-01T10:10:00.000Z', 'session-update.js', 'phase', 'PLANNING', 'CANCELLED')];
+      const segments = buildPhaseSegments({ phase: 'CANCELLED', started_at: STARTED_AT }, events);
+
+      expect(segments[1].duration_ms).toBeNull();
+    });
+
+    test('should use the current phase when there are no transitions', () => {
+      const segments = buildPhaseSegments({ phase: 'PLANNING', started_at: STARTED_AT }, [], Date.parse(STARTED_AT) + 5000);
+
+      expect(segments).toEqual([
+        { phase: 'PLANNING', entered_at: STARTED_AT, entered_by: null, left_at: null, duration_ms: 5000 }
+      ]);
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('should format seconds, minutes and hours', () => {
+      expect(formatDuration(37000)).toBe('37s');
+      expect(formatDuration(252000)).toBe('4m 12s');
+      expect(formatDuration(3900000)).toBe('1h 05m');
+      expect(formatDuration(null)).toBe('-');
+    });
+  });
+
+  describe('markdown format', () => {
+    test('should render durations, phases and events', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('# Session History');
+      expect(result.stdout).toContain('| EXECUTION | 2 | 50m 00s |');
+      expect(result.stdout).toContain('**VERIFICATION**');
+      expect(result.stdout).toContain('`session-update.js` verifier_passed: false → true');
+    });
+  });
+
+  describe('JSON format', () => {
+    test('should filter events with --field', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--field', 'verifier_passed',
+        '--format', 'json'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const history = JSON.parse(result.stdout);
+      expect(history.events).toEqual([EVENTS[5]]);
+      expect(history.phases.length).toBe(5);
+    });
+  });
+
+  describe('recording', () => {
+    test('should include changes made by session-update.js', async () => {
+      fs.rmSync(path.join(session.sessionDir, 'history.jsonl'));
+
+      const update = await runScript(UPDATE_SCRIPT, [
+        '--session', session.sessionId,
+        '--exploration-stage', 'complete'
+      ]);
+      expect(update.exitCode).toBe(0);
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--format', 'json']);
+      const history = JSON.parse(result.stdout);
+
+      expect(history.events.length).toBe(1);
+      expect(history.events[0].caller).toBe('session-update.js');
+      expect(history.events[0].changes).toEqual([
+        { field: 'exploration_stage', old: 'not_started', new: 'complete' }
+      ]);
+    });
+  });
+
+  describe('error cases', () => {
+    test('should fail for non-existent session', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', 'non-existent-session']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('not found');
+    });
+  });
+});
@@ -0,0 +1,320 @@
+#!/usr/bin/env bun
+/**
+ * Tests for session-import.js
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const { createMockSession, createMockTask, runScript, assertHelpText, getTestSessionDir, TEST_BASE_DIR } = require('./test-utils.js');
+const fs = require('fs');
+const path = require('path');
+
+const EXPORT_SCRIPT = path.join(__dirname, '../../plugins/ultrawork/src/scripts/session-export.js');
+const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/session-import.js');
+const BUNDLE_FILE = path.join(TEST_BASE_DIR, 'bundles', 'import.bundle.json');
+const NEW_ROOT = path.join(TEST_BASE_DIR, 'bob-project');
+
+describe('session-import.js', () => {
+  let source;
+
+  /**
+   * Export the source session and remove it, as if it lived on another machine
+   */
+  async function exportSource() {
+    const result = await runScript(EXPORT_SCRIPT, ['--session', source.sessionId, '--output', BUNDLE_FILE]);
+    expect(result.exitCode).toBe(0);
+    source.cleanup();
+  }
+
+  function readImported(sessionId) {
+    return JSON.parse(fs.readFileSync(path.join(getTestSessionDir(sessionId), 'session.json'), 'utf-8'));
+  }
+
+  beforeEach(() => {
+    source = createMockSession('test-session-import-src', { phase: 'EXECUTION', working_dir: '/home/alice/project' });
+    createMockTask(source.sessionId, '1', { subject: 'Task 1', status: 'in_progress' });
+  });
+
+  afterEach(() => {
+    source.cleanup();
+    fs.rmSync(getTestSessionDir('test-session-import-dst'), { recursive: true, force: true });
+    fs.rmSync(path.dirname(BUNDLE_FILE), { recursive: true, force: true });
+  });
+
+  describe('help flag', () => {
+    test('should display help with --help', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--help']);
+
+      expect(result.exitCode).toBe(0);
+      assertHelpText(result.stdout, ['--bundle', '--session', '--working-dir', '--force']);
+    });
+  });
+
+  describe('import', () => {
+    test('should restore all files under the original session ID', async () => {
+      await exportSource();
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('OK: Session test-session-import-src imported');
+
+      const sessionDir = getTestSessionDir(source.sessionId);
+      const task = JSON.parse(fs.readFileSync(path.join(sessionDir, 'tasks', '1.json'), 'utf-8'));
+      expect(task.status).toBe('in_progress');
+      expect(fs.existsSync(path.join(sessionDir, 'context.json'))).toBe(true);
+
+      const session = readImported(source.sessionId);
+      expect(session.phase).toBe('EXECUTION');
+      expect(session.working_dir).toBe(NEW_ROOT);
+    });
+
+    test('should import under a new session ID', async () => {
+      await exportSource();
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--bundle', BUNDLE_FILE,
+        '--session', 'test-session-import-dst',
+        '--working-dir', NEW_ROOT
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(readImported('test-session-import-dst').session_id).toBe('test-session-import-dst');
+      expect(fs.existsSync(getTestSessionDir(source.sessionId))).toBe(false);
+    });
+
+    test('should rewrite worktree paths relative to the project root', async () => {
+      const sessionFile = path.join(source.sessionDir, 'session.json');
+      const data = JSON.parse(fs.readFileSync(sessionFile, 'utf-8'));
+      data.original_dir = '/home/alice/project';
+      data.working_dir = '/home/alice/project/.worktrees/feature';
+      data.worktree = { enabled: true, branch: 'ultrawork/feature', path: '/home/alice/project/.worktrees/feature', created_at: data.started_at };
+      data.plan.design_doc = '/home/alice/project/docs/plans/design.md';
+      fs.writeFileSync(sessionFile, JSON.stringify(data, null, 2), 'utf-8');
+      await exportSource();
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(0);
+      const session = readImported(source.sessionId);
+      expect(session.original_dir).toBe(NEW_ROOT);
+      expect(session.worktree.path).toBe(path.join(NEW_ROOT, '.worktrees', 'feature'));
+      expect(session.working_dir).toBe(path.join(NEW_ROOT, '.worktrees', 'feature'));
+      expect(session.plan.design_doc).toBe(path.join(NEW_ROOT, 'docs', 'plans', 'design.md'));
+    });
+
+    test('should use --worktree-path when given', async () => {
+      const sessionFile = path.join(source.sessionDir, 'session.json');
+      const data = JSON.parse(fs.readFileSync(sessionFile, 'utf-8'));
+      data.original_dir = '/home/alice/project';
+      data.working_dir = '/home/alice/project/.worktrees/feature';
+      data.worktree = { enabled: true, branch: 'ultrawork/feature', path: '/home/alice/project/.worktrees/feature', created_at: data.started_at };
+      fs.writeFileSync(sessionFile, JSON.stringify(data, null, 2), 'utf-8');
+      await exportSource();
+
+      const worktreePath = path.join(TEST_BASE_DIR, 'elsewhere', 'feature');
+      const result = await runScript(SCRIPT_PATH, [
+        '--bundle', BUNDLE_FILE,
+        '--working-dir', NEW_ROOT,
+        '--worktree-path', worktreePath
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const session = readImported(source.sessionId);
+      expect(session.worktree.path).toBe(worktreePath);
+      expect(session.working_dir).toBe(worktreePath);
+    });
+  });
+
+  describe('existing sessions', () => {
+    test('should refuse to overwrite an active session', async () => {
+      const exported = await runScript(EXPORT_SCRIPT, ['--session', source.sessionId, '--output', BUNDLE_FILE]);
+      expect(exported.exitCode).toBe(0);
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('already exists and is active');
+      expect(readImported(source.sessionId).working_dir).toBe('/home/alice/project');
+    });
+
+    test('should overwrite an active session with --force', async () => {
+      const exported = await runScript(EXPORT_SCRIPT, ['--session', source.sessionId, '--output', BUNDLE_FILE]);
+      expect(exported.exitCode).toBe(0);
+      fs.writeFileSync(path.join(source.sessionDir, 'tasks', 'extra.json'), '{}', 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT, '--force']);
+
+      expect(result.exitCode).toBe(0);
+      expect(readImported(source.sessionId).working_dir).toBe(NEW_ROOT);
+      expect(fs.existsSync(path.join(source.sessionDir, 'tasks', 'extra.json'))).toBe(false);
+    });
+
+    test('should refuse to replace an inactive session without --force', async () => {
+      const exported = await runScript(EXPORT_SCRIPT, ['--session', source.sessionId, '--output', BUNDLE_FILE]);
+      expect(exported.exitCode).toBe(0);
+      createMockSession(source.sessionId, { phase: 'COMPLETE' });
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Session test-session-import-src already exists. Use --force to replace it.');
+      expect(readImported(source.sessionId).phase).toBe('COMPLETE');
+    });
+
+    test('should replace an inactive session with --force', async () => {
+      const exported = await runScript(EXPORT_SCRIPT, ['--session', source.sessionId, '--output', BUNDLE_FILE]);
+      expect(exported.exitCode).toBe(0);
+      createMockSession(source.sessionId, { phase: 'COMPLETE' });
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT, '--force']);
+
+      expect(result.exitCode).toBe(0);
+      expect(readImported(source.sessionId).phase).toBe('EXECUTION');
+    });
+  });
+
+  describe('task paths', () => {
+    function readImportedTask(sessionId, taskId) {
+      return JSON.parse(fs.readFileSync(path.join(getTestSessionDir(sessionId), 'tasks', `${taskId}.json`), 'utf-8'));
+    }
+
+    test('should rebase absolute evidence and test_file paths under the project root', async () => {
+      createMockTask(source.sessionId, '2', {
+        test_file: '/home/alice/project/tests/a.test.js',
+        evidence: [
+          { type: 'file', path: '/home/alice/project/src/a.js', action: 'modified' },
+          { type: 'file', path: 'src/b.js', action: 'created' },
+          { type: 'file', path: '/etc/hosts', action: 'read' },
+          { type: 'file', path: '/home/alice/project-old/c.js', action: 'read' }
+        ]
+      });
+      await exportSource();
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(0);
+      const task = readImportedTask(source.sessionId, '2');
+      expect(task.test_file).toBe(path.join(NEW_ROOT, 'tests', 'a.test.js'));
+      expect(task.evidence.map(e => e.path)).toEqual([
+        path.join(NEW_ROOT, 'src', 'a.js'),
+        'src/b.js',
+        '/etc/hosts',
+        '/home/alice/project-old/c.js'
+      ]);
+    });
+
+    test('should rebase worktree paths to the new worktree', async () => {
+      const sessionFile = path.join(source.sessionDir, 'session.json');
+      const data = JSON.parse(fs.readFileSync(sessionFile, 'utf-8'));
+      data.original_dir = '/home/alice/project';
+      data.working_dir = '/home/alice/worktrees/feature';
+      data.worktree = { enabled: true, branch: 'ultrawork/feature', path: '/home/alice/worktrees/feature', created_at: data.started_at };
+      fs.writeFileSync(sessionFile, JSON.stringify(data, null, 2), 'utf-8');
+      createMockTask(source.sessionId, '2', {
+        evidence: [{ type: 'file', path: '/home/alice/worktrees/feature/src/a.js', action: 'modified' }]
+      });
+      await exportSource();
+
+      const worktreePath = path.join(TEST_BASE_DIR, 'elsewhere', 'feature');
+      const result = await runScript(SCRIPT_PATH, [
+        '--bundle', BUNDLE_FILE,
+        '--working-dir', NEW_ROOT,
+        '--worktree-path', worktreePath
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(readImportedTask(source.sessionId, '2').evidence[0].path).toBe(path.join(worktreePath, 'src', 'a.js'));
+    });
+
+    test('should keep evidence log entries as exported', async () => {
+      const logFile = path.join(source.sessionDir, 'evidence', 'log.jsonl');
+      const log = JSON.stringify({ type: 'file', path: '/home/alice/project/src/a.js' }) + '\n';
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+      fs.writeFileSync(logFile, log, 'utf-8');
+      await exportSource();
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(0);
+      expect(fs.readFileSync(path.join(getTestSessionDir(source.sessionId), 'evidence', 'log.jsonl'), 'utf-8')).toBe(log);
+    });
+  });
+
+  describe('binary files', () => {
+    test('should round-trip files that are not valid UTF-8', async () => {
+      const binary = Buffer.from([0x00, 0xff, 0xfe, 0x80, 0x41, 0xc3]);
+      fs.writeFileSync(path.join(source.sessionDir, 'attachment.bin'), binary);
+      await exportSource();
+
+      const bundle = JSON.parse(fs.readFileSync(BUNDLE_FILE, 'utf-8'));
+      const entry = bundle.manifest.files.find(f => f.path === 'attachment.bin');
+      expect(entry.encoding).toBe('base64');
+      expect(entry.size).toBe(binary.length);
+      expect(bundle.files['attachment.bin']).toBe(binary.toString('base64'));
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(0);
+      expect(fs.readFileSync(path.join(getTestSessionDir(source.sessionId), 'attachment.bin')).equals(binary)).toBe(true);
+    });
+
+    test('should import version 1 bundles', async () => {
+      await exportSource();
+      const bundle = JSON.parse(fs.readFileSync(BUNDLE_FILE, 'utf-8'));
+      bundle.version = 1;
+      fs.writeFileSync(BUNDLE_FILE, JSON.stringify(bundle), 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(0);
+      expect(readImported(source.sessionId).working_dir).toBe(NEW_ROOT);
+    });
+  });
+
+  describe('bundle verification', () => {
+    test('should reject a bundle with a checksum mismatch', async () => {
+      await exportSource();
+      const bundle = JSON.parse(fs.readFileSync(BUNDLE_FILE, 'utf-8'));
+      bundle.files['tasks/1.json'] = bundle.files['tasks/1.json'].replace('in_progress', 'resolved');
+      fs.writeFileSync(BUNDLE_FILE, JSON.stringify(bundle), 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Checksum mismatch: tasks/1.json');
+      expect(fs.existsSync(getTestSessionDir(source.sessionId))).toBe(false);
+    });
+
+    test('should reject paths escaping the session directory', async () => {
+      await exportSource();
+      const bundle = JSON.parse(fs.readFileSync(BUNDLE_FILE, 'utf-8'));
+      bundle.manifest.files.push({ path: '../escape.json', size: 2, sha256: 'x' });
+      bundle.files['../escape.json'] = '{}';
+      fs.writeFileSync(BUNDLE_FILE, JSON.stringify(bundle), 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Unsafe path in manifest: ../escape.json');
+    });
+
+    test('should reject unsupported bundle versions', async () => {
+      await exportSource();
+      const bundle = JSON.parse(fs.readFileSync(BUNDLE_FILE, 'utf-8'));
+      bundle.version = 99;
+      fs.writeFileSync(BUNDLE_FILE, JSON.stringify(bundle), 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, ['--bundle', BUNDLE_FILE, '--working-dir', NEW_ROOT]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Unsupported bundle version 99');
+    });
+
+    test('should fail when the bundle file does not exist', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--bundle', path.join(TEST_BASE_DIR, 'missing.json')]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Bundle not found');
+    });
+  });
+});
@@ -8,6 +8,7 @@
 const { describe, test, expect, beforeEach, afterEach, afterAll } = require('bun:test');
 const {
   createMockSession,
+  createMockTask,
   runScript,
   assertJsonSchema,
   assertHelpText,
@@ -36,6 +37,9 @@ describe('session-update.js', () => {
       phase: 'PLANNING',
       exploration_stage: 'not_started'
     });
+    // PLANNING -> EXECUTION requires at least one planned task (tasks_exist rule).
+    // Resolved so lifecycle tests can pass the --verifier-passed gate.
+    createMockTask(session.sessionId, '1', { status: 'resolved' });
   });
 
   afterEach(() => {
@@ -85,6 +89,13 @@ describe('session-update.js', () => {
       await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--phase', 'DOCUMENTATION']);
       // Set documenter completion
       await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--documenter-completed']);
+      // COMPLETE requires evidence for the resolved task
+      fs.mkdirSync(path.join(session.sessionDir, 'evidence'), { recursive: true });
+      fs.writeFileSync(
+        path.join(session.sessionDir, 'evidence', 'log.jsonl'),
+        JSON.stringify({ type: 'test_result', timestamp: new Date().toISOString(), passed: true }) + '\n',
+        'utf-8'
+      );
       // DOCUMENTATION -> COMPLETE
       const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--phase', 'COMPLETE']);
 
@@ -37,6 +37,9 @@ describe('session-update.js', () => {
       phase: 'PLANNING',
       exploration_stage: 'not_started'
     });
+    // PLANNING -> EXECUTION requires at least one planned task (tasks_exist rule).
+    // Resolved so lifecycle tests can pass the --verifier-passed gate.
+    createMockTask(session.sessionId, '1', { status: 'resolved' });
   });
 
   afterEach(() => {
@@ -86,6 +89,13 @@ describe('session-update.js', () => {
       await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--phase', 'DOCUMENTATION']);
       // Set documenter completion
       await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--documenter-completed']);
+      // COMPLETE requires evidence for the resolved task
+      fs.mkdirSync(path.join(session.sessionDir, 'evidence'), { recursive: true });
+      fs.writeFileSync(
+        path.join(session.sessionDir, 'evidence', 'log.jsonl'),
+        JSON.stringify({ type: 'test_result', timestamp: new Date().toISOString(), passed: true }) + '\n',
+        'utf-8'
+      );
       // DOCUMENTATION -> COMPLETE
       const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--phase', 'COMPLETE']);
 
@@ -126,6 +136,19 @@ describe('session-update.js', () => {
       expect(updated.plan.approved_at).not.toBeNull();
       expect(typeof updated.plan.approved_at).toBe('string');
     });
+
+    test('should warn about parallel tasks sharing files on --plan-approved', async () => {
+      createMockTask(session.sessionId, '1', { files: ['src/api.ts'] });
+      createMockTask(session.sessionId, '2', { files: ['src/api.ts', 'src/cli.ts'] });
+      createMockTask(session.sessionId, '3', { blocked_by: ['1'], files: ['src/api.ts'] });
+
+      const result = await runScript(SCRIPT_PATH, ['--session', session.sessionId, '--plan-approved']);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stderr).toContain('Warning: tasks 1 and 2 both change src/api.ts without a blocked_by edge.');
+      expect(result.stderr).toContain('Warning: tasks 2 and 3 both change src/api.ts');
+      expect(result.stderr).not.toContain('tasks 1 and 3');
+    });
   });
 
   describe('update design doc', () => {
@@ -162,6 +185,32 @@ describe('session-update.js', () => {
     });
   });
 
+  describe('update gate mode', () => {
+    test('should set options.gate_mode with --gate-mode', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--gate-mode', 'audit'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+
+      const updated = readSession(session.sessionId);
+      expect(updated.options.gate_mode).toBe('audit');
+      expect(updated.options.max_iterations).toBe(5);
+    });
+
+    test('should reject an unknown gate mode', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--gate-mode', 'warn'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid gate mode "warn". Must be: enforce, audit');
+      expect(readSession(session.sessionId).options).not.toHaveProperty('gate_mode');
+    });
+  });
+
   describe('multiple updates', () => {
     test('should update phase and exploration stage together', async () => {
       const result = await runScript(SCRIPT_PATH, [
@@ -908,4 +957,121 @@ describe('session-update.js', () => {
       expect(result.stderr).toContain('verifier');
     });
   });
+
+  // ============================================================================
+  // Transition Rule Checks
+  // ============================================================================
+
+  describe('transition rule checks', () => {
+    const projectDir = path.join(TEST_BASE_DIR, 'test-project-transitions');
+
+    /**
+     * Recreate the session with a project working dir and rules file
+     * @param {string} phase - Starting phase
+     * @param {Object} transitions - Project "transitions" map
+     */
+    function setupProjectRules(phase, transitions) {
+      session.cleanup();
+      session = createMockSession('test-session-update', { phase, working_dir: projectDir });
+      createMockTask(session.sessionId, '1', { status: 'resolved' });
+      fs.mkdirSync(path.join(projectDir, '.claude'), { recursive: true });
+      fs.writeFileSync(
+        path.join(projectDir, '.claude', 'ultrawork-rules.json'),
+        JSON.stringify({ version: '1', transitions }),
+        'utf-8'
+      );
+    }
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    test('should block PLANNING -> EXECUTION when the plan has no tasks', async () => {
+      session.cleanup();
+      session = createMockSession('test-session-update', { phase: 'PLANNING' });
+      createMockTask(session.sessionId, 'verify', { status: 'open' });
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--phase', 'EXECUTION'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('blocked by rule checks');
+      expect(result.stderr).toContain('tasks_exist');
+      expect(readSession(session.sessionId).phase).toBe('PLANNING');
+    });
+
+    test('should block PLANNING -> EXECUTION when design doc misses required sections', async () => {
+      setupProjectRules('PLANNING', {
+        'PLANNING->EXECUTION': [
+          { name: 'design_sections', type: 'doc_sections', file: 'design.md', sections: ['Overview', 'Testing Strategy'] }
+        ]
+      });
+      fs.writeFileSync(path.join(projectDir, 'design.md'), '# Design\n\n## Overview\n', 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--phase', 'EXECUTION'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('design_sections');
+      expect(result.stderr).toContain('Testing Strategy');
+      expect(readSession(session.sessionId).phase).toBe('PLANNING');
+    });
+
+    test('should allow PLANNING -> EXECUTION when design doc has required sections', async () => {
+      setupProjectRules('PLANNING', {
+        'PLANNING\u2192EXECUTION': [
+          { name: 'design_sections', type: 'doc_sections', file: 'design.md', sections: ['Overview', 'Testing Strategy'] }
+        ]
+      });
+      fs.writeFileSync(path.join(projectDir, 'design.md'), '## Overview\n\n## Testing Strategy\n', 'utf-8');
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--phase', 'EXECUTION'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(readSession(session.sessionId).phase).toBe('EXECUTION');
+    });
+
+    test('should only run checks registered for the requested transition', async () => {
+      setupProjectRules('EXECUTION', {
+        'EXECUTION->VERIFICATION': [
+          { name: 'lint_clean', type: 'command', command: 'false' }
+        ],
+        'VERIFICATION->EXECUTION': [
+          { name: 'never_reached', type: 'command', command: 'false' }
+        ]
+      });
+
+      const blocked = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--phase', 'VERIFICATION'
+      ]);
+
+      expect(blocked.exitCode).toBe(1);
+      expect(blocked.stderr).toContain('lint_clean');
+      expect(blocked.stderr).not.toContain('never_reached');
+      expect(readSession(session.sessionId).phase).toBe('EXECUTION');
+    });
+
+    test('should not run transition checks for non-transition updates', async () => {
+      setupProjectRules('EXECUTION', {
+        'EXECUTION->VERIFICATION': [
+          { name: 'lint_clean', type: 'command', command: 'false' }
+        ]
+      });
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--iteration', '2'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+    });
+  });
 });
@@ -12,6 +12,8 @@ const {
   TEST_BASE_DIR,
   getTestSessionDir,
   getTestSessionFile,
+  createMockSession,
+  createMockTask,
   cleanupAllTestSessions
 } = require('./test-utils.js');
 const fs = require('fs');
@@ -193,6 +195,87 @@ describe('setup-ultrawork.js', () => {
     });
   });
 
+  describe('resume', () => {
+    /**
+     * Session whose task 1 was left in_progress by a worker that never finished
+     */
+    function createInterruptedSession() {
+      const mock = createMockSession(testSessionId, { phase: 'EXECUTION', goal: 'Resume goal' });
+      const session = JSON.parse(fs.readFileSync(mock.sessionFile, 'utf-8'));
+      session.workers = [{ agent_id: 'agent-a', task_id: '1', status: 'running', started_at: '2026-01-01T00:00:00.000Z' }];
+      fs.writeFileSync(mock.sessionFile, JSON.stringify(session, null, 2));
+      createMockTask(testSessionId, '1', { status: 'in_progress', subject: 'Build parser' });
+      return mock;
+    }
+
+    /** @returns {Object} Task 1 data */
+    function readTask1() {
+      return JSON.parse(fs.readFileSync(path.join(sessionDir, 'tasks', '1.json'), 'utf-8'));
+    }
+
+    test('should report orphaned tasks and dangling workers without changing them', async () => {
+      createInterruptedSession();
+
+      const result = await runScript(SCRIPT_PATH, ['--session', testSessionId, '--resume']);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('ULTRAWORK SESSION RESUMED');
+      expect(result.stdout).toContain('Task 1 stuck in_progress: Build parser (worker: agent-a)');
+      expect(result.stdout).toContain('Worker agent-a never finished');
+      expect(result.stdout).toContain('--reconcile reset');
+      expect(result.stdout.trim().split('\n').pop()).toBe('Resume goal');
+      expect(readTask1().status).toBe('in_progress');
+    });
+
+    test('should not print a reconciliation section for a clean session', async () => {
+      createMockSession(testSessionId, { goal: 'Resume goal' });
+
+      const result = await runScript(SCRIPT_PATH, ['--session', testSessionId, '--resume']);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).not.toContain('Reconciliation');
+    });
+
+    test('should reset orphaned tasks with --reconcile reset', async () => {
+      createInterruptedSession();
+
+      const result = await runScript(SCRIPT_PATH, ['--session', testSessionId, '--resume', '--reconcile', 'reset']);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('Applied: 1 task(s) reset to open, 1 worker(s) closed, 0 lock(s) removed');
+      expect(readTask1().status).toBe('open');
+      expect(readSession(testSessionId).workers[0].status).toBe('failed');
+    });
+
+    test('should block orphaned tasks with --reconcile block --reason', async () => {
+      createInterruptedSession();
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', testSessionId, '--resume', '--reconcile', 'block', '--reason', 'API key expired'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(readTask1().status).toBe('blocked');
+      expect(readTask1().blocked_reason).toBe('API key expired');
+    });
+
+    test('should reject an invalid --reconcile value', async () => {
+      createInterruptedSession();
+
+      const result = await runScript(SCRIPT_PATH, ['--session', testSessionId, '--resume', '--reconcile', 'delete']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid --reconcile value');
+    });
+
+    test('should reject --reconcile without --resume', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', testSessionId, '--reconcile', 'reset', 'goal']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('--reconcile can only be used with --resume');
+    });
+  });
+
   describe('context.json creation', () => {
     test('should create empty context.json', async () => {
       await runScript(SCRIPT_PATH, [
@@ -120,6 +120,44 @@ describe('task-create.js', () => {
       const parsed = JSON.parse(result.stdout.split('\n').slice(1).join('\n'));
       expect(parsed.blocked_by).toEqual(['1', '2', '3']);
     });
+
+    test('should parse allowed paths from comma-separated globs', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '6',
+        '--subject', 'Upgrade CI',
+        '--allowed-paths', '.github/workflows/**, package-lock.json'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const parsed = JSON.parse(result.stdout.split('\n').slice(1).join('\n'));
+      expect(parsed.allowed_paths).toEqual(['.github/workflows/**', 'package-lock.json']);
+    });
+
+    test('should parse owned files from comma-separated globs', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '8',
+        '--subject', 'API handlers',
+        '--files', 'src/api/**,src/routes.ts'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const parsed = JSON.parse(result.stdout.split('\n').slice(1).join('\n'));
+      expect(parsed.files).toEqual(['src/api/**', 'src/routes.ts']);
+    });
+
+    test('should omit allowed paths when not given', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '7',
+        '--subject', 'Plain task'
+      ]);
+
+      const parsed = JSON.parse(result.stdout.split('\n').slice(1).join('\n'));
+      expect(parsed).not.toHaveProperty('allowed_paths');
+      expect(parsed).not.toHaveProperty('files');
+    });
   });
 
   describe('TDD support', () => {
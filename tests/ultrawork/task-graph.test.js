@@ -0,0 +1,104 @@
+#!/usr/bin/env bun
+/**
+ * Tests for task-graph.js
+ */
+
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const { createMockSession, createMockTask, runScript, assertHelpText } = require('./test-utils.js');
+const path = require('path');
+
+const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/task-graph.js');
+
+describe('task-graph.js', () => {
+  const sessionId = 'test-task-graph';
+  let session;
+
+  beforeEach(() => {
+    session = createMockSession(sessionId, { phase: 'EXECUTION', max_workers: 1 });
+    createMockTask(sessionId, '1', { subject: 'Schema', complexity: 'simple' });
+    createMockTask(sessionId, '2', { subject: 'API', complexity: 'complex', blocked_by: ['1'] });
+    createMockTask(sessionId, '3', { subject: 'CLI', blocked_by: ['1'] });
+    createMockTask(sessionId, '4', { subject: 'Docs', blocked_by: ['7'] });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  describe('help flag', () => {
+    test('should display help with --help', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--help']);
+
+      expect(result.exitCode).toBe(0);
+      assertHelpText(result.stdout, ['--session', '--format']);
+    });
+  });
+
+  describe('table format', () => {
+    test('should show waves, critical path, parallelism and problems', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('**Max parallelism**: 2 (max_workers: 1)');
+      expect(result.stdout).toContain('| 2 | 2, 3 | 2 |');
+      expect(result.stdout).toContain('1 → 2 (weight 4 of 6, 67%)');
+      expect(result.stdout).toContain('max_workers (1) is lower than the widest wave');
+      expect(result.stdout).toContain('Dangling reference: task 4 is blocked by missing task 7');
+    });
+
+    test('should report tasks that can run in parallel on the same files', async () => {
+      createMockTask(sessionId, '2', { subject: 'API', blocked_by: ['1'], files: ['src/api.ts'] });
+      createMockTask(sessionId, '3', { subject: 'CLI', blocked_by: ['1'], files: ['src/api.ts', 'src/cli.ts'] });
+
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId]);
+
+      expect(result.stdout).toContain('File conflict: tasks 2 and 3 both change src/api.ts without a blocked_by edge');
+    });
+  });
+
+  describe('json format', () => {
+    test('should output the full analysis', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--format', 'json']);
+
+      expect(result.exitCode).toBe(0);
+      const analysis = JSON.parse(result.stdout);
+      expect(analysis.waves).toEqual([['1'], ['2', '3']]);
+      expect(analysis.critical_path.tasks).toEqual(['1', '2']);
+      expect(analysis.unreachable).toEqual([{ id: '4', reason: 'dangling', via: ['7'] }]);
+    });
+  });
+
+  describe('graph formats', () => {
+    test('should output mermaid', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--format', 'mermaid']);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('flowchart TD');
+      expect(result.stdout).toContain('t_1 --> t_3');
+    });
+
+    test('should output dot', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--format', 'dot']);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('digraph tasks {');
+      expect(result.stdout).toContain('"1" -> "2";');
+    });
+  });
+
+  describe('error cases', () => {
+    test('should reject an unknown format', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', sessionId, '--format', 'svg']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid format');
+    });
+
+    test('should fail for a missing session', async () => {
+      const result = await runScript(SCRIPT_PATH, ['--session', 'no-such-session']);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('not found');
+    });
+  });
+});
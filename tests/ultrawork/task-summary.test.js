@@ -104,6 +104,23 @@ describe('task-summary.js', () => {
       expect(result.stdout).toContain('Criterion 2');
     });
 
+    test('should check off criteria with tagged evidence', async () => {
+      createMockTask(session.sessionId, '1', {
+        criteria: ['Criterion 1', 'Criterion 2'],
+        evidence: [{ kind: 'command', command: 'make', exit_code: 0, description: 'make (exit 0)', criterion: 2 }]
+      });
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--task', '1'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('- [○] Criterion 1');
+      expect(result.stdout).toContain('- [✓] Criterion 2');
+      expect(result.stdout).toContain('- [command] make (exit 0) (criterion 2)');
+    });
+
     test('should list evidence', async () => {
       const result = await runScript(SCRIPT_PATH, [
         '--session', session.sessionId,
@@ -161,6 +178,54 @@ describe('task-summary.js', () => {
     });
   });
 
+  describe('diagram formats', () => {
+    beforeEach(() => {
+      createMockTask(session.sessionId, '3', {
+        subject: 'Third task',
+        status: 'in_progress',
+        blocked_by: ['1', '2']
+      });
+    });
+
+    test('should output mermaid with nodes coloured by status', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--format', 'mermaid'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('flowchart TD');
+      expect(result.stdout).toContain('t_1["1: First task"]:::resolved');
+      expect(result.stdout).toContain('t_2["2: Second task"]:::pending');
+      expect(result.stdout).toContain('t_3["3: Third task"]:::in_progress');
+      expect(result.stdout).toContain('t_1 --> t_3');
+      expect(result.stdout).toContain('t_2 --> t_3');
+      expect(result.stdout).not.toContain('critical');
+    });
+
+    test('should output dot with nodes coloured by status', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--format', 'dot'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain('digraph tasks {');
+      expect(result.stdout).toContain('"1" [label="1: First task", fillcolor="#d3f9d8"];');
+      expect(result.stdout).toContain('"2" -> "3";');
+    });
+
+    test('should reject an unknown format', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--format', 'svg'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid format');
+    });
+  });
+
   describe('error cases', () => {
     test('should fail when session ID missing', async () => {
       const result = await runScript(SCRIPT_PATH, []);
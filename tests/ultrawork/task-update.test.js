@@ -6,6 +6,7 @@
 const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
 const { createMockSession, createMockTask, runScript, assertHelpText } = require('./test-utils.js');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const SCRIPT_PATH = path.join(__dirname, '../../plugins/ultrawork/src/scripts/task-update.js');
@@ -31,7 +32,7 @@ describe('task-update.js', () => {
       const result = await runScript(SCRIPT_PATH, ['--help']);
 
       expect(result.exitCode).toBe(0);
-      assertHelpText(result.stdout, ['--session', '--id', '--status', '--add-evidence']);
+      assertHelpText(result.stdout, ['--session', '--id', '--status', '--add-evidence', '--command', '--file', '--log-line']);
     });
   });
 
@@ -86,7 +87,10 @@ describe('task-update.js', () => {
 
       const taskFile = path.join(session.sessionDir, 'tasks', '1.json');
       const taskData = JSON.parse(fs.readFileSync(taskFile, 'utf-8'));
-      expect(taskData.evidence).toContain('Test evidence 1');
+      expect(taskData.evidence).toHaveLength(1);
+      expect(taskData.evidence[0].kind).toBe('note');
+      expect(taskData.evidence[0].description).toBe('Test evidence 1');
+      expect(taskData.evidence[0].created_at).toBeTruthy();
     });
 
     test('should append multiple evidence entries', async () => {
@@ -107,8 +111,263 @@ describe('task-update.js', () => {
       const taskFile = path.join(session.sessionDir, 'tasks', '1.json');
       const taskData = JSON.parse(fs.readFileSync(taskFile, 'utf-8'));
       expect(taskData.evidence.length).toBe(2);
-      expect(taskData.evidence).toContain('Evidence 1');
-      expect(taskData.evidence).toContain('Evidence 2');
+      const descriptions = taskData.evidence.map(e => e.description);
+      expect(descriptions).toContain('Evidence 1');
+      expect(descriptions).toContain('Evidence 2');
+    });
+  });
+
+  describe('typed evidence', () => {
+    /**
+     * @returns {Object} Task 1 data
+     */
+    function readTask() {
+      return JSON.parse(fs.readFileSync(path.join(session.sessionDir, 'tasks', '1.json'), 'utf-8'));
+    }
+
+    test('should record command evidence with exit code', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--command', 'npm run build',
+        '--exit-code', '0',
+        '--output', 'built in 2s'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const [evidence] = readTask().evidence;
+      expect(evidence).toMatchObject({
+        kind: 'command',
+        command: 'npm run build',
+        exit_code: 0,
+        output: 'built in 2s',
+        description: 'npm run build (exit 0)'
+      });
+    });
+
+    test('should record test evidence with --kind test', async () => {
+      await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--kind', 'test',
+        '--command', 'bun test',
+        '--exit-code', '1',
+        '--add-evidence', 'TDD-RED: bun test fails'
+      ]);
+
+      const [evidence] = readTask().evidence;
+      expect(evidence).toMatchObject({
+        kind: 'test',
+        command: 'bun test',
+        exit_code: 1,
+        passed: false,
+        description: 'TDD-RED: bun test fails'
+      });
+    });
+
+    test('should record file evidence with sha256 relative to working_dir', async () => {
+      const workDir = path.join(session.sessionDir, 'work');
+      fs.mkdirSync(workDir, { recursive: true });
+      fs.writeFileSync(path.join(workDir, 'auth.ts'), 'export const x = 1;\n');
+      const sessionData = JSON.parse(fs.readFileSync(session.sessionFile, 'utf-8'));
+      sessionData.working_dir = workDir;
+      fs.writeFileSync(session.sessionFile, JSON.stringify(sessionData, null, 2));
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--file', 'auth.ts'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const [evidence] = readTask().evidence;
+      expect(evidence.kind).toBe('file');
+      expect(evidence.path).toBe('auth.ts');
+      expect(evidence.sha256).toBe(new Bun.CryptoHasher('sha256').update('export const x = 1;\n').digest('hex'));
+    });
+
+    test('should record a reference to an evidence log line', async () => {
+      const evidenceDir = path.join(session.sessionDir, 'evidence');
+      fs.mkdirSync(evidenceDir, { recursive: true });
+      fs.writeFileSync(path.join(evidenceDir, 'log.jsonl'), [
+        JSON.stringify({ type: 'command_execution', command: 'ls', exit_code: 0 }),
+        JSON.stringify({ type: 'test_result', passed: true, framework: 'bun' })
+      ].join('\n') + '\n');
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--log-line', '2'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      const [evidence] = readTask().evidence;
+      expect(evidence).toMatchObject({ kind: 'log_ref', log_line: 2, entry_type: 'test_result' });
+    });
+
+    test('should fail for a missing log line', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--log-line', '7'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Evidence log entry 7 not found');
+      expect(readTask().evidence).toEqual([]);
+    });
+
+    test('should fail for command evidence without exit code', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--command', 'npm test'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid exit code');
+    });
+
+    test('should reject unknown evidence kinds', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--kind', 'screenshot',
+        '--add-evidence', 'x'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid evidence kind');
+    });
+
+    test('should tag evidence with a criterion index', async () => {
+      createMockTask(session.sessionId, '1', { status: 'open', criteria: ['Builds', 'Tests pass'] });
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--kind', 'test',
+        '--command', 'bun test',
+        '--exit-code', '0',
+        '--criterion', '2'
+      ]);
+
+      expect(result.exitCode).toBe(0);
+      expect(readTask().evidence[0].criterion).toBe(2);
+    });
+
+    test('should reject out-of-range criterion indexes', async () => {
+      createMockTask(session.sessionId, '1', { status: 'open', criteria: ['Builds'] });
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--add-evidence', 'Done',
+        '--criterion', '3'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Invalid --criterion "3" for task 1 (use 1-1)');
+      expect(readTask().evidence).toEqual([]);
+      expect(fs.existsSync(path.join(session.sessionDir, 'tasks', '1.json.lock'))).toBe(false);
+    });
+
+    test('should require evidence when --criterion is given', async () => {
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--criterion', '1'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('--criterion requires evidence to tag');
+    });
+
+    test('should migrate legacy string evidence when the task is written', async () => {
+      createMockTask(session.sessionId, '1', { status: 'open', evidence: ['Created src/a.ts'] });
+
+      await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--add-evidence', 'Next step'
+      ]);
+
+      expect(readTask().evidence).toEqual([
+        { kind: 'note', description: 'Created src/a.ts', migrated: true },
+        expect.objectContaining({ kind: 'note', description: 'Next step' })
+      ]);
+    });
+
+    test('should block resolving when command output contains blocked patterns', async () => {
+      createMockTask(session.sessionId, '1', { status: 'in_progress', evidence: [] });
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--status', 'resolved',
+        '--command', 'npm test',
+        '--exit-code', '0',
+        '--output', '1 pass, 1 fail: parser not implemented'
+      ]);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('blocked patterns detected');
+      expect(result.stderr).toContain('"not implemented": Explicit incompleteness (rule not_implemented, default)');
+      expect(fs.existsSync(path.join(session.sessionDir, 'tasks', '1.json.lock'))).toBe(false);
+    });
+
+    test('should not scan file paths or commands for blocked patterns', async () => {
+      const workDir = path.join(session.sessionDir, 'work');
+      fs.mkdirSync(path.join(workDir, 'src'), { recursive: true });
+      fs.writeFileSync(path.join(workDir, 'src', 'todo-list.js'), 'export const items = [];\n');
+      const sessionData = JSON.parse(fs.readFileSync(session.sessionFile, 'utf-8'));
+      sessionData.working_dir = workDir;
+      fs.writeFileSync(session.sessionFile, JSON.stringify(sessionData, null, 2));
+      createMockTask(session.sessionId, '1', { status: 'in_progress', evidence: [] });
+
+      const result = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--file', 'src/todo-list.js'
+      ]);
+      expect(result.exitCode).toBe(0);
+
+      const resolved = await runScript(SCRIPT_PATH, [
+        '--session', session.sessionId,
+        '--id', '1',
+        '--status', 'resolved',
+        '--command', 'bun test tests/placeholder.test.js',
+        '--exit-code', '0'
+      ]);
+
+      expect(resolved.exitCode).toBe(0);
+      expect(resolved.stderr).not.toContain('patterns');
+    });
+
+    test('should apply project severity overrides to blocked patterns', async () => {
+      const workingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ultrawork-task-update-'));
+      fs.mkdirSync(path.join(workingDir, '.claude'));
+      fs.writeFileSync(path.join(workingDir, '.claude', 'ultrawork-rules.json'), JSON.stringify({
+        version: '1',
+        blocked_patterns: { severity: { placeholder: 'warning' } }
+      }), 'utf-8');
+      const projectSession = createMockSession('test-task-update-patterns', { working_dir: workingDir });
+      createMockTask(projectSession.sessionId, '1', { status: 'in_progress', evidence: [] });
+
+      try {
+        const result = await runScript(SCRIPT_PATH, [
+          '--session', projectSession.sessionId,
+          '--id', '1',
+          '--status', 'resolved',
+          '--add-evidence', 'Replaced the placeholder avatar with the uploaded image'
+        ]);
+
+        expect(result.exitCode).toBe(0);
+        expect(result.stderr).toContain('"placeholder": Temporary code not replaced (rule placeholder, project)');
+      } finally {
+        projectSession.cleanup();
+        fs.rmSync(workingDir, { recursive: true, force: true });
+      }
     });
   });
 
@@ -133,7 +392,7 @@ describe('task-update.js', () => {
       const taskFile = path.join(session.sessionDir, 'tasks', '1.json');
       const taskData = JSON.parse(fs.readFileSync(taskFile, 'utf-8'));
       expect(taskData.status).toBe('resolved');
-      expect(taskData.evidence).toContain('All tests passed');
+      expect(taskData.evidence.map(e => e.description)).toContain('All tests passed');
     });
   });
 
@@ -51,6 +51,7 @@ function createMockSession(sessionId, options = {}) {
     version: '6.0',
     session_id: sessionId,
     working_dir: options.working_dir || '/tmp/test-project',
+    original_dir: options.original_dir || null,
     goal: options.goal || 'Test session goal',
     started_at: new Date().toISOString(),
     updated_at: new Date().toISOString(),
@@ -64,7 +65,8 @@ function createMockSession(sessionId, options = {}) {
       max_workers: options.max_workers || 0,
       max_iterations: options.max_iterations || 5,
       plan_only: options.plan_only || false,
-      auto_mode: options.auto_mode || false
+      auto_mode: options.auto_mode || false,
+      ...(options.gate_mode ? { gate_mode: options.gate_mode } : {})
     },
     verifier_passed: options.verifier_passed || false,
     documenter_completed: options.documenter_completed || false,
@@ -125,7 +127,9 @@ function createMockTask(sessionId, taskId, options = {}) {
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString(),
     ...(options.approach && { approach: options.approach }),
-    ...(options.test_file && { test_file: options.test_file })
+    ...(options.test_file && { test_file: options.test_file }),
+    ...(options.allowed_paths && { allowed_paths: options.allowed_paths }),
+    ...(options.files && { files: options.files })
   };
 
   fs.writeFileSync(taskFile, JSON.stringify(taskData, null, 2), 'utf-8');